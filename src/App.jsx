@@ -7,9 +7,11 @@ import City from "./ui/City.jsx";
 import WorldMap from "./ui/WorldMap.jsx";
 import ZoneScreen from "./ui/ZoneScreen.jsx";
 import Combat from "./ui/Battle.jsx";
+import ReplayViewer from "./ui/ReplayViewer.jsx";
 import MenuScreen from "./ui/MenuScreen.jsx";
 import QuestBoard from "./ui/QuestBoard.jsx";
 import DungeonScreen from "./ui/DungeonScreen.jsx";
+import DefeatScreen from "./ui/DefeatScreen.jsx";
 import Tutorial from "./ui/Tutorial.jsx";
 // new inspectors
 import SpellBook from "./ui/SpellBook.jsx";
@@ -104,7 +106,9 @@ function MainLayout() {
             <Route path="/zone/:zoneId" element={<ZoneScreen />} />
             <Route path="/shop/:shopId" element={<Shop />} />
             <Route path="/combat" element={<Combat />} />
+            <Route path="/combat/replay" element={<ReplayViewer />} />
             <Route path="/dungeon" element={<DungeonScreen />} />
+            <Route path="/defeat" element={<DefeatScreen />} />
             <Route path="/menu" element={<MenuScreen />} />
             <Route path="/quests" element={<QuestBoard />} />
 
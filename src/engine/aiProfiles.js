@@ -0,0 +1,140 @@
+// src/engine/aiProfiles.js
+// ------------------------------------------------------
+// Data-driven enemy AI profiles (db/aiProfiles.json).
+// An enemy template opts in with `ai`:
+//   "ai": "healer"
+//   "ai": { "extends": "summoner", "rules": [ ... ] }   // own rules first
+// A profile is a list of weighted rules:
+//   { use, spell?, when?, target?, weight }
+//   use:    "attack" | "damage" | "aoe" | "heal" | "buff" | "summon"
+//           (spell: "<id>" pins one of the enemy's spells instead)
+//   when:   every condition must hold
+//     selfHpBelow / selfHpAbove   share of own max HP
+//     allyHpBelow                 another enemy below that share
+//     foeHpBelow                  the player or an ally below that share
+//     foesAtLeast                 at least N on the player's side standing
+//     alliesFewerThan             fewer than N other enemies standing
+//     missingBuff                 the buff target doesn't have this spell's buff yet
+//   target: foes  -> "threat" (default) | "weakest" | "player"
+//           ours  -> "self" (default) | "weakest-ally" | "missing-buff"
+// Enemies without `ai` keep the old behaviour (first spell
+// off cooldown, see enemyAI.js).
+// ------------------------------------------------------
+
+import profilesDb from "../db/aiProfiles.json";
+import { friendlyUnits } from "./allies.js";
+
+export const RULE_USES = ["attack", "damage", "aoe", "heal", "buff", "summon"];
+
+export function getAiProfile(id) {
+  const p = profilesDb?.[id];
+  return p ? { id, ...p } : null;
+}
+
+export function listAiProfiles() {
+  return Object.keys(profilesDb || {}).map(getAiProfile);
+}
+
+/**
+ * Rules for an enemy (null = no profile, use the default AI).
+ * Unknown profile ids are ignored rather than breaking the battle.
+ */
+export function resolveAiRules(enemy) {
+  const ai = enemy?.ai;
+  if (!ai) return null;
+
+  if (typeof ai === "string") {
+    const profile = getAiProfile(ai);
+    return profile && Array.isArray(profile.rules) ? profile.rules : null;
+  }
+
+  if (typeof ai === "object") {
+    const own = Array.isArray(ai.rules) ? ai.rules : [];
+    const base = ai.extends ? getAiProfile(ai.extends)?.rules || [] : [];
+    const rules = [...own, ...base];
+    return rules.length ? rules : null;
+  }
+
+  return null;
+}
+
+/**
+ * What a spell is for, as far as rules are concerned:
+ * "summon" | "heal" | "buff" | "aoe" | "damage" | "passive"
+ */
+export function spellRole(spell) {
+  if (!spell) return null;
+  const effects = Array.isArray(spell.effects) ? spell.effects : [];
+  if (effects.some(e => e?.type === "summon")) return "summon";
+  if (spell.kind === "heal") return Number(spell.healAmount) > 0 ? "heal" : "buff";
+  if (spell.target === "self") {
+    return effects.some(e => e?.type === "buff" || e?.type === "haste") ? "buff" : "passive";
+  }
+  return spell.target === "aoe" || spell.aoe === true ? "aoe" : "damage";
+}
+
+// ============================================================
+// Battlefield reads
+// ============================================================
+
+export function hpShare(ent) {
+  return (Number(ent?.hp) || 0) / Math.max(1, Number(ent?.maxHP) || 1);
+}
+
+/**
+ * The enemy's own side (itself included), standing only.
+ */
+export function enemySide(state) {
+  const list = Array.isArray(state?.enemies) && state.enemies.length > 0
+    ? state.enemies
+    : state?.enemy ? [state.enemy] : [];
+  return list.filter(e => e && (e.hp || 0) > 0);
+}
+
+export function lowest(units) {
+  return units.reduce((low, u) => (!low || hpShare(u) < hpShare(low) ? u : low), null);
+}
+
+export function hasBuffFrom(ent, spell) {
+  return (ent?.statuses || []).some(s => s && s.source === spell?.id && s.turnsLeft > 0);
+}
+
+/**
+ * Own-side unit a heal / buff rule aims at (null = nobody fits).
+ */
+export function pickOwnSideTarget(state, enemy, rule, spell) {
+  const mine = enemySide(state);
+  const others = mine.filter(e => e !== enemy);
+
+  switch (rule.target) {
+    case "weakest-ally":
+      return lowest(others) || enemy;
+    case "missing-buff":
+      return mine.find(e => !hasBuffFrom(e, spell)) || null;
+    default:
+      return enemy;
+  }
+}
+
+/**
+ * Check a rule's `when` block. `ctx.ally` is the resolved own-side target (heals / buffs).
+ */
+export function ruleConditionsHold(state, enemy, rule, ctx = {}) {
+  const when = rule?.when || {};
+  const num = (v) => Number(v);
+
+  if (when.selfHpBelow != null && !(hpShare(enemy) < num(when.selfHpBelow))) return false;
+  if (when.selfHpAbove != null && !(hpShare(enemy) > num(when.selfHpAbove))) return false;
+
+  const others = enemySide(state).filter(e => e !== enemy);
+  if (when.allyHpBelow != null && !others.some(e => hpShare(e) < num(when.allyHpBelow))) return false;
+  if (when.alliesFewerThan != null && !(others.length < num(when.alliesFewerThan))) return false;
+
+  const foes = friendlyUnits(state);
+  if (when.foeHpBelow != null && !foes.some(f => hpShare(f) < num(when.foeHpBelow))) return false;
+  if (when.foesAtLeast != null && !(foes.length >= num(when.foesAtLeast))) return false;
+
+  if (when.missingBuff && (!ctx.ally || hasBuffFrom(ctx.ally, ctx.spell))) return false;
+
+  return true;
+}
@@ -0,0 +1,152 @@
+// src/engine/allies.js
+// ------------------------------------------------------
+// The player's side of the field besides the player:
+// recruited companions (db/companions.json) and units
+// summoned by the player or an ally.
+//
+// state.allies = [ally]; an ally is a runtime unit shaped
+// like an enemy (stats in _base, statuses, _cooldowns,
+// spells) plus:
+//   _ally: true
+//   control: "ai" | "player"   // who picks its actions
+//   threat                      // weight when enemies pick a target
+//   _summon                     // summons vanish when they fall;
+//                               // companions stay on the field KO'd
+// Companions fight at the player's level and come back at
+// full HP for every battle.
+// ------------------------------------------------------
+
+import companionsDb from "../db/companions.json";
+import { BASE_SPEED } from "./initiative.js";
+
+export const MAX_PARTY_SIZE = 2;
+export const ALLY_CONTROLS = ["ai", "player"];
+
+export function getCompanionSpec(id) {
+  const spec = companionsDb?.[id];
+  return spec ? { id, ...spec } : null;
+}
+
+export function listCompanionSpecs() {
+  return Object.keys(companionsDb || {}).map(getCompanionSpec);
+}
+
+/**
+ * Runtime unit for a companion at the given level (growth per level above 1).
+ */
+export function buildCompanionRuntime(id, level = 1) {
+  const spec = getCompanionSpec(id);
+  if (!spec) return null;
+
+  const lv = Math.max(1, Math.floor(Number(level) || 1));
+  const grow = (field, fallback) => {
+    const base = Number(spec[field]);
+    const per = Number(spec.growth?.[field]) || 0;
+    return Math.max(0, Math.floor((Number.isFinite(base) ? base : fallback) + per * (lv - 1)));
+  };
+
+  const maxHP = Math.max(1, grow("maxHP", 20));
+  const atk = Math.max(1, grow("atk", 1));
+  const def = grow("def", 0);
+  const mAtk = Math.max(1, grow("mAtk", atk));
+  const mDef = grow("mDef", def);
+  const maxMP = grow("maxMP", 0);
+  const speed = Number(spec.speed) > 0 ? Number(spec.speed) : BASE_SPEED;
+
+  return {
+    id,
+    name: spec.name || id,
+    role: spec.role || null,
+    level: lv,
+    maxHP,
+    hp: maxHP,
+    maxMP,
+    mp: maxMP,
+    atk,
+    def,
+    mAtk,
+    mDef,
+    speed,
+    spells: Array.isArray(spec.spells) ? spec.spells.slice() : [],
+    element: spec.element,
+    elementMods: spec.elementMods ? { ...spec.elementMods } : undefined,
+    control: ALLY_CONTROLS.includes(spec.control) ? spec.control : "ai",
+    threat: Number(spec.threat) > 0 ? Number(spec.threat) : 1,
+    statuses: [],
+    _cooldowns: {},
+    _base: { atk, def, mAtk, mDef, maxHP, maxMP, speed },
+    _ally: true,
+    _companion: true,
+  };
+}
+
+/**
+ * Companions for a battle from the saved party (unknown ids are skipped).
+ */
+export function buildPartyRuntime(party = [], level = 1) {
+  const ids = Array.isArray(party) ? party.slice(0, MAX_PARTY_SIZE) : [];
+  return ids.map(id => buildCompanionRuntime(id, level)).filter(Boolean);
+}
+
+/**
+ * Turn a freshly built unit (enemy template) into a summon on the player's side.
+ */
+export function enlistSummonMut(unit) {
+  if (!unit) return unit;
+  unit._ally = true;
+  unit.control = "ai";
+  unit.threat = Number(unit.threat) > 0 ? Number(unit.threat) : 1;
+  // whatever it was in the bestiary, it is not worth EXP / loot on our side
+  unit.expReward = 0;
+  unit.drops = [];
+  unit.lootTable = undefined;
+  return unit;
+}
+
+// ============================================================
+// Lookups
+// ============================================================
+
+export function getAlliesList(state) {
+  return Array.isArray(state?.allies) ? state.allies : [];
+}
+
+export function isAlly(ent) {
+  return !!ent && ent._ally === true;
+}
+
+export function livingAllies(state) {
+  return getAlliesList(state).filter(a => a && (a.hp || 0) > 0);
+}
+
+/**
+ * Everyone an enemy may hit: the player (while standing) and living allies.
+ */
+export function friendlyUnits(state) {
+  const out = [];
+  if (state?.player && (state.player.hp || 0) > 0) out.push(state.player);
+  out.push(...livingAllies(state));
+  return out;
+}
+
+export function getAllyByKey(state, key) {
+  if (!key) return null;
+  return getAlliesList(state).find(a => a && a._uid === key) || null;
+}
+
+/**
+ * The ally whose manual turn it is (turn === "ally"), or null.
+ */
+export function getActiveAlly(state) {
+  if (!state || state.turn !== "ally") return null;
+  const ally = getAllyByKey(state, state.activeAlly);
+  return ally && (ally.hp || 0) > 0 ? ally : null;
+}
+
+/**
+ * Fallen summons leave the field; fallen companions stay (KO'd) until the battle ends.
+ */
+export function pruneFallenAlliesMut(state) {
+  if (!Array.isArray(state?.allies)) return;
+  state.allies = state.allies.filter(a => a && ((a.hp || 0) > 0 || !a._summon));
+}
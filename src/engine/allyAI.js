@@ -0,0 +1,149 @@
+// src/engine/allyAI.js
+// -----------------------------------------------------------
+// Ally actions (companions + player-side summons).
+// Allies fight like enemies do (spells run on cooldowns, no
+// MP) but aim at the enemy side. The same helpers serve AI
+// allies (performAllyAction) and allies the player commands.
+// -----------------------------------------------------------
+
+import spellsCatalog from "../db/spells.json";
+import { clampHP, attackDamageSpec, spellDamageSpec } from "./damage.js";
+import { pushStatusOntoEntity, recomputeDerivedWithStatuses, applyHitMut, isSilenced, tauntersAmong } from "./statuses.js";
+import { setCooldownOnEntity, getCooldown } from "./cooldowns.js";
+import { logEvent, entityRef } from "./events.js";
+import { friendlyUnits } from "./allies.js";
+
+// AI heals once someone on our side drops below this share of max HP
+const HEAL_THRESHOLD = 0.5;
+
+// -----------------------------------------------------------
+// Spells
+// -----------------------------------------------------------
+export function getAllySpells(ally) {
+  if (!ally || !Array.isArray(ally.spells)) return [];
+  return ally.spells
+    .map(id => spellsCatalog[id])
+    .filter(Boolean)
+    .map(sp => ({ ...sp, id: sp.id, cost: 0, _cooldownRemaining: getCooldown(ally, sp.id) }));
+}
+
+export function canAllyCast(ally, spellId) {
+  if (!ally || (ally.hp || 0) <= 0 || isSilenced(ally)) return false;
+  if (!Array.isArray(ally.spells) || !ally.spells.includes(spellId)) return false;
+  return !!spellsCatalog[spellId] && getCooldown(ally, spellId) <= 0;
+}
+
+function livingEnemies(state) {
+  const list = Array.isArray(state.enemies) && state.enemies.length > 0
+    ? state.enemies
+    : state.enemy ? [state.enemy] : [];
+  return list.filter(e => e && (e.hp || 0) > 0);
+}
+
+function hpRatio(ent) {
+  return (ent.hp || 0) / Math.max(1, ent.maxHP || 1);
+}
+
+function mostWounded(state) {
+  let best = null;
+  for (const f of friendlyUnits(state)) {
+    if (!best || hpRatio(f) < hpRatio(best)) best = f;
+  }
+  return best;
+}
+
+// -----------------------------------------------------------
+// Actions
+// -----------------------------------------------------------
+
+/**
+ * Basic attack on an enemy (defaults to the first one standing).
+ */
+export function allyBasicAttack(state, ally, target = null) {
+  const foe = target && (target.hp || 0) > 0 ? target : livingEnemies(state)[0];
+  if (!foe) return;
+
+  applyHitMut(state, ally, foe, attackDamageSpec());
+}
+
+/**
+ * Cast a spell. Heals land on the most wounded unit of our side; damage
+ * spells hit `target` (single) or every enemy (aoe).
+ * opts.onEffect(state, source, effect) handles effects that aren't statuses (summons).
+ */
+export function allyUseSpell(state, ally, spell, target = null, opts = {}) {
+  const via = { kind: "spell", id: spell.id, name: spell.name };
+  const applyEffects = (ent) => {
+    for (const eff of spell.effects || []) {
+      if (!eff) continue;
+      if (eff.type === "summon") {
+        if (typeof opts.onEffect === "function") opts.onEffect(state, ally, eff);
+        continue;
+      }
+      pushStatusOntoEntity(ent, { ...eff, source: spell.id, element: eff.element || spell.element }, state);
+      recomputeDerivedWithStatuses(ent, state);
+    }
+  };
+
+  if (spell.kind === "heal") {
+    const friend = spell.target === "self" ? ally : (mostWounded(state) || ally);
+    const before = friend.hp || 0;
+    friend.hp = clampHP(before + (spell.healAmount || 0), friend.maxHP);
+
+    logEvent(state, {
+      type: "heal",
+      source: entityRef(state, ally),
+      target: entityRef(state, friend),
+      amount: friend.hp - before,
+      hp: friend.hp,
+      maxHP: friend.maxHP,
+      via,
+    });
+    applyEffects(friend);
+  } else if (spell.target === "self") {
+    // self buffs (war cries, taunts): no damage roll
+    applyEffects(ally);
+  } else {
+    const isAoe = spell.target === "aoe" || spell.aoe === true;
+    const single = target && (target.hp || 0) > 0 ? target : livingEnemies(state)[0];
+    const targets = isAoe ? livingEnemies(state) : (single ? [single] : []);
+
+    for (const foe of targets) {
+      const hit = applyHitMut(state, ally, foe, spellDamageSpec(spell, isAoe ? { ...via, aoe: true } : via));
+      if (!hit.landed) continue;
+      applyEffects(foe);
+    }
+  }
+
+  setCooldownOnEntity(ally, spell.id, spell.cooldown || 1);
+}
+
+/**
+ * AI pick: heal when someone is hurt, else the first damage spell off cooldown,
+ * else a basic attack. Focuses the weakest enemy (a taunting one first).
+ * Silenced allies only attack.
+ */
+export function chooseAllyAction(state, ally) {
+  const foes = livingEnemies(state);
+  const taunters = tauntersAmong(foes);
+  const target = (taunters.length ? taunters : foes).reduce((low, e) => (!low || e.hp < low.hp ? e : low), null);
+  const ready = isSilenced(ally) ? [] : getAllySpells(ally).filter(sp => sp._cooldownRemaining <= 0);
+
+  const wounded = mostWounded(state);
+  const heal = ready.find(sp => sp.kind === "heal");
+  if (heal && wounded && hpRatio(wounded) < HEAL_THRESHOLD) return { spell: heal, target: null };
+
+  const attack = ready.find(sp => sp.kind === "damage");
+  if (attack && target) return { spell: attack, target };
+
+  return { spell: null, target };
+}
+
+/**
+ * One AI ally action (spell or basic attack).
+ */
+export function performAllyAction(state, ally, opts = {}) {
+  const { spell, target } = chooseAllyAction(state, ally);
+  if (spell) allyUseSpell(state, ally, spell, target, opts);
+  else allyBasicAttack(state, ally, target);
+}
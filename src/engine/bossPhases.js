@@ -0,0 +1,147 @@
+// src/engine/bossPhases.js
+// ------------------------------------------------------
+// Multi-phase bosses.
+// An enemy template may list `phases` (enemies.json):
+//   {
+//     id, name,
+//     trigger:  { hpBelow: 0.5 } | { turn: 6 }   // share of max HP / the boss's own
+//                                                // turn count; either one fires it
+//     message,                                   // log line + UI banner text
+//     spells:   ["..."],                         // replaces the spell list
+//     ai:       "aggressive",                    // swaps the AI profile
+//     stats:    { atk: 1.2, def: 0.8 },          // multiplies base stats
+//     enrage:   true | { atk, speed },           // stat boost + "Enraged" tag
+//     summon:   { id, count, levelOffset },      // adds
+//     clearStatuses: true | ["debuff", "dot"],   // strip the boss's statuses
+//     applyStatuses: [{ target: "self" | "foes", type, stat, value, turns, id }]
+//   }
+// Phases fire once each, in list order. Runtime state on the
+// boss: _phases (ids already fired), _phaseName, _enraged,
+// _turnsTaken.
+// ------------------------------------------------------
+
+import { pushStatusOntoEntity, recomputeDerivedWithStatuses } from "./statuses.js";
+import { logEvent, entityRef } from "./events.js";
+import { friendlyUnits } from "./allies.js";
+
+const DEFAULT_ENRAGE = { atk: 1.5, speed: 1.25 };
+const SCALABLE_STATS = ["atk", "def", "mAtk", "mDef", "speed"];
+
+function hpShare(ent) {
+  return (Number(ent?.hp) || 0) / Math.max(1, Number(ent?.maxHP) || 1);
+}
+
+export function hasPhases(enemy) {
+  return Array.isArray(enemy?.phases) && enemy.phases.length > 0;
+}
+
+/**
+ * Has the phase's trigger been met (HP share or own turn count)?
+ */
+export function phaseTriggered(enemy, phase) {
+  const t = phase?.trigger || {};
+  if (t.hpBelow != null && hpShare(enemy) < Number(t.hpBelow)) return true;
+  if (t.turn != null && (Number(enemy._turnsTaken) || 0) >= Number(t.turn)) return true;
+  return false;
+}
+
+function scaleStatsMut(enemy, mults = {}) {
+  // fresh object: enemies are shallow copies, _base may be shared with the previous state
+  enemy._base = { ...(enemy._base || {}) };
+  for (const stat of SCALABLE_STATS) {
+    const m = Number(mults[stat]);
+    if (!Number.isFinite(m) || m <= 0) continue;
+    const from = Number(enemy._base[stat] ?? enemy[stat]) || 0;
+    enemy._base[stat] = Math.max(stat === "speed" ? 1 : 0, Math.round(from * m));
+    // mAtk isn't rebuilt from _base by the status recompute
+    if (stat === "mAtk") enemy.mAtk = enemy._base.mAtk;
+  }
+}
+
+/**
+ * Lasting part of a phase (spells, AI, stats, enrage). Shared by the live
+ * transition and by snapshot restore, which rebuilds bosses from templates.
+ */
+function applyLastingChangesMut(enemy, phase) {
+  if (Array.isArray(phase.spells)) enemy.spells = phase.spells.slice();
+  if (phase.ai) enemy.ai = phase.ai;
+  if (phase.stats) scaleStatsMut(enemy, phase.stats);
+  if (phase.enrage) {
+    scaleStatsMut(enemy, typeof phase.enrage === "object" ? phase.enrage : DEFAULT_ENRAGE);
+    enemy._enraged = true;
+  }
+  enemy._phaseName = phase.name || phase.id || enemy._phaseName || null;
+}
+
+/**
+ * Run one phase transition on a boss (mutates state).
+ * opts.onEffect(state, source, effect) spawns summons (engine's processEffectForEntity).
+ */
+export function enterPhaseMut(state, enemy, phase, opts = {}) {
+  enemy._phases = [...(enemy._phases || []), phase.id];
+  applyLastingChangesMut(enemy, phase);
+
+  logEvent(state, {
+    type: "phase",
+    source: entityRef(state, enemy),
+    phase: phase.id,
+    name: phase.name || phase.id,
+    text: phase.message || null,
+    enraged: !!phase.enrage,
+  });
+
+  if (phase.clearStatuses) {
+    const types = Array.isArray(phase.clearStatuses) ? phase.clearStatuses : null;
+    enemy.statuses = (enemy.statuses || []).filter(s => types && !types.includes(s?.type));
+  }
+
+  for (const eff of Array.isArray(phase.applyStatuses) ? phase.applyStatuses : []) {
+    if (!eff) continue;
+    const { target, ...status } = eff;
+    const victims = target === "foes" ? friendlyUnits(state) : [enemy];
+    for (const v of victims) {
+      pushStatusOntoEntity(v, { ...status, source: `phase:${phase.id}` }, state);
+      recomputeDerivedWithStatuses(v, state);
+    }
+  }
+
+  recomputeDerivedWithStatuses(enemy, state);
+
+  if (phase.summon && typeof opts.onEffect === "function") {
+    opts.onEffect(state, enemy, { type: "summon", ...phase.summon });
+  }
+}
+
+/**
+ * Fire every phase whose trigger is met on every living boss.
+ * Called after each damage application and at the start of enemy turns.
+ */
+export function checkBossPhasesMut(state, opts = {}) {
+  const list = Array.isArray(state?.enemies) ? state.enemies.slice() : [];
+  let fired = 0;
+
+  for (const enemy of list) {
+    if (!enemy || (enemy.hp || 0) <= 0 || !hasPhases(enemy)) continue;
+
+    for (const phase of enemy.phases) {
+      if (!phase?.id || (enemy._phases || []).includes(phase.id)) continue;
+      if (!phaseTriggered(enemy, phase)) continue;
+      enterPhaseMut(state, enemy, phase, opts);
+      fired++;
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Re-apply the lasting effects of phases already fired (snapshot restore).
+ */
+export function restoreBossPhasesMut(enemy, phaseIds = []) {
+  if (!hasPhases(enemy) || !Array.isArray(phaseIds)) return;
+  for (const phase of enemy.phases) {
+    if (phase?.id && phaseIds.includes(phase.id)) applyLastingChangesMut(enemy, phase);
+  }
+  enemy._phases = phaseIds.filter(id => enemy.phases.some(p => p?.id === id));
+  recomputeDerivedWithStatuses(enemy);
+}
@@ -1,9 +1,14 @@
 // src/engine/damage.js
 // ------------------------------------------------------
-// Damage helpers: elemental multipliers, crit system,
-// clamp HP/MP, and basic damage math.
+// Damage helpers: elemental multipliers, elemental
+// reactions, hit / crit system, clamp HP/MP, and the
+// damage pipeline (resolveDamage) every hit goes through.
 // ------------------------------------------------------
 
+import reactionsDb from "../db/reactions.json";
+import { resolveItem } from "./gear.js";
+import { nextRandom, rollChance } from "./rng.js";
+
 /**
  * Safely clamp HP.
  */
@@ -58,6 +63,60 @@ export function applyElementalMultiplier(baseDamage, element, enemy) {
   return { final, mult };
 }
 
+/* ============================================================
+   Elemental reactions (db/reactions.json)
+   An element hitting a unit that carries a matching status sets
+   off a combo:
+     { element, trigger: { element?, type?, ids? },
+       bonusMult?, consume?, spread?, effects? }
+   Statuses remember the element of the spell that applied
+   them, so "ice" matches Ice Spike's def debuff as well as a
+   chill DOT. Matching lives here; the side effects (consume,
+   spread, extra effects) run in statuses.js (applyHitMut).
+   ============================================================ */
+
+export function getReaction(id) {
+  const r = reactionsDb?.[id];
+  return r ? { id, ...r } : null;
+}
+
+export function listReactions() {
+  return Object.keys(reactionsDb || {}).map(getReaction);
+}
+
+function statusTriggers(st, trigger = {}) {
+  if (!st || st.turnsLeft <= 0) return false;
+  if (!trigger.element && !trigger.type && !Array.isArray(trigger.ids)) return false;
+  if (trigger.element && st.element !== trigger.element) return false;
+  if (trigger.type && st.type !== trigger.type) return false;
+  if (Array.isArray(trigger.ids) && !trigger.ids.includes(st.id)) return false;
+  return true;
+}
+
+/**
+ * First reaction a hit of `element` sets off on `target`:
+ * { reaction, statuses } (the statuses that triggered it) or null.
+ */
+export function findReaction(element, target) {
+  if (!element || !Array.isArray(target?.statuses) || !target.statuses.length) return null;
+  for (const reaction of listReactions()) {
+    if (reaction.element !== element) continue;
+    const statuses = target.statuses.filter(st => statusTriggers(st, reaction.trigger));
+    if (statuses.length) return { reaction, statuses };
+  }
+  return null;
+}
+
+/**
+ * Damage after a reaction's bonus (bonusMult 0.5 = +50%).
+ */
+export function applyReactionBonus(dmg, reaction) {
+  const n = Math.max(0, Math.floor(Number(dmg) || 0));
+  const bonus = Number(reaction?.bonusMult) || 0;
+  if (n <= 0 || bonus <= 0) return n;
+  return Math.floor(n * (1 + bonus));
+}
+
 /* ============================================================
    Crit system
    ============================================================ */
@@ -125,3 +184,357 @@ export function canSpellCrit(spell) {
     return !!spell.canCrit;
   return true;
 }
+
+/* ============================================================
+   Accuracy, evasion, block
+   Units carry `accuracy` / `evasion` ratings (player: from
+   DEX + gear bonus) and `block` (% chance, offhand shields).
+   ============================================================ */
+
+export const HIT_CONFIG = {
+  BASE_HIT_CHANCE: 0.9,
+  RATING_TO_CHANCE: 0.01, // per point of accuracy above / evasion below
+  MIN_HIT_CHANCE: 0.5,
+  MAX_HIT_CHANCE: 0.99,
+
+  DEX_TO_ACCURACY: 1,
+  DEX_TO_EVASION: 0.5,
+
+  MAX_BLOCK_CHANCE: 0.5,
+  BLOCK_DAMAGE_MULT: 0.5,
+};
+
+export function accuracyOf(ent) {
+  return Math.max(0, Number(ent?.accuracy) || 0);
+}
+
+export function evasionOf(ent) {
+  return Math.max(0, Number(ent?.evasion) || 0);
+}
+
+/**
+ * Block chance (0..MAX_BLOCK_CHANCE) from the unit's `block` percent.
+ */
+export function blockChanceOf(ent) {
+  return clampNumber((Number(ent?.block) || 0) * 0.01, 0, HIT_CONFIG.MAX_BLOCK_CHANCE);
+}
+
+/**
+ * Chance for `attacker` to land a hit on `defender`.
+ */
+export function computeHitChance(attacker, defender) {
+  const raw =
+    HIT_CONFIG.BASE_HIT_CHANCE +
+    (accuracyOf(attacker) - evasionOf(defender)) * HIT_CONFIG.RATING_TO_CHANCE;
+  return clampNumber(raw, HIT_CONFIG.MIN_HIT_CHANCE, HIT_CONFIG.MAX_HIT_CHANCE);
+}
+
+/**
+ * Spells with `alwaysHits=true` skip the hit roll.
+ */
+export function spellAlwaysHits(spell) {
+  return !!spell && spell.alwaysHits === true;
+}
+
+/**
+ * Roll one attack: hit / miss / dodge first, then block, then crit.
+ * A roll that only fails because of the defender's evasion is a dodge;
+ * otherwise it is a plain miss. Blocked hits can't crit.
+ * opts: { alwaysHits, canBlock, canCrit, critChance, critMult }
+ * Returns { outcome: "hit" | "miss" | "dodge" | "block", landed, crit, critMult, dmgMult }
+ */
+export function rollAttackOutcome(state, attacker, defender, opts = {}) {
+  if (!opts.alwaysHits) {
+    const roll = nextRandom(state);
+    if (roll >= computeHitChance(attacker, defender)) {
+      const withoutEvasion = computeHitChance(attacker, null);
+      const outcome = roll < withoutEvasion ? "dodge" : "miss";
+      return { outcome, landed: false, crit: false, critMult: null, dmgMult: 0 };
+    }
+  }
+
+  if (opts.canBlock && rollChance(state, blockChanceOf(defender))) {
+    return { outcome: "block", landed: true, crit: false, critMult: null, dmgMult: HIT_CONFIG.BLOCK_DAMAGE_MULT };
+  }
+
+  const crit = !!opts.canCrit && rollChance(state, opts.critChance);
+  const critMult = Number(opts.critMult) || CRIT_CONFIG.BASE_CRIT_MULT;
+  return { outcome: "hit", landed: true, crit, critMult: crit ? critMult : null, dmgMult: crit ? critMult : 1 };
+}
+
+/**
+ * Final damage after a roll (at least 1 on anything that landed).
+ */
+export function applyOutcomeToDamage(dmg, outcome) {
+  if (!outcome?.landed) return 0;
+  return Math.max(1, Math.floor((Number(dmg) || 0) * outcome.dmgMult));
+}
+
+/* ============================================================
+   Defend
+   A defending unit (`_defending`, set by the Defend action)
+   takes reduced damage from every hit until its next turn.
+   ============================================================ */
+
+export const DEFEND_CONFIG = {
+  DAMAGE_MULT: 0.5,
+  MP_RESTORE_PCT: 0.1, // of maxMP, at least 1
+};
+
+/**
+ * Damage a defending target actually takes (never below 1 for a hit that did damage).
+ */
+export function applyDefendReduction(target, amount) {
+  const n = Math.max(0, Math.floor(Number(amount) || 0));
+  if (!target?._defending || n <= 0) return n;
+  return Math.max(1, Math.floor(n * DEFEND_CONFIG.DAMAGE_MULT));
+}
+
+/* ============================================================
+   Damage pipeline
+   Every hit in the game (attacks, spells, items; player,
+   allies and enemies) goes through resolveDamage, which runs
+   the hit / block / crit roll and then these stages in order:
+
+     base         attack stat - defense, × power (items: flat)
+     element      target elementMods + elemental reactions
+     crit         crit / block multiplier from the roll
+     buffs        attacker-side modifiers (statuses, equipment)
+     shields      Defend stance, then shield statuses soak
+     resistances  target-side modifiers (statuses, equipment)
+
+   Each stage is a list of hooks; the core math is registered
+   first, statuses and equipment passives after it. More hooks
+   can be added with registerDamageHook.
+
+   Hit spec (see attackDamageSpec / spellDamageSpec / itemDamageSpec):
+     { kind, damageType, element, power, flat, ignoreDefense,
+       canCrit, canBlock, alwaysHits, via }
+   ============================================================ */
+
+export const DAMAGE_STAGES = ["base", "element", "crit", "buffs", "shields", "resistances"];
+
+const DAMAGE_HOOKS = Object.fromEntries(DAMAGE_STAGES.map(stage => [stage, []]));
+
+/**
+ * Add a hook to a stage. fn(ctx) returns the new amount (or undefined to
+ * keep it); ctx = { source, target, spec, roll, result, amount }.
+ * A hook registered again under the same id replaces the old one.
+ * Returns a function that removes the hook.
+ */
+export function registerDamageHook(stage, id, fn) {
+  const list = DAMAGE_HOOKS[stage];
+  if (!list || typeof fn !== "function") return () => {};
+  const i = list.findIndex(h => h.id === id);
+  if (i >= 0) list.splice(i, 1, { id, fn });
+  else list.push({ id, fn });
+  return () => {
+    const at = list.findIndex(h => h.id === id && h.fn === fn);
+    if (at >= 0) list.splice(at, 1);
+  };
+}
+
+export function listDamageHooks(stage) {
+  return (DAMAGE_HOOKS[stage] || []).map(h => h.id);
+}
+
+/**
+ * Crit chance of any unit: the player from stats (DEX, CRIT), everyone
+ * else from a `crit` percent on the unit (enemy templates declare it,
+ * scaleEnemyTemplate grows it with level).
+ */
+export function critChanceOf(ent) {
+  if (ent?.stats) return computeCritChanceFromPlayer(ent);
+  return clampNumber((Number(ent?.crit) || 0) * 0.01, 0, CRIT_CONFIG.MAX_CRIT_CHANCE);
+}
+
+export function critMultOf(ent) {
+  if (ent?.stats) return computeCritMultiplierFromPlayer(ent);
+  const m = Number(ent?.critMult);
+  return m > 1 ? clampNumber(m, 1, CRIT_CONFIG.MAX_CRIT_MULT) : CRIT_CONFIG.BASE_CRIT_MULT;
+}
+
+function defenseOf(target, damageType) {
+  if (damageType === "physical") return Number(target?.def) || 0;
+  return Number(target?.mDef || target?.def) || 0;
+}
+
+/**
+ * Basic attack (physical, can be blocked and crit).
+ */
+export function attackDamageSpec(extra = {}) {
+  return {
+    kind: "attack",
+    damageType: "physical",
+    element: "physical",
+    power: 1,
+    canBlock: true,
+    canCrit: true,
+    via: { kind: "attack" },
+    ...extra,
+  };
+}
+
+/**
+ * Damage spell: physical ones can be blocked and crit (unless canCrit=false),
+ * magic only rolls to hit (alwaysHits spells skip even that).
+ */
+export function spellDamageSpec(spell, via = null) {
+  const damageType = spell?.damageType === "physical" ? "physical" : "magical";
+  return {
+    kind: "spell",
+    damageType,
+    element: spell?.element || damageType,
+    power: Number(spell?.powerMult) || 1,
+    canBlock: damageType === "physical",
+    canCrit: damageType === "physical" && canSpellCrit(spell),
+    alwaysHits: spellAlwaysHits(spell),
+    via: via || { kind: "spell", id: spell?.id, name: spell?.name },
+  };
+}
+
+/**
+ * Damage item: flat damage that ignores DEF and always lands.
+ */
+export function itemDamageSpec(item, via = null) {
+  const element = item?.element || "physical";
+  return {
+    kind: "item",
+    damageType: element === "physical" ? "physical" : "magical",
+    element,
+    flat: Math.max(1, Number(item?.damage) || 0),
+    ignoreDefense: true,
+    canBlock: false,
+    canCrit: element === "physical" && canItemCrit(item),
+    alwaysHits: true,
+    via: via || { kind: "item", id: item?.id, name: item?.name },
+  };
+}
+
+/**
+ * Resolve one hit without touching HP: roll, then every stage.
+ * `rng` is what nextRandom takes (the battle state; its cursor advances).
+ * Returns { outcome, landed, crit, critMult, blocked, damageType, element,
+ *           mult, reaction, guarded, absorbed, amount, stages }
+ * amount = HP damage after shields; absorbed = what the shields soak.
+ */
+export function resolveDamage(source, target, spec = {}, rng = null) {
+  const damageType = spec.damageType === "magical" ? "magical" : "physical";
+  const element = spec.element || damageType;
+  const roll = rollAttackOutcome(rng, source, target, {
+    alwaysHits: !!spec.alwaysHits,
+    canBlock: spec.canBlock ?? damageType === "physical",
+    canCrit: spec.canCrit ?? damageType === "physical",
+    critChance: critChanceOf(source),
+    critMult: critMultOf(source),
+  });
+
+  const result = {
+    outcome: roll.outcome,
+    landed: roll.landed,
+    crit: roll.crit,
+    critMult: roll.critMult,
+    blocked: roll.outcome === "block",
+    damageType,
+    element,
+    mult: 1,
+    reaction: null,
+    guarded: false,
+    absorbed: 0,
+    amount: 0,
+    stages: [],
+  };
+  if (!roll.landed) return result;
+
+  const ctx = { source, target, spec: { ...spec, damageType, element }, roll, result, amount: 0 };
+  for (const stage of DAMAGE_STAGES) {
+    for (const hook of DAMAGE_HOOKS[stage]) {
+      const next = hook.fn(ctx);
+      if (Number.isFinite(next)) ctx.amount = Math.max(0, Math.floor(next));
+    }
+    result.stages.push({ stage, amount: ctx.amount });
+  }
+
+  result.amount = ctx.amount;
+  return result;
+}
+
+// ---------------- core stages ----------------
+
+registerDamageHook("base", "core", ({ source, target, spec }) => {
+  const attack = spec.flat != null
+    ? Number(spec.flat) || 0
+    : Number(spec.damageType === "physical" ? source?.atk : source?.mAtk ?? source?.atk) || 0;
+  const defense = spec.ignoreDefense ? 0 : defenseOf(target, spec.damageType);
+  const base = Math.max(1, attack - defense);
+  return Math.max(1, Math.floor(base * (Number(spec.power) || 1)));
+});
+
+registerDamageHook("element", "core", ({ target, spec, result, amount }) => {
+  const { final, mult } = applyElementalMultiplier(amount, spec.element, target);
+  result.mult = mult;
+  return final;
+});
+
+registerDamageHook("element", "reactions", ({ target, spec, result, amount }) => {
+  const found = findReaction(spec.element, target);
+  if (!found) return amount;
+  result.reaction = found;
+  return applyReactionBonus(amount, found.reaction);
+});
+
+registerDamageHook("crit", "core", ({ roll, amount }) => applyOutcomeToDamage(amount, roll));
+
+registerDamageHook("shields", "defend", ({ target, result, amount }) => {
+  result.guarded = !!target?._defending;
+  return applyDefendReduction(target, amount);
+});
+
+registerDamageHook("shields", "core", ({ target, result, amount }) => {
+  const pool = (target?.statuses || [])
+    .filter(st => st && st.type === "shield" && st.turnsLeft > 0)
+    .reduce((sum, st) => sum + Math.max(0, Number(st.value) || 0), 0);
+  result.absorbed = Math.min(amount, pool);
+  return amount - result.absorbed;
+});
+
+// ---------------- status + equipment modifiers ----------------
+
+/**
+ * Percent modifiers from statuses with stat "damageDealt" (attacker) or
+ * "damageTaken" (target), e.g. { type: "buff", stat: "damageDealt", value: 20 }.
+ */
+function statusDamagePct(ent, stat) {
+  return (ent?.statuses || [])
+    .filter(st => st && st.turnsLeft > 0 && st.stat === stat)
+    .reduce((sum, st) => sum + (Number(st.value) || 0) * Math.max(1, Number(st.stacks) || 1), 0);
+}
+
+/**
+ * Equipment passives of a unit (the player's equipped items, rolled
+ * element affixes included via ent.gear):
+ *   "passives": [{ "on": "deal" | "take", "element"?, "damageType"?, "pct" }]
+ * "deal" ones run in the buffs stage, "take" ones in resistances.
+ */
+function equipmentDamagePct(ent, on, spec) {
+  let pct = 0;
+  for (const itemId of Object.values(ent?.equipped || {})) {
+    for (const p of resolveItem(itemId, ent?.gear)?.passives || []) {
+      if (!p || (p.on || "deal") !== on) continue;
+      if (p.element && p.element !== spec.element) continue;
+      if (p.damageType && p.damageType !== spec.damageType) continue;
+      pct += Number(p.pct) || 0;
+    }
+  }
+  return pct;
+}
+
+function scaleByPct(amount, pct) {
+  if (!pct || amount <= 0) return amount;
+  return Math.max(1, Math.floor(amount * Math.max(0, 1 + pct / 100)));
+}
+
+registerDamageHook("buffs", "statuses", ({ source, amount }) => scaleByPct(amount, statusDamagePct(source, "damageDealt")));
+registerDamageHook("buffs", "equipment", ({ source, spec, amount }) => scaleByPct(amount, equipmentDamagePct(source, "deal", spec)));
+registerDamageHook("resistances", "statuses", ({ target, amount }) => scaleByPct(amount, statusDamagePct(target, "damageTaken")));
+registerDamageHook("resistances", "equipment", ({ target, spec, amount }) => scaleByPct(amount, equipmentDamagePct(target, "take", spec)));
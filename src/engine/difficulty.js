@@ -0,0 +1,53 @@
+// src/engine/difficulty.js
+// ------------------------------------------------------
+// Difficulty presets (db/difficulties.json).
+// A preset scales enemy stats (hp / atk / def / mAtk /
+// mDef), EXP and gold rewards, shop prices and the defeat
+// penalty; hardcore adds permadeath. Ranks order the
+// presets: a character can only move to a lower rank.
+//
+// The engine only sees the preset id on state.difficulty
+// (set by startBattle from progress.difficulty).
+// ------------------------------------------------------
+
+import difficultiesDb from "../db/difficulties.json";
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+export function getDifficulty(id) {
+  const key = difficultiesDb?.[id] ? id : DEFAULT_DIFFICULTY;
+  return { id: key, ...difficultiesDb[key] };
+}
+
+/**
+ * Every preset, easiest first.
+ */
+export function listDifficulties() {
+  return Object.keys(difficultiesDb || {})
+    .map(getDifficulty)
+    .sort((a, b) => (Number(a.rank) || 0) - (Number(b.rank) || 0));
+}
+
+export function isKnownDifficulty(id) {
+  return !!difficultiesDb?.[id];
+}
+
+/**
+ * Presets a character on `id` may switch to (strictly easier ones).
+ */
+export function lowerDifficultiesThan(id) {
+  const rank = Number(getDifficulty(id).rank) || 0;
+  return listDifficulties().filter(d => (Number(d.rank) || 0) < rank);
+}
+
+/**
+ * Scale a reward / price by one of the preset's multipliers
+ * (field = "exp" | "gold" | "shopPrices" | "enemyStats").
+ * Rewards round down, prices round up.
+ */
+export function scaleByDifficulty(amount, id, field) {
+  const n = Number(amount) || 0;
+  const mult = Number(getDifficulty(id)[field]);
+  if (!Number.isFinite(mult) || mult < 0 || mult === 1) return n;
+  return field === "shopPrices" ? Math.ceil(n * mult) : Math.floor(n * mult);
+}
@@ -0,0 +1,82 @@
+// src/engine/effects.js
+// ------------------------------------------------------
+// Pending effects outbox.
+// The engine never writes progress or fires game events:
+// whatever should outlive the battle is queued on
+// state.effects and the caller (useBattle) commits the
+// whole list once, when the battle resolves. Headless
+// runs (replays, sims) simply ignore the outbox.
+//
+// Effect types:
+//   exp        { amount, source }
+//   level_up   { level, from, choices }   choices = [{ level, options }]
+//   loot       { itemId, qty, source, enemyId, gear? }  gear = rolled instance (engine/gear.js),
+//              enemyId = catalog id of the enemy (bestiary drop discovery)
+//   toast      { message, toastType }     UI only, safe to show right away
+// source = entityRef of the enemy that granted it.
+// ------------------------------------------------------
+
+/**
+ * Queue an effect (mutates state.effects). Returns the stored effect or null.
+ * Never trimmed: every pending effect is owed to the player until committed.
+ */
+export function queueEffect(state, effect) {
+  if (!state || !effect || !effect.type) return null;
+
+  state._effectSeq = (Number(state._effectSeq) || 0) + 1;
+  const fx = { seq: state._effectSeq, ...effect };
+
+  state.effects = Array.isArray(state.effects) ? state.effects : [];
+  state.effects.push(fx);
+
+  return fx;
+}
+
+/**
+ * Every effect still waiting to be committed.
+ */
+export function pendingEffects(state) {
+  return Array.isArray(state?.effects) ? state.effects : [];
+}
+
+/**
+ * Effects newer than a given seq (what one action added).
+ */
+export function effectsSince(state, seq = 0) {
+  return pendingEffects(state).filter(fx => (Number(fx.seq) || 0) > seq);
+}
+
+/**
+ * Fold a list of effects into totals:
+ * { exp, loot: { itemId: qty }, gear: { instanceId: instance }, drops: { enemyId: [baseItemId] },
+ *   levelUps: [level], choices: [{ level, options }], toasts: [] }
+ */
+export function summarizeEffects(list) {
+  const out = { exp: 0, loot: {}, gear: {}, drops: {}, levelUps: [], choices: [], toasts: [] };
+  for (const fx of Array.isArray(list) ? list : []) {
+    switch (fx?.type) {
+      case "exp":
+        out.exp += Number(fx.amount) || 0;
+        break;
+      case "loot":
+        if (fx.itemId) out.loot[fx.itemId] = (out.loot[fx.itemId] || 0) + (Number(fx.qty) || 0);
+        if (fx.itemId && fx.gear) out.gear[fx.itemId] = fx.gear;
+        if (fx.itemId && fx.enemyId) {
+          const seen = (out.drops[fx.enemyId] = out.drops[fx.enemyId] || []);
+          const baseId = fx.gear?.baseId || fx.itemId;
+          if (!seen.includes(baseId)) seen.push(baseId);
+        }
+        break;
+      case "level_up":
+        out.levelUps.push(fx.level);
+        if (Array.isArray(fx.choices)) out.choices.push(...fx.choices);
+        break;
+      case "toast":
+        out.toasts.push({ message: fx.message, type: fx.toastType || "info" });
+        break;
+      default:
+        break;
+    }
+  }
+  return out;
+}
@@ -1,13 +1,24 @@
 // src/engine/enemyAI.js
 // -----------------------------------------------------------
 // Minimal scalable enemy AI system
+// Enemies aim at the player or one of their allies
+// (chooseEnemyTarget); AOE spells hit the whole party.
+// Enemies with an `ai` profile pick actions from weighted
+// rules (aiProfiles.js); the rest use the first spell off
+// cooldown. Taunting units draw every single-target hit;
+// silenced enemies only attack.
 // -----------------------------------------------------------
 
 import spellsCatalog from "../db/spells.json";
-import { applyElementalMultiplier, clampHP } from "./damage.js";
-import { pushStatusOntoEntity } from "./statuses.js";
+import { clampHP, attackDamageSpec, spellDamageSpec } from "./damage.js";
+import {
+  pushStatusOntoEntity, recomputeDerivedWithStatuses, applyHitMut, isSilenced, tauntersAmong,
+} from "./statuses.js";
 import { setCooldownOnEntity } from "./cooldowns.js";
-import { calcDamage } from "./damage.js";
+import { logEvent, entityRef } from "./events.js";
+import { nextRandom } from "./rng.js";
+import { friendlyUnits } from "./allies.js";
+import { resolveAiRules, spellRole, pickOwnSideTarget, ruleConditionsHold, lowest } from "./aiProfiles.js";
 
 // -----------------------------------------------------------
 // Retrieve enemy spell definitions
@@ -24,6 +35,7 @@ export function getEnemySpells(enemy) {
 // Pick simplest spell: first available off cooldown
 // -----------------------------------------------------------
 export function chooseEnemySpell(enemy) {
+  if (isSilenced(enemy)) return null;
   const skills = getEnemySpells(enemy);
   if (!skills.length) return null;
 
@@ -35,56 +47,164 @@ export function chooseEnemySpell(enemy) {
 }
 
 // -----------------------------------------------------------
-// Spell execution
+// Targeting: the player or one of their allies
 // -----------------------------------------------------------
-export function enemyUseSpell(state, enemy, spell) {
-  const player = state.player;
+/**
+ * Weighted by `threat` (player 1, companions per companions.json).
+ * With nobody but the player standing no rng is drawn, so solo
+ * battles roll exactly as they did before allies existed.
+ * Taunting units, when there are any, are the only candidates.
+ */
+export function chooseEnemyTarget(state) {
+  const standing = friendlyUnits(state);
+  const taunters = tauntersAmong(standing);
+  const candidates = taunters.length ? taunters : standing;
+  if (candidates.length <= 1) return candidates[0] || state.player;
+
+  const weights = candidates.map(c => (c === state.player ? 1 : Number(c.threat) || 1));
+  let roll = nextRandom(state) * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
 
-  // Heal spell
-  if (spell.kind === "heal") {
-    const before = enemy.hp;
-    const to = clampHP(before + (spell.healAmount || 0), enemy.maxHP);
-    enemy.hp = to;
+// -----------------------------------------------------------
+// Profile-driven choice (enemies with `ai`)
+// -----------------------------------------------------------
+function pickFoe(state, rule) {
+  const foes = friendlyUnits(state);
+  if (tauntersAmong(foes).length) return null; // taunt overrides the rule's pick
+  if (rule.target === "player" && foes.includes(state.player)) return state.player;
+  if (rule.target === "weakest") return lowest(foes) || state.player;
+  return null; // "threat": rolled once a rule has won, so losing rules draw no rng
+}
 
-    state.log.push(
-      `${enemy.name} casts ${spell.name} and heals ${to - before}. (${enemy.name} HP ${enemy.hp}/${enemy.maxHP})`
-    );
+/**
+ * Candidate action for one rule, or null when it doesn't apply right now.
+ */
+function planRule(state, enemy, rule, spells) {
+  if (!rule || !(Number(rule.weight) > 0)) return null;
 
-    if (Array.isArray(spell.effects)) {
-      for (const eff of spell.effects) {
-        pushStatusOntoEntity(enemy, { ...eff, source: spell.id });
+  if (rule.use === "attack" && !rule.spell) {
+    if (!ruleConditionsHold(state, enemy, rule)) return null;
+    return { rule, spell: null, target: pickFoe(state, rule) };
+  }
+
+  const ready = spells.filter(sp => (enemy._cooldowns?.[sp.id] || 0) <= 0);
+  const spell = rule.spell
+    ? ready.find(sp => sp.id === rule.spell)
+    : ready.find(sp => spellRole(sp) === rule.use);
+  if (!spell) return null;
+
+  const role = spellRole(spell);
+  if (role === "heal" || role === "buff") {
+    const ally = pickOwnSideTarget(state, enemy, rule, spell);
+    if (!ally || !ruleConditionsHold(state, enemy, rule, { ally, spell })) return null;
+    return { rule, spell, ally };
+  }
+
+  if (!ruleConditionsHold(state, enemy, rule, { spell })) return null;
+  return { rule, spell, target: role === "damage" ? pickFoe(state, rule) : null };
+}
+
+/**
+ * Weighted draw among the rules that apply: { spell, target, ally } or null
+ * (null = no profile, or nothing applies).
+ */
+export function chooseProfileAction(state, enemy) {
+  const rules = resolveAiRules(enemy);
+  if (!rules) return null;
+
+  const spells = isSilenced(enemy) ? [] : getEnemySpells(enemy);
+  const options = rules.map(r => planRule(state, enemy, r, spells)).filter(Boolean);
+  if (!options.length) return null;
+
+  let chosen = options[0];
+  if (options.length > 1) {
+    let roll = nextRandom(state) * options.reduce((sum, o) => sum + Number(o.rule.weight), 0);
+    chosen = options.find(o => (roll -= Number(o.rule.weight)) < 0) || options[options.length - 1];
+  }
+
+  const needsFoe = !chosen.spell || spellRole(chosen.spell) === "damage";
+  return {
+    spell: chosen.spell,
+    target: chosen.target || (needsFoe ? chooseEnemyTarget(state) : null),
+    ally: chosen.ally || null,
+  };
+}
+
+// an ally going down is logged here; the player's fall ends the battle instead
+function noteFallenAlly(state, enemy, target, before) {
+  if (target === state.player || before <= 0 || target.hp > 0) return;
+  logEvent(state, { type: "death", target: entityRef(state, target), source: entityRef(state, enemy) });
+}
+
+// -----------------------------------------------------------
+// Spell execution
+// -----------------------------------------------------------
+/**
+ * opts.ally     own-side unit a heal / self spell lands on (default: the caster)
+ * opts.onEffect (state, source, effect) for effects that aren't statuses (summons)
+ */
+export function enemyUseSpell(state, enemy, spell, target = null, opts = {}) {
+  const recipient = opts.ally && opts.ally.hp > 0 ? opts.ally : enemy;
+  const applyOwnSide = () => {
+    for (const eff of spell.effects || []) {
+      if (!eff) continue;
+      if (eff.type === "summon") {
+        if (typeof opts.onEffect === "function") opts.onEffect(state, enemy, eff);
+        continue;
       }
+      pushStatusOntoEntity(recipient, { ...eff, source: spell.id, element: eff.element || spell.element }, state);
+      recomputeDerivedWithStatuses(recipient, state);
     }
+  };
 
+  // Heal spell
+  if (spell.kind === "heal") {
+    const before = recipient.hp;
+    const to = clampHP(before + (spell.healAmount || 0), recipient.maxHP);
+    recipient.hp = to;
+
+    logEvent(state, {
+      type: "heal",
+      source: entityRef(state, enemy),
+      target: entityRef(state, recipient),
+      amount: to - before,
+      hp: recipient.hp,
+      maxHP: recipient.maxHP,
+      via: { kind: "spell", id: spell.id, name: spell.name },
+    });
+
+    applyOwnSide();
     setCooldownOnEntity(enemy, spell.id, spell.cooldown || 1);
     return;
   }
 
-  // Damage spell
-  const type = spell.damageType === "physical" ? "physical" : "magical";
-  const elem = spell.element || type;
-
-  const base =
-    type === "physical"
-      ? Math.max(1, enemy.atk - player.def)
-      : Math.max(1, enemy.mAtk - player.mDef);
-
-  const scaled = Math.max(1, Math.floor(base * (spell.powerMult || 1)));
-
-  const { final: dmg, mult } = applyElementalMultiplier(scaled, elem, player);
+  // Self spells (war cries, summons): nobody on the player's side is hit
+  if (spell.target === "self") {
+    applyOwnSide();
+    setCooldownOnEntity(enemy, spell.id, spell.cooldown || 1);
+    return;
+  }
 
-  const before = player.hp;
-  player.hp = clampHP(before - dmg, player.maxHP);
+  // Damage spell
+  const isAoe = spell.target === "aoe" || spell.aoe === true;
+  const victims = isAoe ? friendlyUnits(state) : [target || chooseEnemyTarget(state)];
 
-  state.log.push(
-    `${enemy.name} uses ${spell.name} for ${dmg} ${type} damage` +
-      (mult !== 1 ? ` (×${mult})` : "") +
-      `. (${player.name} HP ${player.hp}/${player.maxHP})`
-  );
+  const via = { kind: "spell", id: spell.id, name: spell.name };
+  for (const victim of victims) {
+    const before = victim.hp;
+    const hit = applyHitMut(state, enemy, victim, spellDamageSpec(spell, via));
+    if (!hit.landed) continue;
+    noteFallenAlly(state, enemy, victim, before);
 
-  if (Array.isArray(spell.effects)) {
-    for (const eff of spell.effects) {
-      pushStatusOntoEntity(player, { ...eff, source: spell.id });
+    if (Array.isArray(spell.effects)) {
+      for (const eff of spell.effects) {
+        pushStatusOntoEntity(victim, { ...eff, source: spell.id, element: eff.element || spell.element }, state);
+      }
     }
   }
 
@@ -94,27 +214,32 @@ export function enemyUseSpell(state, enemy, spell) {
 // -----------------------------------------------------------
 // Basic fallback attack
 // -----------------------------------------------------------
-export function enemyBasicAttack(state, enemy) {
-  const player = state.player;
-
-  const dmg = calcDamage(enemy.atk, player.def);
-  const before = player.hp;
-  player.hp = clampHP(before - dmg, player.maxHP);
+export function enemyBasicAttack(state, enemy, target = null) {
+  const victim = target || chooseEnemyTarget(state);
 
-  state.log.push(
-    `${enemy.name} hits ${player.name} for ${dmg} physical damage. (${player.name} HP ${player.hp}/${player.maxHP})`
-  );
+  const before = victim.hp;
+  const hit = applyHitMut(state, enemy, victim, attackDamageSpec());
+  if (!hit.landed) return;
+  noteFallenAlly(state, enemy, victim, before);
 }
 
 // -----------------------------------------------------------
 // MAIN exported function: performs *one* enemy action
 // -----------------------------------------------------------
-export function performEnemyAction(state, enemy) {
+export function performEnemyAction(state, enemy, opts = {}) {
+  const plan = chooseProfileAction(state, enemy);
+  if (plan) {
+    if (plan.spell) enemyUseSpell(state, enemy, plan.spell, plan.target, { ...opts, ally: plan.ally });
+    else enemyBasicAttack(state, enemy, plan.target);
+    return;
+  }
+
   const chosen = chooseEnemySpell(enemy);
+  const target = chooseEnemyTarget(state);
 
   if (chosen) {
-    enemyUseSpell(state, enemy, chosen);
+    enemyUseSpell(state, enemy, chosen, target, opts);
   } else {
-    enemyBasicAttack(state, enemy);
+    enemyBasicAttack(state, enemy, target);
   }
 }
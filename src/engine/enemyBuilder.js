@@ -3,6 +3,8 @@
 // Enemy template lookup, scaling and runtime construction.
 // --------------------------------------------------
 
+import { BASE_SPEED } from "./initiative.js";
+
 /**
  * Configurable growth rates.
  * b2 model:
@@ -10,6 +12,8 @@
  * - ATK / mAtk: proportional linear growth
  * - DEF / mDef: weaker proportional linear growth
  * - maxMP: small linear
+ * - crit / critMult / evasion: slow linear growth, only for templates
+ *   that declare them (damage.js caps crit chance and multiplier)
  * - EXP: linear or exponential mode toggle
  */
 const GROWTH = {
@@ -19,6 +23,9 @@ const GROWTH = {
   def: 0.00,
   mDef: 0.00,
   maxMP: 0.05,
+  crit: 0.02,
+  critMult: 0.01,
+  evasion: 0.02,
   exp: 0.16
 };
 
@@ -43,9 +50,10 @@ export function setDungeonExpMultiplier(m) {
 }
 
 // set dungeon level used for scaling — when set, this WILL OVERRIDE any explicit -lvX/object.level
+// (null / no level clears it, so battles outside dungeons build at their own level)
 export function setDungeonLevel(lv) {
   const n = Number(lv);
-  CURRENT_DUNGEON_LEVEL = 50;
+  CURRENT_DUNGEON_LEVEL = lv != null && Number.isFinite(n) && n > 0 ? n : null;
 }
 
 // --------------------------------------------------
@@ -77,6 +85,21 @@ function scaleExponential(base, level, rate) {
   return Math.max(1, Math.floor(b * factor));
 }
 
+// optional ratings: a template without one stays at 0 instead of growing to 1
+function scaleOptional(base, level, rate) {
+  const b = Number(base) || 0;
+  return b > 0 ? scaleLinear(b, level, rate) : 0;
+}
+
+// crit multiplier: only the bonus above ×1 grows (1.8 -> 1.8 + 0.8 × growth)
+function scaleCritMult(base, level) {
+  const b = Number(base);
+  if (!Number.isFinite(b) || b <= 1) return undefined;
+  const lv = Math.max(1, Number(level) || 1);
+  const bonus = (b - 1) * (1 + GROWTH.critMult * (lv - 1));
+  return Math.round((1 + bonus) * 100) / 100;
+}
+
 function scaleExp(baseExp, level) {
   const b = Number(baseExp) || 0;
   const lv = Number(level) || 1;
@@ -108,6 +131,9 @@ export function scaleEnemyTemplate(baseSpec = {}, level = 1) {
   const scaledMAtk = scaleLinear(bMAtk, lv, GROWTH.mAtk);
   const scaledDef = scaleLinear(bDef, lv, GROWTH.def);
   const scaledMDef = scaleLinear(bMDef, lv, GROWTH.mDef);
+  const scaledCrit = scaleOptional(baseSpec.crit, lv, GROWTH.crit);
+  const scaledCritMult = scaleCritMult(baseSpec.critMult, lv);
+  const scaledEvasion = scaleOptional(baseSpec.evasion, lv, GROWTH.evasion);
 
   let scaledExp = scaleExp(bExp, lv);
 
@@ -122,6 +148,9 @@ export function scaleEnemyTemplate(baseSpec = {}, level = 1) {
     mAtk: scaledMAtk,
     def: scaledDef,
     mDef: scaledMDef,
+    crit: scaledCrit,
+    critMult: scaledCritMult,
+    evasion: scaledEvasion,
     expReward: scaledExp,
     _scaledLevel: lv,
   };
@@ -131,8 +160,13 @@ export function scaleEnemyTemplate(baseSpec = {}, level = 1) {
 // Runtime enemy builder
 // - STRICT: if CURRENT_DUNGEON_LEVEL is set it always overrides any explicit level.
 // - finalId keeps base id when using dungeon level (no -lvX suffix).
+// - opts.statMult: difficulty multiplier on hp / atk / def / mAtk / mDef
+//   (applied after level scaling, see engine/difficulty.js)
 // --------------------------------------------------
-export function buildEnemyRuntimeFromSource(enemyIdOrArray, enemiesDb = {}) {
+export function buildEnemyRuntimeFromSource(enemyIdOrArray, enemiesDb = {}, opts = {}) {
+  const statMult = Number(opts?.statMult) > 0 ? Number(opts.statMult) : 1;
+  const bump = (n) => (statMult === 1 ? n : Math.round(n * statMult));
+
   const ids = Array.isArray(enemyIdOrArray) ? enemyIdOrArray.slice() : [enemyIdOrArray];
 
   const list = ids.map((id) => {
@@ -206,17 +240,31 @@ export function buildEnemyRuntimeFromSource(enemyIdOrArray, enemiesDb = {}) {
 
     const spells = Array.isArray(e.spells) ? e.spells.slice() : [];
 
-    const baseAtk = Number(e.atk) || 1;
-    const baseDef = Number(e.def) || 0;
-    const baseMDef = Number(e.mDef) || baseDef;
-    const baseMAtk = Number(e.mAtk) || baseAtk;
-    const baseMaxHP = Number(e.maxHP) || 10;
+    const baseAtk = Math.max(1, bump(Number(e.atk) || 1));
+    const baseDef = bump(Number(e.def) || 0);
+    const baseMDef = Number(e.mDef) ? bump(Number(e.mDef)) : baseDef;
+    const baseMAtk = Number(e.mAtk) ? bump(Number(e.mAtk)) : baseAtk;
+    const baseMaxHP = Math.max(1, bump(Number(e.maxHP) || 10));
     const baseMaxMP = Number(e.maxMP) || 0;
+    const baseSpeed = Number(e.speed) > 0 ? Number(e.speed) : BASE_SPEED;
+    // hit / dodge ratings and block % (see HIT_CONFIG in damage.js)
+    const baseAccuracy = Math.max(0, Number(e.accuracy) || 0);
+    const baseEvasion = Math.max(0, Number(e.evasion) || 0);
+    const baseBlock = Math.max(0, Number(e.block) || 0);
+    // crit chance in % and crit multiplier (see critChanceOf / critMultOf in damage.js)
+    const baseCrit = Math.max(0, Number(e.crit) || 0);
+    const baseCritMult = Number(e.critMult) > 1 ? Number(e.critMult) : undefined;
 
     const name = e.name || String(finalId || "Unknown");
 
+    // catalog id behind the runtime id ("goblin-lv4", summons' "goblin-3-512")
+    const baseId = typeof id === "string"
+      ? parseScaledId(id)?.baseId || id
+      : (id && (id.baseId || id.id)) || null;
+
     return {
       id: finalId || null,
+      baseId,
       name,
       maxHP: baseMaxHP,
       hp: baseMaxHP,
@@ -226,12 +274,23 @@ export function buildEnemyRuntimeFromSource(enemyIdOrArray, enemiesDb = {}) {
       def: baseDef,
       mAtk: baseMAtk,
       mDef: baseMDef,
+      speed: baseSpeed,
+      accuracy: baseAccuracy,
+      evasion: baseEvasion,
+      block: baseBlock,
+      crit: baseCrit,
+      critMult: baseCritMult,
       spells,
       expReward: Number(e.expReward) || 0,
       element: e.element,
       elementMods: e.elementMods ? { ...e.elementMods } : undefined,
+      // status immunities (type or id) and resist chances in % (see statuses.js)
+      statusImmunities: Array.isArray(e.statusImmunities) ? e.statusImmunities.slice() : undefined,
+      statusResist: e.statusResist ? { ...e.statusResist } : undefined,
+      // loot table id + legacy inline drops (see engine/loot.js)
+      lootTable: typeof e.lootTable === "string" ? e.lootTable : undefined,
       drops: Array.isArray(e.drops)
-        ? e.drops.map((d) => ({ id: d.id, qty: Number(d.qty) || 0 }))
+        ? e.drops.filter(Boolean).map((d) => ({ ...d }))
         : [],
       _deathProcessed: false,
       ai: e.ai || undefined,
@@ -247,9 +306,17 @@ export function buildEnemyRuntimeFromSource(enemyIdOrArray, enemiesDb = {}) {
         mDef: baseMDef,
         maxHP: baseMaxHP,
         maxMP: baseMaxMP,
+        speed: baseSpeed,
+        accuracy: baseAccuracy,
+        evasion: baseEvasion,
+        block: baseBlock,
+        crit: baseCrit,
       },
       boss: e.boss || undefined,
       notes: e.notes || undefined,
+      // boss phases (see bossPhases.js); fired ids are tracked in _phases
+      phases: Array.isArray(e.phases) ? e.phases.map((ph) => ({ ...ph })) : undefined,
+      _phases: Array.isArray(e.phases) ? [] : undefined,
       _scaledLevel: e._scaledLevel || undefined,
     };
   });
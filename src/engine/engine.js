@@ -3,6 +3,9 @@
 // Main battle engine – now clean, delegated, and modular.
 // Status, cooldown, turn-start, and damage helpers are imported
 // from dedicated modules.
+// Actions are side-effect free: they never save progress or
+// fire game events. EXP, loot, level-ups and toasts are queued
+// on state.effects (effects.js) for the caller to commit.
 // -----------------------------------------------------------
 
 import playerBase from "../db/player.json";
@@ -10,20 +13,18 @@ import enemies from "../db/enemies.json";
 import itemsCatalog from "../db/items.json";
 import spellsCatalog from "../db/spells.json";
 
-import { loadProgress, applyProgress } from "../state/playerProgress.js";
-import { applyExpGain } from "../state/progression.js";
-import { emit } from "../state/gameEvents.js";
+import { applyProgress } from "../state/playerProgress.js";
+import { applyExpToProgress } from "../state/progression.js";
 
 // Imported modules:
 import {
   clampHP,
   clampMP,
-  calcDamage,
-  applyElementalMultiplier,
-  computeCritChanceFromPlayer,
-  computeCritMultiplierFromPlayer,
-  canItemCrit,
-  canSpellCrit,
+  HIT_CONFIG,
+  DEFEND_CONFIG,
+  attackDamageSpec,
+  spellDamageSpec,
+  itemDamageSpec,
 } from "./damage.js";
 import {
   performEnemyAction
@@ -34,6 +35,7 @@ import {
   pushStatusOntoEntity,
   recomputeDerivedWithStatuses,
   isEnemy, decayStatusesForEntity,
+  applyHitMut, isSilenced,
 } from "./statuses.js";
 
 import {
@@ -42,6 +44,23 @@ import {
 } from "./cooldowns.js";
 
 import { startUnitTurn } from "./turnStart.js";
+import { checkBossPhasesMut } from "./bossPhases.js";
+import { syncInitiative, nextActor, spendTurn } from "./initiative.js";
+import {
+  buildPartyRuntime,
+  enlistSummonMut,
+  getAlliesList,
+  getAllyByKey,
+  getActiveAlly,
+  pruneFallenAlliesMut,
+} from "./allies.js";
+import { performAllyAction, allyUseSpell, allyBasicAttack, getAllySpells, canAllyCast } from "./allyAI.js";
+import { createBattleRng, cloneBattleRng, nextRandom, rollChance } from "./rng.js";
+import { logEvent, entityRef, lastDamageTo } from "./events.js";
+import { queueEffect } from "./effects.js";
+import { getDifficulty, scaleByDifficulty } from "./difficulty.js";
+import { resolveItem, pickGear, canRollGear, rollGearInstance, getRarity, equippedLuck } from "./gear.js";
+import { rollLoot, lootTableOf } from "./loot.js";
 
 // Enemy builder & scaler (extracted)
 import {
@@ -59,28 +78,55 @@ const ITEM_MAP = itemsCatalog;
 const SPELL_MAP = spellsCatalog;
 
 const DEFAULT_ENEMY_ID = "goblin";
-const LOG_TAIL = 50;
+
+// safety cap on turns resolved in one enemyAct call
+const MAX_CHAINED_TURNS = 64;
+
+// Flee chance = BASE_CHANCE + (player DEX - highest enemy level) * PER_DEX_OVER_LEVEL
+export const FLEE_CONFIG = {
+  BASE_CHANCE: 0.5,
+  PER_DEX_OVER_LEVEL: 0.03,
+  MIN_CHANCE: 0.1,
+  MAX_CHANCE: 0.95,
+  DUNGEON_PENALTY: 0.15, // cornered inside a dungeon run
+};
 
 // ============================================================
 // Lightweight next-state preparer
 // ============================================================
+
+// entity copy: statuses and cooldowns are mutated in place (push / decay),
+// so they get their own copies or earlier states (replay viewer) would change too
+function copyEntity(ent) {
+  const copy = { ...(ent || {}) };
+  if (Array.isArray(copy.statuses)) copy.statuses = copy.statuses.map(st => ({ ...st }));
+  if (copy._cooldowns && typeof copy._cooldowns === "object") copy._cooldowns = { ...copy._cooldowns };
+  if (copy.items && typeof copy.items === "object") copy.items = { ...copy.items };
+  return copy;
+}
+
 function prepareNextState(prev = {}) {
   const next = { ...prev };
 
-  next.player = { ...(prev.player || {}) };
+  next.player = copyEntity(prev.player);
 
   if (Array.isArray(prev.enemies) && prev.enemies.length > 0) {
-    next.enemies = prev.enemies.map(e => ({ ...(e || {}) }));
+    next.enemies = prev.enemies.map(copyEntity);
     next.enemy = next.enemies[0] ? { ...next.enemies[0] } : null;
   } else if (prev.enemy) {
-    next.enemies = [{ ...(prev.enemy || {}) }];
-    next.enemy = { ...(prev.enemy || {}) };
+    next.enemies = [copyEntity(prev.enemy)];
+    next.enemy = { ...next.enemies[0] };
   } else {
     next.enemies = [];
     next.enemy = null;
   }
 
+  next.allies = Array.isArray(prev.allies) ? prev.allies.map(copyEntity) : [];
+
   next.log = Array.isArray(prev.log) ? prev.log.slice() : [];
+  next.events = Array.isArray(prev.events) ? prev.events.slice() : [];
+  next.effects = Array.isArray(prev.effects) ? prev.effects.slice() : [];
+  next.rng = cloneBattleRng(prev.rng) || createBattleRng();
 
   return next;
 }
@@ -117,8 +163,9 @@ function deepCloneFallback(obj) {
  * - level: explicit level (optional) — if provided it overrides other heuristics
  * - levelOffset: number (optional) — relative to sourceEntity._scaledLevel or player.level
  *
- * The spawned enemies are inserted into state.enemies and marked with _summon true,
- * and have _summonOwner set to sourceEntity.id or sourceEntity.name so you can identify them.
+ * The spawned units are marked with _summon true and have _summonOwner set to
+ * sourceEntity.id or sourceEntity.name so you can identify them. Summons of the
+ * player or an ally join state.allies (see allies.js), everything else state.enemies.
  */
 // ============================================================
 // SUMMON FIXED IMPLEMENTATION
@@ -130,6 +177,11 @@ function resolveBaseLevelForSummon(state, sourceEntity) {
     return Number(state.player.level) || 1;
   }
 
+  // Companion summons => companion level (= player level at battle start)
+  if (sourceEntity && sourceEntity._ally && Number.isFinite(Number(sourceEntity.level))) {
+    return Number(sourceEntity.level);
+  }
+
   // Enemy summons
   if (sourceEntity && Number.isFinite(Number(sourceEntity._scaledLevel))) {
     return Number(sourceEntity._scaledLevel);
@@ -142,6 +194,8 @@ function resolveBaseLevelForSummon(state, sourceEntity) {
 function spawnSummonsMut(state, sourceEntity, summonSpec = {}) {
   if (!state || !state.enemies) return [];
 
+  const friendly = !!sourceEntity && (sourceEntity === state.player || sourceEntity._ally === true);
+
   let count = Number(summonSpec.count) || 1;
   let idOrObj = summonSpec.id || summonSpec.baseId || null;
 
@@ -159,6 +213,8 @@ function spawnSummonsMut(state, sourceEntity, summonSpec = {}) {
     desiredLevel = Math.max(1, baseLevel + Number(summonSpec.levelOffset));
   }
 
+  // difficulty only toughens the enemy side
+  const statMult = friendly ? 1 : getDifficulty(state.difficulty).enemyStats;
   const created = [];
 
   for (let i = 0; i < count; i++) {
@@ -171,7 +227,7 @@ function spawnSummonsMut(state, sourceEntity, summonSpec = {}) {
       spawnRef = { ...spawnRef, level: desiredLevel };
     }
 
-    const { enemies: built } = buildEnemyRuntimeFromSource(spawnRef, enemies);
+    const { enemies: built } = buildEnemyRuntimeFromSource(spawnRef, enemies, { statMult });
     if (!built || built.length === 0) continue;
 
     for (const n of built) {
@@ -181,13 +237,21 @@ function spawnSummonsMut(state, sourceEntity, summonSpec = {}) {
       // Prevent re-acting in same turn
       n._justSummoned = true;
 
-      // Unique runtime ID
-      n.id = `${n.id || "summon"}-${Date.now()}-${(Math.random() * 1000) | 0}`;
+      // Unique runtime ID (seq + battle rng so replays produce the same ids)
+      state._summonSeq = (Number(state._summonSeq) || 0) + 1;
+      n.id = `${n.id || "summon"}-${state._summonSeq}-${(nextRandom(state) * 1000) | 0}`;
+
+      if (friendly) enlistSummonMut(n);
 
       ensureRuntimeFieldsForEntity(n);
       recomputeDerivedWithStatuses(n, state);
 
-      state.enemies.push(n);
+      if (friendly) {
+        state.allies = getAlliesList(state);
+        state.allies.push(n);
+      } else {
+        state.enemies.push(n);
+      }
       created.push(n);
     }
   }
@@ -213,27 +277,35 @@ function processEffectForEntity(state, sourceEntity, effect) {
     const created = spawnSummonsMut(state, sourceEntity, spec);
 
     if (created.length > 0) {
-      const names = created.map(c => c.name || c.id).join(", ");
-      addLog(state, `${sourceEntity?.name || "An entity"} summons ${created.length} × ${names}!`);
-
-      try {
-        emit("toast", {
-          message: `${sourceEntity?.name || "Enemy"} summoned ${created.length} minion(s).`,
-          type: "info"
-        });
-      } catch { }
+      logEvent(state, {
+        type: "summon",
+        source: entityRef(state, sourceEntity),
+        count: created.length,
+        summoned: created.map(c => entityRef(state, c)),
+      });
+
+      queueEffect(state, {
+        type: "toast",
+        message: `${sourceEntity?.name || "Enemy"} summoned ${created.length} minion(s).`,
+        toastType: "info",
+      });
     }
     return;
   }
 
   // otherwise: normal status
-  pushStatusOntoEntity(sourceEntity, effect);
+  pushStatusOntoEntity(sourceEntity, effect, state);
 }
 
 
 // export spawn helper so enemyAI or other modules can call it directly
 export { spawnSummonsMut };
 
+// boss phase transitions (see bossPhases.js); phase summons spawn like spell summons
+function checkPhasesMut(state) {
+  checkBossPhasesMut(state, { onEffect: processEffectForEntity });
+}
+
 // ============================================================
 // Enemy access utils
 // ============================================================
@@ -285,6 +357,13 @@ function deriveCombatFromStats(stats = {}, level = 1) {
   const baseMaxHP = 30 + Math.floor(CON * 10) + Math.floor(level * 4) + Math.floor(STR * 0.5);
   const baseMaxMP = 10 + Math.floor(MAG * 6) + Math.floor(level * 1);
 
+  // initiative: DEX 3 (a fresh character) matches the average enemy (BASE_SPEED 10)
+  const baseSpeed = 8 + Math.floor(dr(DEX) * 0.75);
+
+  // hit / dodge ratings (see HIT_CONFIG in damage.js); block only comes from gear
+  const baseAccuracy = Math.floor(DEX * HIT_CONFIG.DEX_TO_ACCURACY);
+  const baseEvasion = Math.floor(DEX * HIT_CONFIG.DEX_TO_EVASION);
+
   return {
     atk: Math.max(1, baseAtk),
     def: Math.max(0, baseDef),
@@ -292,6 +371,10 @@ function deriveCombatFromStats(stats = {}, level = 1) {
     maxMP: Math.max(0, baseMaxMP),
     mAtk: Math.max(1, baseMAtk),
     mDef: Math.max(0, baseMDef),
+    speed: Math.max(1, baseSpeed),
+    accuracy: Math.max(0, baseAccuracy),
+    evasion: Math.max(0, baseEvasion),
+    block: 0,
   };
 }
 
@@ -300,8 +383,10 @@ function deriveCombatFromStats(stats = {}, level = 1) {
 // Apply equipment to raw stats
 // - bonus.statsPercent: { STR: 0.05 } => +floor(base STR * 0.05)
 // - bonus.stats: flat additions applied AFTER percent
+// - gear: rolled instances of the equipped ids (engine/gear.js),
+//   their affixes are part of the resolved bonus
 // ============================================================
-function applyEquipmentToStats(baseStats = {}, equipped = {}) {
+function applyEquipmentToStats(baseStats = {}, equipped = {}, gear = null) {
   // Work from a shallow copy so caller's baseStats isn't mutated.
   const out = { ...baseStats };
 
@@ -313,7 +398,7 @@ function applyEquipmentToStats(baseStats = {}, equipped = {}) {
     const id = equipped[slot];
     if (!id) continue;
 
-    const spec = ITEM_MAP[id];
+    const spec = resolveItem(id, gear);
     if (!spec || spec.kind !== "equipment") continue;
 
     const bonus = spec.bonus || {};
@@ -338,7 +423,7 @@ function applyEquipmentToStats(baseStats = {}, equipped = {}) {
     const id = equipped[slot];
     if (!id) continue;
 
-    const spec = ITEM_MAP[id];
+    const spec = resolveItem(id, gear);
     if (!spec || spec.kind !== "equipment") continue;
 
     const bonus = spec.bonus || {};
@@ -363,12 +448,12 @@ function applyEquipmentToStats(baseStats = {}, equipped = {}) {
 // ============================================================
 // Apply equipment to derived values (keeps legacy flat derived
 // bonuses, and supports stat-driven scaling via bonus.statScale)
-// - signature: applyEquipmentToDerived(derived, equipped, baseStats = {})
+// - signature: applyEquipmentToDerived(derived, equipped, baseStats = {}, gear = null)
 // - bonus.statScale allows item designers to specify how many points
 //   of a derived field to grant per-point of some player stat.
 //   Example: bonus.statScale = { atk: { STR: 0.2 }, maxHP: { CON: 3 } }
 // ============================================================
-function applyEquipmentToDerived(derived = {}, equipped = {}, baseStats = {}) {
+function applyEquipmentToDerived(derived = {}, equipped = {}, baseStats = {}, gear = null) {
   console.log("%c[EQUIP:DERIVED] ---- Applying equipment to derived ----", "color:#fa0;font-weight:bold");
   console.log("[BASE DERIVED]:", derived);
   console.log("[BASE STATS FOR SCALING]:", baseStats);
@@ -385,14 +470,14 @@ function applyEquipmentToDerived(derived = {}, equipped = {}, baseStats = {}) {
     const id = equipped[slot];
     if (!id) continue;
 
-    const spec = ITEM_MAP[id];
+    const spec = resolveItem(id, gear);
     if (!spec || spec.kind !== "equipment") continue;
 
     const bonus = spec.bonus || {};
     console.log(`\n%c[ITEM] ${spec.name} (${id})`, "color:#fc0");
 
     // ---- FLAT DERIVED BONUSES ----
-    const flatFields = ["atk", "def", "mAtk", "mDef", "maxHP", "maxMP"];
+    const flatFields = ["atk", "def", "mAtk", "mDef", "maxHP", "maxMP", "speed", "accuracy", "evasion", "block"];
     for (const f of flatFields) {
       if (Number.isFinite(Number(bonus[f]))) {
         const before = out[f] || 0;
@@ -452,15 +537,16 @@ export { applyEquipmentToDerived };
 // ============================================================
 // Player building
 // ============================================================
-function buildPlayerFromBase(base) {
-  const progress = loadProgress();
+// `progress` is the saved progress record (the caller loads it; null = fresh character)
+function buildPlayerFromBase(base, progress = null) {
   const merged = applyProgress(base, progress);
 
-  const stats = applyEquipmentToStats({ ...(merged.stats || {}) }, merged.equipped);
+  const gear = pickGear(progress?.gear, Object.values(merged.equipped || {}));
+  const stats = applyEquipmentToStats({ ...(merged.stats || {}) }, merged.equipped, gear);
   const level = merged.level ?? 1;
 
   const d0 = deriveCombatFromStats(stats, level);
-  const derived = applyEquipmentToDerived({ ...d0 }, merged.equipped, stats);
+  const derived = applyEquipmentToDerived({ ...d0 }, merged.equipped, stats, gear);
 
   return {
     name: merged.name || base.name,
@@ -475,6 +561,10 @@ function buildPlayerFromBase(base) {
     maxMP: derived.maxMP,
     mAtk: derived.mAtk,
     mDef: derived.mDef,
+    speed: derived.speed,
+    accuracy: derived.accuracy,
+    evasion: derived.evasion,
+    block: derived.block,
 
     hp: derived.maxHP,
     mp: derived.maxMP,
@@ -494,22 +584,35 @@ function buildPlayerFromBase(base) {
     gold: Number(merged.gold ?? base.gold ?? 0),
 
     equipped: { ...(merged.equipped || {}) },
+    gear,
 
     statuses: [],
     _cooldowns: {},
   };
 }
 
+/**
+ * Max HP/MP of the player as a battle would build it (progress + equipment).
+ * Dungeon runs use this to track carried HP/MP between rooms.
+ */
+export function computePlayerVitals(progress = null) {
+  const p = buildPlayerFromBase(playerBase, progress);
+  return { maxHP: p.maxHP, maxMP: p.maxMP };
+}
+
 // ============================================================
 // EXP + Level-up
 // ============================================================
-function grantExpAndMaybeLevelUp(state, amount) {
+// The player levels inside the battle state; saved progress only changes
+// when the caller commits the queued exp / level_up effects.
+function grantExpAndMaybeLevelUp(state, amount, source = null) {
   if (amount <= 0) return;
 
-  state.log.push(`Gained ${amount} EXP.`);
+  logEvent(state, { type: "exp", amount });
+  queueEffect(state, { type: "exp", amount, source });
 
   const prevLevel = Number(state.player.level) || 1;
-  const result = applyExpGain(amount);
+  const result = applyExpInMemory(state, amount);
   const updated = result?.progress;
 
   if (!updated) return;
@@ -524,39 +627,43 @@ function grantExpAndMaybeLevelUp(state, amount) {
 
   const newLevel = updated.level;
   if (newLevel > prevLevel) {
-    const d = deriveCombatFromStats(state.player.stats, state.player.level);
-    const applied = applyEquipmentToDerived({ ...d }, state.player.equipped, state.player.stats);
-
-    state.player.atk = applied.atk;
-    state.player.def = applied.def;
-    state.player.maxHP = applied.maxHP;
-    state.player.maxMP = applied.maxMP;
-    state.player.mAtk = applied.mAtk;
-    state.player.mDef = applied.mDef;
+    // every derived field (hit / dodge / block too) from stats, gear and active statuses
+    recomputeDerivedWithStatuses(state.player, state);
 
     state.player.hp = state.player.maxHP;
     state.player.mp = state.player.maxMP;
 
-    state.log.push(`Level Up! You are now level ${updated.level}.`);
+    logEvent(state, { type: "level_up", level: updated.level, from: prevLevel });
+    queueEffect(state, { type: "level_up", level: updated.level, from: prevLevel, choices: result.pendingChoices || [] });
   } else {
     const beforeHP = state.player.hp;
     const beforeMP = state.player.mp;
 
-    const d = deriveCombatFromStats(state.player.stats, state.player.level);
-    const applied = applyEquipmentToDerived({ ...d }, state.player.equipped, state.player.stats);
-
-    state.player.atk = applied.atk;
-    state.player.def = applied.def;
-    state.player.maxHP = applied.maxHP;
-    state.player.maxMP = applied.maxMP;
-    state.player.mAtk = applied.mAtk;
-    state.player.mDef = applied.mDef;
+    // every derived field (hit / dodge / block too) from stats, gear and active statuses
+    recomputeDerivedWithStatuses(state.player, state);
 
     state.player.hp = Math.min(beforeHP, state.player.maxHP);
     state.player.mp = Math.min(beforeMP, state.player.maxMP);
   }
 }
 
+// Level the player from the state itself (progression.js level loop,
+// no storage).
+function applyExpInMemory(state, amount) {
+  const p = state.player || {};
+  const progress = {
+    level: Number(p.level) || 1,
+    exp: Number(p.exp) || 0,
+    unspentPoints: p.unspentPoints | 0,
+    stats: { ...(p.stats || {}) },
+    spells: [...(p.spells || [])],
+    gold: p.gold,
+    equipped: { ...(p.equipped || {}) },
+  };
+  const pendingChoices = applyExpToProgress(progress, amount);
+  return { progress, pendingChoices };
+}
+
 // ============================================================
 // START / RESET BATTLE
 // ============================================================
@@ -564,17 +671,24 @@ export function startBattle(id = DEFAULT_ENEMY_ID, opts = {}) {
   // Dungeon level scaling hook
   let dungeonLevel = null;
 
-  if (opts && Number.isFinite(Number(opts.dungeonLevel))) {
+  if (opts && opts.dungeonLevel != null && Number.isFinite(Number(opts.dungeonLevel))) {
     dungeonLevel = Number(opts.dungeonLevel);
-    try {
-      setDungeonLevel(dungeonLevel);   // tell enemyBuilder before building enemies
-    } catch (e) {
-      console.error("[engine] setDungeonLevel failed", e);
-    }
   }
-  const player = buildPlayerFromBase(playerBase);
+  try {
+    setDungeonLevel(dungeonLevel);   // tell enemyBuilder before building enemies (null clears it)
+  } catch (e) {
+    console.error("[engine] setDungeonLevel failed", e);
+  }
+  const rng = createBattleRng(opts?.seed);
+  // saved progress comes from the caller (useBattle loads it); headless runs may omit it
+  const progress = opts?.progress || null;
+  const player = buildPlayerFromBase(playerBase, progress);
+  // companions from the saved party (opts.party overrides: tools / replays)
+  const party = Array.isArray(opts?.party) ? opts.party : (progress?.party || []);
+  // difficulty preset (opts.difficulty overrides: tools / snapshot restore)
+  const difficulty = getDifficulty(opts?.difficulty ?? progress?.difficulty);
   // pass enemies DB into builder so it can resolve templates
-  const { enemies: runtimeEnemies, primary } = buildEnemyRuntimeFromSource(id, enemies);
+  const { enemies: runtimeEnemies, primary } = buildEnemyRuntimeFromSource(id, enemies, { statMult: difficulty.enemyStats });
   console.log(dungeonLevel, "AHHHH");
   // Build initial state first (so recomputeDerivedWithStatuses has state context)
   const state = {
@@ -582,11 +696,21 @@ export function startBattle(id = DEFAULT_ENEMY_ID, opts = {}) {
     player,
     enemies: runtimeEnemies,
     enemy: primary ? { ...primary } : null,
+    allies: buildPartyRuntime(party, player.level),
     turn: "player",
     over: false,
     result: null,
-    log: [`A wild ${primary ? primary.name : "enemy"} appears! ${player.name} prepares for battle.`],
+    log: [],
+    events: [],
+    // pending exp / loot / level-ups / toasts (see effects.js), committed by the caller
+    effects: [],
     _dungeonLevel: dungeonLevel,
+    // difficulty preset id (engine/difficulty.js): enemy stats + EXP rewards
+    difficulty: difficulty.id,
+
+    // seeded rng: every random roll in the battle draws from (and advances) this cursor
+    seed: rng.seed,
+    rng,
 
     // required by statuses.js to recompute stats
     deriveFromStats: deriveCombatFromStats,
@@ -594,28 +718,31 @@ export function startBattle(id = DEFAULT_ENEMY_ID, opts = {}) {
   };
 
   // Ensure runtime fields and recompute derived with full state context
-  for (const en of state.enemies) {
+  for (const en of [...state.enemies, ...state.allies]) {
     ensureRuntimeFieldsForEntity(en);
     recomputeDerivedWithStatuses(en, state);
   }
 
-  // Initial player turn start
-  const after = startUnitTurn(state, "player");
-  return after;
+  logEvent(state, {
+    type: "battle_start",
+    player: entityRef(state, state.player),
+    allies: state.allies.map(a => entityRef(state, a)),
+    enemies: state.enemies.map(en => entityRef(state, en)),
+  });
+
+  // Initiative queue: whoever is fastest opens (player wins ties)
+  syncInitiative(state);
+  passTurnMut(state);
+  return state;
 }
 
-export function resetBattle(id = DEFAULT_ENEMY_ID) {
-  return startBattle(id);
+export function resetBattle(id = DEFAULT_ENEMY_ID, opts = {}) {
+  return startBattle(id, opts);
 }
 
 // ============================================================
 // PLAYER ACTIONS
 // ============================================================
-function addLog(state, line) {
-  state.log.push(line);
-  if (state.log.length > LOG_TAIL) state.log.shift();
-}
-
 function canPlayerAct(state) {
   return !state.over && state.turn === "player";
 }
@@ -638,24 +765,8 @@ export function playerAttack(state, targetIndex = null) {
   if (!target) return s;
 
   const prevHp = target.hp;
-  const base = Math.max(1, s.player.atk - target.def);
-
-  const { final: elemDmg, mult } = applyElementalMultiplier(base, "physical", target);
-
-  const critChance = computeCritChanceFromPlayer(s.player);
-  const critMult = computeCritMultiplierFromPlayer(s.player);
-  const isCrit = Math.random() < critChance;
-  const dmg = Math.max(1, isCrit ? Math.floor(elemDmg * critMult) : elemDmg);
-
-  target.hp = clampHP(prevHp - dmg, target.maxHP);
-
-  addLog(
-    s,
-    `${s.player.name} attacks ${target.name} for ${dmg} physical damage` +
-    (mult !== 1 ? ` (×${mult})` : "") +
-    (isCrit ? ` CRIT ×${critMult}` : "") +
-    `. (${target.name} HP ${target.hp}/${target.maxHP})`
-  );
+  const hit = applyHitMut(s, s.player, target, attackDamageSpec());
+  if (hit.landed) checkPhasesMut(s);
 
   if (prevHp > 0 && target.hp <= 0) {
     onEnemyDeathMut(s, target);
@@ -664,7 +775,7 @@ export function playerAttack(state, targetIndex = null) {
   pruneDeadEnemiesMut(s);
   checkEndMut(s);
 
-  if (!s.over) s.turn = "enemy";
+  if (!s.over) endPlayerTurnMut(s);
   return s;
 }
 
@@ -682,10 +793,14 @@ export function playerCast(state, spellId, targetIndex = null) {
 
   // Spend MP
   s.player.mp = clampMP(s.player.mp - (spell.cost || 0), s.player.maxMP);
-  addLog(
-    s,
-    `${s.player.name} spends ${spell.cost || 0} MP (MP ${s.player.mp}/${s.player.maxMP}).`
-  );
+  logEvent(s, {
+    type: "mp_spent",
+    source: entityRef(s, s.player),
+    amount: spell.cost || 0,
+    mp: s.player.mp,
+    maxMP: s.player.maxMP,
+    via: { kind: "spell", id: spell.id || spellId, name: spell.name },
+  });
 
   // Cooldown
   if (spell.cooldown) {
@@ -694,8 +809,6 @@ export function playerCast(state, spellId, targetIndex = null) {
 
   // DAMAGE SPELLS
   if (spell.kind === "damage") {
-    const type = spell.damageType === "physical" ? "physical" : "magical";
-    const elem = spell.element || (type === "physical" ? "physical" : "magical");
     const isAoe = spell.target === "aoe" || spell.aoe === true;
 
     s.enemies = s.enemies.map(e => ({ ...e }));
@@ -709,38 +822,10 @@ export function playerCast(state, spellId, targetIndex = null) {
         ensureRuntimeFieldsForEntity(en);
         const prev = en.hp;
 
-        if (type === "physical") {
-          const base = Math.max(1, s.player.atk - en.def);
-          const scaled = Math.max(1, Math.floor(base * (spell.powerMult || 1)));
-          const { final: elemDmg, mult } = applyElementalMultiplier(scaled, elem, en);
-
-          const chance = computeCritChanceFromPlayer(s.player);
-          const cMult = computeCritMultiplierFromPlayer(s.player);
-          const isCrit = canSpellCrit(spell) && Math.random() < chance;
-
-          const dmg = Math.max(1, isCrit ? Math.floor(elemDmg * cMult) : elemDmg);
-          en.hp = clampHP(prev - dmg, en.maxHP);
-
-          addLog(
-            s,
-            `${s.player.name} uses ${spell.name} (AOE) on ${en.name} for ${dmg} physical damage` +
-            (mult !== 1 ? ` (×${mult})` : "") +
-            (isCrit ? ` CRIT ×${cMult}` : "") +
-            `. (${en.name} HP ${en.hp}/${en.maxHP})`
-          );
-        } else {
-          const base = Math.max(1, s.player.mAtk - (en.mDef || en.def));
-          const scaled = Math.max(1, Math.floor(base * (spell.powerMult || 1)));
-          const { final: dmg, mult } = applyElementalMultiplier(scaled, elem, en);
-
-          en.hp = clampHP(prev - dmg, en.maxHP);
-          addLog(
-            s,
-            `${s.player.name} casts ${spell.name} (AOE) on ${en.name} for ${dmg} magic damage` +
-            (mult !== 1 ? ` (×${mult})` : "") +
-            `. (${en.name} HP ${en.hp}/${en.maxHP})`
-          );
-        }
+        const via = { kind: "spell", id: spell.id || spellId, name: spell.name, aoe: true };
+        const hit = applyHitMut(s, s.player, en, spellDamageSpec(spell, via));
+        // missed / dodged: no damage and no statuses on this one
+        if (!hit.landed) continue;
 
         // Effects (special-case 'summon')
         if (Array.isArray(spell.effects)) {
@@ -750,7 +835,7 @@ export function playerCast(state, spellId, targetIndex = null) {
               processEffectForEntity(s, s.player, eff);
             } else {
               // Normal status effects are pushed onto the target entity
-              pushStatusOntoEntity(en, { ...eff, source: spell.id || spellId });
+              pushStatusOntoEntity(en, { ...eff, source: spell.id || spellId, element: eff.element || spell.element }, s);
             }
           }
           // Recompute derived for enemies since statuses / summons may have changed the battlefield
@@ -761,6 +846,8 @@ export function playerCast(state, spellId, targetIndex = null) {
 
         if (prev > 0 && en.hp <= 0) onEnemyDeathMut(s, en);
       }
+      // once per cast: adds spawned mid-loop must not be hit by this AOE
+      checkPhasesMut(s);
     } else {
       const target = getEnemyByIndex(s, targetIndex);
       if (!target) return s;
@@ -768,52 +855,22 @@ export function playerCast(state, spellId, targetIndex = null) {
       ensureRuntimeFieldsForEntity(target);
 
       const prev = target.hp;
-      if (type === "physical") {
-        const base = Math.max(1, s.player.atk - target.def);
-        const scaled = Math.max(1, Math.floor(base * (spell.powerMult || 1)));
-        const { final: elemDmg, mult } = applyElementalMultiplier(scaled, elem, target);
-
-        const critChance = computeCritChanceFromPlayer(s.player);
-        const critMult = computeCritMultiplierFromPlayer(s.player);
-        const isCrit = canSpellCrit(spell) && Math.random() < critChance;
-
-        const dmg = Math.max(1, isCrit ? Math.floor(elemDmg * critMult) : elemDmg);
-        target.hp = clampHP(prev - dmg, target.maxHP);
-
-        addLog(
-          s,
-          `${s.player.name} uses ${spell.name} on ${target.name} for ${dmg} physical damage` +
-          (mult !== 1 ? ` (×${mult})` : "") +
-          (isCrit ? ` CRIT ×${critMult}` : "") +
-          `! (${target.name} HP ${target.hp}/${target.maxHP})`
-        );
-      } else {
-        const base = Math.max(1, s.player.mAtk - (target.mDef || target.def));
-        const scaled = Math.max(1, Math.floor(base * (spell.powerMult || 1)));
-        const { final: dmg, mult } = applyElementalMultiplier(scaled, elem, target);
+      const via = { kind: "spell", id: spell.id || spellId, name: spell.name };
+      const hit = applyHitMut(s, s.player, target, spellDamageSpec(spell, via));
 
-        target.hp = clampHP(prev - dmg, target.maxHP);
-
-        addLog(
-          s,
-          `${s.player.name} casts ${spell.name} on ${target.name} for ${dmg} magic damage` +
-          (mult !== 1 ? ` (×${mult})` : "") +
-          `! (${target.name} HP ${target.hp}/${target.maxHP})`
-        );
-      }
-
-      if (Array.isArray(spell.effects)) {
+      if (hit.landed && Array.isArray(spell.effects)) {
         for (const eff of spell.effects) {
           // If effect is summon handle it (summons don't attach to the target)
           if (eff && eff.type === "summon") {
             processEffectForEntity(s, s.player, eff);
           } else {
-            pushStatusOntoEntity(target, { ...eff, source: spell.id || spellId });
+            pushStatusOntoEntity(target, { ...eff, source: spell.id || spellId, element: eff.element || spell.element }, s);
             recomputeDerivedWithStatuses(target, s);
           }
         }
       }
 
+      checkPhasesMut(s);
       if (prev > 0 && target.hp <= 0) onEnemyDeathMut(s, target);
     }
   }
@@ -825,10 +882,15 @@ export function playerCast(state, spellId, targetIndex = null) {
     const gained = to - before;
     s.player.hp = to;
 
-    addLog(
-      s,
-      `${s.player.name} casts ${spell.name} and heals ${gained}. (${s.player.name} HP ${s.player.hp}/${s.player.maxHP})`
-    );
+    logEvent(s, {
+      type: "heal",
+      source: entityRef(s, s.player),
+      target: entityRef(s, s.player),
+      amount: gained,
+      hp: s.player.hp,
+      maxHP: s.player.maxHP,
+      via: { kind: "spell", id: spell.id || spellId, name: spell.name },
+    });
 
     if (Array.isArray(spell.effects)) {
       for (const eff of spell.effects) {
@@ -836,7 +898,7 @@ export function playerCast(state, spellId, targetIndex = null) {
         if (eff && eff.type === "summon") {
           processEffectForEntity(s, s.player, eff);
         } else {
-          pushStatusOntoEntity(s.player, { ...eff, source: spell.id || spellId });
+          pushStatusOntoEntity(s.player, { ...eff, source: spell.id || spellId, element: eff.element || spell.element }, s);
         }
       }
       recomputeDerivedWithStatuses(s.player, s);
@@ -846,7 +908,7 @@ export function playerCast(state, spellId, targetIndex = null) {
   pruneDeadEnemiesMut(s);
   checkEndMut(s);
 
-  if (!s.over) s.turn = "enemy";
+  if (!s.over) endPlayerTurnMut(s);
   return s;
 }
 
@@ -863,7 +925,7 @@ export function playerUseItem(state, itemId, targetIndex = null) {
   if (!canUseItem(s, itemId)) return s;
 
   s.player.items[itemId] = Math.max(0, (s.player.items[itemId] || 0) - 1);
-  addLog(s, `${s.player.name} uses ${spec.name}.`);
+  logEvent(s, { type: "item_used", source: entityRef(s, s.player), itemId, name: spec.name });
 
   if (spec.cooldown) {
     setCooldownOnEntity(s.player, spec.id || itemId, spec.cooldown);
@@ -876,7 +938,15 @@ export function playerUseItem(state, itemId, targetIndex = null) {
     const gained = to - before;
     s.player.hp = to;
 
-    addLog(s, `Restored ${gained} HP. (${s.player.name} HP ${s.player.hp}/${s.player.maxHP})`);
+    logEvent(s, {
+      type: "heal",
+      source: entityRef(s, s.player),
+      target: entityRef(s, s.player),
+      amount: gained,
+      hp: s.player.hp,
+      maxHP: s.player.maxHP,
+      via: { kind: "item", id: spec.id || itemId, name: spec.name },
+    });
   }
 
   // MANA
@@ -886,13 +956,19 @@ export function playerUseItem(state, itemId, targetIndex = null) {
     const gained = to - before;
     s.player.mp = to;
 
-    addLog(s, `Recovered ${gained} MP. (MP ${s.player.mp}/${s.player.maxMP})`);
+    logEvent(s, {
+      type: "mana",
+      target: entityRef(s, s.player),
+      amount: gained,
+      mp: s.player.mp,
+      maxMP: s.player.maxMP,
+      via: { kind: "item", id: spec.id || itemId, name: spec.name },
+    });
   }
 
   // DAMAGE ITEMS
   else if (spec.kind === "damage") {
     const isAoe = spec.target === "aoe" || spec.aoe === true;
-    const elem = spec.element || "physical";
 
     s.enemies = s.enemies.map(e => ({ ...e }));
     s.enemy = s.enemies[0] ? { ...s.enemies[0] } : null;
@@ -904,35 +980,9 @@ export function playerUseItem(state, itemId, targetIndex = null) {
         ensureRuntimeFieldsForEntity(en);
 
         const prev = en.hp;
-        const base = Math.max(1, spec.damage || 0);
-        const { final: elemDmg, mult } = applyElementalMultiplier(base, elem, en);
-
-        let dmg = elemDmg;
-
-        if (elem === "physical") {
-          const critChance = computeCritChanceFromPlayer(s.player);
-          const critMult = computeCritMultiplierFromPlayer(s.player);
-          const isCrit = canItemCrit(spec) && Math.random() < critChance;
-
-          dmg = Math.max(1, isCrit ? Math.floor(elemDmg * critMult) : elemDmg);
-
-          addLog(
-            s,
-            `${spec.name} hits ${en.name} for ${dmg} damage` +
-            (mult !== 1 ? ` (×${mult})` : "") +
-            (isCrit ? ` CRIT ×${critMult}` : "") +
-            `! (${en.name} HP ${en.hp}/${en.maxHP})`
-          );
-        } else {
-          addLog(
-            s,
-            `${spec.name} hits ${en.name} for ${elemDmg} damage` +
-            (mult !== 1 ? ` (×${mult})` : "") +
-            `! (${en.name} HP ${en.hp}/${en.maxHP})`
-          );
-        }
-
-        en.hp = clampHP(prev - dmg, en.maxHP);
+        const hit = applyHitMut(s, s.player, en, itemDamageSpec(spec, { kind: "item", id: spec.id || itemId, name: spec.name, aoe: true }));
+        // missed / dodged: no damage and no statuses on this one
+        if (!hit.landed) continue;
 
         if (Array.isArray(spec.effects)) {
           for (const eff of spec.effects) {
@@ -940,7 +990,7 @@ export function playerUseItem(state, itemId, targetIndex = null) {
             if (eff && eff.type === "summon") {
               processEffectForEntity(s, s.player, eff);
             } else {
-              pushStatusOntoEntity(en, { ...eff, source: spec.id || itemId });
+              pushStatusOntoEntity(en, { ...eff, source: spec.id || itemId, element: eff.element || spec.element }, s);
             }
           }
           recomputeDerivedWithStatuses(en, s);
@@ -950,6 +1000,7 @@ export function playerUseItem(state, itemId, targetIndex = null) {
           onEnemyDeathMut(s, en);
         }
       }
+      checkPhasesMut(s);
     } else {
       const target = getEnemyByIndex(s, targetIndex);
       if (!target) return s;
@@ -957,46 +1008,19 @@ export function playerUseItem(state, itemId, targetIndex = null) {
       ensureRuntimeFieldsForEntity(target);
 
       const prev = target.hp;
-      const base = Math.max(1, spec.damage || 0);
-      const { final: elemDmg, mult } = applyElementalMultiplier(base, elem, target);
-
-      let dmg = elemDmg;
+      const hit = applyHitMut(s, s.player, target, itemDamageSpec(spec, { kind: "item", id: spec.id || itemId, name: spec.name }));
 
-      if (elem === "physical") {
-        const chance = computeCritChanceFromPlayer(s.player);
-        const cMult = computeCritMultiplierFromPlayer(s.player);
-        const isCrit = canItemCrit(spec) && Math.random() < chance;
-
-        dmg = Math.max(1, isCrit ? Math.floor(elemDmg * cMult) : elemDmg);
-
-        addLog(
-          s,
-          `${spec.name} deals ${dmg} damage to ${target.name}` +
-          (mult !== 1 ? ` (×${mult})` : "") +
-          (isCrit ? ` CRIT ×${cMult}` : "") +
-          `! (${target.name} HP ${target.hp}/${target.maxHP})`
-        );
-      } else {
-        addLog(
-          s,
-          `${spec.name} deals ${elemDmg} damage to ${target.name}` +
-          (mult !== 1 ? ` (×${mult})` : "") +
-          `! (${target.name} HP ${target.hp}/${target.maxHP})`
-        );
-      }
-
-      target.hp = clampHP(prev - dmg, target.maxHP);
-
-      if (Array.isArray(spec.effects)) {
+      if (hit.landed && Array.isArray(spec.effects)) {
         for (const eff of spec.effects) {
           if (eff && eff.type === "summon") {
             processEffectForEntity(s, s.player, eff);
           } else {
-            pushStatusOntoEntity(target, { ...eff, source: spec.id || itemId });
+            pushStatusOntoEntity(target, { ...eff, source: spec.id || itemId, element: eff.element || spec.element }, s);
           }
         }
         recomputeDerivedWithStatuses(target, s);
       }
+      checkPhasesMut(s);
 
       if (prev > 0 && target.hp <= 0) {
         onEnemyDeathMut(s, target);
@@ -1007,12 +1031,250 @@ export function playerUseItem(state, itemId, targetIndex = null) {
   pruneDeadEnemiesMut(s);
   checkEndMut(s);
 
-  if (!s.over) s.turn = "enemy";
+  if (!s.over) endPlayerTurnMut(s);
   return s;
 }
 
+// ------------------------------------------------------------
+// DEFEND / WAIT / FLEE
+// ------------------------------------------------------------
+
+/**
+ * Brace until the player's next turn: hits are reduced (DEFEND_CONFIG in
+ * damage.js, cleared in turnStart.js) and a little MP comes back.
+ */
+export function playerDefend(state) {
+  const s =
+    state && state.player ? prepareNextState(state) : deepCloneFallback(state);
+
+  if (!canPlayerAct(s)) return s;
+
+  const maxMP = Number(s.player.maxMP) || 0;
+  const before = Number(s.player.mp) || 0;
+  const restore = maxMP > 0 ? Math.max(1, Math.floor(maxMP * DEFEND_CONFIG.MP_RESTORE_PCT)) : 0;
+  s.player.mp = clampMP(before + restore, maxMP);
+  s.player._defending = true;
+
+  logEvent(s, {
+    type: "defend",
+    source: entityRef(s, s.player),
+    mp: s.player.mp - before,
+  });
+
+  endPlayerTurnMut(s);
+  return s;
+}
+
+/**
+ * Do nothing this turn (statuses and cooldowns still tick).
+ */
+export function playerWait(state) {
+  const s =
+    state && state.player ? prepareNextState(state) : deepCloneFallback(state);
+
+  if (!canPlayerAct(s)) return s;
+
+  logEvent(s, { type: "wait", source: entityRef(s, s.player) });
+
+  endPlayerTurnMut(s);
+  return s;
+}
+
+/**
+ * Why the player can't run from this fight (null = fleeing is allowed).
+ */
+export function fleeBlockedReason(state) {
+  if (!state || state.over) return "over";
+  if (getEnemiesList(state).some(e => (e.hp || 0) > 0 && e.boss)) return "boss";
+  return null;
+}
+
+/**
+ * Chance (0..1) that a flee attempt succeeds: player DEX against the
+ * highest enemy level, lower inside dungeon runs.
+ */
+export function computeFleeChance(state) {
+  if (!state?.player) return 0;
+  const dex = Number(state.player.stats?.DEX) || 0;
+  const playerLevel = Number(state.player.level) || 1;
+  const levels = getEnemiesList(state)
+    .filter(e => (e.hp || 0) > 0)
+    .map(e => Number(e._scaledLevel) || playerLevel);
+  const enemyLevel = levels.length ? Math.max(...levels) : playerLevel;
+
+  let chance = FLEE_CONFIG.BASE_CHANCE + (dex - enemyLevel) * FLEE_CONFIG.PER_DEX_OVER_LEVEL;
+  if (state._dungeonLevel != null) chance -= FLEE_CONFIG.DUNGEON_PENALTY;
+  return Math.max(FLEE_CONFIG.MIN_CHANCE, Math.min(FLEE_CONFIG.MAX_CHANCE, chance));
+}
+
+export function canFlee(state) {
+  return canPlayerAct(state) && !fleeBlockedReason(state);
+}
+
+/**
+ * Try to run. Success ends the battle with result "fled" (no exp / loot);
+ * a failed attempt costs the turn.
+ */
+export function playerFlee(state) {
+  const s =
+    state && state.player ? prepareNextState(state) : deepCloneFallback(state);
+
+  if (!canFlee(s)) return s;
+
+  const chance = computeFleeChance(s);
+  if (rollChance(s, chance)) {
+    s.over = true;
+    s.result = "fled";
+    s.turn = "player";
+    logEvent(s, { type: "battle_end", result: "fled", chance });
+    return s;
+  }
+
+  logEvent(s, { type: "flee_failed", source: entityRef(s, s.player), chance });
+  endPlayerTurnMut(s);
+  return s;
+}
+
+// ============================================================
+// TURN ORDER (initiative queue, see initiative.js)
+// turn = "player" -> waiting for the player's command
+// turn = "ally"   -> waiting for a command for s.activeAlly (control "player")
+// turn = "enemy"  -> AI turns (enemies, AI allies) are due; enemyAct runs them
+// ============================================================
+
+// turns that wait for a command from the UI
+function isCommandedTurn(s, next) {
+  if (!next) return false;
+  if (next.side === "player") return true;
+  return next.side === "ally" && getAllyByKey(s, next.key)?.control === "player";
+}
+
+/**
+ * Hand the turn to whoever is next in the initiative queue (mutates).
+ * A commanded turn (player / player-controlled ally) starts right away — a
+ * stunned unit loses it and the queue moves on; an AI turn sets
+ * turn = "enemy" and waits for enemyAct.
+ */
+function passTurnMut(s) {
+  s.activeAlly = null;
+
+  for (let guard = 0; guard < MAX_CHAINED_TURNS && !s.over; guard++) {
+    const next = nextActor(s);
+    if (!isCommandedTurn(s, next)) {
+      s.turn = "enemy";
+      return;
+    }
+
+    const isPlayer = next.side === "player";
+    const unit = isPlayer ? s.player : getAllyByKey(s, next.key);
+    startUnitTurn(s, isPlayer ? "player" : "ally", { allyKey: next.key });
+    if (s.over) return;
+
+    if (!s._lastStartResult?.skipped && (unit?.hp || 0) > 0) {
+      if (isPlayer) {
+        s.turn = "player";
+        logEvent(s, { type: "turn", unit: "player" });
+      } else {
+        s.turn = "ally";
+        s.activeAlly = next.key;
+        logEvent(s, { type: "turn", unit: "ally", source: entityRef(s, unit) });
+      }
+      return;
+    }
+
+    // stunned (or downed by a DOT): the turn is spent, statuses still tick down
+    decayStatusesForEntity(s, unit, { tick: s._turnTick });
+    spendTurn(s, next.key);
+  }
+}
+
+/**
+ * The player acted: tick their statuses down, queue their next turn,
+ * then pass the turn on (a fast player may go again immediately).
+ */
+function endPlayerTurnMut(s) {
+  decayStatusesForEntity(s, s.player, { tick: s._turnTick });
+  spendTurn(s, "player");
+  passTurnMut(s);
+}
+
+/**
+ * Same for an ally the player commanded.
+ */
+function endAllyTurnMut(s, ally) {
+  decayStatusesForEntity(s, ally, { tick: s._turnTick });
+  spendTurn(s, ally._uid);
+  passTurnMut(s);
+}
+
+/**
+ * One enemy turn from the queue: start-of-turn statuses, action, decay.
+ */
+function runEnemyTurnMut(s, key) {
+  const idx = getEnemiesList(s).findIndex(e => e._uid === key);
+  if (idx < 0) return;
+
+  // Run start-of-turn for this enemy (applies DOT/stun etc; prunes the dead)
+  startUnitTurn(s, "enemy", { enemyIndex: idx, onEnemyDeath: onEnemyDeathMut });
+
+  const active = getEnemiesList(s).find(e => e._uid === key);
+  if (!active || active.hp <= 0) return;
+
+  // turn-count phase triggers (and HP ones crossed by DOT damage)
+  active._turnsTaken = (Number(active._turnsTaken) || 0) + 1;
+  checkPhasesMut(s);
+
+  const lastRes = s._lastStartResult || {};
+  const tick = lastRes.tick || s._turnTick || 0;
+
+  if (lastRes.unitType === "enemy" && lastRes.skipped === true) {
+    // stunned: skip acting, but the stun is consumed at end-of-turn
+    try {
+      decayStatusesForEntity(s, active, { tick });
+    } catch (e) {
+      console.error("[DECAY] enemy decay failed (stunned):", e);
+    }
+    return;
+  }
+
+  // enemy action (spell or basic attack; summons go through processEffectForEntity)
+  performEnemyAction(s, active, { onEffect: processEffectForEntity });
+  settleEnemyDeathsMut(s); // reflected damage can fell the attacker
+
+  // statuses put on the player (slow / DEX debuffs) reorder the queue right away
+  recomputeDerivedWithStatuses(s.player, s);
+  pruneFallenAlliesMut(s);
+
+  // End-of-this-enemy's turn: decay statuses
+  try {
+    decayStatusesForEntity(s, active, { tick });
+  } catch (e) {
+    console.error("[DECAY] enemy decay failed (after attack):", e);
+  }
+}
+
+/**
+ * One AI ally turn from the queue (see allyAI.js).
+ */
+function runAllyTurnMut(s, key) {
+  startUnitTurn(s, "ally", { allyKey: key });
+
+  const ally = getAllyByKey(s, key);
+  if (!ally || ally.hp <= 0 || s.over) return;
+
+  if (!s._lastStartResult?.skipped) {
+    performAllyAction(s, ally, { onEffect: processEffectForEntity });
+    checkPhasesMut(s);
+    settleEnemyDeathsMut(s);
+  }
+
+  decayStatusesForEntity(s, ally, { tick: s._turnTick });
+}
+
 // ============================================================
 // ENEMY TURN
+// Runs every AI turn (enemies and AI allies) in initiative order until a
+// commanded unit is next (fast units may act several times, slow ones not at all).
 // ============================================================
 export function enemyAct(state) {
   const s =
@@ -1022,78 +1284,96 @@ export function enemyAct(state) {
   s.enemies = s.enemies.map(e => ({ ...e }));
   s.enemy = s.enemies[0] ? { ...s.enemies[0] } : null;
 
-  const list = getEnemiesList(s);
+  for (let guard = 0; guard < MAX_CHAINED_TURNS && !s.over; guard++) {
+    const next = nextActor(s);
+    if (!next) break;
 
-  for (let i = 0; i < list.length; i++) {
-    const en = list[i];
-    if (!en) continue;
-
-    // Run start-of-turn for this enemy (applies DOT/stun etc)
-    const withTick = startUnitTurn(s, "enemy", { enemyIndex: i });
-    // startUnitTurn mutates and returns state; update our local s
-    Object.assign(s, withTick);
-
-    // refresh enemies after possible pruning
-    const updatedList = getEnemiesList(s);
-    if (updatedList.length === 0) break;
-
-    const active = updatedList[i] || updatedList.find(e => e.hp > 0);
-    if (!active || active.hp <= 0) continue;
-
-    // examine the authoritative start result (set by turnStart)
-    const lastRes = s._lastStartResult || {};
-    const processedIndex = Number.isFinite(Number(lastRes.enemyIndex)) ? Number(lastRes.enemyIndex) : null;
-    const processedId = lastRes.entityId || null;
-    const tick = lastRes.tick || s._turnTick || 0;
-
-    // If the startUnitTurn reported 'skipped' for this same entity/tick, honor that
-    const wasSkippedByStart =
-      lastRes.unitType === "enemy" &&
-      lastRes.skipped === true &&
-      (processedIndex === i || processedId === active.id || processedId === active.name);
-
-    if (wasSkippedByStart) {
-      // we still want to decay the enemy's statuses at end-of-turn (stun consumed)
-      try {
-        decayStatusesForEntity(s, active, { tick });
-      } catch (e) {
-        console.error("[DECAY] enemy decay failed (stunned):", e);
-      }
-      // skip acting this turn
+    if (isCommandedTurn(s, next)) {
+      passTurnMut(s);
+      // a stunned unit hands the turn straight back to the AI
+      if (s.turn !== "enemy") break;
       continue;
     }
 
-    // enemy action (spell or basic attack)
-    performEnemyAction(s, active);
+    if (next.side === "ally") runAllyTurnMut(s, next.key);
+    else runEnemyTurnMut(s, next.key);
+    spendTurn(s, next.key);
 
+    pruneDeadEnemiesMut(s);
+    checkEndMut(s);
+  }
 
-    // End-of-this-enemy's turn: decay statuses
-    try {
-      decayStatusesForEntity(s, active, { tick });
-    } catch (e) {
-      console.error("[DECAY] enemy decay failed (after attack):", e);
-    }
+  pruneDeadEnemiesMut(s);
+  checkEndMut(s);
 
-    if (s.player.hp <= 0) break;
+  // queue ran away (should not happen): give the player the turn back
+  if (!s.over && s.turn === "enemy") {
+    s.turn = "player";
+    logEvent(s, { type: "turn", unit: "player" });
   }
 
+  return s;
+}
+
+// ============================================================
+// ALLY COMMANDS (allies with control "player", turn === "ally")
+// ============================================================
+function canAllyAct(state) {
+  return !state.over && !!getActiveAlly(state);
+}
 
+function finishAllyCommandMut(s, ally) {
+  checkPhasesMut(s);
+  settleEnemyDeathsMut(s);
   pruneDeadEnemiesMut(s);
   checkEndMut(s);
 
-  if (!s.over) {
-    const after = startUnitTurn(s, "player");
-    Object.assign(s, after);
+  if (!s.over) endAllyTurnMut(s, ally);
+}
 
-    if (!s.over) {
-      s.turn = "player";
-      addLog(s, "Your turn.");
-    }
-  }
+export function allyAttack(state, targetIndex = null) {
+  const s =
+    state && state.player ? prepareNextState(state) : deepCloneFallback(state);
+  if (!canAllyAct(s)) return s;
 
+  const ally = getActiveAlly(s);
+  const list = getEnemiesList(s);
+  const idx = targetIndex == null ? list.findIndex(e => e.hp > 0) : targetIndex;
+  const target = getEnemyByIndex(s, idx);
+  if (!target) return s;
+
+  allyBasicAttack(s, ally, target);
+  finishAllyCommandMut(s, ally);
+  return s;
+}
+
+export function allyCast(state, spellId, targetIndex = null) {
+  const s =
+    state && state.player ? prepareNextState(state) : deepCloneFallback(state);
+  if (!canAllyAct(s)) return s;
+
+  const ally = getActiveAlly(s);
+  const spell = SPELL_MAP[spellId];
+  if (!spell || !canAllyCast(ally, spellId)) return s;
+
+  allyUseSpell(s, ally, { ...spell, id: spell.id || spellId }, getEnemyByIndex(s, targetIndex), { onEffect: processEffectForEntity });
+  finishAllyCommandMut(s, ally);
   return s;
 }
 
+/**
+ * Spells of the ally whose turn it is (UI), same shape as getSpells.
+ */
+export function getActiveAllySpells(state) {
+  return getAllySpells(getActiveAlly(state));
+}
+
+export function canActiveAllyCast(state, spellId) {
+  return canAllyAct(state) && canAllyCast(getActiveAlly(state), spellId);
+}
+
+export { getActiveAlly };
+
 // ============================================================
 // ENEMY DEATH HANDLING
 // ============================================================
@@ -1103,54 +1383,69 @@ function pruneDeadEnemiesMut(state) {
   const keep = state.enemies.filter(e => e.hp > 0);
   state.enemies = keep;
   state.enemy = keep.length > 0 ? { ...keep[0] } : null;
+
+  // fallen summons on our side vanish too (companions stay KO'd)
+  pruneFallenAlliesMut(state);
+}
+
+/**
+ * EXP / loot for enemies felled by someone other than the player (allies).
+ */
+function settleEnemyDeathsMut(state) {
+  for (const en of getEnemiesList(state)) {
+    if (en && en.hp <= 0) onEnemyDeathMut(state, en);
+  }
 }
 
 function onEnemyDeathMut(state, enemy) {
   if (!enemy || enemy._deathProcessed) return;
   enemy._deathProcessed = true;
 
-  addLog(state, `${enemy.name} falls!`);
-
-  // EXP
-  const exp = enemy.expReward || 0;
-  if (exp > 0) {
-    grantExpAndMaybeLevelUp(state, exp);
-
-    try {
-      emit("toast", {
-        message: `+${exp} EXP`,
-        type: "success"
-      });
-    } catch { }
-  }
-
-  // LOOT
-  if (Array.isArray(enemy.drops)) {
-    for (const d of enemy.drops) {
-      if (!d || !d.id) continue;
-
-      const qty = Number(d.qty) || 0;
-      if (qty <= 0) continue;
-
-      try {
-        emit("collect", { itemId: d.id, qty });
-      } catch { }
-
-      state.player.items = state.player.items || {};
-      state.player.items[d.id] = (state.player.items[d.id] || 0) + qty;
+  // carry the killing blow (element / crit / source) so quests can count elemental kills
+  const target = entityRef(state, enemy);
+  const blow = lastDamageTo(state, target);
+  logEvent(state, {
+    type: "death",
+    target,
+    source: blow?.source || null,
+    element: blow?.element || null,
+    crit: !!blow?.crit,
+    via: blow?.via || null,
+  });
+
+  // EXP (difficulty multiplier)
+  const exp = scaleByDifficulty(enemy.expReward || 0, state.difficulty, "exp");
+  if (exp > 0) grantExpAndMaybeLevelUp(state, exp, target);
+
+  // LOOT (the enemy's loot table on the battle RNG, luck from the player's gear)
+  // enemyId = catalog id, so the bestiary can tell which enemy dropped what
+  const enemyId = enemy.baseId || enemy.id;
+  const drops = rollLoot(lootTableOf(enemy), () => nextRandom(state), { luck: equippedLuck(state.player) });
+  for (const d of drops) {
+    const qty = Number(d.qty) || 0;
+    if (!d.id || qty <= 0) continue;
+
+    state.player.items = state.player.items || {};
+
+    // equipment drops as rolled instances, one per copy (engine/gear.js)
+    if (canRollGear(d.id)) {
+      for (let i = 0; i < qty; i++) {
+        const inst = rollGearInstance(d.id, () => nextRandom(state));
+        state.player.items[inst.id] = 1;
+
+        const itemName = `${getRarity(inst.rarity).name} ${ITEM_MAP[d.id]?.name || d.id}`;
+        logEvent(state, { type: "loot", source: entityRef(state, enemy), itemId: inst.id, name: itemName, qty: 1, rarity: inst.rarity });
+        queueEffect(state, { type: "loot", source: target, enemyId, itemId: inst.id, qty: 1, gear: inst });
+      }
+      continue;
+    }
 
-      const itemName = ITEM_MAP[d.id]?.name || d.id;
+    state.player.items[d.id] = (state.player.items[d.id] || 0) + qty;
 
-      addLog(state, `${enemy.name} dropped ${qty} × ${itemName}.`);
+    const itemName = ITEM_MAP[d.id]?.name || d.id;
 
-      // --- NEW TOAST HERE ---
-      try {
-        emit("toast", {
-          message: `Loot: ${qty}× ${itemName}`,
-          type: "info"
-        });
-      } catch { }
-    }
+    logEvent(state, { type: "loot", source: entityRef(state, enemy), itemId: d.id, name: itemName, qty });
+    queueEffect(state, { type: "loot", source: target, enemyId, itemId: d.id, qty });
   }
 }
 
@@ -1158,21 +1453,22 @@ function onEnemyDeathMut(state, enemy) {
 // END CONDITIONS
 // ============================================================
 function checkEndMut(state) {
+  if (state.over) return;
   const pDead = state.player.hp <= 0;
   const aliveEnemies = getEnemiesList(state).filter(e => e.hp > 0).length;
 
   if (pDead && aliveEnemies === 0) {
     state.over = true;
     state.result = "win";
-    addLog(state, "Both sides fall — you prevail!");
+    logEvent(state, { type: "battle_end", result: "win", mutual: true });
   } else if (aliveEnemies === 0) {
     state.over = true;
     state.result = "win";
-    addLog(state, "Victory!");
+    logEvent(state, { type: "battle_end", result: "win" });
   } else if (pDead) {
     state.over = true;
     state.result = "loss";
-    addLog(state, "Defeat...");
+    logEvent(state, { type: "battle_end", result: "loss" });
   }
 }
 
@@ -1230,12 +1526,15 @@ export function canCast(state, spellId) {
   const spell = SPELL_MAP[spellId];
   if (!spell) return false;
 
+  if (isSilenced(state.player)) return false;
+
   const cd = state.player._cooldowns?.[spellId] || 0;
   if (cd > 0) return false;
 
   if (state.player.mp < (spell.cost || 0)) return false;
 
-  if (spell.kind === "heal") {
+  // pure heals need missing HP; wards / regens can go up any time
+  if (spell.kind === "heal" && !(spell.effects || []).length) {
     return state.player.hp < state.player.maxHP;
   }
 
@@ -1273,19 +1572,13 @@ export function allocateStat(state, statKey) {
   const beforeHP = s.player.hp;
   const beforeMP = s.player.mp;
 
-  const d = deriveCombatFromStats(s.player.stats, s.player.level);
-  const applied = applyEquipmentToDerived({ ...d }, s.player.equipped || {}, s.player.stats);
-  s.player.atk = applied.atk;
-  s.player.def = applied.def;
-  s.player.maxHP = applied.maxHP;
-  s.player.maxMP = applied.maxMP;
-  s.player.mAtk = applied.mAtk;
-  s.player.mDef = applied.mDef;
+  // every derived field (hit / dodge / block too) from stats, gear and active statuses
+  recomputeDerivedWithStatuses(s.player, s);
 
   s.player.hp = Math.min(beforeHP, s.player.maxHP);
   s.player.mp = Math.min(beforeMP, s.player.maxMP);
 
-  addLog(s, `Allocated +1 ${statKey}.`);
+  logEvent(s, { type: "allocate", stat: statKey });
   return s;
 }
 
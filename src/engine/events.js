@@ -0,0 +1,282 @@
+// src/engine/events.js
+// ------------------------------------------------------
+// Structured battle events.
+// Every engine action pushes typed events into
+// state.events; the human-readable state.log lines are
+// rendered from those events (formatEvent), so the UI
+// and quests never have to parse log text.
+//
+// Event types:
+//   battle_start, damage, miss, dodge, block, heal, mana,
+//   mp_spent, item_used, defend, wait, flee_failed,
+//   status_applied, status_expired, status_resisted, status_removed,
+//   reaction,
+//   stunned, summon, death, exp, level_up, loot, battle_end, turn,
+//   allocate, phase, message
+// Entities are referenced as { side, id, name, index },
+// side = "player" | "ally" | "enemy".
+// ------------------------------------------------------
+
+export const LOG_TAIL = 50;
+export const EVENTS_TAIL = 200;
+
+/**
+ * Small serializable reference to an entity taking part in an event.
+ * index = position in state.enemies / state.allies at the time of the event.
+ */
+export function entityRef(state, ent) {
+  if (!ent) return null;
+  const isPlayer = !!state && ent === state.player;
+  const isAlly = !isPlayer && ent._ally === true;
+  const list = isAlly ? state?.allies : state?.enemies;
+  const index = !isPlayer && Array.isArray(list) ? list.indexOf(ent) : -1;
+  return {
+    side: isPlayer ? "player" : isAlly ? "ally" : "enemy",
+    id: ent.id || null,
+    name: ent.name || ent.id || (isPlayer ? "You" : "Target"),
+    index: index >= 0 ? index : null,
+  };
+}
+
+/**
+ * Push an event (mutates state.events + state.log).
+ * Returns the stored event (with seq) or null.
+ */
+export function logEvent(state, event) {
+  if (!state || !event || !event.type) return null;
+
+  state._eventSeq = (Number(state._eventSeq) || 0) + 1;
+  const ev = { seq: state._eventSeq, ...event };
+
+  state.events = Array.isArray(state.events) ? state.events : [];
+  state.events.push(ev);
+  if (state.events.length > EVENTS_TAIL) state.events.splice(0, state.events.length - EVENTS_TAIL);
+
+  const line = formatEvent(ev);
+  if (line) {
+    state.log = Array.isArray(state.log) ? state.log : [];
+    state.log.push(line);
+    if (state.log.length > LOG_TAIL) state.log.splice(0, state.log.length - LOG_TAIL);
+  }
+
+  return ev;
+}
+
+/**
+ * Plain text line (kept for callers that have nothing structured to say).
+ */
+export function logMessage(state, text) {
+  return logEvent(state, { type: "message", text: String(text) });
+}
+
+// ============================================================
+// Text rendering
+// ============================================================
+
+function nameOf(ref, fallback = "Someone") {
+  return ref?.name || fallback;
+}
+
+function hpSuffix(ev) {
+  if (!Number.isFinite(Number(ev.hp))) return "";
+  return ` (${nameOf(ev.target, "Target")} HP ${ev.hp}/${ev.maxHP})`;
+}
+
+// "'s Firebolt" for spells / items, `fallback` ("'s attack") for plain attacks
+function viaSuffix(via, fallback = null) {
+  const name = via?.kind === "attack" || !via ? null : via.name || via.id;
+  if (name) return `'s ${name}`;
+  return fallback ? `'s ${fallback}` : "";
+}
+
+function formatDamage(ev) {
+  const src = nameOf(ev.source);
+  const tgt = nameOf(ev.target, "Target");
+  const via = ev.via || {};
+  const multTxt = ev.mult != null && ev.mult !== 1 ? ` (×${ev.mult})` : "";
+  const critTxt = (ev.crit ? ` CRIT ×${ev.critMult}` : "")
+    + (ev.blocked ? " (blocked)" : "")
+    + (ev.guarded ? " (guarded)" : "")
+    + (ev.absorbed ? ` (${ev.absorbed} absorbed)` : "");
+  const typeWord = ev.damageType === "magical" ? "magic" : "physical";
+
+  switch (via.kind) {
+    case "status":
+      if (via.reflect) return `${src} reflects ${ev.amount} damage back at ${tgt}.${hpSuffix(ev)}`;
+      return `${tgt} suffers ${ev.amount} damage from ${via.id || "a status"}.${hpSuffix(ev)}`;
+    case "item":
+      return `${via.name || via.id} hits ${tgt} for ${ev.amount} damage${multTxt}${critTxt}!${hpSuffix(ev)}`;
+    case "spell": {
+      const verb = ev.damageType === "magical" ? "casts" : "uses";
+      const aoe = via.aoe ? " (AOE)" : "";
+      return `${src} ${verb} ${via.name || via.id}${aoe} on ${tgt} for ${ev.amount} ${typeWord} damage${multTxt}${critTxt}.${hpSuffix(ev)}`;
+    }
+    default:
+      return `${src} attacks ${tgt} for ${ev.amount} ${typeWord} damage${multTxt}${critTxt}.${hpSuffix(ev)}`;
+  }
+}
+
+/**
+ * Render one event as a log line (null = nothing to show).
+ */
+export function formatEvent(ev) {
+  if (!ev) return null;
+  if (typeof ev.text === "string") return ev.text;
+
+  switch (ev.type) {
+    case "battle_start": {
+      const first = Array.isArray(ev.enemies) && ev.enemies[0] ? ev.enemies[0].name : "enemy";
+      return `A wild ${first} appears! ${nameOf(ev.player, "You")} prepares for battle.`;
+    }
+    case "damage":
+      return formatDamage(ev);
+    case "miss":
+      return `${nameOf(ev.source)}${viaSuffix(ev.via)} misses ${nameOf(ev.target, "Target")}.`;
+    case "dodge":
+      return `${nameOf(ev.target, "Target")} dodges ${nameOf(ev.source)}${viaSuffix(ev.via, "attack")}!`;
+    case "block":
+      return `${nameOf(ev.target, "Target")} blocks ${nameOf(ev.source)}${viaSuffix(ev.via, "attack")}.`;
+    case "heal":
+      if (ev.via?.kind === "item") return `Restored ${ev.amount} HP.${hpSuffix(ev)}`;
+      if (ev.via?.kind === "status") return `${nameOf(ev.target, "Target")} regenerates ${ev.amount} HP.${hpSuffix(ev)}`;
+      if (ev.via?.kind === "lifesteal") return `${nameOf(ev.source)} drains ${ev.amount} HP.${hpSuffix(ev)}`;
+      return `${nameOf(ev.source)} casts ${ev.via?.name || ev.via?.id || "a spell"} and heals ${ev.amount}.${hpSuffix(ev)}`;
+    case "mana":
+      return `Recovered ${ev.amount} MP. (MP ${ev.mp}/${ev.maxMP})`;
+    case "mp_spent":
+      return `${nameOf(ev.source)} spends ${ev.amount} MP (MP ${ev.mp}/${ev.maxMP}).`;
+    case "item_used":
+      return `${nameOf(ev.source)} uses ${ev.name || ev.itemId}.`;
+    case "defend":
+      return ev.mp > 0
+        ? `${nameOf(ev.source, "You")} takes a defensive stance and recovers ${ev.mp} MP.`
+        : `${nameOf(ev.source, "You")} takes a defensive stance.`;
+    case "wait":
+      return `${nameOf(ev.source, "You")} waits for an opening.`;
+    case "flee_failed":
+      return `${nameOf(ev.source, "You")} tried to flee but couldn't get away!`;
+    case "status_applied": {
+      const stackTxt = ev.stacks > 1 ? ` ×${ev.stacks}` : "";
+      return `${nameOf(ev.target, "Target")} is affected by ${ev.status}${stackTxt} (${ev.turns} turns).`;
+    }
+    case "status_expired":
+      if (ev.broken) return `${ev.status} on ${nameOf(ev.target, "Target")} breaks.`;
+      return `${ev.status} on ${nameOf(ev.target, "Target")} wore off.`;
+    case "status_resisted":
+      return ev.reason === "immune"
+        ? `${nameOf(ev.target, "Target")} is immune to ${ev.status}.`
+        : `${nameOf(ev.target, "Target")} resists ${ev.status}.`;
+    case "status_removed":
+      return `${ev.by ? `${ev.by} removes` : "Removed"} ${ev.statuses.join(", ")} from ${nameOf(ev.target, "Target")}.`;
+    case "reaction": {
+      const bonus = ev.bonusMult > 0 ? ` (+${Math.round(ev.bonusMult * 100)}% damage)` : "";
+      return `${ev.name}! ${nameOf(ev.source)}'s ${ev.element} reacts with ${ev.statuses.join(", ")} on ${nameOf(ev.target, "Target")}${bonus}.`;
+    }
+    case "stunned":
+      return `${nameOf(ev.target, "Target")} is stunned and cannot act!`;
+    case "summon": {
+      const names = (ev.summoned || []).map(r => r.name || r.id).join(", ");
+      return `${nameOf(ev.source, "An entity")} summons ${ev.count} × ${names}!`;
+    }
+    case "death":
+      if (ev.target?.side === "player" && ev.cause) return `${nameOf(ev.target, "You")} succumbed to ${ev.cause}...`;
+      return `${nameOf(ev.target, "Target")} falls!`;
+    case "exp":
+      return `Gained ${ev.amount} EXP.`;
+    case "level_up":
+      return `Level Up! You are now level ${ev.level}.`;
+    case "loot":
+      return `${nameOf(ev.source, "Enemy")} dropped ${ev.qty} × ${ev.name || ev.itemId}.`;
+    case "battle_end":
+      if (ev.result === "win") return ev.mutual ? "Both sides fall — you prevail!" : "Victory!";
+      if (ev.result === "fled") return "You fled from battle.";
+      return "Defeat...";
+    case "turn":
+      if (ev.unit === "ally") return `${nameOf(ev.source, "Your ally")}'s turn.`;
+      return ev.unit === "player" ? "Your turn." : null;
+    case "allocate":
+      return `Allocated +1 ${ev.stat}.`;
+    case "phase":
+      return `${nameOf(ev.source, "The boss")} enters ${ev.name || "a new phase"}!`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render a list of events into log lines (skips silent events).
+ */
+export function renderEventLog(events, tail = LOG_TAIL) {
+  if (!Array.isArray(events)) return [];
+  const lines = [];
+  for (const ev of events) {
+    const line = formatEvent(ev);
+    if (line) lines.push(line);
+  }
+  return tail ? lines.slice(-tail) : lines;
+}
+
+/**
+ * Events newer than a given seq (UI diffing, e.g. floating damage numbers).
+ */
+export function eventsSince(state, seq = 0) {
+  const list = Array.isArray(state?.events) ? state.events : [];
+  return list.filter(ev => (Number(ev.seq) || 0) > seq);
+}
+
+/**
+ * Most recent damage event that hit the referenced entity (or null).
+ */
+export function lastDamageTo(state, ref) {
+  const list = Array.isArray(state?.events) ? state.events : [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    const ev = list[i];
+    if (ev.type !== "damage" || !ev.target) continue;
+    if (ev.target.side !== ref?.side || ev.target.id !== ref?.id) continue;
+    if (ref.index != null && ev.target.index != null && ev.target.index !== ref.index) continue;
+    return ev;
+  }
+  return null;
+}
+
+/**
+ * Shorthand for the most common event. info:
+ * { amount, damageType, element, crit, critMult, mult, blocked, guarded, reaction,
+ *   via: { kind, id, name, aoe } }
+ * Call after target.hp has been updated so the event carries the new HP.
+ */
+export function logDamage(state, source, target, info = {}) {
+  const damageType = info.damageType === "magical" ? "magical" : "physical";
+  return logEvent(state, {
+    type: "damage",
+    source: entityRef(state, source),
+    target: entityRef(state, target),
+    amount: Number(info.amount) || 0,
+    damageType,
+    element: info.element !== undefined ? info.element : damageType,
+    crit: !!info.crit,
+    critMult: info.crit ? info.critMult : null,
+    mult: info.mult ?? 1,
+    hp: target?.hp,
+    maxHP: target?.maxHP,
+    via: info.via || { kind: "attack" },
+    blocked: !!info.blocked,
+    guarded: !!info.guarded,
+    reaction: info.reaction || null,
+    absorbed: Number(info.absorbed) || 0,
+  });
+}
+
+/**
+ * Log a miss / dodge / block from an attack roll (rollAttackOutcome).
+ * Plain hits log nothing here; their damage event follows.
+ */
+export function logHitOutcome(state, source, target, outcome, via = null) {
+  if (outcome !== "miss" && outcome !== "dodge" && outcome !== "block") return null;
+  return logEvent(state, {
+    type: outcome,
+    source: entityRef(state, source),
+    target: entityRef(state, target),
+    via: via || { kind: "attack" },
+  });
+}
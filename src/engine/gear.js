@@ -0,0 +1,238 @@
+// src/engine/gear.js
+// ------------------------------------------------------
+// Rolled equipment instances (db/affixes.json).
+// items.json only describes base gear ("iron-sword"). A
+// dropped piece of equipment is rolled into an instance
+// with a rarity tier and affixes drawn from the pools of
+// its slot. The instance id ("iron-sword#k3f9qa") is what
+// sits in the inventory (qty 1) and in `equipped`; the
+// instance itself lives in progress.gear[id].
+//
+// Instance: { id, baseId, rarity, affixes: [{ id, kind, key?, value }] }
+// Affix kinds, folded into the resolved item spec:
+//   stat       bonus.stats[key] += value   (STR, DEX, CRIT, ...)
+//   derived    bonus[key] += value         (atk, def, maxHP, ...)
+//   element    passive { on: "deal", element: key, pct: value }
+//   lifesteal  bonus.lifesteal += value    (% of damage dealt healed)
+//   luck       bonus.luck += value         (% better drop odds, engine/loot.js)
+//
+// Plain catalog ids keep working everywhere: resolveItem
+// returns the catalog entry for them.
+// ------------------------------------------------------
+
+import itemsCatalog from "../db/items.json";
+import affixesDb from "../db/affixes.json";
+
+export const DEFAULT_RARITY = "common";
+
+const RARITIES = affixesDb?.rarities || {};
+const AFFIXES = affixesDb?.affixes || {};
+
+// ============================================================
+// Lookups
+// ============================================================
+
+export function getRarity(id) {
+  const key = RARITIES[id] ? id : DEFAULT_RARITY;
+  return { id: key, ...RARITIES[key] };
+}
+
+/**
+ * Every rarity tier, lowest first.
+ */
+export function listRarities() {
+  return Object.keys(RARITIES)
+    .map(getRarity)
+    .sort((a, b) => (Number(a.rank) || 0) - (Number(b.rank) || 0));
+}
+
+export function isKnownRarity(id) {
+  return !!RARITIES[id];
+}
+
+export function isGearInstanceId(id) {
+  return typeof id === "string" && id.indexOf("#") > 0;
+}
+
+/**
+ * Catalog id behind an item id ("iron-sword#k3f9qa" -> "iron-sword").
+ */
+export function baseItemId(id) {
+  return isGearInstanceId(id) ? id.slice(0, id.indexOf("#")) : id;
+}
+
+/**
+ * Display line for a rolled affix ("+3 STR", "4% lifesteal").
+ */
+export function describeAffix(affix) {
+  const def = AFFIXES[affix?.id];
+  const label = def?.label || `+{value} ${affix?.key || affix?.id || "?"}`;
+  return label.replace("{value}", String(affix?.value ?? 0));
+}
+
+// ============================================================
+// Rolling
+// ============================================================
+
+function pickWeighted(entries, rand) {
+  const total = entries.reduce((sum, e) => sum + Math.max(0, Number(e.weight) || 0), 0);
+  if (total <= 0) return entries[0] || null;
+  let roll = rand() * total;
+  for (const e of entries) {
+    roll -= Math.max(0, Number(e.weight) || 0);
+    if (roll < 0) return e;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Affixes that can roll on a base item (matched by slot).
+ */
+export function affixPoolFor(baseId) {
+  const slot = itemsCatalog[baseId]?.slot || "accessory";
+  return Object.entries(AFFIXES)
+    .filter(([, a]) => !Array.isArray(a.slots) || a.slots.includes(slot))
+    .map(([id, a]) => ({ id, ...a }));
+}
+
+/**
+ * True for catalog ids that drop as rolled instances.
+ */
+export function canRollGear(baseId) {
+  return itemsCatalog[baseId]?.kind === "equipment";
+}
+
+/**
+ * Roll an instance of a base equipment item.
+ * rand is a () => [0, 1) source (the battle RNG inside battles, so
+ * replays roll the same gear). opts.rarity forces a tier.
+ * Returns the instance, or null when baseId isn't equipment.
+ */
+export function rollGearInstance(baseId, rand = Math.random, opts = {}) {
+  if (!canRollGear(baseId)) return null;
+
+  const rarity = isKnownRarity(opts.rarity)
+    ? opts.rarity
+    : pickWeighted(listRarities(), rand)?.id || DEFAULT_RARITY;
+  const tier = getRarity(rarity);
+
+  const pool = affixPoolFor(baseId);
+  const count = Math.min(Math.max(0, Number(tier.affixes) || 0), pool.length);
+  const affixes = [];
+
+  // no affix twice on one item
+  while (affixes.length < count) {
+    const def = pickWeighted(pool, rand);
+    pool.splice(pool.indexOf(def), 1);
+
+    const min = Number(def.min) || 0;
+    const max = Math.max(min, Number(def.max) || 0);
+    const raw = min + Math.floor(rand() * (max - min + 1));
+    const value = Math.max(1, Math.round(raw * (Number(tier.valueMult) || 1)));
+
+    affixes.push(def.key ? { id: def.id, kind: def.kind, key: def.key, value } : { id: def.id, kind: def.kind, value });
+  }
+
+  const tag = Math.floor(rand() * 36 ** 6).toString(36).padStart(6, "0");
+  return { id: `${baseId}#${tag}`, baseId, rarity, affixes };
+}
+
+// ============================================================
+// Resolving
+// ============================================================
+
+/**
+ * Item spec for an inventory / equipped id. Catalog ids return the catalog
+ * entry; instance ids return the base spec with the instance's affixes folded
+ * into bonus / passives, plus { baseId, rarity, affixes }. An instance missing
+ * from `gear` resolves as a common copy of its base item.
+ */
+export function resolveItem(id, gear = null) {
+  if (!id) return null;
+  if (!isGearInstanceId(id)) return itemsCatalog[id] || null;
+
+  const inst = gear?.[id] || null;
+  const base = itemsCatalog[inst?.baseId || baseItemId(id)];
+  if (!base) return null;
+
+  const affixes = Array.isArray(inst?.affixes) ? inst.affixes : [];
+  const bonus = { ...(base.bonus || {}), stats: { ...(base.bonus?.stats || {}) } };
+  const passives = [...(base.passives || [])];
+
+  for (const a of affixes) {
+    const value = Number(a?.value) || 0;
+    if (!value) continue;
+    switch (a.kind) {
+      case "stat":
+        bonus.stats[a.key] = (Number(bonus.stats[a.key]) || 0) + value;
+        break;
+      case "derived":
+        bonus[a.key] = (Number(bonus[a.key]) || 0) + value;
+        break;
+      case "element":
+        passives.push({ on: "deal", element: a.key, pct: value });
+        break;
+      case "lifesteal":
+      case "luck":
+        bonus[a.kind] = (Number(bonus[a.kind]) || 0) + value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    ...base,
+    id,
+    baseId: base.id,
+    rarity: getRarity(inst?.rarity).id,
+    affixes,
+    bonus,
+    passives,
+  };
+}
+
+/**
+ * The instances among `ids` (e.g. Object.values(equipped)), as a gear map.
+ */
+export function pickGear(gear, ids) {
+  const out = {};
+  for (const id of ids || []) {
+    if (isGearInstanceId(id) && gear?.[id]) out[id] = gear[id];
+  }
+  return out;
+}
+
+/**
+ * Sum of one bonus field over a unit's equipped items (ent.gear holds its
+ * instances). Works on saved progress too ({ equipped, gear }).
+ */
+export function equippedBonus(ent, key) {
+  let total = 0;
+  for (const id of Object.values(ent?.equipped || {})) {
+    total += Number(resolveItem(id, ent?.gear)?.bonus?.[key]) || 0;
+  }
+  return total;
+}
+
+/**
+ * Lifesteal % of a unit's equipped gear.
+ */
+export function equippedLifesteal(ent) {
+  return equippedBonus(ent, "lifesteal");
+}
+
+/**
+ * Luck % of a unit's equipped gear (drop odds, engine/loot.js).
+ */
+export function equippedLuck(ent) {
+  return equippedBonus(ent, "luck");
+}
+
+/**
+ * Price multiplier of a resolved item (1 for catalog items).
+ */
+export function rarityPriceMult(spec) {
+  if (!spec?.rarity) return 1;
+  return Number(getRarity(spec.rarity).priceMult) || 1;
+}
@@ -0,0 +1,182 @@
+// src/engine/initiative.js
+// ------------------------------------------------------
+// Speed-based initiative.
+// Every unit waits TURN_GAUGE / speed ticks between turns;
+// the unit with the earliest `next` tick acts next (ties:
+// player first, then allies, then enemies, in array order).
+// A unit twice as fast as another gets two turns for each
+// of its turns.
+//
+// state.initiative = {
+//   time,                       // tick of the turn in progress
+//   next:  { [key]: tick },     // key = "player" | ally/enemy _uid
+//   speed: { [key]: speed },    // speed the wait was computed with
+// }
+// When a unit's speed changes (haste / slow / DEX debuff)
+// its remaining wait is rescaled, so the queue reorders
+// immediately instead of on the unit's next turn.
+// ------------------------------------------------------
+
+export const BASE_SPEED = 10;
+export const TURN_GAUGE = 1000;
+
+// haste / slow without a value
+const DEFAULT_HASTE = 0.5;
+const DEFAULT_SLOW = 0.5;
+
+function listEnemies(state) {
+  if (Array.isArray(state?.enemies) && state.enemies.length > 0) return state.enemies;
+  if (state?.enemy) return [state.enemy];
+  return [];
+}
+
+function listAllies(state) {
+  return Array.isArray(state?.allies) ? state.allies : [];
+}
+
+function listUnits(state) {
+  return [...listAllies(state), ...listEnemies(state)];
+}
+
+export function speedOf(ent) {
+  const n = Number(ent?.speed);
+  return Number.isFinite(n) && n > 0 ? n : BASE_SPEED;
+}
+
+function waitFor(speed) {
+  return Math.max(1, Math.round(TURN_GAUGE / Math.max(1, speed)));
+}
+
+/**
+ * Multiplier from haste / slow statuses (value = fraction, e.g. 0.5 = ±50%).
+ */
+export function speedMultiplier(statuses = []) {
+  let mult = 1;
+  for (const s of statuses || []) {
+    if (!s || s.turnsLeft <= 0) continue;
+    const v = Number(s.value);
+    if (s.type === "haste") mult *= 1 + (Number.isFinite(v) && v > 0 ? v : DEFAULT_HASTE);
+    if (s.type === "slow") mult *= Math.max(0.1, 1 - (Number.isFinite(v) && v > 0 ? v : DEFAULT_SLOW));
+  }
+  return mult;
+}
+
+/**
+ * Give every ally / enemy a stable per-battle key (array indices shift when units die).
+ */
+export function assignUnitKeys(state) {
+  for (const en of listUnits(state)) {
+    if (en && !en._uid) {
+      state._uidSeq = (Number(state._uidSeq) || 0) + 1;
+      en._uid = `u${state._uidSeq}`;
+    }
+  }
+}
+
+export function unitKeyOf(state, ent) {
+  if (!ent) return null;
+  return ent === state.player ? "player" : ent._uid || null;
+}
+
+/**
+ * Create / refresh state.initiative (mutates): new units (summons) are queued one
+ * wait after the current tick, dead ones are dropped, speed changes rescale waits.
+ * A fresh battle queues everyone one wait after tick 0, so faster units open.
+ */
+export function syncInitiative(state) {
+  if (!state || !state.player) return null;
+  assignUnitKeys(state);
+
+  // always a fresh object: prepareNextState copies states shallowly
+  const prev = state.initiative && typeof state.initiative === "object" ? state.initiative : {};
+  const init = { time: Number(prev.time) || 0, next: { ...(prev.next || {}) }, speed: { ...(prev.speed || {}) } };
+  const now = init.time;
+
+  const live = new Map();
+  if ((state.player.hp || 0) > 0) live.set("player", state.player);
+  for (const en of listUnits(state)) {
+    if (en && (en.hp || 0) > 0) live.set(en._uid, en);
+  }
+
+  for (const key of Object.keys(init.next)) {
+    if (!live.has(key)) {
+      delete init.next[key];
+      delete init.speed[key];
+    }
+  }
+
+  for (const [key, ent] of live) {
+    const speed = speedOf(ent);
+    if (!Number.isFinite(Number(init.next[key]))) {
+      init.next[key] = now + waitFor(speed);
+    } else if (init.speed[key] && init.speed[key] !== speed) {
+      const remaining = Math.max(0, init.next[key] - now);
+      init.next[key] = now + Math.round(remaining * (init.speed[key] / speed));
+    }
+    init.speed[key] = speed;
+  }
+
+  state.initiative = init;
+  return init;
+}
+
+function orderedKeys(state) {
+  return ["player", ...listUnits(state).map(en => en?._uid).filter(Boolean)];
+}
+
+function sideOf(state, key) {
+  if (key === "player") return { side: "player", index: null };
+  const allyIndex = listAllies(state).findIndex(a => a?._uid === key);
+  if (allyIndex >= 0) return { side: "ally", index: allyIndex };
+  return { side: "enemy", index: listEnemies(state).findIndex(en => en?._uid === key) };
+}
+
+/**
+ * Who acts next: { key, side, index, at }
+ * (side = "player" | "ally" | "enemy", index = position in state.allies / state.enemies).
+ */
+export function nextActor(state) {
+  const init = syncInitiative(state);
+  if (!init) return null;
+
+  let best = null;
+  for (const key of orderedKeys(state)) {
+    const at = init.next[key];
+    if (!Number.isFinite(at)) continue;
+    if (!best || at < best.at) best = { key, at };
+  }
+  if (!best) return null;
+
+  return { key: best.key, ...sideOf(state, best.key), at: best.at };
+}
+
+/**
+ * The unit `key` has taken its turn: move the clock to it and queue its next one.
+ */
+export function spendTurn(state, key) {
+  const init = syncInitiative(state);
+  if (!init || !Number.isFinite(init.next[key])) return;
+  init.time = init.next[key];
+  init.next[key] = init.time + waitFor(init.speed[key] || BASE_SPEED);
+}
+
+/**
+ * Upcoming turns (UI timeline), without touching the state:
+ * [{ key, side, index, name, at }]
+ */
+export function previewTurnOrder(state, count = 8) {
+  if (!state || !state.player || state.over) return [];
+  const copy = { ...state, enemies: listEnemies(state), allies: listAllies(state) };
+  // unkeyed units (old snapshots) would get keys assigned on the real state
+  if (listUnits(copy).some(en => en && !en._uid)) return [];
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const next = nextActor(copy);
+    if (!next) break;
+    const ent = next.side === "player" ? state.player : (next.side === "ally" ? copy.allies : copy.enemies)[next.index];
+    out.push({ ...next, name: next.side === "player" ? "You" : ent?.name || ent?.id || "Enemy" });
+    spendTurn(copy, next.key);
+  }
+  return out;
+}
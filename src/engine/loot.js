@@ -0,0 +1,193 @@
+// src/engine/loot.js
+// ------------------------------------------------------
+// Loot tables (db/lootTables.json), shared by enemy
+// drops, dungeon treasure rooms and dungeon clear rewards.
+//
+// Table:
+//   guaranteed  [entry]   always dropped
+//   entries     [entry]   each rolled on its own (entry.chance, default 1)
+//   rolls, pick [entry]   `rolls` weighted draws from pick (entry.weight);
+//                         an entry without id / table is an empty draw
+// Entry: { id, qty?, chance?, weight? } or { table, chance?, weight? }
+//   qty = n or [min, max]; a nested table is rolled once.
+//
+// Luck (% from equipment, see engine/gear.js) makes drops
+// likelier: chances become chance × (1 + luck / 100), capped
+// at 1, and empty draws in `pick` weigh less by the same
+// factor. Guaranteed entries don't care.
+//
+// Rolls take a rand () => [0, 1): the battle RNG for enemy
+// drops (replays drop the same loot), the run's tile RNG
+// in dungeons. Legacy `drops` lists ({ id, qty }) roll as
+// tables made of entries only, i.e. always.
+// ------------------------------------------------------
+
+import lootTablesDb from "../db/lootTables.json";
+
+// nested tables deeper than this are ignored (guards against cycles)
+const MAX_DEPTH = 6;
+
+// ============================================================
+// Lookups
+// ============================================================
+
+export function getLootTable(id) {
+  return (id && lootTablesDb?.[id]) || null;
+}
+
+/**
+ * Loot table of an enemy or dungeon spec: its `lootTable` id, with any
+ * inline `drops` entries rolled alongside it. null when it has neither.
+ */
+export function lootTableOf(spec) {
+  const drops = Array.isArray(spec?.drops) ? spec.drops.filter(d => d && (d.id || d.table)) : [];
+  const tableId = typeof spec?.lootTable === "string" ? spec.lootTable : null;
+  if (!tableId && drops.length === 0) return null;
+  if (tableId && drops.length === 0) return getLootTable(tableId);
+  return { entries: [...drops, ...(tableId ? [{ table: tableId }] : [])] };
+}
+
+function asTable(tableOrId) {
+  return typeof tableOrId === "string" ? getLootTable(tableOrId) : tableOrId || null;
+}
+
+function luckFactor(luck) {
+  return Math.max(0, 1 + (Number(luck) || 0) / 100);
+}
+
+function chanceOf(entry, luck) {
+  const chance = entry?.chance == null ? 1 : Math.max(0, Number(entry.chance) || 0);
+  return Math.min(1, chance * luckFactor(luck));
+}
+
+function qtyRange(entry) {
+  const q = entry?.qty;
+  if (Array.isArray(q)) {
+    const min = Math.max(0, Math.floor(Number(q[0]) || 0));
+    return [min, Math.max(min, Math.floor(Number(q[1]) || 0))];
+  }
+  const n = q == null ? 1 : Math.max(0, Math.floor(Number(q) || 0));
+  return [n, n];
+}
+
+function pickWeights(pick, luck) {
+  return pick.map(e => {
+    const w = Math.max(0, Number(e?.weight ?? 1) || 0);
+    return e && (e.id || e.table) ? w : w / luckFactor(luck);
+  });
+}
+
+// ============================================================
+// Rolling
+// ============================================================
+
+function addDrop(out, id, qty) {
+  if (!id || qty <= 0) return;
+  out[id] = (out[id] || 0) + qty;
+}
+
+function rollEntryInto(out, entry, rand, luck, depth) {
+  if (!entry) return;
+  if (entry.table) {
+    rollTableInto(out, asTable(entry.table), rand, luck, depth + 1);
+    return;
+  }
+  const [min, max] = qtyRange(entry);
+  addDrop(out, entry.id, min + Math.floor(rand() * (max - min + 1)));
+}
+
+function rollTableInto(out, table, rand, luck, depth) {
+  if (!table || depth > MAX_DEPTH) return;
+
+  for (const entry of table.guaranteed || []) rollEntryInto(out, entry, rand, luck, depth);
+
+  for (const entry of table.entries || []) {
+    const chance = chanceOf(entry, luck);
+    if (chance <= 0) continue;
+    if (chance >= 1 || rand() < chance) rollEntryInto(out, entry, rand, luck, depth);
+  }
+
+  const pick = Array.isArray(table.pick) ? table.pick : [];
+  const rolls = Math.max(0, Math.floor(Number(table.rolls ?? 1) || 0));
+  if (pick.length === 0 || rolls === 0) return;
+
+  const weights = pickWeights(pick, luck);
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) return;
+
+  for (let r = 0; r < rolls; r++) {
+    let roll = rand() * total;
+    let chosen = pick[pick.length - 1];
+    for (let i = 0; i < pick.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) { chosen = pick[i]; break; }
+    }
+    rollEntryInto(out, chosen, rand, luck, depth);
+  }
+}
+
+/**
+ * Roll a loot table (object or id). opts.luck in %, opts.times rolls it
+ * that many times. Returns [{ id, qty }] with repeats merged.
+ */
+export function rollLoot(tableOrId, rand = Math.random, opts = {}) {
+  const table = asTable(tableOrId);
+  if (!table) return [];
+
+  const out = {};
+  const times = Math.max(1, Math.floor(Number(opts.times) || 1));
+  for (let i = 0; i < times; i++) rollTableInto(out, table, rand, opts.luck, 0);
+  return Object.entries(out).map(([id, qty]) => ({ id, qty }));
+}
+
+// ============================================================
+// Odds (inspector)
+// ============================================================
+
+function addOdds(out, id, p, range) {
+  if (!id || p <= 0) return;
+  const cur = out[id];
+  if (!cur) {
+    out[id] = { id, chance: p, min: range[0], max: range[1] };
+    return;
+  }
+  // independent sources: chance of at least one of them
+  cur.chance = 1 - (1 - cur.chance) * (1 - p);
+  cur.min = Math.min(cur.min, range[0]);
+  cur.max = Math.max(cur.max, range[1]);
+}
+
+function oddsOfEntry(out, entry, p, luck, depth) {
+  if (!entry || p <= 0) return;
+  if (entry.table) oddsOfTable(out, asTable(entry.table), p, luck, depth + 1);
+  else addOdds(out, entry.id, p, qtyRange(entry));
+}
+
+function oddsOfTable(out, table, p, luck, depth) {
+  if (!table || depth > MAX_DEPTH) return;
+
+  for (const entry of table.guaranteed || []) oddsOfEntry(out, entry, p, luck, depth);
+  for (const entry of table.entries || []) oddsOfEntry(out, entry, p * chanceOf(entry, luck), luck, depth);
+
+  const pick = Array.isArray(table.pick) ? table.pick : [];
+  const rolls = Math.max(0, Math.floor(Number(table.rolls ?? 1) || 0));
+  const weights = pickWeights(pick, luck);
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (rolls === 0 || total <= 0) return;
+
+  pick.forEach((entry, i) => {
+    // chance the entry comes up at least once in `rolls` draws
+    const once = 1 - Math.pow(1 - weights[i] / total, rolls);
+    oddsOfEntry(out, entry, p * once, luck, depth);
+  });
+}
+
+/**
+ * Chance of each item dropping at least once from a table (object or id):
+ * [{ id, chance, min, max }], likeliest first. Quantities are per draw.
+ */
+export function lootOdds(tableOrId, opts = {}) {
+  const out = {};
+  oddsOfTable(out, asTable(tableOrId), 1, opts.luck, 0);
+  return Object.values(out).sort((a, b) => b.chance - a.chance);
+}
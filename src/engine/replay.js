@@ -0,0 +1,254 @@
+// src/engine/replay.js
+// ------------------------------------------------------
+// Battle replays: record the starting state + every
+// action, then re-run them through the engine.
+// Works because all battle randomness comes from the
+// seeded state.rng cursor (see rng.js).
+//
+// Replay JSON shape (compact):
+//   {
+//     v: 1,
+//     seed,
+//     createdAt,
+//     meta: { enemyIds, dungeonLevel },
+//     initial: { ...battle state without functions },
+//     steps: [ ["atk", t], ["cast", spellId, t], ["item", itemId, t], ["enemy"],
+//              ["defend"], ["wait"], ["flee"],
+//              ["ally-atk", t], ["ally-cast", spellId, t] ]   // commanded allies
+//   }
+// ------------------------------------------------------
+
+import {
+  playerAttack,
+  playerCast,
+  playerUseItem,
+  playerDefend,
+  playerWait,
+  playerFlee,
+  enemyAct,
+  allyAttack,
+  allyCast,
+  deriveFromStats,
+  applyEquipmentToDerived,
+} from "./engine.js";
+
+export const REPLAY_VERSION = 1;
+
+const STEP_KINDS = new Set(["atk", "cast", "item", "defend", "wait", "flee", "enemy", "ally-atk", "ally-cast"]);
+
+// ============================================================
+// Serialization helpers
+// ============================================================
+
+// strips functions (deriveFromStats etc.) and shares nothing with the live state
+function serializeBattleState(state) {
+  try {
+    return JSON.parse(JSON.stringify(state || {}));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Turn a serialized battle state back into something the engine accepts
+ * (re-attaches the derive helpers statuses.js expects on state).
+ */
+export function hydrateBattleState(raw) {
+  const state = serializeBattleState(raw);
+  state.deriveFromStats = deriveFromStats;
+  state.applyEquipmentToDerived = applyEquipmentToDerived;
+  state.log = Array.isArray(state.log) ? state.log : [];
+  return state;
+}
+
+function normalizeTarget(t) {
+  return Number.isFinite(Number(t)) ? Number(t) : null;
+}
+
+// ============================================================
+// Recorder
+// ============================================================
+
+/**
+ * Begin a replay from a freshly started battle state.
+ * meta: { enemyIds, dungeonLevel } (informational only)
+ */
+export function beginReplay(initialState, meta = {}) {
+  const initial = serializeBattleState(initialState);
+  return {
+    v: REPLAY_VERSION,
+    seed: initial.seed ?? initial.rng?.seed ?? null,
+    createdAt: Date.now(),
+    meta: {
+      enemyIds: Array.isArray(meta.enemyIds) ? meta.enemyIds.slice() : [],
+      dungeonLevel: Number.isFinite(Number(meta.dungeonLevel)) ? Number(meta.dungeonLevel) : null,
+    },
+    initial,
+    steps: [],
+  };
+}
+
+/**
+ * Append a step (returns a new replay object; does not mutate).
+ */
+export function recordStep(replay, step) {
+  if (!replay || !Array.isArray(step) || !STEP_KINDS.has(step[0])) return replay;
+  return { ...replay, steps: [...(replay.steps || []), step.slice()] };
+}
+
+export function attackStep(targetIndex = null) {
+  return ["atk", normalizeTarget(targetIndex)];
+}
+
+export function castStep(spellId, targetIndex = null) {
+  return ["cast", String(spellId), normalizeTarget(targetIndex)];
+}
+
+export function itemStep(itemId, targetIndex = null) {
+  return ["item", String(itemId), normalizeTarget(targetIndex)];
+}
+
+export function defendStep() {
+  return ["defend"];
+}
+
+export function waitStep() {
+  return ["wait"];
+}
+
+export function fleeStep() {
+  return ["flee"];
+}
+
+export function enemyStep() {
+  return ["enemy"];
+}
+
+export function allyAttackStep(targetIndex = null) {
+  return ["ally-atk", normalizeTarget(targetIndex)];
+}
+
+export function allyCastStep(spellId, targetIndex = null) {
+  return ["ally-cast", String(spellId), normalizeTarget(targetIndex)];
+}
+
+// ============================================================
+// Export / import
+// ============================================================
+
+export function exportReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse + validate replay JSON (string or object). Returns null when invalid.
+ */
+export function parseReplay(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!data || typeof data !== "object") return null;
+  if (Number(data.v) !== REPLAY_VERSION) return null;
+  if (!data.initial || typeof data.initial !== "object" || !data.initial.player) return null;
+
+  const steps = Array.isArray(data.steps)
+    ? data.steps.filter(s => Array.isArray(s) && STEP_KINDS.has(s[0]))
+    : [];
+
+  return { ...data, steps };
+}
+
+// ============================================================
+// Player
+// ============================================================
+
+/**
+ * Run a single recorded step against a state (engine functions are pure).
+ */
+export function applyReplayStep(state, step) {
+  if (!state || !Array.isArray(step)) return state;
+
+  let next;
+  switch (step[0]) {
+    case "atk":
+      next = playerAttack(state, step[1]);
+      break;
+    case "cast":
+      next = playerCast(state, step[1], step[2]);
+      break;
+    case "item":
+      next = playerUseItem(state, step[1], step[2]);
+      break;
+    case "defend":
+      next = playerDefend(state);
+      break;
+    case "wait":
+      next = playerWait(state);
+      break;
+    case "flee":
+      next = playerFlee(state);
+      break;
+    case "enemy":
+      next = enemyAct(state);
+      break;
+    case "ally-atk":
+      next = allyAttack(state, step[1]);
+      break;
+    case "ally-cast":
+      next = allyCast(state, step[1], step[2]);
+      break;
+    default:
+      next = state;
+  }
+  return next || state;
+}
+
+/**
+ * Re-run a whole replay. Returns [initialState, afterStep1, afterStep2, ...]
+ * so a viewer can scrub to any index.
+ * States are flagged _replay; their queued effects (effects.js) are never committed.
+ */
+export function replayToStates(replay) {
+  const parsed = parseReplay(replay);
+  if (!parsed) return [];
+
+  let state = hydrateBattleState(parsed.initial);
+  state._replay = true;
+
+  const states = [state];
+  for (const step of parsed.steps) {
+    try {
+      state = applyReplayStep(state, step);
+    } catch (e) {
+      console.error("[replay] step failed", step, e);
+    }
+    states.push(state);
+  }
+  return states;
+}
+
+/**
+ * Human label for a step (viewer timeline).
+ */
+export function describeStep(step) {
+  if (!Array.isArray(step)) return "";
+  const target = (t) => (t == null ? "" : ` → #${t}`);
+  switch (step[0]) {
+    case "atk": return `Attack${target(step[1])}`;
+    case "cast": return `Cast ${step[1]}${target(step[2])}`;
+    case "item": return `Use ${step[1]}${target(step[2])}`;
+    case "defend": return "Defend";
+    case "wait": return "Wait";
+    case "flee": return "Flee";
+    case "enemy": return "Enemy turn";
+    case "ally-atk": return `Ally attack${target(step[1])}`;
+    case "ally-cast": return `Ally casts ${step[1]}${target(step[2])}`;
+    default: return String(step[0]);
+  }
+}
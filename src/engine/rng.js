@@ -0,0 +1,75 @@
+// src/engine/rng.js
+// ------------------------------------------------------
+// Seeded battle RNG. Battle state carries a small
+// serializable cursor ({ seed, calls }) instead of a
+// closure so it survives prepareNextState copies,
+// snapshots and JSON round-trips.
+// ------------------------------------------------------
+
+import { mulberry32 } from "../state/dungeonUtils.js";
+
+// mulberry32 advances its internal state by this constant per call
+const MULBERRY_STEP = 0x6D2B79F5;
+
+/**
+ * Pick a fresh 32-bit seed (used when a battle is started without one).
+ */
+export function makeBattleSeed() {
+  return (Math.floor(Math.random() * 0xffffffff) >>> 0);
+}
+
+/**
+ * Create a new RNG cursor for a seed.
+ */
+export function createBattleRng(seed = null) {
+  const n = Number(seed);
+  const resolved = seed != null && Number.isFinite(n) ? n : makeBattleSeed();
+  return { seed: resolved >>> 0, calls: 0 };
+}
+
+/**
+ * Copy an RNG cursor (so next states don't share it with prev).
+ */
+export function cloneBattleRng(rng) {
+  if (!rng || typeof rng !== "object") return null;
+  return { seed: Number(rng.seed) >>> 0, calls: Number(rng.calls) || 0 };
+}
+
+/**
+ * Draw the next float in [0, 1) from state.rng and advance it (mutates state.rng).
+ * States without an rng (old snapshots) get one lazily.
+ */
+export function nextRandom(state) {
+  if (!state) return Math.random();
+  if (!state.rng || typeof state.rng !== "object") state.rng = createBattleRng();
+
+  const rng = state.rng;
+  const calls = Number(rng.calls) || 0;
+
+  // mulberry32(seed) yields value #1 on its first call; starting it
+  // `calls` steps later yields value #(calls + 1) without replaying.
+  const start = ((Number(rng.seed) >>> 0) + Math.imul(calls, MULBERRY_STEP)) >>> 0;
+  const value = mulberry32(start)();
+
+  rng.calls = calls + 1;
+  return value;
+}
+
+/**
+ * Roll a probability (true with chance p).
+ */
+export function rollChance(state, p) {
+  const chance = Number(p) || 0;
+  // always advance the cursor so the sequence doesn't depend on p
+  const r = nextRandom(state);
+  return r < chance;
+}
+
+/**
+ * Random integer in [min, max] (inclusive).
+ */
+export function randomInt(state, min, max) {
+  const lo = Math.floor(Number(min) || 0);
+  const hi = Math.max(lo, Math.floor(Number(max) || 0));
+  return lo + Math.floor(nextRandom(state) * (hi - lo + 1));
+}
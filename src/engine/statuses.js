@@ -1,9 +1,39 @@
 // src/engine/statuses.js
 // -------------------------------------------------------
-// Status system (DOT, stun, buff, debuff) + derived recompute
+// Status system + derived recompute
+//
+// Types:
+//   dot, regen          damage / healing at the start of each turn
+//   stun                skip the turn
+//   silence             no spells (basic attacks only)
+//   buff, debuff        stat modifiers (stat + value)
+//   haste, slow         speed (see initiative.js)
+//   shield              absorbs `value` damage before HP, breaks when used up
+//   reflect             `value`% of each direct hit bounces back to the attacker
+//   taunt               enemy AI must aim at the taunting unit
+// Instant effects (never stored): cleanse (strips harmful
+// statuses), dispel (strips beneficial ones).
+//
+// Stacking (effect.stacking), per status id + stat:
+//   "refresh"  (default) new duration and value replace the old
+//   "stack"    one entry, `stacks` grows up to maxStacks (value × stacks)
+//   "strongest" the larger |value| is kept, a weaker one is ignored
+// Units may carry statusImmunities: ["stun", "poison"] (type
+// or id) and statusResist: { stun: 50 } (% chance to shrug
+// off a harmful status).
+// Statuses keep the `element` of the spell that applied them;
+// hits of another element can react with them (see
+// db/reactions.json and findReaction in damage.js).
+// buff / debuff with stat "damageDealt" / "damageTaken" (value
+// in %) are read by the damage pipeline (resolveDamage), not
+// by recomputeDerivedWithStatuses.
 // -------------------------------------------------------
 
-import { clampHP, clampMP } from "./damage.js";
+import { clampHP, clampMP, resolveDamage } from "./damage.js";
+import { nextRandom, rollChance } from "./rng.js";
+import { logEvent, logDamage, logHitOutcome, entityRef } from "./events.js";
+import { speedMultiplier, BASE_SPEED } from "./initiative.js";
+import { equippedLifesteal } from "./gear.js";
 
 /**
  * Ensure statuses + cooldown containers exist on an entity.
@@ -24,30 +54,337 @@ export function ensureRuntimeFieldsForEntity(ent) {
       mDef: Number(ent.mDef) || Number(ent.def) || 0,
       maxHP: Number(ent.maxHP) || 0,
       maxMP: Number(ent.maxMP) || 0,
+      speed: Number(ent.speed) || BASE_SPEED,
     };
   }
 }
 
+// status types cleanse / dispel / immunities act on, and how a re-applied status stacks
+export const HARMFUL_STATUS_TYPES = ["dot", "stun", "debuff", "slow", "silence"];
+export const BENEFICIAL_STATUS_TYPES = ["buff", "haste", "regen", "shield", "reflect", "taunt"];
+export const STACKING_POLICIES = ["refresh", "stack", "strongest"];
+
+export function isHarmfulStatus(st) {
+  return !!st && HARMFUL_STATUS_TYPES.includes(st.type);
+}
+
+/**
+ * Effective value of a status (stacks multiply it).
+ */
+export function statusValue(st) {
+  return (Number(st?.value) || 0) * Math.max(1, Number(st?.stacks) || 1);
+}
+
+export function hasStatusType(ent, type) {
+  return (ent?.statuses || []).some(s => s && s.type === type && s.turnsLeft > 0);
+}
+
+export function isSilenced(ent) {
+  return hasStatusType(ent, "silence");
+}
+
+/**
+ * Units among `units` currently taunting (enemy AI must pick one of them).
+ */
+export function tauntersAmong(units = []) {
+  return units.filter(u => u && (u.hp || 0) > 0 && hasStatusType(u, "taunt"));
+}
+
+function matchesStatusList(list, effect) {
+  return Array.isArray(list) && (list.includes(effect.type) || (!!effect.id && list.includes(effect.id)));
+}
+
+function resistChance(ent, effect) {
+  const table = ent?.statusResist;
+  if (!table || typeof table !== "object") return 0;
+  const pct = Math.max(Number(table[effect.id]) || 0, Number(table[effect.type]) || 0);
+  return Math.max(0, Math.min(100, pct)) / 100;
+}
+
+/**
+ * Strip statuses matching `pick` (cleanse / dispel). Logs one event per call.
+ */
+export function removeStatusesMut(state, ent, pick, by = null) {
+  if (!ent || !Array.isArray(ent.statuses)) return [];
+  const removed = ent.statuses.filter(s => s && pick(s));
+  if (!removed.length) return [];
+
+  ent.statuses = ent.statuses.filter(s => !removed.includes(s));
+  if (state) {
+    logEvent(state, {
+      type: "status_removed",
+      target: entityRef(state, ent),
+      statuses: removed.map(s => s.id),
+      by,
+    });
+  }
+  recomputeDerivedWithStatuses(ent, state);
+  return removed;
+}
+
 /**
  * Push a status onto an entity (mutates entity).
+ * Pass the battle state so generated ids draw from the battle rng.
  */
-export function pushStatusOntoEntity(ent, effect) {
+export function pushStatusOntoEntity(ent, effect, state = null) {
   if (!ent || !effect) return;
 
+  // instant effects
+  if (effect.type === "cleanse") {
+    removeStatusesMut(state, ent, isHarmfulStatus, effect.source || "cleanse");
+    return;
+  }
+  if (effect.type === "dispel") {
+    removeStatusesMut(state, ent, st => BENEFICIAL_STATUS_TYPES.includes(st.type), effect.source || "dispel");
+    return;
+  }
+
   const turns = Number(effect.turns) || Number(effect.turnsLeft) || 0;
   if (turns <= 0) return;
 
+  // immunities / resistances (harmful statuses only)
+  if (HARMFUL_STATUS_TYPES.includes(effect.type)) {
+    const immune = matchesStatusList(ent.statusImmunities, effect);
+    const chance = immune ? 0 : resistChance(ent, effect);
+    if (immune || (chance > 0 && rollChance(state, chance))) {
+      if (state) {
+        logEvent(state, {
+          type: "status_resisted",
+          target: entityRef(state, ent),
+          status: effect.id || effect.type,
+          statusType: effect.type,
+          reason: immune ? "immune" : "resist",
+        });
+      }
+      return;
+    }
+  }
+
   const copy = {
-    id: effect.id || effect.type || String(Math.random()).slice(2),
+    id: effect.id || effect.type || String(nextRandom(state)).slice(2),
     type: effect.type,
     value: effect.value,
     stat: effect.stat,
     turnsLeft: turns,
     source: effect.source || null,
+    element: effect.element || null,
   };
 
+  const policy = STACKING_POLICIES.includes(effect.stacking) ? effect.stacking : "refresh";
+  const maxStacks = Math.max(1, Number(effect.maxStacks) || 1);
+  if (policy === "stack") {
+    copy.stacks = 1;
+    copy.maxStacks = maxStacks;
+  }
+
   ent.statuses = ent.statuses || [];
-  ent.statuses.push(copy);
+  const existing = ent.statuses.find(s =>
+    s && s.id === copy.id && s.type === copy.type && (s.stat || null) === (copy.stat || null)
+  );
+
+  let stored = copy;
+  if (existing) {
+    if (policy === "stack") {
+      stored = { ...copy, stacks: Math.min(maxStacks, (Number(existing.stacks) || 1) + 1) };
+    } else if (policy === "strongest") {
+      const stronger = Math.abs(Number(copy.value) || 0) - Math.abs(Number(existing.value) || 0);
+      if (stronger < 0) return; // weaker version: ignored
+      if (stronger === 0) stored = { ...existing, turnsLeft: Math.max(existing.turnsLeft, turns) };
+    }
+    // fresh objects: statuses arrays are shared with earlier states
+    ent.statuses = ent.statuses.map(s => (s === existing ? stored : s));
+  } else {
+    ent.statuses.push(copy);
+  }
+
+  if (state) {
+    logEvent(state, {
+      type: "status_applied",
+      target: entityRef(state, ent),
+      status: stored.id,
+      statusType: stored.type,
+      stat: stored.stat || null,
+      value: stored.value ?? null,
+      stacks: stored.stacks || null,
+      refreshed: !!existing,
+      turns: stored.turnsLeft,
+      from: stored.source,
+    });
+  }
+}
+
+// ============================================================
+// Hits: shields, reflect
+// ============================================================
+
+/**
+ * Soak `amount` with the unit's shields (oldest first). Returns what got through.
+ */
+export function absorbWithShieldsMut(state, ent, amount) {
+  let left = Math.max(0, Number(amount) || 0);
+  if (!left || !hasStatusType(ent, "shield")) return { taken: left, absorbed: 0 };
+
+  let absorbed = 0;
+  const broken = [];
+  ent.statuses = ent.statuses.map(st => {
+    if (!left || !st || st.type !== "shield" || st.turnsLeft <= 0) return st;
+    const soak = Math.min(left, Math.max(0, Number(st.value) || 0));
+    left -= soak;
+    absorbed += soak;
+    const next = { ...st, value: (Number(st.value) || 0) - soak };
+    if (next.value <= 0) broken.push(next);
+    return next;
+  });
+
+  if (broken.length) {
+    ent.statuses = ent.statuses.filter(st => !broken.includes(st));
+    for (const st of broken) {
+      logEvent(state, { type: "status_expired", target: entityRef(state, ent), status: st.id, statusType: st.type, broken: true });
+    }
+  }
+
+  return { taken: left, absorbed };
+}
+
+/**
+ * A direct hit (attack / spell / item) from `source` on `target`:
+ * resolveDamage (damage.js) rolls it and runs the damage stages, a
+ * miss / dodge / block is logged, an elemental reaction is announced,
+ * shields soak their share, HP drops, the damage event is logged, the
+ * reaction's side effects run, then reflect bounces a share back at
+ * `source`.
+ * `spec` is a hit spec (attackDamageSpec / spellDamageSpec / itemDamageSpec).
+ * Returns the resolveDamage result + { dealt, reflected }
+ * (landed = false: nothing else happened).
+ */
+export function applyHitMut(state, source, target, spec = {}) {
+  const hit = resolveDamage(source, target, spec, state);
+  logHitOutcome(state, source, target, hit.outcome, spec.via);
+  if (!hit.landed) return { ...hit, dealt: 0, reflected: 0, reaction: null };
+
+  const found = hit.reaction;
+  if (found) {
+    logEvent(state, {
+      type: "reaction",
+      reaction: found.reaction.id,
+      name: found.reaction.name || found.reaction.id,
+      element: hit.element,
+      source: entityRef(state, source),
+      target: entityRef(state, target),
+      statuses: found.statuses.map(st => st.id),
+      bonusMult: Number(found.reaction.bonusMult) || 0,
+    });
+  }
+
+  // the shields stage only previewed the soak; break them for real here
+  const { absorbed } = absorbWithShieldsMut(state, target, hit.absorbed);
+  const taken = hit.amount;
+  const before = target.hp || 0;
+  target.hp = clampHP(before - taken, target.maxHP);
+
+  logDamage(state, source, target, {
+    amount: taken,
+    damageType: hit.damageType,
+    element: hit.element,
+    crit: hit.crit,
+    critMult: hit.critMult,
+    blocked: hit.blocked,
+    mult: hit.mult,
+    via: spec.via,
+    absorbed: absorbed || undefined,
+    guarded: hit.guarded,
+    reaction: found ? found.reaction.id : undefined,
+  });
+
+  if (found) resolveReactionMut(state, target, found);
+
+  let reflected = 0;
+  const mirror = (target.statuses || []).filter(st => st && st.type === "reflect" && st.turnsLeft > 0);
+  if (source && source !== target && taken > 0 && mirror.length && (source.hp || 0) > 0) {
+    const pct = mirror.reduce((sum, st) => sum + statusValue(st), 0);
+    reflected = Math.floor(taken * Math.min(100, pct) / 100);
+    if (reflected > 0) {
+      const srcBefore = source.hp || 0;
+      source.hp = clampHP(srcBefore - reflected, source.maxHP);
+      logDamage(state, target, source, {
+        amount: reflected,
+        damageType: hit.damageType,
+        via: { kind: "status", id: mirror[0].id, name: mirror[0].id, reflect: true },
+      });
+      // fallen allies are logged here; enemies / the player are settled by the engine
+      if (source._ally && srcBefore > 0 && source.hp <= 0) {
+        logEvent(state, { type: "death", target: entityRef(state, source), cause: mirror[0].id });
+      }
+    }
+  }
+
+  // lifesteal affixes on the attacker's gear heal a share of what landed
+  const leech = source && source !== target && taken > 0 ? equippedLifesteal(source) : 0;
+  if (leech > 0 && (source.hp || 0) > 0) {
+    const srcBefore = source.hp || 0;
+    source.hp = clampHP(srcBefore + Math.floor(taken * Math.min(100, leech) / 100), source.maxHP);
+    if (source.hp > srcBefore) {
+      logEvent(state, {
+        type: "heal",
+        source: entityRef(state, source),
+        target: entityRef(state, source),
+        amount: source.hp - srcBefore,
+        hp: source.hp,
+        maxHP: source.maxHP,
+        via: { kind: "lifesteal", id: "lifesteal", name: "Lifesteal" },
+      });
+    }
+  }
+
+  return { ...hit, absorbed, dealt: taken, reflected, reaction: found ? found.reaction.id : null };
+}
+
+/**
+ * Units next to `ent`: its neighbours in the enemy row, or on the
+ * player's side in the line player, ally 0, ally 1, ...
+ */
+export function adjacentUnits(state, ent) {
+  const enemies = Array.isArray(state?.enemies) ? state.enemies : [];
+  const line = enemies.includes(ent) ? enemies : [state?.player, ...(state?.allies || [])];
+  const i = line.indexOf(ent);
+  if (i < 0) return [];
+  return [line[i - 1], line[i + 1]].filter(u => u && (u.hp || 0) > 0);
+}
+
+/**
+ * Side effects of a reaction whose hit just landed (mutates):
+ * spread copies the trigger statuses onto the target's neighbours,
+ * consume strips them from the target, effects go onto the target.
+ */
+function resolveReactionMut(state, target, { reaction, statuses }) {
+  const by = reaction.name || reaction.id;
+
+  if (reaction.spread) {
+    for (const unit of adjacentUnits(state, target)) {
+      for (const st of statuses) {
+        pushStatusOntoEntity(unit, {
+          id: st.id,
+          type: st.type,
+          value: st.value,
+          stat: st.stat,
+          turns: st.turnsLeft,
+          element: st.element,
+          source: reaction.id,
+        }, state);
+      }
+      recomputeDerivedWithStatuses(unit, state);
+    }
+  }
+
+  if (reaction.consume) {
+    removeStatusesMut(state, target, st => statuses.some(t => t.id === st.id && t.type === st.type), by);
+  }
+
+  for (const eff of reaction.effects || []) {
+    if ((target.hp || 0) <= 0) break;
+    pushStatusOntoEntity(target, { ...eff, source: reaction.id, element: eff.element || reaction.element }, state);
+  }
+  if ((reaction.effects || []).length) recomputeDerivedWithStatuses(target, state);
 }
 
 /**
@@ -65,27 +402,30 @@ export function applyStartOfTurnStatuses(state, ent) {
   for (const st of ent.statuses || []) {
     if (!st || st.type !== "dot" || st.turnsLeft <= 0) continue;
 
-    const dmg = Number(st.value) || 0;
+    const dmg = statusValue(st);
     if (dmg > 0) {
       const before = ent.hp || 0;
       ent.hp = clampHP(before - dmg, ent.maxHP || before);
 
-      // safe log push
-      state.log = state.log || [];
-      state.log.push(
-        `${ent.name || ent.id || "Target"} suffers ${dmg} damage from ${st.id}. (${ent.hp}/${ent.maxHP})`
-      );
+      logDamage(state, null, ent, {
+        amount: dmg,
+        damageType: st.damageType,
+        element: st.element || null,
+        via: { kind: "status", id: st.id, name: st.id, from: st.source || null },
+      });
 
       if (before > 0 && ent.hp <= 0) {
         died = true;
-        if (isEnemy(ent)) {
+        if (ent._ally) {
+          // a fallen ally is out of the fight, the battle goes on
+          logEvent(state, { type: "death", target: entityRef(state, ent), cause: st.id });
+        } else if (isEnemy(ent)) {
           // mark pending enemy death for upstream handling
-          state._pendingEnemyDeath = state._pendingEnemyDeath || [];
-          state._pendingEnemyDeath.push(ent);
+          state._pendingEnemyDeath = [...(state._pendingEnemyDeath || []), ent];
         } else {
           state.over = true;
           state.result = "loss";
-          state.log.push(`${ent.name || "You"} succumbed to ${st.id}...`);
+          logEvent(state, { type: "death", target: entityRef(state, ent), cause: st.id });
         }
       }
     }
@@ -93,13 +433,30 @@ export function applyStartOfTurnStatuses(state, ent) {
 
   if (died) return { skipped: false, died: true };
 
+  // Regen (heal over time)
+  for (const st of ent.statuses || []) {
+    if (!st || st.type !== "regen" || st.turnsLeft <= 0) continue;
+
+    const before = ent.hp || 0;
+    ent.hp = clampHP(before + statusValue(st), ent.maxHP || before);
+    if (ent.hp > before) {
+      logEvent(state, {
+        type: "heal",
+        target: entityRef(state, ent),
+        amount: ent.hp - before,
+        hp: ent.hp,
+        maxHP: ent.maxHP,
+        via: { kind: "status", id: st.id, name: st.id },
+      });
+    }
+  }
+
   // Stun check
   const stunned = (ent.statuses || []).some(
     s => s && s.type === "stun" && s.turnsLeft > 0
   );
   if (stunned) {
-    state.log = state.log || [];
-    state.log.push(`${ent.name || ent.id || "Target"} is stunned and cannot act!`);
+    logEvent(state, { type: "stunned", target: entityRef(state, ent) });
     return { skipped: true, died: false };
   }
 
@@ -117,6 +474,11 @@ export function decayStatusesForEntity(state, ent) {
     s.turnsLeft = Math.max(0, (Number(s.turnsLeft) || 0) - 1);
   }
 
+  for (const s of ent.statuses) {
+    if (s.turnsLeft > 0) continue;
+    logEvent(state, { type: "status_expired", target: entityRef(state, ent), status: s.id, statusType: s.type });
+  }
+
   ent.statuses = ent.statuses.filter(s => s.turnsLeft > 0);
 
   // Recompute derived stats after buffs/debuffs change
@@ -126,7 +488,7 @@ export function decayStatusesForEntity(state, ent) {
 /**
  * Recompute combat values based on statuses.
  * - Player recalculates from stats + equip
- * - Enemy recalculates from _base
+ * - Enemy (and ally) recalculates from _base
  *
  * Supports modifiers that target:
  * - Base stats (STR/DEX/MAG/CON etc) by using the ent.stats path.
@@ -134,7 +496,7 @@ export function decayStatusesForEntity(state, ent) {
  *
  * The 'state' parameter is optional and, if provided, may contain helper functions:
  * - state.deriveFromStats(stats, level)
- * - state.applyEquipmentToDerived(derived, equipped)
+ * - state.applyEquipmentToDerived(derived, equipped, baseStats, gear)
  *
  * If those helpers aren't present we fall back to a local derive implementation.
  */
@@ -154,21 +516,24 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
     const maxMP = 5 + MAG * 5 + Math.floor(level / 2);
     const mAtk  = 2 + MAG * 2 + Math.floor(level / 2);
     const mDef  = 1 + Math.floor((MAG + CON) / 2);
+    const speed = 8 + Math.floor(DEX * 0.75);
+    const accuracy = DEX;
+    const evasion = Math.floor(DEX / 2);
 
-    return { atk, def, maxHP, maxMP, mAtk, mDef };
+    return { atk, def, maxHP, maxMP, mAtk, mDef, speed, accuracy, evasion, block: 0 };
   }
 
   // ---------- PLAYER TYPE ----------
   if (ent.stats) {
     // collect modifiers that target base stats (STR/DEX/MAG/CON etc) and derived fields separately
     const baseStatMods = {};   // e.g. { STR: +2, MAG: +3 }
-    const derivedMods = { atk: 0, def: 0, mAtk: 0, mDef: 0, maxHP: 0, maxMP: 0 };
+    const derivedMods = { atk: 0, def: 0, mAtk: 0, mDef: 0, maxHP: 0, maxMP: 0, speed: 0, accuracy: 0, evasion: 0, block: 0 };
 
     for (const s of ent.statuses || []) {
       if (!s || !(s.type === "buff" || s.type === "debuff") || !s.stat) continue;
 
       const raw = String(s.stat).trim();
-      const val = Number(s.value) || 0;
+      const val = statusValue(s);
       const up = raw.toUpperCase();
       const low = raw.toLowerCase();
 
@@ -188,6 +553,13 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
         mdef: "mDef",
         maxhp: "maxHP",
         maxmp: "maxMP",
+        speed: "speed",
+        spd: "speed",
+        accuracy: "accuracy",
+        acc: "accuracy",
+        evasion: "evasion",
+        eva: "evasion",
+        block: "block",
       };
 
       const mapped = map[low] || null;
@@ -231,7 +603,7 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
     const applyEquip = state && typeof state.applyEquipmentToDerived === "function" ? state.applyEquipmentToDerived : null;
     if (applyEquip) {
       try {
-        applied = applyEquip({ ...derived }, ent.equipped || {}, finalStats);
+        applied = applyEquip({ ...derived }, ent.equipped || {}, finalStats, ent.gear);
       } catch (e) {
         console.error("[recomputeDerivedWithStatuses] applyEquipmentToDerived threw:", e);
         applied = { ...derived };
@@ -249,16 +621,26 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
     applied.mDef = (applied.mDef || 0) + (derivedMods.mDef || 0);
     applied.maxHP= (applied.maxHP|| 0) + (derivedMods.maxHP|| 0);
     applied.maxMP= (applied.maxMP|| 0) + (derivedMods.maxMP|| 0);
+    applied.speed= (applied.speed|| BASE_SPEED) + (derivedMods.speed|| 0);
+    applied.accuracy = (applied.accuracy || 0) + (derivedMods.accuracy || 0);
+    applied.evasion  = (applied.evasion  || 0) + (derivedMods.evasion  || 0);
+    applied.block    = (applied.block    || 0) + (derivedMods.block    || 0);
 
     // Commit derived values back to entity (clamp hp/mp)
     ent.atk  = Number(applied.atk || 0);
     ent.def  = Number(applied.def || 0);
     ent.mAtk = Number(applied.mAtk || 0);
     ent.mDef = Number(applied.mDef || 0);
+    ent.accuracy = Math.max(0, Number(applied.accuracy || 0));
+    ent.evasion  = Math.max(0, Number(applied.evasion || 0));
+    ent.block    = Math.max(0, Number(applied.block || 0));
 
     ent.maxHP = Math.max(1, Number(applied.maxHP || 1));
     ent.maxMP = Math.max(0, Number(applied.maxMP || 0));
 
+    // haste / slow scale the final speed (see initiative.js)
+    ent.speed = Math.max(1, Math.round(applied.speed * speedMultiplier(ent.statuses)));
+
     // if hp/mp missing, default to max (first build). Otherwise clamp to new max.
     if (typeof ent.hp !== "number" || Number.isNaN(ent.hp)) ent.hp = ent.maxHP;
     else ent.hp = Math.min(ent.hp, ent.maxHP);
@@ -285,18 +667,19 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
     return;
   }
 
-  // ---------- ENEMY TYPE ----------
+  // ---------- ENEMY TYPE (allies too) ----------
   if (ent._base) {
     const base = { ...ent._base };
-    const mods = { atk: 0, def: 0, mAtk: 0, mDef: 0, maxHP: 0, maxMP: 0 };
+    const mods = { atk: 0, def: 0, mAtk: 0, mDef: 0, maxHP: 0, maxMP: 0, speed: 0, accuracy: 0, evasion: 0, block: 0, crit: 0 };
 
     for (const s of ent.statuses || []) {
       if (s.type !== "buff" && s.type !== "debuff") continue;
+      if (s.stat === "damageDealt" || s.stat === "damageTaken") continue;
 
       if (s.stat && mods.hasOwnProperty(s.stat)) {
-        mods[s.stat] += Number(s.value) || 0;
+        mods[s.stat] += statusValue(s);
       } else if (typeof s.value === "number") {
-        mods.atk += Number(s.value) || 0;
+        mods.atk += statusValue(s);
       }
     }
 
@@ -305,6 +688,11 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
     ent.mDef = Math.max(0, base.mDef + mods.mDef);
     ent.maxHP = Math.max(1, base.maxHP + mods.maxHP);
     ent.maxMP = Math.max(0, base.maxMP + mods.maxMP);
+    ent.accuracy = Math.max(0, (Number(base.accuracy) || 0) + mods.accuracy);
+    ent.evasion = Math.max(0, (Number(base.evasion) || 0) + mods.evasion);
+    ent.block = Math.max(0, (Number(base.block) || 0) + mods.block);
+    ent.crit = Math.max(0, (Number(base.crit) || 0) + mods.crit);
+    ent.speed = Math.max(1, Math.round(((base.speed || BASE_SPEED) + mods.speed) * speedMultiplier(ent.statuses)));
 
     if (typeof ent.hp !== "number" || Number.isNaN(ent.hp)) ent.hp = ent.maxHP;
     else ent.hp = Math.min(ent.hp, ent.maxHP);
@@ -316,8 +704,8 @@ export function recomputeDerivedWithStatuses(ent, state = null) {
 
 
 /**
- * Determine whether an object is an enemy.
+ * Determine whether an object is an enemy (allies share the enemy runtime shape).
  */
 export function isEnemy(obj) {
-  return obj && (obj._base || obj.expReward !== undefined || obj.drops !== undefined);
+  return obj && !obj._ally && (obj._base || obj.expReward !== undefined || obj.drops !== undefined);
 }
@@ -13,6 +13,8 @@ import {
   recomputeDerivedWithStatuses,
   isEnemy,
 } from "./statuses.js";
+import { logEvent } from "./events.js";
+import { getAllyByKey, pruneFallenAlliesMut } from "./allies.js";
 
 /**
  * Helper: get list of enemies from state (same as engine's logic)
@@ -50,6 +52,17 @@ function pruneDeadEnemiesMut(state) {
   const keep = state.enemies.filter(e => (e.hp || 0) > 0);
   state.enemies = keep;
   state.enemy = keep.length > 0 ? { ...keep[0] } : null;
+  pruneFallenAlliesMut(state);
+}
+
+/**
+ * Hand enemies queued by DOT deaths (state._pendingEnemyDeath) to the caller.
+ */
+function settlePendingEnemyDeathsMut(state, onEnemyDeath) {
+  const pending = Array.isArray(state._pendingEnemyDeath) ? state._pendingEnemyDeath : [];
+  if (pending.length === 0 || typeof onEnemyDeath !== "function") return;
+  state._pendingEnemyDeath = [];
+  for (const ent of pending) onEnemyDeath(state, ent);
 }
 
 /**
@@ -62,25 +75,24 @@ function checkEndMut(state) {
   if (pDead && aliveEnemies === 0) {
     state.over = true;
     state.result = "win";
-    state.log = state.log || [];
-    state.log.push("Both sides fall — you prevail!");
+    logEvent(state, { type: "battle_end", result: "win", mutual: true });
   } else if (aliveEnemies === 0) {
     state.over = true;
     state.result = "win";
-    state.log = state.log || [];
-    state.log.push("Victory!");
+    logEvent(state, { type: "battle_end", result: "win" });
   } else if (pDead) {
     state.over = true;
     state.result = "loss";
-    state.log = state.log || [];
-    state.log.push("Defeat...");
+    logEvent(state, { type: "battle_end", result: "loss" });
   }
 }
 
 /**
  * START OF TURN PROCESSING
- * unitType: "player" or "enemy"
- * opts.enemyIndex used only for enemies
+ * unitType: "player", "ally" or "enemy"
+ * opts.enemyIndex used only for enemies, opts.allyKey (ally _uid) only for allies
+ * opts.onEnemyDeath(state, enemy): settles enemies downed by DOT (EXP, loot,
+ * death event) before the dead are pruned — the engine passes onEnemyDeathMut
  *
  * This implementation increments a per-state tick id and passes it into
  * the status helpers so that applying/decaying statuses is idempotent
@@ -109,6 +121,9 @@ export function startUnitTurn(state, unitType = "player", opts = {}) {
   if (unitType === "player") {
     ensureRuntimeFieldsForEntity(state.player);
 
+    // a Defend stance lasts until the player's next turn
+    state.player._defending = false;
+
     tickCooldownsForEntity(state.player);
 
     // apply statuses (DOT/stun) — pass tick so helpers are idempotent
@@ -130,6 +145,29 @@ export function startUnitTurn(state, unitType = "player", opts = {}) {
     return state;
   }
 
+  // ALLY TURN START
+  if (unitType === "ally") {
+    const ally = getAllyByKey(state, opts.allyKey);
+    if (!ally || (ally.hp || 0) <= 0) {
+      state._lastStartResult.entityId = null;
+      return state;
+    }
+
+    ensureRuntimeFieldsForEntity(ally);
+    tickCooldownsForEntity(ally);
+
+    const res = applyStartOfTurnStatuses(state, ally, { tick });
+    recomputeDerivedWithStatuses(ally, state);
+
+    state._lastStartResult.skipped = !!res.skipped;
+    state._lastStartResult.died = !!res.died;
+    state._lastStartResult.entityId = ally.id || ally.name || null;
+
+    // a fallen summon leaves the field; companions stay KO'd
+    if (res.died) pruneFallenAlliesMut(state);
+    return state;
+  }
+
   // ENEMY TURN START
   if (unitType === "enemy") {
     const list = getEnemiesList(state);
@@ -160,7 +198,8 @@ export function startUnitTurn(state, unitType = "player", opts = {}) {
     state._lastStartResult.died = !!res.died;
     state._lastStartResult.entityId = ent.id || ent.name || null;
 
-    // don't clear _pendingEnemyDeath here (upstream handles it)
+    // DOT kills go through the engine's death handling while still in the list
+    settlePendingEnemyDeathsMut(state, opts.onEnemyDeath);
     pruneDeadEnemiesMut(state);
     checkEndMut(state);
 
@@ -4,8 +4,13 @@ import './index.css'
 import App from './App.jsx'
 import { BattleProvider } from './state/BattleContext.jsx'
 
-createRoot(document.getElementById('root')).render(
-    <BattleProvider>
-    <App />
-    </BattleProvider>
-)
+import { initStorage } from './state/storageAdapter.js'
+
+// pick the storage backend (and load IndexedDB saves) before anything reads a save
+initStorage().finally(() => {
+  createRoot(document.getElementById('root')).render(
+      <BattleProvider>
+      <App />
+      </BattleProvider>
+  )
+})
@@ -0,0 +1,194 @@
+// src/state/defeat.js
+// --------------------------------------------------
+// Defeat consequences + respawn.
+// A lost battle costs a share of the carried gold and
+// of the EXP earned toward the next level (never a
+// level), then the player wakes up in the city of the
+// region they were last in, with partial HP for the
+// next fight. A dungeon run that ends in defeat also
+// forfeits the loot found in its rooms.
+// The last defeat is kept on progress.lastDefeat so
+// the defeat screen can show what was lost.
+// How much a defeat costs comes from the character's
+// difficulty preset (db/difficulties.json); hardcore
+// characters don't respawn, their save slot is erased.
+// --------------------------------------------------
+
+import { loadProgress, saveProgress } from "./playerProgress.js";
+import { getCityForRegion, goToRegionCity } from "./locations.js";
+import { getActiveSlotId, eraseSlot } from "./saveSlots.js";
+import { getDifficulty } from "../engine/difficulty.js";
+
+/* ============================================================
+   POLICY (fallback when a preset leaves a field out)
+   ============================================================ */
+export const DEFEAT_POLICY = {
+  goldLossPct: 0.1,      // share of carried gold lost
+  expLossPct: 0.25,      // share of EXP toward the next level lost (floors at 0)
+  respawnHpPct: 0.5,     // HP the next fight starts with, as a share of max HP
+  forfeitRunLoot: true,  // failed dungeon runs lose what their rooms handed out
+  permadeath: false,     // erase the save slot instead
+};
+
+const DEFAULT_REGION = "central";
+
+// the most recent defeat this session (survives a permadeath wipe for the defeat screen),
+// tied to the slot that was active once it was dealt with: another slot never sees it
+let lastDefeat = null;
+let lastDefeatSlot = null;
+
+function rememberDefeat(defeat) {
+  lastDefeat = defeat;
+  lastDefeatSlot = getActiveSlotId();
+  return defeat;
+}
+
+function sessionDefeat() {
+  return lastDefeat && lastDefeatSlot === getActiveSlotId() ? lastDefeat : null;
+}
+
+/**
+ * Defeat policy for the character's difficulty preset.
+ */
+export function defeatPolicyFor(progress = loadProgress()) {
+  const preset = getDifficulty(progress?.difficulty);
+  return { ...DEFEAT_POLICY, ...(preset.defeat || {}), permadeath: !!preset.permadeath };
+}
+
+/**
+ * Latest defeat: this session's, else the one saved on progress.
+ */
+export function peekLastDefeat(progress = null) {
+  return sessionDefeat() || progress?.lastDefeat || null;
+}
+
+function pct(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return 0;
+  return Math.max(0, Math.min(1, x));
+}
+
+/* ============================================================
+   BATTLE DEFEAT
+   ============================================================ */
+
+/**
+ * Apply the defeat penalty to saved progress and respawn the player.
+ * - gold and EXP losses are rounded down (a broke player loses nothing)
+ * - EXP only drops to the start of the current level
+ * - moves the player to the last visited region's city (goToRegionCity)
+ * - permadeath: nothing is deducted, the active save slot is erased instead
+ * Returns the summary stored on progress.lastDefeat.
+ */
+export function applyDefeatPenalty({ policy = null, enemies = [] } = {}) {
+  const progress = loadProgress() || {};
+  const rules = policy || defeatPolicyFor(progress);
+
+  const gold = Math.max(0, Number(progress.gold) || 0);
+  const exp = Math.max(0, Number(progress.exp) || 0);
+  const goldLost = Math.floor(gold * pct(rules.goldLossPct));
+  const expLost = Math.floor(exp * pct(rules.expLossPct));
+  const respawnHpPct = pct(rules.respawnHpPct) || 1;
+
+  const regionId = progress.currentRegion || DEFAULT_REGION;
+  const city = getCityForRegion(regionId);
+
+  const summary = {
+    at: Date.now(),
+    enemies: Array.isArray(enemies) ? enemies.slice() : [],
+    level: Number(progress.level) || 1,
+    goldLost,
+    expLost,
+    respawnHpPct,
+    regionId,
+    cityId: city?.id || null,
+    cityName: city?.name || null,
+    dungeonKey: null,
+    forfeited: { items: {}, gold: 0 },
+    permadeath: false,
+  };
+
+  if (rules.permadeath) {
+    if (!eraseSlot(getActiveSlotId())) console.error("[defeat] erasing the hardcore save failed");
+    // recorded after the wipe: erasing may have made another slot active
+    return rememberDefeat({ ...summary, goldLost: 0, expLost: 0, permadeath: true, name: progress.name || null });
+  }
+
+  rememberDefeat(summary);
+  saveProgress({
+    gold: gold - goldLost,
+    exp: exp - expLost,
+    respawnHpPct: respawnHpPct < 1 ? respawnHpPct : null,
+    lastDefeat: summary,
+  });
+
+  if (city) {
+    const moved = goToRegionCity(regionId);
+    if (!moved.success) console.warn("[defeat] respawn move failed", moved.reason);
+  }
+
+  return summary;
+}
+
+/* ============================================================
+   DUNGEON FAIL-OUT
+   ============================================================ */
+
+/**
+ * Take back what a failed run found (found = { items: { id: qty }, gold }).
+ * Only what the player still holds can be taken (sold / used items are gone).
+ * Recorded on progress.lastDefeat. Returns { items, gold } actually forfeited.
+ */
+export function forfeitRunLoot(found, { policy = null, dungeonKey = null } = {}) {
+  const forfeited = { items: {}, gold: 0 };
+  // nothing left to take from after a permadeath
+  if (!found || sessionDefeat()?.permadeath) return forfeited;
+
+  const progress = loadProgress() || {};
+  const rules = policy || defeatPolicyFor(progress);
+  if (!rules.forfeitRunLoot) return forfeited;
+  const inventory = { ...(progress.inventory || {}) };
+
+  for (const [id, qty] of Object.entries(found.items || {})) {
+    const have = Number(inventory[id]) || 0;
+    const take = Math.min(have, Math.max(0, Number(qty) || 0));
+    if (take <= 0) continue;
+    if (have - take > 0) inventory[id] = have - take;
+    else delete inventory[id];
+    forfeited.items[id] = take;
+  }
+
+  const gold = Math.max(0, Number(progress.gold) || 0);
+  forfeited.gold = Math.min(gold, Math.max(0, Number(found.gold) || 0));
+
+  const record = progress.lastDefeat
+    ? { ...progress.lastDefeat, dungeonKey, forfeited }
+    : null;
+  if (record) rememberDefeat(record);
+
+  saveProgress({
+    inventory,
+    gold: gold - forfeited.gold,
+    ...(record ? { lastDefeat: record } : {}),
+  });
+
+  return forfeited;
+}
+
+/* ============================================================
+   RESPAWN HP
+   ============================================================ */
+
+/**
+ * HP the next fight / run should start with after a defeat, or null for full.
+ * Consumes the pending respawn HP so it only applies once.
+ */
+export function takeRespawnHP(maxHP) {
+  const progress = loadProgress();
+  const share = Number(progress?.respawnHpPct);
+  if (!Number.isFinite(share) || share <= 0 || share >= 1) return null;
+
+  saveProgress({ respawnHpPct: null });
+  const max = Number(maxHP);
+  return Number.isFinite(max) && max > 0 ? Math.max(1, Math.floor(max * share)) : null;
+}
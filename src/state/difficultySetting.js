@@ -0,0 +1,62 @@
+// src/state/difficultySetting.js
+// --------------------------------------------------
+// The character's difficulty preset (progress.difficulty).
+// Picked once when the character is created; after that
+// it can only be lowered (one way, see engine/difficulty.js
+// for the presets and what they scale).
+// Saves from before difficulties existed play as Normal
+// until their owner picks.
+// --------------------------------------------------
+
+import { loadProgress, saveProgress } from "./playerProgress.js";
+import { getDifficulty, isKnownDifficulty, scaleByDifficulty } from "../engine/difficulty.js";
+
+/**
+ * Preset the saved character plays on (Normal when none was picked).
+ */
+export function getPlayerDifficulty(progress = loadProgress()) {
+  return getDifficulty(progress?.difficulty);
+}
+
+/**
+ * True until the character has picked a preset.
+ */
+export function needsDifficultyChoice(progress = loadProgress()) {
+  return !isKnownDifficulty(progress?.difficulty);
+}
+
+/**
+ * Pick the preset for a new character. Returns { success, reason?, progress? }
+ */
+export function chooseDifficulty(id) {
+  if (!isKnownDifficulty(id)) return { success: false, reason: "unknown-difficulty" };
+  if (!needsDifficultyChoice()) return { success: false, reason: "already-chosen" };
+
+  const merged = saveProgress({ difficulty: id });
+  if (!merged) return { success: false, reason: "save-failed" };
+  return { success: true, progress: merged };
+}
+
+/**
+ * Move to an easier preset (there is no way back up).
+ * Returns { success, reason?, progress? }
+ */
+export function lowerDifficulty(id) {
+  if (!isKnownDifficulty(id)) return { success: false, reason: "unknown-difficulty" };
+  const current = getPlayerDifficulty();
+  if ((Number(getDifficulty(id).rank) || 0) >= (Number(current.rank) || 0)) {
+    return { success: false, reason: "not-lower" };
+  }
+
+  const merged = saveProgress({ difficulty: id });
+  if (!merged) return { success: false, reason: "save-failed" };
+  return { success: true, progress: merged };
+}
+
+/**
+ * Gold / EXP reward or shop price after the character's preset
+ * (field = "gold" | "exp" | "shopPrices").
+ */
+export function scaleForPlayer(amount, field, progress = loadProgress()) {
+  return scaleByDifficulty(amount, progress?.difficulty, field);
+}
@@ -1,15 +1,19 @@
 // src/state/dungeonStorage.js
+import { readRecord, stampRecord, reportRecordIssues, VERSION_FIELD } from "./saveSchema.js";
+import { slotKey } from "./saveSlots.js";
+import { getStorage } from "./storageAdapter.js";
+
 export const ROOT_KEY = "rpg.dungeons.v1";
 const ACTIVE_MARKER = "_active";
 
 /* internal helpers */
 function readAll() {
   try {
-    const raw = window.localStorage.getItem(ROOT_KEY);
+    const raw = getStorage().getItem(slotKey(ROOT_KEY));
     if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    if (typeof parsed === "object" && parsed !== null) return parsed;
-    return {};
+    const res = readRecord("dungeons", raw);
+    reportRecordIssues("dungeons", res);
+    return res.value || {};
   } catch (e) {
     console.error("[dungeonStorage] readAll failed", e);
     return {};
@@ -19,7 +23,7 @@ function readAll() {
 function writeAll(obj) {
   try {
     const safe = JSON.parse(JSON.stringify(obj || {}));
-    window.localStorage.setItem(ROOT_KEY, JSON.stringify(safe));
+    getStorage().setItem(slotKey(ROOT_KEY), JSON.stringify(stampRecord(safe)));
     return true;
   } catch (e) {
     console.error("[dungeonStorage] writeAll failed", e);
@@ -60,7 +64,7 @@ export function loadDungeonSnapshot(id) {
 export function loadAllDungeons() {
   const all = readAll();
   return Object.keys(all)
-    .filter((k) => k && String(k) !== ACTIVE_MARKER)
+    .filter((k) => k && String(k) !== ACTIVE_MARKER && String(k) !== VERSION_FIELD)
     .map((k) => {
       const snap = all[k] || {};
       const id = (snap && snap.id) ? snap.id : k;
@@ -80,7 +84,7 @@ export function clearDungeon(id) {
 
 export function clearAllDungeons() {
   try {
-    window.localStorage.removeItem(ROOT_KEY);
+    getStorage().removeItem(slotKey(ROOT_KEY));
     return true;
   } catch (e) {
     console.error("[dungeonStorage] clearAll failed", e);
@@ -1,5 +1,7 @@
 // src/state/dungeonUtils.js
 // tiny PRNG + enemy generation utilities
+import { rollLoot } from "../engine/loot.js";
+
 // Mulberry32: small deterministic PRNG (32-bit)
 export function mulberry32(seed) {
   let t = seed >>> 0;
@@ -109,3 +111,272 @@ export function pickBossForDungeon({ dungeonKey = "default", seed = Date.now(),
   const idx = Math.floor(rnd() * pool.length);
   return pool[idx] || pool[0];
 }
+
+/**
+ * pickWeighted(rnd, table)
+ * - table: { key: weight, ... } (non-negative weights)
+ * - returns the chosen key, or null when the table is empty / all zero
+ */
+export function pickWeighted(rnd, table = {}) {
+  const keys = Object.keys(table || {});
+  if (keys.length === 0) return null;
+  const weights = keys.map(k => Math.max(0, Number(table[k]) || 0));
+  if (weights.every(w => w <= 0)) return null;
+  return sampleWithReplacement(rnd, keys, 1, weights)[0] ?? null;
+}
+
+// per-tile sub-seed so different rolls for the same tile don't correlate
+function tileRng(seed, idx, salt = 0) {
+  return mulberry32((Number(seed) ^ Math.imul(Number(idx) + 1, 0x9E3779B1) ^ salt) >>> 0);
+}
+
+/**
+ * rollRoomType(opts)
+ * deterministic room type for a tile from a dungeon's `tileTypes` weights
+ * (combat / treasure / rest / special). Falls back to "combat".
+ */
+export function rollRoomType({ seed = 0, idx = 0, tileTypes = null } = {}) {
+  if (!tileTypes || typeof tileTypes !== "object") return "combat";
+  return pickWeighted(tileRng(seed, idx, 0x51A7), tileTypes) || "combat";
+}
+
+/**
+ * rollLootTable(opts)
+ * deterministic roll of a loot table (engine/loot.js) for a tile,
+ * `times` rolls, `luck` in % from the player's gear. Returns [{ id, qty }].
+ */
+export function rollLootTable({ seed = 0, idx = 0, lootTable = null, luck = 0, times = 1 } = {}) {
+  return rollLoot(lootTable, tileRng(seed, idx, 0x1007), { luck, times });
+}
+
+/**
+ * rollTreasureLoot(opts)
+ * deterministic treasure for a tile. With a `lootTable` it rolls that table
+ * (min..max times, see rollLootTable); otherwise it draws from the dungeon's
+ * `lootHints`. Hints may carry notes ("orc_tooth (rare ...)") — only the first
+ * word is used, and ids missing from itemsDb are skipped. Returns [{ id, qty }].
+ */
+export function rollTreasureLoot({ seed = 0, idx = 0, lootHints = [], itemsDb = {}, min = 1, max = 2, fallback = "potion", lootTable = null, luck = 0 } = {}) {
+  if (lootTable) {
+    const times = min + Math.floor(tileRng(seed, idx, 0x7EA5)() * (Math.max(min, max) - min + 1));
+    return rollLootTable({ seed, idx, lootTable, luck, times });
+  }
+
+  const ids = (Array.isArray(lootHints) ? lootHints : [])
+    .map(h => String(h || "").trim().split(/\s+/)[0])
+    .filter(id => id && itemsDb[id]);
+  const pool = ids.length > 0 ? ids : (itemsDb[fallback] ? [fallback] : []);
+  if (pool.length === 0) return [];
+
+  const rnd = tileRng(seed, idx, 0x7EA5);
+  const count = Math.max(1, Math.floor(min + Math.floor(rnd() * (max - min + 1))));
+  const agg = {};
+  for (const id of sampleWithReplacement(rnd, pool, count)) {
+    agg[id] = (agg[id] || 0) + 1;
+  }
+  return Object.entries(agg).map(([id, qty]) => ({ id, qty }));
+}
+
+/**
+ * rollSpecialEvent(opts)
+ * deterministic scripted event for a special room (events: [{ id, weight, ... }])
+ */
+export function rollSpecialEvent({ seed = 0, idx = 0, events = [] } = {}) {
+  const list = Array.isArray(events) ? events.filter(e => e && e.id) : [];
+  if (list.length === 0) return null;
+  const table = {};
+  for (const e of list) table[e.id] = Number(e.weight ?? 1);
+  const id = pickWeighted(tileRng(seed, idx, 0x5BEC), table);
+  return list.find(e => e.id === id) || list[0];
+}
+
+// ============================================================
+// Layout generation
+// ============================================================
+
+// door bits on a tile (tile.doors): which neighbours can be walked to
+export const DOOR_UP = 1;
+export const DOOR_RIGHT = 2;
+export const DOOR_DOWN = 4;
+export const DOOR_LEFT = 8;
+
+export const DIRS = {
+  up: { dx: 0, dy: -1, bit: DOOR_UP, opposite: DOOR_DOWN },
+  right: { dx: 1, dy: 0, bit: DOOR_RIGHT, opposite: DOOR_LEFT },
+  down: { dx: 0, dy: 1, bit: DOOR_DOWN, opposite: DOOR_UP },
+  left: { dx: -1, dy: 0, bit: DOOR_LEFT, opposite: DOOR_RIGHT },
+};
+
+/**
+ * generateDungeonLayout(opts)
+ * deterministic room graph on an N×N grid:
+ * - rooms are carved as a random spanning tree from an entrance on the edge,
+ *   so every room is reachable; a few extra doors add loops
+ * - cells that are not rooms are solid walls
+ * - the boss room is the room furthest (in steps) from the entrance
+ *
+ * Returns { size, entrance, boss, rooms, doors, distance }
+ *   entrance / boss: tile indices, rooms: sorted indices of open cells,
+ *   doors: per-cell bitmask (0 for walls), distance: per-cell steps from entrance (-1 for walls)
+ */
+export function generateDungeonLayout({ seed = 0, size = 5, density = 0.7, loops = 0.15 } = {}) {
+  const n = Math.max(1, Math.floor(Number(size) || 1));
+  const total = n * n;
+  const rnd = mulberry32((Number(seed) ^ 0x1A7E5) >>> 0);
+  const doors = new Array(total).fill(0);
+  const open = new Array(total).fill(false);
+
+  // at least entrance + one room + boss room (when the grid allows it)
+  const target = Math.min(total, Math.max(Math.min(3, total), Math.round(total * density)));
+
+  // entrance on the outer edge
+  const edge = [];
+  for (let i = 0; i < total; i++) {
+    const x = i % n, y = Math.floor(i / n);
+    if (x === 0 || y === 0 || x === n - 1 || y === n - 1) edge.push(i);
+  }
+  const entrance = edge[Math.floor(rnd() * edge.length)] ?? 0;
+  open[entrance] = true;
+  let carved = 1;
+
+  const neighbours = (i) => {
+    const x = i % n, y = Math.floor(i / n);
+    const out = [];
+    for (const d of Object.values(DIRS)) {
+      const nx = x + d.dx, ny = y + d.dy;
+      if (nx < 0 || ny < 0 || nx >= n || ny >= n) continue;
+      out.push({ to: ny * n + nx, bit: d.bit, opposite: d.opposite });
+    }
+    return out;
+  };
+
+  // randomized frontier growth (Prim-style): pick a carved room, open a door into a solid neighbour
+  const frontier = [entrance];
+  while (carved < target && frontier.length > 0) {
+    const fi = Math.floor(rnd() * frontier.length);
+    const from = frontier[fi];
+    const options = neighbours(from).filter(nb => !open[nb.to]);
+    if (options.length === 0) {
+      frontier.splice(fi, 1);
+      continue;
+    }
+    const pick = options[Math.floor(rnd() * options.length)];
+    open[pick.to] = true;
+    doors[from] |= pick.bit;
+    doors[pick.to] |= pick.opposite;
+    frontier.push(pick.to);
+    carved++;
+  }
+
+  // extra doors between already adjacent rooms so the graph isn't a pure tree
+  for (let i = 0; i < total; i++) {
+    if (!open[i]) continue;
+    for (const nb of neighbours(i)) {
+      if (nb.to < i || !open[nb.to] || (doors[i] & nb.bit)) continue;
+      if (rnd() < loops) {
+        doors[i] |= nb.bit;
+        doors[nb.to] |= nb.opposite;
+      }
+    }
+  }
+
+  // BFS distances from the entrance through doors
+  const distance = new Array(total).fill(-1);
+  distance[entrance] = 0;
+  const queue = [entrance];
+  while (queue.length > 0) {
+    const cur = queue.shift();
+    for (const nb of neighbours(cur)) {
+      if (!(doors[cur] & nb.bit) || distance[nb.to] >= 0) continue;
+      distance[nb.to] = distance[cur] + 1;
+      queue.push(nb.to);
+    }
+  }
+
+  const rooms = [];
+  for (let i = 0; i < total; i++) if (open[i]) rooms.push(i);
+
+  // furthest room wins; ties go to the lowest index so the result stays stable
+  let boss = entrance;
+  for (const i of rooms) {
+    if (distance[i] > distance[boss]) boss = i;
+  }
+
+  return { size: n, entrance, boss, rooms, doors, distance };
+}
+
+/**
+ * neighbourIndex(size, idx, dir)
+ * tile index one step in `dir` from idx, or -1 when that leaves the grid
+ */
+export function neighbourIndex(size, idx, dir) {
+  const d = DIRS[dir];
+  if (!d) return -1;
+  const n = Number(size) || 0;
+  const x = idx % n + d.dx;
+  const y = Math.floor(idx / n) + d.dy;
+  if (x < 0 || y < 0 || x >= n || y >= n) return -1;
+  return y * n + x;
+}
+
+// ============================================================
+// Depth scaling (multi-floor runs)
+// ============================================================
+
+// per-floor defaults; a dungeon def can override any of these via `depthScaling`
+export const DEPTH_SCALING = {
+  levelPerFloor: 2, // enemy level added per floor below the first
+  enemiesPerFloor: 0.5, // extra enemies per room per floor (floored)
+  rareWeightPerFloor: 1, // extra pick weight for rare-tier enemies per floor
+  uncommonWeightPerFloor: 0.5,
+};
+
+/**
+ * floorSeed(seed, floor)
+ * sub-seed for a floor; floor 1 keeps the run seed so single-floor runs are unchanged
+ */
+export function floorSeed(seed, floor = 1) {
+  const f = Math.max(1, Math.floor(Number(floor) || 1));
+  if (f === 1) return Number(seed) >>> 0;
+  return (Number(seed) ^ Math.imul(f, 0x85EBCA6B)) >>> 0;
+}
+
+/**
+ * scaleForDepth(def, depth, baseLevel)
+ * depth = floor - 1. Returns the per-floor numbers a run stores:
+ * { dungeonLevel, minEnemiesPerRoom, maxEnemiesPerRoom, enemyList, enemyWeights }
+ * enemyList / enemyWeights are parallel arrays from def.enemyPool tiers
+ * (all weight 1 on the first floor, rare tiers gain weight deeper down).
+ */
+export function scaleForDepth(def, depth = 0, baseLevel = 1) {
+  const d = Math.max(0, Math.floor(Number(depth) || 0));
+  const s = { ...DEPTH_SCALING, ...(def?.depthScaling || {}) };
+  const extra = Math.floor(d * Number(s.enemiesPerFloor || 0));
+
+  const min = Number(def?.minEnemiesPerRoom ?? 1) + extra;
+  const max = Math.max(min, Number(def?.maxEnemiesPerRoom ?? 3) + extra);
+
+  const enemyList = [];
+  const enemyWeights = [];
+  const tierWeight = {
+    common: 1,
+    uncommon: 1 + d * Number(s.uncommonWeightPerFloor || 0),
+    rare: 1 + d * Number(s.rareWeightPerFloor || 0),
+  };
+  const pool = def?.enemyPool || {};
+  ["common", "uncommon", "rare"].forEach(k => {
+    if (!Array.isArray(pool[k])) return;
+    for (const id of pool[k]) {
+      enemyList.push(id);
+      enemyWeights.push(tierWeight[k]);
+    }
+  });
+
+  return {
+    dungeonLevel: Math.max(1, Number(baseLevel) || 1) + Math.floor(d * Number(s.levelPerFloor || 0)),
+    minEnemiesPerRoom: min,
+    maxEnemiesPerRoom: max,
+    enemyList,
+    enemyWeights,
+  };
+}
@@ -1,25 +1,25 @@
 // src/state/equipment.js
 import { loadProgress, saveProgress } from "./playerProgress.js";
-import itemsCatalog from "../db/items.json";
+import { resolveItem } from "../engine/gear.js";
 
 /**
  * Equip an item from inventory into a slot.
  * - slot: "head"|"torso"|"boots"|"weapon"|"offhand"|"accessory"
- * - itemId: id string of item to equip
+ * - itemId: id string of item to equip (catalog id or rolled gear instance id)
  *
  * Returns { success, reason?, progress? }
  */
 export function equipItem(slot, itemId) {
   if (!slot || !itemId) return { success: false, reason: "bad-args" };
 
-  const spec = itemsCatalog[itemId];
+  const progress = loadProgress() || {};
+  const spec = resolveItem(itemId, progress.gear);
   if (!spec) return { success: false, reason: "unknown-item" };
   if (spec.kind !== "equipment") return { success: false, reason: "not-equipment" };
   // allow default slot fallback: treat missing spec.slot as "accessory"
   const requiredSlot = spec.slot || "accessory";
   if (requiredSlot !== slot) return { success: false, reason: "wrong-slot" };
 
-  const progress = loadProgress() || {};
   const inv = { ...(progress.inventory || {}) };
   const have = Number(inv[itemId] || 0);
 
@@ -0,0 +1,36 @@
+// src/state/lootLog.js
+// --------------------------------------------------
+// Drops the player has seen (progress.lootSeen), keyed by
+// the enemy's catalog id: { enemyId: [baseItemId] }.
+// Recorded when a won battle is committed (useBattle); the
+// Enemies inspector only reveals the odds of these items.
+// Rolled gear counts under its base item id.
+// --------------------------------------------------
+
+import { loadProgress } from "./playerProgress.js";
+
+/**
+ * Merge a summary's drops ({ enemyId: [itemId] }) into a lootSeen map.
+ * Returns a new map.
+ */
+export function mergeLootSeen(seen, drops) {
+  const out = {};
+  for (const [enemyId, ids] of Object.entries(seen || {})) {
+    if (Array.isArray(ids)) out[enemyId] = ids.slice();
+  }
+  for (const [enemyId, ids] of Object.entries(drops || {})) {
+    const list = (out[enemyId] = out[enemyId] || []);
+    for (const id of Array.isArray(ids) ? ids : []) {
+      if (id && !list.includes(id)) list.push(id);
+    }
+  }
+  return out;
+}
+
+/**
+ * Item ids seen dropping from an enemy (catalog id).
+ */
+export function seenDropsOf(enemyId, progress = loadProgress()) {
+  const list = progress?.lootSeen?.[enemyId];
+  return Array.isArray(list) ? list : [];
+}
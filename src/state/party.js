@@ -0,0 +1,55 @@
+// src/state/party.js
+import { loadProgress, saveProgress } from "./playerProgress.js";
+import { listCompanionSpecs, getCompanionSpec, MAX_PARTY_SIZE } from "../engine/allies.js";
+
+export { MAX_PARTY_SIZE };
+
+/**
+ * Companions that can be hired in a region's city.
+ */
+export function companionsForRegion(regionId) {
+  return listCompanionSpecs().filter(c => Array.isArray(c.regions) && c.regions.includes(regionId));
+}
+
+/**
+ * Current party as companion specs (unknown ids from old saves are skipped).
+ */
+export function getParty(progress = loadProgress()) {
+  const ids = Array.isArray(progress?.party) ? progress.party : [];
+  return ids.map(getCompanionSpec).filter(Boolean);
+}
+
+/**
+ * Hire a companion: costs gold, needs a free party slot.
+ * Returns { success, reason?, progress? }
+ */
+export function recruitCompanion(companionId) {
+  const spec = getCompanionSpec(companionId);
+  if (!spec) return { success: false, reason: "unknown-companion" };
+
+  const progress = loadProgress() || {};
+  const party = Array.isArray(progress.party) ? progress.party.slice() : [];
+  if (party.includes(companionId)) return { success: false, reason: "already-in-party" };
+  if (party.length >= MAX_PARTY_SIZE) return { success: false, reason: "party-full" };
+
+  const cost = Math.max(0, Number(spec.cost) || 0);
+  const gold = Number(progress.gold) || 0;
+  if (gold < cost) return { success: false, reason: "not-enough-gold" };
+
+  const merged = saveProgress({ party: [...party, companionId], gold: gold - cost });
+  if (!merged) return { success: false, reason: "save-failed" };
+  return { success: true, progress: merged };
+}
+
+/**
+ * Let a companion go (no refund; hiring them again costs the full price).
+ */
+export function dismissCompanion(companionId) {
+  const progress = loadProgress() || {};
+  const party = Array.isArray(progress.party) ? progress.party : [];
+  if (!party.includes(companionId)) return { success: false, reason: "not-in-party" };
+
+  const merged = saveProgress({ party: party.filter(id => id !== companionId) });
+  if (!merged) return { success: false, reason: "save-failed" };
+  return { success: true, progress: merged };
+}
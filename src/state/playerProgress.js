@@ -1,17 +1,21 @@
 // src/state/playerProgress.js
 import { emit } from "./gameEvents.js"; // local tiny bus (gameEvents.emit)
+import { readRecord, stampRecord, reportRecordIssues } from "./saveSchema.js";
+import { slotKey, recordSlotSave } from "./saveSlots.js";
+import { getStorage } from "./storageAdapter.js";
 
-const KEY = "rpg.progress.v1";
+export const PROGRESS_KEY = "rpg.progress.v1";
 
 /* ---------------- Debugging / instrumentation ----------------
    Installs a lightweight watcher so we can see who writes the key.
    This is safe to ship temporarily in dev; remove once root cause found.
 ----------------------------------------------------------------*/
 (function installDebugWatchers() {
+  if (typeof window === "undefined") return; // Node (tools / memory storage)
   try {
     // storage event (other tabs/windows)
     window.addEventListener("storage", (ev) => {
-      if (ev.key === KEY) {
+      if (ev.key === slotKey(PROGRESS_KEY)) {
         try {
           console.info("[playerProgress.watch][storage event] key changed by external tab/window", {
             oldValue: safeParse(ev.oldValue),
@@ -30,7 +34,7 @@ const KEY = "rpg.progress.v1";
     if (rawLS && !rawLS.__setItemPatchedForPP) {
       const origSet = rawLS.setItem.bind(rawLS);
       rawLS.setItem = function (k, v) {
-        if (k === KEY) {
+        if (k === slotKey(PROGRESS_KEY)) {
           try {
             // Capture stack without throwing (works in most browsers)
             const stack = (new Error()).stack;
@@ -119,12 +123,29 @@ function emitDomProgressUpdate(payload) {
 
 /* ---------------- Public API ---------------- */
 
+/**
+ * Read the raw persisted progress through the save schema (migrate + repair).
+ * A migrated / repaired record is written back once so later loads are clean.
+ */
+function readProgressRecord() {
+  const raw = getStorage().getItem(slotKey(PROGRESS_KEY));
+  if (!raw) return null;
+  const res = readRecord("progress", raw);
+  reportRecordIssues("progress", res);
+  if (res.changed) {
+    try {
+      getStorage().setItem(slotKey(PROGRESS_KEY), JSON.stringify(stampRecord(res.value)));
+    } catch (e) {
+      console.warn("[playerProgress] could not write back repaired save", e);
+    }
+  }
+  return res.value;
+}
+
 export function loadProgress() {
   try {
-    const raw = window.localStorage.getItem(KEY);
-    if (!raw) return null;
-    const data = JSON.parse(raw);
-    if (typeof data !== "object" || data === null) return null;
+    const data = readProgressRecord();
+    if (!data) return null;
     return computeProgressDerived(data);
   } catch {
     return null;
@@ -133,7 +154,7 @@ export function loadProgress() {
 
 /**
  * saveProgress(partial)
- * - Merge + normalize fields, persist to localStorage
+ * - Merge + normalize fields, persist through the storage adapter
  * - Dispatch DOM CustomEvent "rpg.progress.updated"
  * - Emit gameEvents 'travel' and 'visit' if currentLocation changed (prev -> new)
  *
@@ -145,26 +166,16 @@ export function loadProgress() {
  */
 export function saveProgress(partial = {}) {
   try {
-    // read raw localStorage snapshot (avoid using loadProgress here because
+    // read raw stored snapshot (avoid using loadProgress here because
     // that returns a computed/derived view which can mask the true persisted shape)
-    let rawPrev = null;
+    // (migrated + repaired by the save schema, so old shapes don't leak into the merge)
+    let prevRawObj = {};
     try {
-      rawPrev = window.localStorage.getItem(KEY);
+      prevRawObj = readProgressRecord() || {};
     } catch (e) {
-      rawPrev = null;
-    }
-    let prevRawObj = {};
-    if (rawPrev) {
-      try {
-        const parsed = JSON.parse(rawPrev);
-        if (typeof parsed === "object" && parsed !== null) {
-          prevRawObj = parsed;
-        }
-      } catch (e) {
-        // if parse failed, continue with empty existing object but log
-        console.warn("[saveProgress] warning: failed to parse existing localStorage value, starting fresh", e);
-        prevRawObj = {};
-      }
+      // if parse failed, continue with empty existing object but log
+      console.warn("[saveProgress] warning: failed to read existing stored value, starting fresh", e);
+      prevRawObj = {};
     }
 
     // Existing 'computed' view useful for fallbacks
@@ -267,16 +278,19 @@ export function saveProgress(partial = {}) {
     merged.__savedAt = new Date().toISOString();
 
     // Derived and persist (compute progress fields for consumers)
-    const withDerived = computeProgressDerived(merged);
+    const withDerived = stampRecord(computeProgressDerived(merged));
 
-    // Write to localStorage (atomic)
+    // Write to storage (atomic)
     try {
-      window.localStorage.setItem(KEY, JSON.stringify(withDerived));
+      getStorage().setItem(slotKey(PROGRESS_KEY), JSON.stringify(withDerived));
     } catch (e) {
-      console.error("[saveProgress] failed to write to localStorage", e, { withDerivedSnapshot: { gold: withDerived.gold, inventoryKeys: Object.keys(withDerived.inventory || {}) } });
+      console.error("[saveProgress] failed to write to storage", e, { withDerivedSnapshot: { gold: withDerived.gold, inventoryKeys: Object.keys(withDerived.inventory || {}) } });
       throw e;
     }
 
+    // Slot summary (name / level / gold / region / playtime)
+    recordSlotSave(withDerived);
+
     // Debug: write succeeded — show key small summary
     try {
       console.debug("[saveProgress] wrote", {
@@ -316,7 +330,7 @@ export function saveProgress(partial = {}) {
 
 export function clearProgress() {
   try {
-    window.localStorage.removeItem(KEY);
+    getStorage().removeItem(slotKey(PROGRESS_KEY));
     try { emitDomProgressUpdate(null); } catch (e) { /* ignore */ }
     try { emit("travel", { from: null, to: null }); } catch (e) { /* noop */ }
     try { emit("visit", { locationId: null }); } catch (e) { /* noop */ }
@@ -24,8 +24,11 @@ export function calculateExpToNextLevel(level) {
 const SPELL_CHOICE_TABLE = {
   2:["firebolt","multi-shot"],
   5: ["ice_spike", "rock_shot"],
+  7: ["mend", "barrier"],
   10: ["freeze", "dark_orb"],
+  12: ["purify", "hush"],
   15: ["burn", "freeze"],
+  17: ["mirror-ward", "dispel-magic"],
   20: ["shield", "thunderbolt"],
   27: ["summon-skeletons", "split"],
 };
@@ -173,6 +176,24 @@ export function applyExpGain(amount) {
     pendingSpellChoices: [],
   };
 
+  const pendingChoices = applyExpToProgress(progress, amount);
+  const saved = saveProgress(progress);
+
+  return {
+    progress: saved,
+    pendingChoices,
+  };
+}
+
+/* ============================================================
+   APPLY EXP IN MEMORY
+   - Same level loop as applyExpGain but never touches storage
+     (used by battle replays, which must not re-grant EXP).
+   - Mutates progress; returns the pendingChoices array.
+   ============================================================ */
+export function applyExpToProgress(progress, amount) {
+  if (!progress || !Number.isFinite(amount) || amount <= 0) return [];
+
   progress.exp = Number(progress.exp || 0) + Math.floor(amount);
 
   const pendingChoices = [];
@@ -194,26 +215,33 @@ export function applyExpGain(amount) {
   }
 
   // If there are pending choices, append them to progress.pendingSpellChoices (persisted)
+  mergePendingSpellChoices(progress, pendingChoices);
+
+  return pendingChoices;
+}
+
+/* ============================================================
+   MERGE PENDING SPELL CHOICES
+   - Appends { level, options } entries to progress.pendingSpellChoices
+     (a same-level entry is replaced). Mutates + returns progress.
+   - Also used when a battle commits its level_up effects.
+   ============================================================ */
+export function mergePendingSpellChoices(progress, choices) {
+  if (!progress) return progress;
   if (!Array.isArray(progress.pendingSpellChoices)) progress.pendingSpellChoices = [];
-  if (pendingChoices.length > 0) {
-    // append (avoid duplicates for same level)
-    const existingLevels = new Set(progress.pendingSpellChoices.map((p) => Number(p.level)));
-    for (const pc of pendingChoices) {
-      if (!existingLevels.has(Number(pc.level))) {
-        progress.pendingSpellChoices.push(pc);
-      } else {
-        // Replace existing same-level entry with fresh options (safer)
-        progress.pendingSpellChoices = progress.pendingSpellChoices.map((p) =>
-          Number(p.level) === Number(pc.level) ? pc : p
-        );
-      }
+  if (!Array.isArray(choices) || choices.length === 0) return progress;
+
+  // append (avoid duplicates for same level)
+  const existingLevels = new Set(progress.pendingSpellChoices.map((p) => Number(p.level)));
+  for (const pc of choices) {
+    if (!existingLevels.has(Number(pc.level))) {
+      progress.pendingSpellChoices.push(pc);
+    } else {
+      // Replace existing same-level entry with fresh options (safer)
+      progress.pendingSpellChoices = progress.pendingSpellChoices.map((p) =>
+        Number(p.level) === Number(pc.level) ? pc : p
+      );
     }
   }
-
-  const saved = saveProgress(progress);
-
-  return {
-    progress: saved,
-    pendingChoices,
-  };
+  return progress;
 }
@@ -4,6 +4,7 @@
 
 import QUESTS_RAW from "../db/quests.json";
 import { loadProgress, saveProgress } from "./playerProgress.js";
+import { scaleForPlayer } from "./difficultySetting.js";
 import { on } from "./gameEvents.js"; // <- subscribe to in-game events
 
 /* ---------- Helpers over raw definitions ---------- */
@@ -239,8 +240,9 @@ function tryApplyQuestRewards(questId) {
     }
   }
 
-  const newGold = (Number(progress.gold) || 0) + (Number(rewards.gold) || 0);
-  const newExp = (Number(progress.exp) || 0) + (Number(rewards.exp) || 0);
+  // gold / exp after the difficulty multipliers
+  const newGold = (Number(progress.gold) || 0) + scaleForPlayer(Number(rewards.gold) || 0, "gold", progress);
+  const newExp = (Number(progress.exp) || 0) + scaleForPlayer(Number(rewards.exp) || 0, "exp", progress);
 
   // persist merged rewards (also keeps quests state persisted which was saved prior)
   saveProgress({
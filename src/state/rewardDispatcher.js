@@ -5,6 +5,7 @@
 import { emit } from "./gameEvents.js";
 import { loadProgress, saveProgress } from "./playerProgress.js";
 import { applyExpGain } from "./progression.js";
+import { scaleForPlayer } from "./difficultySetting.js";
 
 /**
  * Options:
@@ -62,7 +63,8 @@ export function grantItems(items = [], opts = {}) {
 
 export function grantGold(amount = 0, opts = {}) {
   const { emitOnly, silent } = { ...DEFAULT_OPTS, ...opts };
-  const n = Number(amount || 0);
+  // difficulty gold multiplier
+  const n = scaleForPlayer(Number(amount || 0), "gold");
   if (!Number.isFinite(n) || n <= 0) return null;
 
   try {
@@ -89,7 +91,8 @@ export function grantGold(amount = 0, opts = {}) {
 
 export function grantExp(amount = 0, opts = {}) {
   const { emitOnly, silent } = { ...DEFAULT_OPTS, ...opts };
-  const n = Number(amount || 0);
+  // difficulty EXP multiplier
+  const n = scaleForPlayer(Number(amount || 0), "exp");
   if (!Number.isFinite(n) || n <= 0) return null;
 
   try {
@@ -144,9 +147,10 @@ export function grantExp(amount = 0, opts = {}) {
  */
 export function grantClearRewards(rewards = {}, opts = {}) {
   const { emitOnly, silent } = { ...DEFAULT_OPTS, ...opts };
+  // gold / exp after the difficulty multipliers
   const r = {
-    gold: Number(rewards?.gold || 0),
-    exp: Number(rewards?.exp || 0),
+    gold: scaleForPlayer(Number(rewards?.gold || 0), "gold"),
+    exp: scaleForPlayer(Number(rewards?.exp || 0), "exp"),
     items: Array.isArray(rewards?.items) ? rewards.items.map(it => ({ id: it.id, qty: Number(it.qty || 0) })) : [],
   };
 
@@ -0,0 +1,252 @@
+// src/state/saveBundle.js
+// ------------------------------------------------------
+// Full-game export / import.
+// A bundle carries every persisted subsystem of the active
+// save slot (progress incl. quests, battle snapshot +
+// replay, shop stock, dungeon runs) plus a checksum and
+// the save schema version it was written with.
+//
+// Bundle JSON shape:
+//   {
+//     format: "rpg-save-bundle",
+//     bundleVersion: 1,
+//     schemaVersion,            // SAVE_VERSION at export time
+//     exportedAt,
+//     slot: { name },
+//     records: { progress, battle, replay, shops, dungeons },  // null = nothing stored
+//     checksum: "fnv1a:xxxxxxxx" // over schemaVersion + records
+//   }
+//
+// Import = parseBundle (validate + preview, writes nothing)
+// followed by applyBundle (writes all keys or none).
+// Plain progress files from older exports are still accepted.
+// ------------------------------------------------------
+
+import { readRecord, stampRecord, SAVE_VERSION, VERSION_FIELD } from "./saveSchema.js";
+import { SLOT_RECORD_KEYS, slotKey, getSlot, getActiveSlotId, recordSlotSave } from "./saveSlots.js";
+import { getStorage } from "./storageAdapter.js";
+import { parseReplay } from "../engine/replay.js";
+
+export const BUNDLE_FORMAT = "rpg-save-bundle";
+export const BUNDLE_VERSION = 1;
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+// JSON with sorted object keys, so the checksum doesn't depend on key order
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (isPlainObject(v)) {
+    const keys = Object.keys(v).filter(k => v[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+// 32-bit FNV-1a (integrity check against truncated / hand-edited files, not tampering)
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+export function bundleChecksum(schemaVersion, records) {
+  return `fnv1a:${fnv1a(canonicalJson({ schemaVersion, records }))}`;
+}
+
+function readStored(kind) {
+  try {
+    const raw = getStorage().getItem(slotKey(SLOT_RECORD_KEYS[kind]));
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn(`[saveBundle] could not read ${kind}`, e);
+    return null;
+  }
+}
+
+function countOwnRecords(obj) {
+  if (!isPlainObject(obj)) return 0;
+  return Object.keys(obj).filter(k => !k.startsWith("_")).length;
+}
+
+/**
+ * Short summary of a set of records (what the import preview compares).
+ */
+export function summarizeRecords(records = {}) {
+  const p = isPlainObject(records.progress) ? records.progress : null;
+  const inv = isPlainObject(p?.inventory) ? p.inventory : {};
+  const quests = isPlainObject(p?.quests) ? p.quests : {};
+  return {
+    name: p ? p.name || "Unnamed Hero" : null,
+    level: p ? Number(p.level) || 1 : null,
+    gold: p ? Number(p.gold) || 0 : null,
+    itemCount: Object.values(inv).reduce((sum, q) => sum + (Number(q) || 0), 0),
+    itemKinds: Object.keys(inv).length,
+    activeQuests: Object.keys(isPlainObject(quests.active) ? quests.active : {}).length,
+    completedQuests: Array.isArray(quests.completed) ? quests.completed.length : 0,
+    dungeonRuns: countOwnRecords(records.dungeons),
+    battleInProgress: !!records.battle,
+    shopsWithStock: countOwnRecords(records.shops),
+  };
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Build a bundle from everything stored in the active slot.
+ */
+export function exportBundle() {
+  const records = {};
+  for (const kind of Object.keys(SLOT_RECORD_KEYS)) records[kind] = readStored(kind);
+
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    schemaVersion: SAVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    slot: { name: getSlot(getActiveSlotId())?.name || null },
+    records,
+    checksum: bundleChecksum(SAVE_VERSION, records),
+  };
+}
+
+export function bundleFileName(bundle) {
+  const p = bundle?.records?.progress || {};
+  const who = String(p.name || "player").replace(/[^\w-]+/g, "_");
+  return `save-${who}-lv${p.level || 1}.json`;
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+function fail(error) {
+  return { ok: false, error };
+}
+
+/**
+ * Validate a bundle (JSON text or object) without writing anything.
+ * Returns { ok: false, error } or
+ * { ok: true, legacy, records, issues, preview: { current, incoming } }.
+ * `records` only holds the kinds the import will replace.
+ */
+export function parseBundle(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return fail("File is not valid JSON");
+    }
+  }
+  if (!isPlainObject(data)) return fail("File does not contain a save");
+
+  let incoming;
+  let legacy = false;
+
+  if (data.format === BUNDLE_FORMAT) {
+    if (Number(data.bundleVersion) > BUNDLE_VERSION) return fail("Save was exported by a newer version of the game");
+    if (Number(data.schemaVersion) > SAVE_VERSION) return fail(`Save uses schema v${data.schemaVersion}, this build only knows v${SAVE_VERSION}`);
+    if (!isPlainObject(data.records)) return fail("Save bundle has no records");
+    if (data.checksum !== bundleChecksum(data.schemaVersion, data.records)) {
+      return fail("Checksum mismatch: the file is damaged or was edited");
+    }
+    incoming = {};
+    for (const kind of Object.keys(SLOT_RECORD_KEYS)) incoming[kind] = data.records[kind] ?? null;
+  } else if (data.format === undefined && ("level" in data || "stats" in data || "inventory" in data)) {
+    // export from before bundles existed: progress only, other subsystems untouched
+    legacy = true;
+    incoming = { progress: data };
+  } else {
+    return fail("Unknown save format");
+  }
+
+  const records = {};
+  const issues = [];
+  for (const [kind, raw] of Object.entries(incoming)) {
+    if (raw == null) {
+      records[kind] = null;
+      continue;
+    }
+    if (kind === "replay") {
+      records.replay = parseReplay(raw);
+      if (!records.replay) issues.push("replay: unreadable, skipped");
+      continue;
+    }
+    const res = readRecord(kind, raw);
+    if (!res.value) return fail(`${kind} record is unusable: ${res.issues.join("; ") || "empty"}`);
+    issues.push(...res.issues.map(msg => `${kind}: ${msg}`));
+    records[kind] = res.value;
+  }
+  if (!records.progress) return fail("Save has no player progress");
+
+  const current = {};
+  for (const kind of Object.keys(SLOT_RECORD_KEYS)) current[kind] = readStored(kind);
+
+  return {
+    ok: true,
+    legacy,
+    records,
+    issues,
+    preview: { current: summarizeRecords(current), incoming: summarizeRecords({ ...current, ...records }) },
+  };
+}
+
+/**
+ * Write a parsed bundle into the active slot: every key or none.
+ * On any failure the previous values are restored. Returns { ok, error }.
+ * In-memory battle / dungeon state is stale afterwards, so callers should reload.
+ */
+export function applyBundle(parsed) {
+  if (!parsed?.ok || !isPlainObject(parsed.records)) return fail("Nothing to import");
+
+  const kinds = Object.keys(parsed.records).filter(k => SLOT_RECORD_KEYS[k]);
+  const keys = kinds.map(k => slotKey(SLOT_RECORD_KEYS[k]));
+
+  const backup = {};
+  try {
+    for (const key of keys) backup[key] = getStorage().getItem(key);
+  } catch (e) {
+    return fail(`Storage unavailable: ${e.message || e}`);
+  }
+
+  try {
+    kinds.forEach((kind, i) => {
+      const value = parsed.records[kind];
+      if (value == null) {
+        getStorage().removeItem(keys[i]);
+        return;
+      }
+      const out = kind === "replay" ? value : stampRecord(value);
+      getStorage().setItem(keys[i], JSON.stringify(out));
+    });
+
+    // read back: progress must load cleanly before we keep anything
+    const check = readRecord("progress", getStorage().getItem(slotKey(SLOT_RECORD_KEYS.progress)));
+    if (!check.value || Number(check.value[VERSION_FIELD]) !== SAVE_VERSION) throw new Error("progress did not read back");
+  } catch (e) {
+    console.error("[saveBundle] import failed, rolling back", e);
+    for (const key of keys) {
+      try {
+        if (backup[key] == null) getStorage().removeItem(key);
+        else getStorage().setItem(key, backup[key]);
+      } catch (restoreErr) {
+        console.error("[saveBundle] rollback failed for", key, restoreErr);
+      }
+    }
+    return fail(`Import failed, previous save restored (${e.message || e})`);
+  }
+
+  recordSlotSave(parsed.records.progress);
+  return { ok: true, error: null };
+}
@@ -0,0 +1,446 @@
+// src/state/saveSchema.js
+// ------------------------------------------------------
+// One versioned schema for everything we persist.
+// Every stored record carries `__v` (SAVE_VERSION at write
+// time). On load a record goes through:
+//   1. migrations: MIGRATIONS[kind][v] upgrades v -> v + 1
+//      until it reaches SAVE_VERSION
+//   2. validation: bad fields are repaired (and reported),
+//      only a record that isn't an object at all is rejected
+//
+// Record kinds:
+//   progress  rpg.progress.v1        (playerProgress.js)
+//   battle    rpg.turnbased.snapshot (storage.js)
+//   dungeons  rpg.dungeons.v1        (dungeonStorage.js)
+//   shops     rpg.shops.stock.v1     (shop.js)
+//
+// Records written before versioning existed count as v1.
+// ------------------------------------------------------
+
+import ITEMS_DB from "../db/items.json";
+import DIFFICULTIES_DB from "../db/difficulties.json";
+import AFFIXES_DB from "../db/affixes.json";
+
+export const SAVE_VERSION = 2;
+export const VERSION_FIELD = "__v";
+export const RECORD_KINDS = ["progress", "battle", "dungeons", "shops"];
+
+// old item id -> current id. Add an entry whenever an item id is renamed so
+// inventories / equipment from older saves keep the item.
+export const ITEM_ID_ALIASES = {};
+
+const DEFAULT_STATS = { STR: 3, DEX: 3, MAG: 3, CON: 3 };
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function toInt(v, min, fallback) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.floor(n));
+}
+
+function uniqueStrings(list) {
+  return Array.from(new Set(list.filter(s => typeof s === "string" && s.length > 0)));
+}
+
+/**
+ * Map an item id from an older save onto the current catalog:
+ * explicit alias -> exact id -> hyphen / underscore spelling swap.
+ * Rolled gear ids ("iron-sword#k3f9qa") keep their tag, only the base part
+ * is mapped. Unknown ids are returned unchanged (never dropped).
+ */
+export function resolveItemId(id) {
+  if (typeof id !== "string" || !id) return id;
+  const tag = id.indexOf("#");
+  if (tag > 0) return `${resolveItemId(id.slice(0, tag))}${id.slice(tag)}`;
+  if (ITEM_ID_ALIASES[id]) return ITEM_ID_ALIASES[id];
+  if (ITEMS_DB[id]) return id;
+  const hyphen = id.replace(/_/g, "-");
+  if (ITEMS_DB[hyphen]) return hyphen;
+  const underscore = id.replace(/-/g, "_");
+  if (ITEMS_DB[underscore]) return underscore;
+  return id;
+}
+
+/**
+ * Normalize any inventory shape we've ever stored into { itemId: qty }:
+ * - { id: 3 } / { id: "3" } / { id: { qty: 3 } }
+ * - [{ id, qty }] / ["id", "id"]
+ * Ids are resolved via resolveItemId, empty / bad quantities are dropped.
+ */
+export function normalizeItemMap(raw, issues = [], path = "inventory") {
+  const out = {};
+  const add = (id, qty) => {
+    if (typeof id !== "string" || !id) {
+      issues.push(`${path}: dropped entry without an id`);
+      return;
+    }
+    const n = Math.floor(Number(qty));
+    if (!Number.isFinite(n) || n <= 0) {
+      if (qty !== 0) issues.push(`${path}.${id}: dropped bad quantity ${JSON.stringify(qty)}`);
+      return;
+    }
+    const resolved = resolveItemId(id);
+    if (resolved !== id) issues.push(`${path}.${id}: renamed to ${resolved}`);
+    out[resolved] = (out[resolved] || 0) + n;
+  };
+
+  if (Array.isArray(raw)) {
+    issues.push(`${path}: converted list to map`);
+    for (const entry of raw) {
+      if (typeof entry === "string") add(entry, 1);
+      else if (isPlainObject(entry)) add(entry.id, entry.qty ?? entry.count ?? 1);
+      else issues.push(`${path}: dropped ${JSON.stringify(entry)}`);
+    }
+    return out;
+  }
+
+  if (!isPlainObject(raw)) {
+    if (raw != null) issues.push(`${path}: replaced ${typeof raw} with empty map`);
+    return out;
+  }
+
+  for (const [id, v] of Object.entries(raw)) {
+    add(id, isPlainObject(v) ? (v.qty ?? v.count) : v);
+  }
+  return out;
+}
+
+// ============================================================
+// Migrations (registry keyed by kind, then by the version they upgrade FROM)
+// ============================================================
+
+const MIGRATIONS = {
+  progress: {
+    // v1: `inventory` and the legacy `items` mirror could drift apart or be missing
+    1: (p) => {
+      if (!p.inventory && p.items) p.inventory = p.items;
+      if (!isPlainObject(p.quests)) p.quests = { active: {}, completed: [] };
+      return p;
+    },
+  },
+  battle: {
+    // v1: snapshots from before structured events
+    1: (b) => {
+      if (!Array.isArray(b.events)) b.events = [];
+      if (!Number.isFinite(Number(b._eventSeq))) b._eventSeq = b.events.length;
+      return b;
+    },
+  },
+  dungeons: {
+    // v1: runs from before visitedCount was tracked reliably
+    1: (all) => {
+      for (const [k, run] of Object.entries(all)) {
+        if (k.startsWith("_") || !isPlainObject(run) || !Array.isArray(run.tiles)) continue;
+        if (!Number.isFinite(Number(run.visitedCount))) {
+          run.visitedCount = run.tiles.filter(t => t && t.visited).length;
+        }
+      }
+      return all;
+    },
+  },
+  shops: {},
+};
+
+/**
+ * Register a migration that upgrades `kind` records from `fromVersion` to fromVersion + 1.
+ */
+export function registerMigration(kind, fromVersion, fn) {
+  if (!MIGRATIONS[kind]) MIGRATIONS[kind] = {};
+  MIGRATIONS[kind][fromVersion] = fn;
+}
+
+export function recordVersion(raw) {
+  const v = Number(raw?.[VERSION_FIELD]);
+  return Number.isFinite(v) && v >= 1 ? Math.floor(v) : 1;
+}
+
+/**
+ * Run all migrations a record needs. Returns { value, from, migrated }.
+ * Records from a newer build are passed through untouched (from > SAVE_VERSION).
+ */
+export function migrateRecord(kind, raw) {
+  const from = recordVersion(raw);
+  if (!isPlainObject(raw) || from >= SAVE_VERSION) return { value: raw, from, migrated: false };
+
+  let value = clone(raw);
+  for (let v = from; v < SAVE_VERSION; v++) {
+    const step = MIGRATIONS[kind]?.[v];
+    if (typeof step === "function") value = step(value) || value;
+  }
+  value[VERSION_FIELD] = SAVE_VERSION;
+  return { value, from, migrated: true };
+}
+
+// ============================================================
+// Validation (repairs in place, returns the issues found)
+// ============================================================
+
+function validateProgress(p, issues) {
+  const level = toInt(p.level, 1, 1);
+  if (p.level !== undefined && level !== p.level) issues.push(`level: ${JSON.stringify(p.level)} -> ${level}`);
+  p.level = level;
+
+  for (const k of ["exp", "unspentPoints"]) {
+    const n = toInt(p[k], 0, 0);
+    if (p[k] !== undefined && n !== p[k]) issues.push(`${k}: ${JSON.stringify(p[k])} -> ${n}`);
+    p[k] = n;
+  }
+
+  const gold = Number(p.gold);
+  if (p.gold !== undefined && (!Number.isFinite(gold) || gold < 0)) issues.push(`gold: ${JSON.stringify(p.gold)} -> 0`);
+  p.gold = Number.isFinite(gold) && gold >= 0 ? gold : 0;
+
+  const stats = isPlainObject(p.stats) ? p.stats : {};
+  if (p.stats !== undefined && !isPlainObject(p.stats)) issues.push("stats: replaced with defaults");
+  const fixedStats = { ...stats };
+  for (const [k, def] of Object.entries(DEFAULT_STATS)) {
+    const n = Number(stats[k]);
+    if (!Number.isFinite(n)) {
+      if (stats[k] !== undefined) issues.push(`stats.${k}: ${JSON.stringify(stats[k])} -> ${def}`);
+      fixedStats[k] = def;
+    }
+  }
+  p.stats = fixedStats;
+
+  // inventory is the source of truth, `items` stays an identical legacy mirror
+  p.inventory = normalizeItemMap(p.inventory, issues, "inventory");
+  p.items = { ...p.inventory };
+
+  if (p.spells !== undefined && !Array.isArray(p.spells)) issues.push("spells: replaced with empty list");
+  p.spells = uniqueStrings(Array.isArray(p.spells) ? p.spells : []);
+
+  const equipped = {};
+  if (p.equipped !== undefined && !isPlainObject(p.equipped)) issues.push("equipped: replaced with empty map");
+  for (const [slot, id] of Object.entries(isPlainObject(p.equipped) ? p.equipped : {})) {
+    if (typeof id !== "string" || !id) {
+      if (id != null) issues.push(`equipped.${slot}: dropped ${JSON.stringify(id)}`);
+      continue;
+    }
+    const resolved = resolveItemId(id);
+    if (resolved !== id) issues.push(`equipped.${slot}: renamed ${id} to ${resolved}`);
+    equipped[slot] = resolved;
+  }
+  p.equipped = equipped;
+
+  // rolled gear instances (engine/gear.js), keyed by instance id
+  const gear = {};
+  if (p.gear !== undefined && !isPlainObject(p.gear)) issues.push("gear: replaced with empty map");
+  for (const [rawId, inst] of Object.entries(isPlainObject(p.gear) ? p.gear : {})) {
+    const id = resolveItemId(rawId);
+    if (!isPlainObject(inst) || !id.includes("#")) {
+      issues.push(`gear.${rawId}: dropped`);
+      continue;
+    }
+    const rarity = AFFIXES_DB.rarities?.[inst.rarity] ? inst.rarity : "common";
+    if (rarity !== inst.rarity) issues.push(`gear.${rawId}: rarity ${JSON.stringify(inst.rarity)} -> common`);
+    const affixes = (Array.isArray(inst.affixes) ? inst.affixes : [])
+      .filter(a => isPlainObject(a) && typeof a.kind === "string" && Number.isFinite(Number(a.value)));
+    gear[id] = { ...inst, id, baseId: id.slice(0, id.indexOf("#")), rarity, affixes };
+  }
+  p.gear = gear;
+
+  // drops seen per enemy (state/lootLog.js): { enemyId: [itemId] }
+  const lootSeen = {};
+  if (p.lootSeen !== undefined && !isPlainObject(p.lootSeen)) issues.push("lootSeen: replaced with empty map");
+  for (const [enemyId, ids] of Object.entries(isPlainObject(p.lootSeen) ? p.lootSeen : {})) {
+    if (!Array.isArray(ids)) {
+      issues.push(`lootSeen.${enemyId}: dropped`);
+      continue;
+    }
+    lootSeen[enemyId] = uniqueStrings(ids.filter(id => typeof id === "string" && id));
+  }
+  p.lootSeen = lootSeen;
+
+  p.unlockedLocations = uniqueStrings(Array.isArray(p.unlockedLocations) ? p.unlockedLocations : []);
+
+  // recruited companions (ids from db/companions.json)
+  if (p.party !== undefined && !Array.isArray(p.party)) issues.push("party: replaced with empty list");
+  p.party = uniqueStrings(Array.isArray(p.party) ? p.party : []);
+  p.pendingSpellChoices = Array.isArray(p.pendingSpellChoices) ? p.pendingSpellChoices : [];
+
+  const q = isPlainObject(p.quests) ? p.quests : {};
+  if (p.quests !== undefined && !isPlainObject(p.quests)) issues.push("quests: reset");
+  p.quests = {
+    ...q,
+    active: isPlainObject(q.active) ? q.active : {},
+    completed: uniqueStrings(Array.isArray(q.completed) ? q.completed : []),
+  };
+
+  if (p.currentLocation != null && typeof p.currentLocation !== "string") {
+    issues.push(`currentLocation: dropped ${JSON.stringify(p.currentLocation)}`);
+    p.currentLocation = null;
+  }
+
+  // difficulty preset id (db/difficulties.json); unknown ids are re-picked
+  if (p.difficulty != null && !DIFFICULTIES_DB[p.difficulty]) {
+    issues.push(`difficulty: dropped ${JSON.stringify(p.difficulty)}`);
+    p.difficulty = null;
+  }
+
+  // defeat respawn (state/defeat.js): a share of max HP in (0, 1), otherwise none
+  if (p.respawnHpPct != null) {
+    const share = Number(p.respawnHpPct);
+    if (!(share > 0 && share < 1)) {
+      issues.push(`respawnHpPct: dropped ${JSON.stringify(p.respawnHpPct)}`);
+      p.respawnHpPct = null;
+    }
+  }
+  if (p.lastDefeat != null && !isPlainObject(p.lastDefeat)) {
+    issues.push("lastDefeat: dropped");
+    p.lastDefeat = null;
+  }
+  return p;
+}
+
+function validateBattle(b, issues) {
+  if (!isPlainObject(b.player)) {
+    issues.push("player: missing");
+    return null;
+  }
+  if (!Array.isArray(b.enemies)) {
+    if (b.enemies !== undefined) issues.push("enemies: replaced with empty list");
+    b.enemies = [];
+  }
+  b.enemies = b.enemies.filter(en => {
+    if (isPlainObject(en)) return true;
+    issues.push(`enemies: dropped ${JSON.stringify(en)}`);
+    return false;
+  });
+  if (b.allies !== undefined && !Array.isArray(b.allies)) {
+    issues.push("allies: replaced with empty list");
+    b.allies = [];
+  }
+  if (Array.isArray(b.allies)) b.allies = b.allies.filter(isPlainObject);
+  b.player.items = normalizeItemMap(b.player.items, issues, "player.items");
+  if (!Array.isArray(b.player.spells)) b.player.spells = [];
+  if (!Array.isArray(b.log)) b.log = [];
+  if (!Array.isArray(b.events)) b.events = [];
+  if (b.turn === "ally" && !b.activeAlly) {
+    issues.push('turn: "ally" without activeAlly -> "player"');
+    b.turn = "player";
+  }
+  if (b.turn !== "player" && b.turn !== "enemy" && b.turn !== "ally") {
+    issues.push(`turn: ${JSON.stringify(b.turn)} -> "player"`);
+    b.turn = "player";
+  }
+  return b;
+}
+
+function validateDungeons(all, issues) {
+  for (const [k, run] of Object.entries(all)) {
+    if (k.startsWith("_")) continue;
+    const ok = isPlainObject(run) && Array.isArray(run.tiles) && Number(run.size) > 0;
+    if (!ok) {
+      issues.push(`run ${k}: dropped (no tiles / size)`);
+      delete all[k];
+      continue;
+    }
+    if (!run.id) run.id = k;
+  }
+  if (all._active && !isPlainObject(all[all._active])) {
+    issues.push(`_active: cleared missing run ${all._active}`);
+    delete all._active;
+  }
+  return all;
+}
+
+function validateShops(all, issues) {
+  for (const [shopId, stock] of Object.entries(all)) {
+    if (shopId === VERSION_FIELD) continue;
+    if (!isPlainObject(stock)) {
+      issues.push(`${shopId}: dropped`);
+      delete all[shopId];
+      continue;
+    }
+    for (const [itemId, qty] of Object.entries(stock)) {
+      if (!Number.isFinite(Number(qty))) {
+        issues.push(`${shopId}.${itemId}: dropped bad stock ${JSON.stringify(qty)}`);
+        delete stock[itemId];
+      } else {
+        stock[itemId] = Math.max(0, Math.floor(Number(qty)));
+      }
+    }
+  }
+  return all;
+}
+
+const VALIDATORS = {
+  progress: validateProgress,
+  battle: validateBattle,
+  dungeons: validateDungeons,
+  shops: validateShops,
+};
+
+/**
+ * Validate + repair a (migrated) record. Returns { value, issues };
+ * value is null only when the record can't be used at all.
+ */
+export function validateRecord(kind, raw) {
+  const issues = [];
+  if (!isPlainObject(raw)) {
+    issues.push(`${kind}: expected an object, got ${raw === null ? "null" : Array.isArray(raw) ? "array" : typeof raw}`);
+    return { value: null, issues };
+  }
+  const validate = VALIDATORS[kind];
+  const value = validate ? validate(raw, issues) : raw;
+  return { value, issues };
+}
+
+// ============================================================
+// Entry points used by the storage modules
+// ============================================================
+
+/**
+ * Parse (if given JSON text), migrate and validate a stored record.
+ * Returns { value, issues, from, migrated, changed }:
+ * - value: usable record or null (rejected)
+ * - changed: true when the stored copy should be rewritten (migrated or repaired)
+ */
+export function readRecord(kind, input) {
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch {
+      return { value: null, issues: [`${kind}: not valid JSON`], from: null, migrated: false, changed: false };
+    }
+  }
+  if (raw == null) return { value: null, issues: [], from: null, migrated: false, changed: false };
+
+  const { value: migratedValue, from, migrated } = migrateRecord(kind, raw);
+  const working = migrated || !isPlainObject(migratedValue) ? migratedValue : clone(migratedValue);
+  const { value, issues } = validateRecord(kind, working);
+  return { value, issues, from, migrated, changed: !!value && (migrated || issues.length > 0) };
+}
+
+/**
+ * Copy of a record stamped with the current version (for writing).
+ */
+export function stampRecord(value) {
+  if (!isPlainObject(value)) return value;
+  return { ...value, [VERSION_FIELD]: SAVE_VERSION };
+}
+
+/**
+ * Console report for a load that needed repairs (kept in one place so every
+ * storage module logs the same way).
+ */
+export function reportRecordIssues(kind, result) {
+  if (!result) return;
+  if (result.migrated) console.info(`[saveSchema] ${kind}: migrated v${result.from} -> v${SAVE_VERSION}`);
+  if (result.issues && result.issues.length > 0) {
+    const log = result.value ? console.warn : console.error;
+    log(`[saveSchema] ${kind}: ${result.value ? "repaired" : "rejected"}`, result.issues);
+  }
+}
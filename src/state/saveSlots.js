@@ -0,0 +1,274 @@
+// src/state/saveSlots.js
+// ------------------------------------------------------
+// Named save slots.
+// Every persisted subsystem key (progress, battle snapshot +
+// replay, shop stock, dungeon runs) is namespaced by the
+// active slot through slotKey(baseKey). Slot 1 keeps the
+// original bare keys, so saves from before slots existed
+// simply show up as slot 1.
+//
+// Registry (rpg.slots.v1, not namespaced):
+//   {
+//     active: slotId,
+//     slots: { [slotId]: { id, name, createdAt, lastSavedAt, playtimeMs, summary } }
+//   }
+//   summary: { name, level, gold, region, location }
+// ------------------------------------------------------
+
+import LOCATIONS from "../db/locations.json";
+import { getStorage } from "./storageAdapter.js";
+
+export const SLOTS_KEY = "rpg.slots.v1";
+export const DEFAULT_SLOT_ID = "slot-1";
+
+// record kind -> base key, for every key that belongs to a slot
+export const SLOT_RECORD_KEYS = {
+  progress: "rpg.progress.v1",
+  battle: "rpg.turnbased.snapshot",
+  replay: "rpg.turnbased.replay",
+  shops: "rpg.shops.stock.v1",
+  dungeons: "rpg.dungeons.v1",
+};
+
+// base keys that belong to a slot (copied / deleted together)
+export const SLOT_SCOPED_KEYS = Object.values(SLOT_RECORD_KEYS);
+
+// time between two saves longer than this counts as idle (not playtime)
+const IDLE_CAP_MS = 5 * 60 * 1000;
+
+let activeCache = null;
+let activeCacheStore = null;
+let lastTick = Date.now();
+
+// ============================================================
+// Registry
+// ============================================================
+
+function readRegistry() {
+  let reg = null;
+  try {
+    const raw = getStorage().getItem(SLOTS_KEY);
+    reg = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("[saveSlots] registry unreadable, starting fresh", e);
+    reg = null;
+  }
+  if (!reg || typeof reg !== "object") reg = {};
+  if (!reg.slots || typeof reg.slots !== "object") reg.slots = {};
+
+  // slot 1 always exists (it owns the legacy bare keys)
+  if (!reg.slots[DEFAULT_SLOT_ID]) {
+    reg.slots[DEFAULT_SLOT_ID] = { id: DEFAULT_SLOT_ID, name: "Slot 1", createdAt: Date.now(), lastSavedAt: null, playtimeMs: 0, summary: null };
+  }
+  if (!reg.active || !reg.slots[reg.active]) reg.active = DEFAULT_SLOT_ID;
+  return reg;
+}
+
+function writeRegistry(reg) {
+  try {
+    getStorage().setItem(SLOTS_KEY, JSON.stringify(reg));
+    return true;
+  } catch (e) {
+    console.error("[saveSlots] writing registry failed", e);
+    return false;
+  }
+}
+
+function regionOf(locationId) {
+  if (!locationId) return null;
+  for (const region of LOCATIONS?.regions || []) {
+    if (region.id === locationId) return region.name || region.id;
+    if ((region.locations || []).some(l => l && l.id === locationId)) return region.name || region.id;
+  }
+  return null;
+}
+
+function summarize(progress) {
+  if (!progress) return null;
+  return {
+    name: progress.name || "Unnamed Hero",
+    level: Number(progress.level) || 1,
+    gold: Number(progress.gold) || 0,
+    region: regionOf(progress.currentLocation),
+    location: progress.currentLocation || null,
+  };
+}
+
+function makeSlotId() {
+  return `slot-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+}
+
+// ============================================================
+// Keys
+// ============================================================
+
+export function getActiveSlotId() {
+  // re-read when the storage backend was swapped (initStorage / setStorage)
+  if (!activeCache || activeCacheStore !== getStorage()) {
+    activeCacheStore = getStorage();
+    try {
+      activeCache = readRegistry().active;
+    } catch {
+      activeCache = DEFAULT_SLOT_ID;
+    }
+  }
+  return activeCache;
+}
+
+/**
+ * Storage key for baseKey inside a slot (default: the active one).
+ */
+export function slotKey(baseKey, slotId = getActiveSlotId()) {
+  if (!slotId || slotId === DEFAULT_SLOT_ID) return baseKey;
+  return `${baseKey}@${slotId}`;
+}
+
+// ============================================================
+// Slot management
+// ============================================================
+
+/**
+ * All slots, oldest first, with an `active` flag.
+ */
+export function listSlots() {
+  const reg = readRegistry();
+  return Object.values(reg.slots)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .map(s => ({ ...s, active: s.id === reg.active }));
+}
+
+export function getSlot(id) {
+  const reg = readRegistry();
+  return reg.slots[id] ? { ...reg.slots[id], active: id === reg.active } : null;
+}
+
+/**
+ * Create an empty slot (does not switch to it).
+ */
+export function createSlot(name) {
+  const reg = readRegistry();
+  const id = makeSlotId();
+  const count = Object.keys(reg.slots).length;
+  reg.slots[id] = {
+    id,
+    name: String(name || "").trim() || `Slot ${count + 1}`,
+    createdAt: Date.now(),
+    lastSavedAt: null,
+    playtimeMs: 0,
+    summary: null,
+  };
+  writeRegistry(reg);
+  return { ...reg.slots[id] };
+}
+
+/**
+ * Copy every key of a slot into a new slot (summary + playtime included).
+ */
+export function copySlot(fromId, name) {
+  const reg = readRegistry();
+  const src = reg.slots[fromId];
+  if (!src) return null;
+
+  const id = makeSlotId();
+  try {
+    for (const base of SLOT_SCOPED_KEYS) {
+      const raw = getStorage().getItem(slotKey(base, fromId));
+      if (raw != null) getStorage().setItem(slotKey(base, id), raw);
+    }
+  } catch (e) {
+    console.error("[saveSlots] copySlot failed", e);
+    for (const base of SLOT_SCOPED_KEYS) {
+      try { getStorage().removeItem(slotKey(base, id)); } catch { /* ignore */ }
+    }
+    return null;
+  }
+
+  reg.slots[id] = {
+    ...src,
+    id,
+    name: String(name || "").trim() || `${src.name} (copy)`,
+    createdAt: Date.now(),
+  };
+  writeRegistry(reg);
+  return { ...reg.slots[id] };
+}
+
+/**
+ * Delete a slot and all of its data. The last remaining slot can't be deleted;
+ * deleting the active slot makes the oldest remaining slot active.
+ * (Slot 1 owns the bare keys, so deleting it leaves an empty slot 1 behind.)
+ */
+export function deleteSlot(id) {
+  const reg = readRegistry();
+  if (!reg.slots[id]) return false;
+  if (Object.keys(reg.slots).length <= 1) return false;
+
+  for (const base of SLOT_SCOPED_KEYS) {
+    try { getStorage().removeItem(slotKey(base, id)); } catch { /* ignore */ }
+  }
+  delete reg.slots[id];
+
+  if (reg.active === id) {
+    const remaining = Object.values(reg.slots).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    reg.active = remaining[0]?.id || DEFAULT_SLOT_ID;
+  }
+  writeRegistry(reg);
+  activeCache = null;
+  return true;
+}
+
+/**
+ * Remove a slot for good (hardcore death): deleted like deleteSlot when another
+ * slot exists, otherwise its data is wiped and the empty slot stays behind.
+ */
+export function eraseSlot(id) {
+  if (deleteSlot(id)) return true;
+  const reg = readRegistry();
+  const slot = reg.slots[id];
+  if (!slot) return false;
+
+  for (const base of SLOT_SCOPED_KEYS) {
+    try { getStorage().removeItem(slotKey(base, id)); } catch { /* ignore */ }
+  }
+  slot.summary = null;
+  slot.lastSavedAt = null;
+  slot.playtimeMs = 0;
+  return writeRegistry(reg);
+}
+
+/**
+ * Make a slot active. In-memory state (battle, dungeon run) belongs to the old
+ * slot, so callers should reload the app afterwards.
+ */
+export function switchSlot(id) {
+  const reg = readRegistry();
+  if (!reg.slots[id]) return false;
+  reg.active = id;
+  const ok = writeRegistry(reg);
+  activeCache = null;
+  lastTick = Date.now();
+  try {
+    window.dispatchEvent(new CustomEvent("rpg.slot.changed", { detail: { slotId: id } }));
+  } catch { /* ignore */ }
+  return ok;
+}
+
+/**
+ * Called after every progress save: refresh the active slot's summary,
+ * last-saved time and playtime (idle gaps are capped).
+ */
+export function recordSlotSave(progress) {
+  try {
+    const reg = readRegistry();
+    const slot = reg.slots[reg.active];
+    if (!slot) return;
+    const now = Date.now();
+    slot.playtimeMs = (Number(slot.playtimeMs) || 0) + Math.min(IDLE_CAP_MS, Math.max(0, now - lastTick));
+    lastTick = now;
+    slot.lastSavedAt = now;
+    slot.summary = summarize(progress);
+    writeRegistry(reg);
+  } catch (e) {
+    console.warn("[saveSlots] recordSlotSave failed", e);
+  }
+}
@@ -1,37 +1,31 @@
 // src/state/shop.js
 // Simple shop/trade helpers. Works with playerProgress's saved shape.
-// Adds persistent shop-stock overrides (localStorage) so per-shop qty is decremented
+// Adds persistent shop-stock overrides (storage adapter) so per-shop qty is decremented
 // when buying and incremented when selling back.
 
 import SHOPS from "../db/shops.json";
 import { loadProgress, saveProgress } from "./playerProgress.js";
 import itemsCatalog from "../db/items.json";
 import { gameEvents } from "./gameEvents.js";
+import { readRecord, stampRecord, reportRecordIssues, VERSION_FIELD } from "./saveSchema.js";
+import { slotKey } from "./saveSlots.js";
+import { getStorage, storageAvailable } from "./storageAdapter.js";
+import { scaleForPlayer } from "./difficultySetting.js";
+import { resolveItem, baseItemId, rarityPriceMult } from "../engine/gear.js";
 
 const SHOP_STORAGE_KEY = "rpg.shops.stock.v1";
 
-/* -----------------------
-   Minimal localStorage helpers
-   ----------------------- */
-function storageAvailable() {
-  try {
-    const k = "__rpg_test__";
-    window.localStorage.setItem(k, "1");
-    window.localStorage.removeItem(k);
-    return true;
-  } catch (_) {
-    return false;
-  }
-}
-
 function loadShopOverrides() {
   if (!storageAvailable()) return {};
   try {
-    const raw = window.localStorage.getItem(SHOP_STORAGE_KEY);
+    const raw = getStorage().getItem(slotKey(SHOP_STORAGE_KEY));
     if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    if (typeof parsed !== "object" || parsed === null) return {};
-    return { ...parsed };
+    const res = readRecord("shops", raw);
+    reportRecordIssues("shops", res);
+    if (!res.value) return {};
+    const out = { ...res.value };
+    delete out[VERSION_FIELD];
+    return out;
   } catch (err) {
     console.error("[shop] loadShopOverrides parse failed", err);
     return {};
@@ -40,7 +34,7 @@ function loadShopOverrides() {
 
 function saveShopOverrides(obj) {
   if (!storageAvailable()) {
-    console.warn("[shop] localStorage unavailable; cannot persist shop overrides");
+    console.warn("[shop] storage unavailable; cannot persist shop overrides");
     return false;
   }
   try {
@@ -49,7 +43,7 @@ function saveShopOverrides(obj) {
       const v = obj[k];
       clean[k] = typeof v === "object" ? { ...v } : v;
     }
-    window.localStorage.setItem(SHOP_STORAGE_KEY, JSON.stringify(clean));
+    getStorage().setItem(slotKey(SHOP_STORAGE_KEY), JSON.stringify(stampRecord(clean)));
     return true;
   } catch (err) {
     console.error("[shop] saveShopOverrides failed", err);
@@ -104,7 +98,8 @@ export function getShopStock(shopId = "default") {
     out.push({
       id,
       name: meta.name || id,
-      price: Number(spec.price) || 0,
+      // buy price after the difficulty's shop multiplier (sell-back uses the base price)
+      price: scaleForPlayer(Number(spec.price) || 0, "shopPrices"),
       inStock: Number.isFinite(merged) ? merged : Infinity,
       defaultQty: Number.isFinite(defaultQ) ? defaultQ : Infinity,
     });
@@ -155,9 +150,9 @@ export function buyFromShop(shopId = "default", itemId, qty = 1) {
     return { success: false, reason: "bad-price" };
   }
 
-  const total = price * qty;
-
   const progress = loadProgress() || {};
+  const total = scaleForPlayer(price, "shopPrices", progress) * qty;
+
   const gold = Number(progress.gold) || 0;
   if (gold < total) {
     gameEvents.emit("toast", { message: "Not enough gold.", type: "error" });
@@ -229,8 +224,11 @@ export function sellToShop(shopId = "default", itemId, qty = 1) {
     return { success: false, reason: "bad-shop" };
   }
 
-  let stockSpec = shop.stock?.[itemId];
-  const itemMeta = itemsCatalog[itemId];
+  // rolled gear sells as its base item, priced up by rarity
+  const progress = loadProgress() || {};
+  const baseId = baseItemId(itemId);
+  let stockSpec = shop.stock?.[baseId];
+  const itemMeta = resolveItem(itemId, progress.gear);
 
   if (!itemMeta) {
     gameEvents.emit("toast", { message: "Unknown item.", type: "error" });
@@ -252,14 +250,13 @@ export function sellToShop(shopId = "default", itemId, qty = 1) {
     return { success: false, reason: "untradable" };
   }
 
-  const progress = loadProgress() || {};
   const have = Number(progress.inventory?.[itemId]) || 0;
   if (have < qty) {
     gameEvents.emit("toast", { message: "You don't have enough items.", type: "error" });
     return { success: false, reason: "not-enough-items" };
   }
 
-  const buyPrice = Number(stockSpec.price);
+  const buyPrice = Number(stockSpec.price) * rarityPriceMult(itemMeta);
   if (!Number.isFinite(buyPrice) || buyPrice <= 0) {
     gameEvents.emit("toast", { message: "Invalid item price.", type: "error" });
     return { success: false, reason: "bad-price" };
@@ -275,30 +272,33 @@ export function sellToShop(shopId = "default", itemId, qty = 1) {
   if (newCount > 0) newInv[itemId] = newCount;
   else delete newInv[itemId];
 
-  const persisted = persistProgressAndReload({
-    gold: newGold,
-    inventory: newInv,
-    items: newInv,
-  });
+  const patch = { gold: newGold, inventory: newInv, items: newInv };
+  if (newCount <= 0 && progress.gear?.[itemId]) {
+    const gear = { ...progress.gear };
+    delete gear[itemId];
+    patch.gear = gear;
+  }
+
+  const persisted = persistProgressAndReload(patch);
 
   if (!persisted) {
     gameEvents.emit("toast", { message: "Failed to save sale.", type: "error" });
     return { success: false, reason: "save-failed" };
   }
 
-  const defaultQty = defaultShopQty(shop, itemId);
+  const defaultQty = defaultShopQty(shop, baseId);
   if (Number.isFinite(defaultQty)) {
     const overrides = loadShopOverrides();
     const next = { ...(overrides || {}) };
     const shopOverrides = { ...(next[shopId] || {}) };
 
-    const current = Number.isFinite(Number(shopOverrides[itemId])) ? shopOverrides[itemId] : defaultQty;
+    const current = Number.isFinite(Number(shopOverrides[baseId])) ? shopOverrides[baseId] : defaultQty;
     const updated = current + qty;
 
     if (updated === defaultQty) {
-      delete shopOverrides[itemId];
+      delete shopOverrides[baseId];
     } else {
-      shopOverrides[itemId] = updated;
+      shopOverrides[baseId] = updated;
     }
 
     if (Object.keys(shopOverrides).length > 0) next[shopId] = shopOverrides;
@@ -1,31 +1,25 @@
 // src/state/storage.js
 // ---------------------
-// Clean no-version snapshot storage.
-// Saves/loads raw snapshot objects exactly as given.
+// Battle snapshot storage.
+// Snapshots are stamped with the save schema version and
+// migrated / repaired on load (see saveSchema.js).
+// Keys are namespaced by the active save slot (saveSlots.js) and
+// stored through the storage adapter (storageAdapter.js).
 
-const STORAGE_KEY = "rpg.turnbased.snapshot";
-
-/* ---------------- Utilities ---------------- */
+import { readRecord, stampRecord, reportRecordIssues } from "./saveSchema.js";
+import { slotKey } from "./saveSlots.js";
+import { getStorage, storageAvailable } from "./storageAdapter.js";
 
-function storageAvailable() {
-  try {
-    const testKey = "__rpg_test__";
-    window.localStorage.setItem(testKey, "1");
-    window.localStorage.removeItem(testKey);
-    return true;
-  } catch (_) {
-    return false;
-  }
-}
+const STORAGE_KEY = "rpg.turnbased.snapshot";
+const REPLAY_KEY = "rpg.turnbased.replay";
 
 /* ---------------- Save ---------------- */
 
 export function saveSnapshot(snapshot) {
   if (!storageAvailable()) return;
   try {
-    // Save raw object directly
-    const json = JSON.stringify(snapshot);
-    window.localStorage.setItem(STORAGE_KEY, json);
+    const json = JSON.stringify(stampRecord(snapshot));
+    getStorage().setItem(slotKey(STORAGE_KEY), json);
   } catch (_) {
     // swallow silently
   }
@@ -36,15 +30,13 @@ export function saveSnapshot(snapshot) {
 export function loadSnapshot() {
   if (!storageAvailable()) return null;
   try {
-    const json = window.localStorage.getItem(STORAGE_KEY);
+    const json = getStorage().getItem(slotKey(STORAGE_KEY));
     if (!json) return null;
 
-    const data = JSON.parse(json);
-
-    // Must be an object – nothing else is valid
-    if (typeof data !== "object" || data === null) return null;
-
-    return data;
+    // Must be an object with a player – anything else is rejected (and reported)
+    const res = readRecord("battle", json);
+    reportRecordIssues("battle", res);
+    return res.value;
   } catch (_) {
     return null;
   }
@@ -55,12 +47,45 @@ export function loadSnapshot() {
 export function clearSnapshot() {
   if (!storageAvailable()) return;
   try {
-    window.localStorage.removeItem(STORAGE_KEY);
+    getStorage().removeItem(slotKey(STORAGE_KEY));
   } catch (_) {
     // swallow
   }
 }
 
+/* ---------------- Replay (last / current battle) ---------------- */
+
+export function saveReplay(replay) {
+  if (!storageAvailable() || !replay) return;
+  try {
+    getStorage().setItem(slotKey(REPLAY_KEY), JSON.stringify(replay));
+  } catch {
+    // swallow (quota etc.)
+  }
+}
+
+export function loadReplay() {
+  if (!storageAvailable()) return null;
+  try {
+    const json = getStorage().getItem(slotKey(REPLAY_KEY));
+    if (!json) return null;
+    const data = JSON.parse(json);
+    if (typeof data !== "object" || data === null) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+export function clearReplay() {
+  if (!storageAvailable()) return;
+  try {
+    getStorage().removeItem(slotKey(REPLAY_KEY));
+  } catch {
+    // swallow
+  }
+}
+
 /* ---------------- Optional: Size estimate ---------------- */
 
 export function estimateSnapshotSize(snapshot) {
@@ -0,0 +1,248 @@
+// src/state/storageAdapter.js
+// ------------------------------------------------------
+// One key/value storage interface for every persisted
+// module (progress, battle snapshot, shops, dungeons,
+// save slots). The state modules stay synchronous:
+//
+//   adapter = {
+//     name,                  // "localStorage" | "indexedDB" | "memory"
+//     getItem(key) -> string | null,
+//     setItem(key, string),  // throws on quota errors like localStorage
+//     removeItem(key),
+//     keys() -> string[],
+//     ready: Promise,        // resolves once reads are served
+//   }
+//
+// The backend is picked once at startup (initStorage):
+//   - localStorage (default in the browser)
+//   - indexedDB: reads come from an in-memory copy loaded
+//     at startup, writes go through to IndexedDB in the
+//     background; no ~5 MB localStorage quota
+//   - memory: nothing survives a reload (Node, tools, tests)
+// Without initStorage, getStorage() falls back to
+// localStorage when it works and memory otherwise.
+// ------------------------------------------------------
+
+export const STORAGE_BACKENDS = ["localStorage", "indexedDB", "memory"];
+
+// device preference, always kept in localStorage itself
+export const STORAGE_BACKEND_KEY = "rpg.storage.backend";
+// set when switching to IndexedDB: replace its contents with localStorage's on next startup
+const STORAGE_IMPORT_KEY = "rpg.storage.import";
+
+const IDB_NAME = "rpg";
+const IDB_STORE = "kv";
+
+let current = null;
+
+// ============================================================
+// Adapters
+// ============================================================
+
+function localStorageWorks() {
+  try {
+    const testKey = "__rpg_test__";
+    window.localStorage.setItem(testKey, "1");
+    window.localStorage.removeItem(testKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// save keys (everything rpg.* except the backend bookkeeping)
+function gameKeys(keys) {
+  return keys.filter(k => k.startsWith("rpg.") && !k.startsWith("rpg.storage."));
+}
+
+/**
+ * window.localStorage, looked up on every call so patched setItem hooks
+ * (playerProgress debug watcher) still see writes.
+ */
+export function createLocalStorageAdapter() {
+  return {
+    name: "localStorage",
+    getItem: (key) => window.localStorage.getItem(key),
+    setItem: (key, value) => window.localStorage.setItem(key, String(value)),
+    removeItem: (key) => window.localStorage.removeItem(key),
+    keys: () => Object.keys(window.localStorage),
+    ready: Promise.resolve(),
+  };
+}
+
+/**
+ * Plain Map storage. `initial` seeds it ({ key: string }).
+ */
+export function createMemoryAdapter(initial = {}) {
+  const data = new Map(Object.entries(initial || {}).map(([k, v]) => [k, String(v)]));
+  return {
+    name: "memory",
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    keys: () => Array.from(data.keys()),
+    ready: Promise.resolve(),
+  };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openIdb() {
+  const req = window.indexedDB.open(IDB_NAME, 1);
+  req.onupgradeneeded = () => {
+    if (!req.result.objectStoreNames.contains(IDB_STORE)) req.result.createObjectStore(IDB_STORE);
+  };
+  return idbRequest(req);
+}
+
+/**
+ * IndexedDB-backed adapter. Loads every key into memory (ready), then writes
+ * through in the background. On first use it copies the existing rpg.* keys
+ * over from localStorage so switching backends keeps the saves.
+ * ready rejects when IndexedDB can't be opened.
+ */
+export function createIndexedDBAdapter() {
+  const cache = new Map();
+  let db = null;
+  let pending = Promise.resolve();
+
+  const write = (fn) => {
+    if (!db) return;
+    pending = pending
+      .then(() => new Promise((resolve) => {
+        const tx = db.transaction(IDB_STORE, "readwrite");
+        fn(tx.objectStore(IDB_STORE));
+        tx.oncomplete = () => resolve();
+        tx.onerror = tx.onabort = () => {
+          console.error("[storageAdapter] IndexedDB write failed", tx.error);
+          resolve();
+        };
+      }));
+  };
+
+  const ready = (async () => {
+    db = await openIdb();
+    const tx = db.transaction(IDB_STORE, "readonly");
+    const store = tx.objectStore(IDB_STORE);
+    const [keys, values] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+    keys.forEach((k, i) => cache.set(String(k), String(values[i])));
+
+    const importRequested = localStorageWorks() && window.localStorage.getItem(STORAGE_IMPORT_KEY) === "1";
+    if ((cache.size === 0 || importRequested) && localStorageWorks()) {
+      for (const k of Array.from(cache.keys())) adapter.removeItem(k);
+      const saved = gameKeys(Object.keys(window.localStorage));
+      for (const k of saved) adapter.setItem(k, window.localStorage.getItem(k));
+      window.localStorage.removeItem(STORAGE_IMPORT_KEY);
+      if (saved.length > 0) console.info(`[storageAdapter] copied ${saved.length} keys from localStorage to IndexedDB`);
+    }
+  })();
+
+  const adapter = {
+    name: "indexedDB",
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      const str = String(value);
+      cache.set(key, str);
+      write(store => store.put(str, key));
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      write(store => store.delete(key));
+    },
+    keys: () => Array.from(cache.keys()),
+    ready,
+    // resolves when every queued write has reached IndexedDB
+    flush: () => pending,
+  };
+  return adapter;
+}
+
+// ============================================================
+// Active adapter
+// ============================================================
+
+/**
+ * The adapter every storage module should use.
+ */
+export function getStorage() {
+  if (!current) current = localStorageWorks() ? createLocalStorageAdapter() : createMemoryAdapter();
+  return current;
+}
+
+/**
+ * Swap the active adapter (tests / tools: setStorage(createMemoryAdapter())).
+ */
+export function setStorage(adapter) {
+  current = adapter || null;
+  return getStorage();
+}
+
+/**
+ * False only when the active adapter can't store anything right now
+ * (localStorage blocked / full); the other backends always accept writes.
+ */
+export function storageAvailable() {
+  return getStorage().name !== "localStorage" || localStorageWorks();
+}
+
+export function preferredBackend() {
+  try {
+    const pref = window.localStorage.getItem(STORAGE_BACKEND_KEY);
+    if (STORAGE_BACKENDS.includes(pref)) return pref;
+  } catch {
+    // no localStorage (Node) -> fall through
+  }
+  const env = import.meta.env?.VITE_STORAGE_BACKEND;
+  return STORAGE_BACKENDS.includes(env) ? env : "localStorage";
+}
+
+/**
+ * Remember the backend for the next startup (takes effect after a reload).
+ * Saves move with the switch: leaving IndexedDB copies its keys into
+ * localStorage now, entering it copies localStorage over on the next startup.
+ */
+export function setPreferredBackend(name) {
+  if (!STORAGE_BACKENDS.includes(name)) return false;
+  try {
+    const from = getStorage();
+    if (name === "localStorage" && from.name !== "localStorage") {
+      for (const k of gameKeys(from.keys())) window.localStorage.setItem(k, from.getItem(k));
+    }
+    if (name === "indexedDB") window.localStorage.setItem(STORAGE_IMPORT_KEY, "1");
+    window.localStorage.setItem(STORAGE_BACKEND_KEY, name);
+    return true;
+  } catch (e) {
+    console.error("[storageAdapter] switching backend failed", e);
+    return false;
+  }
+}
+
+/**
+ * Pick and prepare the backend once at startup. Falls back to localStorage
+ * when IndexedDB can't be opened, and to memory when localStorage is blocked.
+ * Resolves with the active adapter.
+ */
+export async function initStorage(backend = preferredBackend()) {
+  let adapter = null;
+
+  if (backend === "indexedDB" && typeof window !== "undefined" && window.indexedDB) {
+    try {
+      adapter = createIndexedDBAdapter();
+      await adapter.ready;
+    } catch (e) {
+      console.warn("[storageAdapter] IndexedDB unavailable, using localStorage", e);
+      adapter = null;
+    }
+  } else if (backend === "memory") {
+    adapter = createMemoryAdapter();
+  }
+
+  if (!adapter) adapter = localStorageWorks() ? createLocalStorageAdapter() : createMemoryAdapter();
+  current = adapter;
+  return adapter;
+}
@@ -2,6 +2,8 @@
 // ----------------------------------
 // Backwards-compatible, multi-enemy ready version
 // Pure-friendly: engine.* are treated as pure functions that return a new state.
+// The engine queues EXP / loot / level-ups / toasts on battle.effects;
+// this hook commits them to saved progress once, when the battle resolves.
 import { useEffect, useMemo, useRef, useState } from "react";
 
 import {
@@ -9,19 +11,47 @@ import {
   playerAttack,
   playerCast,
   playerUseItem,
+  playerDefend,
+  playerWait,
+  playerFlee,
+  canFlee,
   enemyAct,
+  allyAttack,
+  allyCast,
+  getActiveAlly,
+  getActiveAllySpells,
+  canActiveAllyCast,
   getSpells,
   canCast,
   getItems,
   canUseItem,
   allocateStat,
-  deriveFromStats, // imported from engine to keep derivation consistent
 } from "../engine/engine.js";
 
-import { ensureRuntimeFieldsForEntity } from "../engine/statuses.js";
-
-import { saveProgress } from "./playerProgress.js";
-import { loadSnapshot, saveSnapshot, clearSnapshot } from "./storage.js";
+import { ensureRuntimeFieldsForEntity, recomputeDerivedWithStatuses } from "../engine/statuses.js";
+import { restoreBossPhasesMut } from "../engine/bossPhases.js";
+import {
+  beginReplay,
+  recordStep,
+  attackStep,
+  castStep,
+  itemStep,
+  defendStep,
+  waitStep,
+  fleeStep,
+  enemyStep,
+  allyAttackStep,
+  allyCastStep,
+} from "../engine/replay.js";
+
+import { pendingEffects, effectsSince, summarizeEffects } from "../engine/effects.js";
+import { resolveItem, baseItemId, getRarity } from "../engine/gear.js";
+
+import { loadProgress, saveProgress } from "./playerProgress.js";
+import { mergePendingSpellChoices } from "./progression.js";
+import { applyDefeatPenalty, takeRespawnHP } from "./defeat.js";
+import { mergeLootSeen } from "./lootLog.js";
+import { loadSnapshot, saveSnapshot, clearSnapshot, loadReplay, saveReplay } from "./storage.js";
 import { emit } from "./gameEvents.js"; // using the tiny local emitter
 
 const DEFAULT_ENEMY_ID = "goblin";
@@ -73,32 +103,45 @@ export function useBattle() {
   // ensure we call onFinish only once per started battle
   const finishCalledRef = useRef(false);
 
+  // Replay of the current (or last finished) battle: initial state + recorded steps.
+  // Persisted next to the snapshot so a reload mid-fight keeps recording.
+  const replayRef = useRef(loadSnapshot() ? loadReplay() : null);
+
+  // Last effect seq whose toast was shown (toast effects are shown as they come)
+  const toastSeqRef = useRef(Number(battle?._effectSeq) || 0);
+
   /* ------------------ Derived UI Structs ------------------ */
 
-  const spells = useMemo(() => getSpells(battle) || [], [battle]);
+  // on a commanded ally's turn the action bar drives that ally (no items)
+  const activeAlly = useMemo(() => getActiveAlly(battle), [battle]);
+  const spells = useMemo(() => (activeAlly ? getActiveAllySpells(battle) : getSpells(battle)) || [], [battle, activeAlly]);
   const items  = useMemo(() => getItems(battle) || [],  [battle]);
 
   const actions = useMemo(() => {
-    const canAct = !battle.over && battle.turn === "player" && !busy;
+    const canAct = !battle.over && (battle.turn === "player" || !!activeAlly) && !busy;
 
     const spellMap = {};
     for (const sp of (spells || [])) {
       if (!sp) continue;
-      spellMap[sp.id] = canAct && canCast(battle, sp.id);
+      spellMap[sp.id] = canAct && (activeAlly ? canActiveAllyCast(battle, sp.id) : canCast(battle, sp.id));
     }
 
     const itemMap = {};
     for (const it of (items || [])) {
       if (!it) continue;
-      itemMap[it.id] = canAct && canUseItem(battle, it.id);
+      itemMap[it.id] = canAct && !activeAlly && canUseItem(battle, it.id);
     }
 
     return {
       canAttack: canAct,
+      // defend / wait / flee are the player's own (not a commanded ally's)
+      canDefend: canAct && !activeAlly,
+      canWait: canAct && !activeAlly,
+      canFlee: canAct && !activeAlly && canFlee(battle),
       spells: spellMap,
       items: itemMap,
     };
-  }, [battle, busy, spells, items]);
+  }, [battle, busy, spells, items, activeAlly]);
 
   const progress = useMemo(() => {
     const need = expNeededFor(battle.player.level);
@@ -109,9 +152,11 @@ export function useBattle() {
   }, [battle.player]);
 
   /* ============================================================
-     AUTO SAVE — Snapshot + persistent progress
-     - IMPORTANT: skip initial mount save to avoid overwriting persisted progress
-       (some code builds a fresh player from playerBase before other systems finish).
+     AUTO SAVE — Snapshot + replay
+     - Progress is NOT saved here: the battle's effects are committed once
+       when it resolves (see commitBattleEffects), so a lost or abandoned
+       fight can't half-apply EXP.
+     - Skip the initial mount save (nothing changed yet).
      ============================================================ */
   useEffect(() => {
     // If prevBattleRef.current is null, this is the initial mount — seed prevBattleRef and skip persisting.
@@ -121,44 +166,45 @@ export function useBattle() {
       return;
     }
 
-    // On subsequent changes, persist snapshot + progress
+    // On subsequent changes, persist snapshot + replay
     saveSnapshot(buildSnapshotObject(battle));
-
-    saveProgress({
-      level: battle.player.level,
-      exp: battle.player.exp,
-      unspentPoints: battle.player.unspentPoints,
-      stats: battle.player.stats,
-      inventory: battle.player.items,
-      spells: battle.player.spells,
-      gold: battle.player.gold,
-      equipped: battle.player.equipped,
-    });
+    saveReplay(replayRef.current);
     // do not update prevBattleRef here; prevBattleRef is updated in the transition effect
   }, [battle]);
 
   /* ============================================================
-     EMIT QUEST / GAME EVENTS ON WIN TRANSITION (multi-enemy aware)
-     - Emits only once when result transitions to "win".
+     COMMIT EFFECTS + EMIT QUEST / GAME EVENTS WHEN THE BATTLE RESOLVES
+     - toast effects are shown as they arrive (UI only)
+     - everything else is committed once, on the transition into `over`
+       (runs before the onFinish effect below, so callers see saved progress)
      ============================================================ */
   useEffect(() => {
     const prev = prevBattleRef.current;
     const prevResult = prev?.result;
     const curResult = battle?.result;
 
+    for (const fx of effectsSince(battle, toastSeqRef.current)) {
+      if (fx.type !== "toast") continue;
+      try {
+        emit("toast", { message: fx.message, type: fx.toastType || "info" });
+      } catch (e) {
+        console.error("[useBattle] emit toast failed:", e);
+      }
+    }
+    toastSeqRef.current = Math.max(toastSeqRef.current, Number(battle?._effectSeq) || 0);
+
+    let summary = null;
+    if (prev && !prev.over && battle?.over) {
+      try {
+        summary = commitBattleEffects(battle, initialEnemyIdsRef.current || []);
+      } catch (e) {
+        console.error("[useBattle] committing battle effects failed:", e);
+      }
+    }
+
     // only act on transition into win (and ensure we had a prev)
     if (prev && prevResult !== "win" && curResult === "win") {
-      // ensure progress persisted (saveProgress called in other effect, but call again to be explicit)
-      saveProgress({
-        level: battle.player.level,
-        exp: battle.player.exp,
-        unspentPoints: battle.player.unspentPoints,
-        stats: battle.player.stats,
-        inventory: battle.player.items,
-        spells: battle.player.spells,
-        gold: battle.player.gold,
-        equipped: battle.player.equipped,
-      });
+      const rewards = summary || summarizeEffects(pendingEffects(battle));
 
       // 1) kill events: aggregate by enemy id from initialEnemyIdsRef
       const started = Array.isArray(initialEnemyIdsRef.current)
@@ -178,23 +224,22 @@ export function useBattle() {
         }
       }
 
-      // 2) collect events: compare prev.inventory -> current inventory and emit positive deltas
-      const prevInv = (prev.player && prev.player.items) ? prev.player.items : {};
-      const curInv = (battle.player && battle.player.items) ? battle.player.items : {};
-      const collectedAgg = {};
-      for (const [itemId, curQtyRaw] of Object.entries(curInv)) {
-        const curQty = Number(curQtyRaw) || 0;
-        const prevQty = Number(prevInv[itemId]) || 0;
-        const delta = curQty - prevQty;
-        if (delta > 0) {
-          collectedAgg[itemId] = (collectedAgg[itemId] || 0) + delta;
+      // 2) collect events + reward toasts from the committed loot / exp effects
+      for (const [itemId, qty] of Object.entries(rewards.loot)) {
+        try {
+          const spec = resolveItem(itemId, rewards.gear);
+          const label = spec?.rarity ? `${getRarity(spec.rarity).name} ${spec.name}` : (spec?.name || itemId);
+          emit("collect", { itemId: baseItemId(itemId), qty });
+          emit("toast", { message: `Loot: ${qty}× ${label}`, type: "info" });
+        } catch (e) {
+          console.error("[useBattle] emit collect failed:", e);
         }
       }
-      for (const [itemId, qty] of Object.entries(collectedAgg)) {
+      if (rewards.exp > 0) {
         try {
-          emit("collect", { itemId, qty });
+          emit("toast", { message: `+${rewards.exp} EXP`, type: "success" });
         } catch (e) {
-          console.error("[useBattle] emit collect failed:", e);
+          console.error("[useBattle] emit exp toast failed:", e);
         }
       }
 
@@ -206,6 +251,24 @@ export function useBattle() {
       }
     }
 
+    // fled: no kills / loot, just tell listeners the fight was abandoned
+    if (prev && prevResult !== "fled" && curResult === "fled") {
+      try {
+        emit("battle_fled", { enemies: (initialEnemyIdsRef.current || []).slice(), timestamp: Date.now() });
+      } catch (e) {
+        console.error("[useBattle] emit battle_fled failed:", e);
+      }
+    }
+
+    // loss: the penalty was applied by the commit above; the defeat screen shows it
+    if (prev && prevResult !== "loss" && curResult === "loss") {
+      try {
+        emit("battle_lost", { enemies: (initialEnemyIdsRef.current || []).slice(), defeat: summary?.defeat || null, timestamp: Date.now() });
+      } catch (e) {
+        console.error("[useBattle] emit battle_lost failed:", e);
+      }
+    }
+
     // update prevBattleRef for next transition detection — store a deep clone to avoid mutation surprises
     prevBattleRef.current = deepClone(battle);
   }, [battle]);
@@ -219,6 +282,7 @@ export function useBattle() {
 
     setBusy(true);
     timerRef.current = setTimeout(() => {
+      recordReplay(enemyStep());
       setBattle((prev) => {
         try {
           // engine.enemyAct is pure: pass prev, get a new state back
@@ -303,7 +367,9 @@ export function useBattle() {
      ============================================================ */
 
   function doAttack(targetIndex = null) {
+    if (activeAlly) return doAllyAttack(targetIndex);
     if (battle.turn !== "player" || busy || battle.over) return;
+    recordReplay(attackStep(targetIndex ?? selectedTarget));
     setBattle((prev) => {
       const target = targetIndex ?? selectedTarget;
       try {
@@ -323,8 +389,10 @@ export function useBattle() {
   }
 
   function doCast(spellId, targetIndex = null) {
+    if (activeAlly) return doAllyCast(spellId, targetIndex);
     if (battle.turn !== "player" || busy || battle.over) return;
     if (!canCast(battle, spellId)) return;
+    recordReplay(castStep(spellId, targetIndex ?? selectedTarget));
 
     setBattle((prev) => {
       const target = targetIndex ?? selectedTarget;
@@ -347,6 +415,7 @@ export function useBattle() {
   function doUse(itemId, targetIndex = null) {
     if (battle.turn !== "player" || busy || battle.over) return;
     if (!canUseItem(battle, itemId)) return;
+    recordReplay(itemStep(itemId, targetIndex ?? selectedTarget));
 
     setBattle((prev) => {
       const target = targetIndex ?? selectedTarget;
@@ -366,6 +435,60 @@ export function useBattle() {
     });
   }
 
+  // Defend / Wait / Flee take no target; they are simple pass-through steps
+  function runPlayerStep(step, engineFn, label) {
+    if (battle.turn !== "player" || busy || battle.over || activeAlly) return;
+    recordReplay(step);
+    setBattle((prev) => {
+      try {
+        return engineFn(prev) || prev;
+      } catch (e) {
+        console.error(`[useBattle] ${label} threw:`, e);
+        return prev;
+      }
+    });
+  }
+
+  function doDefend() {
+    runPlayerStep(defendStep(), playerDefend, "playerDefend");
+  }
+
+  function doWait() {
+    runPlayerStep(waitStep(), playerWait, "playerWait");
+  }
+
+  function doFlee() {
+    if (!canFlee(battle)) return;
+    runPlayerStep(fleeStep(), playerFlee, "playerFlee");
+  }
+
+  // commanded ally turn (battle.turn === "ally")
+  function doAllyAttack(targetIndex = null) {
+    if (busy || battle.over || !activeAlly) return;
+    recordReplay(allyAttackStep(targetIndex ?? selectedTarget));
+    setBattle((prev) => {
+      try {
+        return allyAttack(prev, targetIndex ?? selectedTarget) || prev;
+      } catch (e) {
+        console.error("[useBattle] allyAttack threw:", e);
+        return prev;
+      }
+    });
+  }
+
+  function doAllyCast(spellId, targetIndex = null) {
+    if (busy || battle.over || !canActiveAllyCast(battle, spellId)) return;
+    recordReplay(allyCastStep(spellId, targetIndex ?? selectedTarget));
+    setBattle((prev) => {
+      try {
+        return allyCast(prev, spellId, targetIndex ?? selectedTarget) || prev;
+      } catch (e) {
+        console.error("[useBattle] allyCast threw:", e);
+        return prev;
+      }
+    });
+  }
+
   function doAllocate(statKey) {
     setBattle((prev) => {
       try {
@@ -444,7 +567,8 @@ export function useBattle() {
     setBusy(false);
 
     // Pass dungeonLevel through to startBattle so enemyBuilder can use it.
-    const fresh = startBattle(enemyIdOrArray, { dungeonLevel: opts.dungeonLevel });
+    // opts.seed (optional) pins the battle rng so the fight can be reproduced.
+    const fresh = startBattle(enemyIdOrArray, { dungeonLevel: opts.dungeonLevel, seed: opts.seed, progress: loadProgress() });
     fresh.enemyId = id;
 
     // Apply playerOverrides to the fresh battle state if provided
@@ -473,10 +597,23 @@ export function useBattle() {
       }
     }
 
+    // first fight after a defeat starts wounded (unless the caller carries its own HP)
+    if (!Number.isFinite(Number(playerOverrides?.hp))) {
+      const respawnHP = takeRespawnHP(fresh.player?.maxHP);
+      if (respawnHP != null) fresh.player.hp = Math.min(fresh.player.hp, respawnHP);
+    }
+
+    // start a new replay from the exact state the player sees (after overrides)
+    replayRef.current = beginReplay(fresh, {
+      enemyIds: initialEnemyIdsRef.current,
+      dungeonLevel: opts.dungeonLevel,
+    });
+
     setBattle(fresh);
     setSelectedTarget(getFirstAliveIndex(fresh));
     // seed prevBattleRef so transition detection behaves
     prevBattleRef.current = deepClone(fresh);
+    toastSeqRef.current = 0;
   }
 
   /* ============================================================
@@ -499,6 +636,10 @@ export function useBattle() {
     clearSnapshot();
   }
 
+  function getReplay() {
+    return replayRef.current;
+  }
+
   function setEnemyDelay(ms) {
     const n = Number(ms);
     if (Number.isFinite(n)) {
@@ -516,6 +657,7 @@ export function useBattle() {
     items,
     actions,
     progress,
+    activeAlly,
 
     // targeting helpers
     selectedTarget,
@@ -527,6 +669,9 @@ export function useBattle() {
     doAttack,
     doCast,
     doUse,
+    doDefend,
+    doWait,
+    doFlee,
     doAllocate,
 
     startWithEnemy,
@@ -535,12 +680,20 @@ export function useBattle() {
     save,
     clearSave,
     setEnemyDelay,
+
+    // replay of the current / last battle (see engine/replay.js)
+    getReplay,
   };
 
   /* ============================================================
      INTERNAL HELPERS
      ============================================================ */
 
+  function recordReplay(step) {
+    if (!replayRef.current) return;
+    replayRef.current = recordStep(replayRef.current, step);
+  }
+
   function cancelEnemyTimer() {
     if (timerRef.current) {
       clearTimeout(timerRef.current);
@@ -589,7 +742,7 @@ function loadInitialBattle() {
 
 function makeFreshBattle(id) {
   // explicit opts object to keep API stable; no dungeonLevel by default
-  const b = startBattle(id, {});
+  const b = startBattle(id, { progress: loadProgress() });
   b.enemyId = id;
   return b;
 }
@@ -602,12 +755,17 @@ function buildSnapshotObject(b) {
   const enemiesArr = Array.isArray(b.enemies) && b.enemies.length > 0
     ? b.enemies.map(en => ({
         id: en.id || null,
+        _uid: en._uid || null,
         hp: en.hp,
         statuses: Array.isArray(en.statuses) ? en.statuses.map(s => ({ ...s })) : [],
         _cooldowns: en._cooldowns ? { ...(en._cooldowns) } : {},
+        // boss phases fired so far (re-applied on restore)
+        _phases: Array.isArray(en._phases) ? en._phases.slice() : undefined,
+        _turnsTaken: en._turnsTaken || 0,
       }))
     : b.enemy ? [{
         id: b.enemy.id || null,
+        _uid: b.enemy._uid || null,
         hp: b.enemy.hp,
         statuses: Array.isArray(b.enemy.statuses) ? b.enemy.statuses.map(s => ({ ...s })) : [],
         _cooldowns: b.enemy._cooldowns ? { ...(b.enemy._cooldowns) } : {},
@@ -627,16 +785,39 @@ function buildSnapshotObject(b) {
       spells: [...b.player.spells],
       gold: b.player.gold,
       equipped: { ...b.player.equipped },
+      gear: deepClone(b.player.gear || {}),
       // runtime fields
       statuses: Array.isArray(b.player.statuses) ? b.player.statuses.map(s => ({ ...s })) : [],
       _cooldowns: b.player._cooldowns ? { ...(b.player._cooldowns) } : {},
+      _defending: !!b.player._defending,
     },
 
     enemies: enemiesArr,
+    // allies are stored whole: summons can't be rebuilt from ids
+    allies: Array.isArray(b.allies) ? b.allies.map(a => deepClone(a)) : [],
+    activeAlly: b.activeAlly || null,
     turn: b.turn,
     over: b.over,
     result: b.result,
     log: [...b.log],
+    events: Array.isArray(b.events) ? b.events.map(ev => ({ ...ev })) : [],
+    _eventSeq: b._eventSeq || 0,
+    // uncommitted EXP / loot / level-ups (committed when the battle resolves)
+    effects: Array.isArray(b.effects) ? b.effects.map(fx => ({ ...fx })) : [],
+    _effectSeq: b._effectSeq || 0,
+
+    // dungeon fights rebuild at the same level (and keep the dungeon flee penalty)
+    _dungeonLevel: b._dungeonLevel ?? null,
+    difficulty: b.difficulty || null,
+
+    // rng cursor so a resumed battle keeps rolling the same sequence
+    seed: b.seed,
+    rng: b.rng ? { ...b.rng } : null,
+    _summonSeq: b._summonSeq || 0,
+
+    // initiative queue (keyed by "player" / enemy _uid)
+    initiative: b.initiative ? { ...b.initiative, next: { ...b.initiative.next }, speed: { ...b.initiative.speed } } : null,
+    _uidSeq: b._uidSeq || 0,
   };
 }
 
@@ -654,9 +835,12 @@ function restoreSnapshot(snap) {
 
     // Rebuild baseline battle from engine.
     // If snapshot contains a stored dungeon-level (snap._dungeonLevel) prefer that for scaling.
-    const builderOpts = {};
+    const builderOpts = { progress: loadProgress() };
     if (Number.isFinite(Number(snap._dungeonLevel))) builderOpts.dungeonLevel = Number(snap._dungeonLevel);
 
+    if (Number.isFinite(Number(snap.seed))) builderOpts.seed = Number(snap.seed);
+    if (snap.difficulty) builderOpts.difficulty = snap.difficulty;
+
     const fresh = startBattle(enemySource.length === 1 ? enemySource[0] : enemySource, builderOpts);
     fresh.enemyId = enemySource[0] || DEFAULT_ENEMY_ID;
 
@@ -670,20 +854,7 @@ function restoreSnapshot(snap) {
       fresh.player.spells = snap.player.spells || fresh.player.spells;
       fresh.player.gold = snap.player.gold ?? fresh.player.gold;
       fresh.player.equipped = snap.player.equipped || fresh.player.equipped;
-    }
-
-    // Derived combat values
-    const derived = deriveFromStats(fresh.player.stats, fresh.player.level);
-    fresh.player.atk = derived.atk;
-    fresh.player.def = derived.def;
-    fresh.player.mAtk = derived.mAtk;
-    fresh.player.mDef = derived.mDef;
-    fresh.player.maxHP = derived.maxHP;
-    fresh.player.maxMP = derived.maxMP;
-
-    if (snap.player) {
-      fresh.player.hp = clamp(snap.player.hp, 0, fresh.player.maxHP, fresh.player.hp);
-      fresh.player.mp = clamp(snap.player.mp, 0, fresh.player.maxMP, fresh.player.mp);
+      fresh.player.gear = snap.player.gear || fresh.player.gear;
     }
 
     // Restore optional runtime fields for player (statuses, cooldowns)
@@ -698,9 +869,19 @@ function restoreSnapshot(snap) {
       fresh.player._cooldowns = fresh.player._cooldowns || {};
     }
 
+    fresh.player._defending = !!snap.player?._defending;
+
     // Normalize player runtime fields
     ensureRuntimeFieldsForEntity(fresh.player);
 
+    // Derived combat values (stats + gear + restored statuses, hit / dodge / block included)
+    recomputeDerivedWithStatuses(fresh.player, fresh);
+
+    if (snap.player) {
+      fresh.player.hp = clamp(snap.player.hp, 0, fresh.player.maxHP, fresh.player.hp);
+      fresh.player.mp = clamp(snap.player.mp, 0, fresh.player.maxMP, fresh.player.mp);
+    }
+
     // Restore enemies
     if (hasEnemies) {
       const baseline = Array.isArray(fresh.enemies) && fresh.enemies.length > 0
@@ -714,9 +895,12 @@ function restoreSnapshot(snap) {
           hp: clamp(snapEntry.hp, 0, base.maxHP, base.hp),
           statuses: Array.isArray(snapEntry.statuses) ? snapEntry.statuses.map(s => ({ ...s })) : (base.statuses ? base.statuses.slice() : []),
           _cooldowns: snapEntry._cooldowns ? { ...(snapEntry._cooldowns) } : (base._cooldowns ? { ...(base._cooldowns) } : {}),
+          _uid: snapEntry._uid || base._uid,
+          _turnsTaken: Number(snapEntry._turnsTaken) || 0,
         };
         // ensure runtime fields & base exist
         ensureRuntimeFieldsForEntity(res);
+        if (Array.isArray(snapEntry._phases)) restoreBossPhasesMut(res, snapEntry._phases);
         return res;
       });
 
@@ -732,11 +916,32 @@ function restoreSnapshot(snap) {
       if (fresh.enemy) ensureRuntimeFieldsForEntity(fresh.enemy);
     }
 
+    // Restore allies (older snapshots: keep the party startBattle built)
+    if (Array.isArray(snap.allies)) {
+      fresh.allies = snap.allies.map(a => ({ ...a }));
+      fresh.allies.forEach(ensureRuntimeFieldsForEntity);
+    }
+    fresh.activeAlly = snap.activeAlly || null;
+
     // Restore meta fields
     fresh.turn = snap.turn;
     fresh.over = snap.over;
     fresh.result = snap.result;
     fresh.log = Array.isArray(snap.log) ? snap.log.slice(-50) : [];
+    fresh.events = Array.isArray(snap.events) ? snap.events.slice(-200) : [];
+    fresh._eventSeq = Number(snap._eventSeq) || 0;
+    fresh.effects = Array.isArray(snap.effects) ? snap.effects.map(fx => ({ ...fx })) : [];
+    fresh._effectSeq = Number(snap._effectSeq) || 0;
+    if (snap.rng && typeof snap.rng === "object") fresh.rng = { ...snap.rng };
+    fresh._summonSeq = Number(snap._summonSeq) || 0;
+
+    // initiative: older snapshots have none, the queue is rebuilt from speeds
+    if (snap.initiative && typeof snap.initiative === "object") {
+      fresh.initiative = { ...snap.initiative, next: { ...snap.initiative.next }, speed: { ...snap.initiative.speed } };
+      fresh._uidSeq = Math.max(Number(snap._uidSeq) || 0, Number(fresh._uidSeq) || 0);
+    } else {
+      delete fresh.initiative;
+    }
 
     return fresh;
   } catch {
@@ -744,6 +949,51 @@ function restoreSnapshot(snap) {
   }
 }
 
+/* ============================================================
+   COMMIT — the battle's queued effects (engine/effects.js)
+   Called once, when the battle resolves:
+   - win: EXP / level-ups (level, stats, points, spells, spell
+     choices) and loot (rolled gear into progress.gear, drops seen into
+     progress.lootSeen) are saved in a single saveProgress
+   - loss / fled: nothing is earned; only what the fight used up
+     (consumed items) is saved, loot picked up mid-fight is dropped
+   - loss: the defeat penalty + respawn follow (state/defeat.js),
+     summary.defeat is what was lost
+   Returns the effects summary (summarizeEffects).
+   ============================================================ */
+function commitBattleEffects(b, enemyIds = []) {
+  const summary = summarizeEffects(pendingEffects(b));
+  const inventory = { ...(b.player.items || {}) };
+
+  if (b.result !== "win") {
+    for (const [itemId, qty] of Object.entries(summary.loot)) {
+      inventory[itemId] = Math.max(0, (Number(inventory[itemId]) || 0) - qty);
+    }
+    saveProgress({ inventory });
+    if (b.result === "loss") summary.defeat = applyDefeatPenalty({ enemies: enemyIds });
+    return summary;
+  }
+
+  const saved = loadProgress() || {};
+  const { pendingSpellChoices } = mergePendingSpellChoices(
+    { pendingSpellChoices: Array.isArray(saved.pendingSpellChoices) ? saved.pendingSpellChoices.slice() : [] },
+    summary.choices
+  );
+
+  saveProgress({
+    level: b.player.level,
+    exp: b.player.exp,
+    unspentPoints: b.player.unspentPoints,
+    stats: b.player.stats,
+    spells: b.player.spells,
+    inventory,
+    gear: { ...(saved.gear || {}), ...summary.gear },
+    lootSeen: mergeLootSeen(saved.lootSeen, summary.drops),
+    pendingSpellChoices,
+  });
+  return summary;
+}
+
 /* ============================================================
    MISC SMALL UTILITIES
    ============================================================ */
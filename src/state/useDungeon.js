@@ -14,15 +14,32 @@ import {
 import {
   generateRoomEnemies,
   pickBossForDungeon,
+  rollRoomType,
+  rollTreasureLoot,
+  rollLootTable,
+  rollSpecialEvent,
+  generateDungeonLayout,
+  neighbourIndex,
+  DIRS,
+  floorSeed,
+  scaleForDepth,
 } from "./dungeonUtils.js";
 
 import { loadProgress } from "./playerProgress.js";
+import { forfeitRunLoot, takeRespawnHP, peekLastDefeat } from "./defeat.js";
 import { emit } from "../state/gameEvents.js"; // kept for compatibility if you rely on raw emits elsewhere
 import rewardDispatcher from "./rewardDispatcher.js"; // <- new dispatcher
+import { computePlayerVitals } from "../engine/engine.js";
+import { equippedLuck } from "../engine/gear.js";
 import DUNGEONS_DB from "../db/dungeons.json";
+import DUNGEON_EVENTS_DB from "../db/dungeonEvents.json";
+import ITEMS_DB from "../db/items.json";
 
 const DEFAULT_SIZE = 5;
 
+// room types resolved without a fight (special may still turn into an ambush)
+const EVENT_ROOM_TYPES = new Set(["treasure", "rest", "special"]);
+
 function findDungeonDef(id) {
   if (!id) return null;
   try {
@@ -33,6 +50,105 @@ function findDungeonDef(id) {
   }
 }
 
+// clear rewards of a dungeon def (allow multiple possible keys)
+function clearRewardSpecOf(def) {
+  if (def && def.clearRewards) return def.clearRewards;
+  if (def && def.rewards) return def.rewards;
+  // fallback simple defaults if no explicit rewards defined
+  return {
+    gold: Number(def?.clearGold || 0),
+    exp: Number(def?.clearExp || 0),
+    items: Array.isArray(def?.clearItems) ? def.clearItems.slice() : [],
+  };
+}
+
+// clear gold / exp are the purse for the whole dungeon, each floor worth an equal
+// share: a full clear pays all of it, leaving early the floors already cleared
+function floorShare(rewardSpec, floorsCleared, floors) {
+  const total = Math.max(1, Number(floors) || 1);
+  const share = Math.max(0, Math.min(total, Number(floorsCleared) || 0)) / total;
+  return {
+    gold: Math.floor(Number(rewardSpec?.gold || 0) * share),
+    exp: Math.floor(Number(rewardSpec?.exp || 0) * share),
+  };
+}
+
+// boss room: generated layouts store it (null on floors without a boss),
+// runs saved before layouts used the grid center
+function bossIndexOf(run) {
+  if (!run) return -1;
+  if (run.layout) return Number.isInteger(run.layout.boss) ? run.layout.boss : -1;
+  const c = Math.floor((Number(run.size) || 0) / 2);
+  return c * (Number(run.size) || 0) + c;
+}
+
+function floorCountOf(def) {
+  return Math.max(1, Math.floor(Number(def?.floors) || 1));
+}
+
+function isFinalFloor(run) {
+  return (Number(run?.floor) || 1) >= (Number(run?.floors) || 1);
+}
+
+// per-entry pick weights for the run's enemy list (null when they don't line up)
+function weightsFor(run, list) {
+  const w = run?.meta?.enemyWeights;
+  return Array.isArray(w) && Array.isArray(list) && w.length === list.length ? w : null;
+}
+
+// seed used for per-tile rolls on the current floor
+function seedOf(run) {
+  return Number.isFinite(Number(run?.floorSeed)) ? Number(run.floorSeed) : run?.seed;
+}
+
+// luck % of the saved character's equipped gear (better chest / clear loot, engine/loot.js)
+function playerLuck() {
+  const progress = loadProgress() || {};
+  return equippedLuck({ equipped: progress.equipped, gear: progress.gear });
+}
+
+// walkable rooms (walls don't count towards clearing the floor)
+function roomCountOf(run) {
+  const list = Array.isArray(run?.tiles) ? run.tiles : [];
+  return list.filter(t => t && t.type !== "wall").length;
+}
+
+/**
+ * Move the player onto tile idx and lift the fog on its neighbours (mutates next;
+ * next.tiles must already be a copy). The tile they came from is kept in
+ * prevPos so fleeing a fight can step back onto it.
+ */
+function arriveAt(next, idx) {
+  const n = Number(next.size) || 0;
+  const pos = { x: idx % n, y: Math.floor(idx / n) };
+  if (next.playerPos && (next.playerPos.x !== pos.x || next.playerPos.y !== pos.y)) {
+    next.prevPos = { ...next.playerPos };
+  }
+  next.playerPos = pos;
+  if (!next.layout) return next;
+  const reveal = (i) => {
+    const t = next.tiles[i];
+    if (t && !t.discovered) next.tiles[i] = { ...t, discovered: true };
+  };
+  reveal(idx);
+  for (const dir of Object.keys(DIRS)) {
+    const ni = neighbourIndex(n, idx, dir);
+    if (ni >= 0) reveal(ni);
+  }
+  return next;
+}
+
+// items / gold handed out by the run's rooms so far (forfeited if the run fails)
+function addFoundLoot(found, items = [], gold = 0) {
+  const out = { items: { ...(found?.items || {}) }, gold: Number(found?.gold) || 0 };
+  for (const it of items) {
+    if (!it || !it.id) continue;
+    out.items[it.id] = (out.items[it.id] || 0) + Math.max(0, Number(it.qty || 1));
+  }
+  out.gold += Math.max(0, Number(gold) || 0);
+  return out;
+}
+
 function flattenEnemyPool(pool = {}) {
   const out = [];
   if (!pool || typeof pool !== "object") return out;
@@ -146,11 +262,52 @@ export default function useDungeon(initialRunId = null) {
     return out;
   }
 
+  /**
+   * buildFloor:
+   * - seeded layout + tiles for one floor
+   * - the room furthest from the entrance holds the boss on the last floor,
+   *   and the stairs down on every other floor (guarded by def.miniBoss if set)
+   */
+  function buildFloor({ def, seed, size: sizeN, floor = 1, floors = 1 }) {
+    const layout = generateDungeonLayout({ seed, size: sizeN });
+    const tilesArr = makeEmptyTilesGrid(sizeN);
+    for (let i = 0; i < tilesArr.length; i++) {
+      tilesArr[i].doors = layout.doors[i];
+      if (layout.distance[i] < 0) {
+        tilesArr[i].type = "wall";
+      } else if (def && def.tileTypes) {
+        // roll room types from the dungeon's tileTypes weights (deterministic per seed + tile)
+        tilesArr[i].type = rollRoomType({ seed, idx: i, tileTypes: def.tileTypes });
+      }
+    }
+    tilesArr[layout.entrance] = { ...tilesArr[layout.entrance], type: "entrance", visited: true, enemies: [] };
+
+    const last = floor >= floors;
+    let bossIdx = null;
+    let stairsIdx = null;
+    if (layout.boss !== layout.entrance) {
+      if (!last) {
+        stairsIdx = layout.boss;
+        tilesArr[stairsIdx] = { ...tilesArr[stairsIdx], type: "stairs", enemies: null, guard: def?.miniBoss?.id || null };
+      } else if (def && def.boss) {
+        // if def has boss, the furthest room becomes the boss room
+        bossIdx = layout.boss;
+        tilesArr[bossIdx] = { ...tilesArr[bossIdx], type: "boss", enemies: null };
+      }
+    }
+
+    return {
+      tiles: tilesArr,
+      layout: { entrance: layout.entrance, boss: bossIdx, stairs: stairsIdx, rooms: layout.rooms.length },
+    };
+  }
+
   /**
    * startNewRun:
    * - Clears previous active run (single-run policy)
    * - Uses dungeon definition to set size, enemyList, min/max, boss
-   * - Places boss in center tile (no appended tile)
+   * - Generates a seeded layout (walls, doors, entrance) for floor 1 of def.floors;
+   *   the boss waits in the room furthest from the entrance on the last floor
    */
   function startNewRun(dungeonKey = "default", n = undefined, opts = {}) {
     // For single-run behavior, clear active run first
@@ -163,6 +320,7 @@ export default function useDungeon(initialRunId = null) {
     // find def
     const def = findDungeonDef(dungeonKey);
     const dungeonLevel = Number(def?.recommendedLevel) || 1;
+    const floors = floorCountOf(def);
 
     const sizeN = Math.max(1, Math.floor(Number(n || def?.size) || DEFAULT_SIZE));
     const id = opts.id || `run-${Date.now()}`;
@@ -171,24 +329,20 @@ export default function useDungeon(initialRunId = null) {
     let progress = null;
     try { progress = loadProgress() || null; } catch (e) { progress = null; }
 
-    const tilesArr = makeEmptyTilesGrid(sizeN);
-    // if def has boss, set center tile to boss type so it's detected as boss room
-    if (def && def.boss && sizeN > 0) {
-      const cx = Math.floor(sizeN / 2);
-      const cy = Math.floor(sizeN / 2);
-      const idx = cy * sizeN + cx;
-      const t = tilesArr[idx];
-      if (t) {
-        tilesArr[idx] = { ...t, type: "boss", enemies: null };
-      }
-    }
+    // max HP/MP so rest rooms and events can work before the first fight
+    let vitals = null;
+    try { vitals = computePlayerVitals(progress); } catch { vitals = null; }
+
+    const { tiles: tilesArr, layout } = buildFloor({ def, seed, size: sizeN, floor: 1, floors });
 
     const now = Date.now();
     const meta = { ...(opts.meta || {}) };
 
     if (def) {
       if (!meta.enemyList || !Array.isArray(meta.enemyList) || meta.enemyList.length === 0) {
-        meta.enemyList = flattenEnemyPool(def.enemyPool || {});
+        const scaled = scaleForDepth(def, 0, dungeonLevel);
+        meta.enemyList = scaled.enemyList;
+        meta.enemyWeights = scaled.enemyWeights;
       }
       if (typeof meta.minEnemiesPerRoom === "undefined") meta.minEnemiesPerRoom = def.minEnemiesPerRoom ?? 1;
       if (typeof meta.maxEnemiesPerRoom === "undefined") meta.maxEnemiesPerRoom = def.maxEnemiesPerRoom ?? 3;
@@ -199,7 +353,10 @@ export default function useDungeon(initialRunId = null) {
       if (typeof meta.maxEnemiesPerRoom === "undefined") meta.maxEnemiesPerRoom = 3;
     }
 
-    if (Array.isArray(opts.enemyList) && opts.enemyList.length > 0) meta.enemyList = opts.enemyList.slice();
+    if (Array.isArray(opts.enemyList) && opts.enemyList.length > 0) {
+      meta.enemyList = opts.enemyList.slice();
+      delete meta.enemyWeights;
+    }
 
     const snapshot = {
       id,
@@ -208,11 +365,19 @@ export default function useDungeon(initialRunId = null) {
       size: sizeN,
       tiles: tilesArr,
         dungeonLevel,   // <-- NEW
+      baseLevel: dungeonLevel,
+      floor: 1,
+      floors,
+      floorSeed: seed,
+      layout,
 
       playerPos: { x: 0, y: 0 },
-      playerHP: typeof opts.playerHP !== "undefined" ? opts.playerHP : null,
+      // first run after a defeat starts wounded
+      playerHP: typeof opts.playerHP !== "undefined" ? opts.playerHP : takeRespawnHP(vitals?.maxHP),
       playerMP: typeof opts.playerMP !== "undefined" ? opts.playerMP : null,
-      visitedCount: 0,
+      playerMaxHP: vitals?.maxHP ?? null,
+      playerMaxMP: vitals?.maxMP ?? null,
+      visitedCount: 1, // entrance
       finished: false,
       // **Do not mark bossTriggered true at creation** — it becomes true later when non-boss tiles cleared
       bossTriggered: false,
@@ -220,6 +385,7 @@ export default function useDungeon(initialRunId = null) {
       updatedAt: now,
       meta,
     };
+    arriveAt(snapshot, layout.entrance);
 
     // Persist as active single-run snapshot
     try {
@@ -248,7 +414,24 @@ export default function useDungeon(initialRunId = null) {
     loadRun(id);
   }
 
+  /**
+   * exitRun:
+   * - leave the run; an unfinished run still pays gold / exp for the floors
+   *   already cleared (floorShare), a finished one is paid by claimDungeonRewards()
+   */
   function exitRun({ persistGlobalHP = false } = {}) {
+    // leaving early still pays the share of the floors already cleared
+    const cleared = (Number(run?.floor) || 1) - 1;
+    if (run && !run.finished && cleared > 0) {
+      const pay = floorShare(clearRewardSpecOf(findDungeonDef(run.dungeonKey)), cleared, Number(run.floors) || 1);
+      try {
+        if (pay.gold > 0) rewardDispatcher.grantGold(pay.gold);
+        if (pay.exp > 0) rewardDispatcher.grantExp(pay.exp);
+      } catch (e) {
+        console.error("[useDungeon] exitRun floor rewards failed", e);
+      }
+    }
+
     // Persist global HP is a caller decision; here just clear active run
     try {
       clearActiveRun();
@@ -259,6 +442,37 @@ export default function useDungeon(initialRunId = null) {
     try { emit("toast", { message: "Exited run.", type: "info" }); } catch (_) {}
   }
 
+  /**
+   * failRun:
+   * - the run ended in defeat: what its rooms handed out (run.foundLoot) is
+   *   forfeited (state/defeat.js), then the run is cleared like exitRun
+   * - call after the battle committed its defeat penalty
+   * - after a hardcore death the run went with the erased slot: only forget it
+   * Returns the forfeited { items, gold }.
+   */
+  function failRun() {
+    let forfeited = { items: {}, gold: 0 };
+    if (peekLastDefeat()?.permadeath) {
+      setRun(null);
+      return forfeited;
+    }
+    if (run) {
+      try {
+        forfeited = forfeitRunLoot(run.foundLoot, { dungeonKey: run.dungeonKey });
+      } catch (e) {
+        console.error("[useDungeon] forfeiting run loot failed", e);
+      }
+    }
+    try {
+      clearActiveRun();
+    } catch (e) {
+      console.warn("[useDungeon] failRun clearActiveRun failed", e);
+    }
+    setRun(null);
+    try { emit("toast", { message: "The run has failed.", type: "error" }); } catch { /* toast is best-effort */ }
+    return forfeited;
+  }
+
   function inBounds(x, y) {
     return x >= 0 && y >= 0 && x < size && y < size;
   }
@@ -266,30 +480,25 @@ export default function useDungeon(initialRunId = null) {
   function canMove(dir) {
     if (!run) return false;
     const { x, y } = playerPos;
-    switch (dir) {
-      case "up": return inBounds(x, y - 1);
-      case "down": return inBounds(x, y + 1);
-      case "left": return inBounds(x - 1, y);
-      case "right": return inBounds(x, y + 1);
-      default: return false;
-    }
+    const from = y * size + x;
+    const to = neighbourIndex(size, from, dir);
+    if (to < 0) return false;
+
+    const target = run.tiles[to];
+    if (!target || target.type === "wall") return false;
+
+    // runs saved before layouts existed have no doors -> open grid
+    const doors = run.tiles[from]?.doors;
+    if (typeof doors !== "number") return true;
+    return (doors & DIRS[dir].bit) !== 0;
   }
 
   function move(dir) {
     if (!run) return null;
-    const { x, y } = playerPos;
-    let nx = x, ny = y;
-    switch (dir) {
-      case "up": ny = y - 1; break;
-      case "down": ny = y + 1; break;
-      case "left": nx = x - 1; break;
-      case "right": nx = x + 1; break;
-      default: return null;
-    }
-    if (!inBounds(nx, ny)) return null;
-
-    const idx = ny * size + nx;
-    const nextRun = { ...run, playerPos: { x: nx, y: ny }, updatedAt: Date.now() };
+    if (!canMove(dir)) return null;
+
+    const idx = neighbourIndex(size, playerPos.y * size + playerPos.x, dir);
+    const nextRun = arriveAt({ ...run, tiles: run.tiles.slice(), updatedAt: Date.now() }, idx);
     setRun(nextRun);
     return { run: nextRun, tileIndex: idx, tile: nextRun.tiles[idx] };
   }
@@ -304,32 +513,30 @@ export default function useDungeon(initialRunId = null) {
   /**
    * Helper: finalize a run as finished and attach computed clear rewards
    * - stores `finished: true`, `clearedAt`, and `clearRewards` on the run snapshot
+   * - gold / exp: the share of every floor reached (floorShare; all of it on a
+   *   full clear), items once
    * - does NOT automatically apply rewards to player progression — that is done by claimDungeonRewards()
    */
   function finishDungeon(next) {
     if (!next) return next;
     if (next.finished) return next;
 
-    const def = findDungeonDef(next.dungeonKey);
-    // Gather rewards definition from dungeon def (allow multiple possible keys)
-    let rewardSpec = null;
-    if (def && def.clearRewards) {
-      rewardSpec = def.clearRewards;
-    } else if (def && def.rewards) {
-      rewardSpec = def.rewards;
-    } else {
-      // fallback simple defaults if no explicit rewards defined
-      rewardSpec = {
-        gold: Number(def?.clearGold || 0),
-        exp: Number(def?.clearExp || 0),
-        items: Array.isArray(def?.clearItems) ? def.clearItems.slice() : [],
-      };
+    const rewardSpec = clearRewardSpecOf(findDungeonDef(next.dungeonKey));
+    const floors = Math.max(1, Number(next.floors) || 1);
+    const floorsReached = Math.min(floors, Math.max(1, Number(next.floor) || 1));
+    const purse = floorShare({ ...rewardSpec, gold: rewardSpec.gold || 1000 }, floorsReached, floors);
+    const items = Array.isArray(rewardSpec.items) ? rewardSpec.items.map(it => ({ id: it.id, qty: Number(it.qty || 1) })) : [];
+    // bonus items from the clear loot table, seeded by the run (idx -1: no tile)
+    for (const drop of rollLootTable({ seed: seedOf(next), idx: -1, lootTable: rewardSpec.lootTable, luck: playerLuck() })) {
+      const same = items.find(it => it.id === drop.id);
+      if (same) same.qty += drop.qty;
+      else items.push(drop);
     }
-
     const rewards = {
-      gold: Number(rewardSpec.gold || 1000),
-      exp: Number(rewardSpec.exp || 0),
-      items: Array.isArray(rewardSpec.items) ? rewardSpec.items.map(it => ({ id: it.id, qty: Number(it.qty || 1) })) : [],
+      gold: purse.gold,
+      exp: purse.exp,
+      floorsReached,
+      items,
     };
 
     const finishedAt = Date.now();
@@ -360,6 +567,66 @@ export default function useDungeon(initialRunId = null) {
     return updated;
   }
 
+  /**
+   * descend:
+   * - only from a visited stairs room (mini-boss beaten if it had one)
+   * - builds the next floor from a per-floor seed; enemy level, enemies per room
+   *   and rare-tier weights scale with depth (see scaleForDepth)
+   * - carried HP / MP stay as they are
+   */
+  function descend() {
+    if (!run) return null;
+    const floor = Number(run.floor) || 1;
+    const floors = Number(run.floors) || 1;
+    if (floor >= floors) return null;
+
+    const here = run.tiles[playerPos.y * size + playerPos.x];
+    if (!here || here.type !== "stairs" || !here.visited) {
+      emit("toast", { message: "Find the stairs first.", type: "error" });
+      return null;
+    }
+
+    const def = findDungeonDef(run.dungeonKey);
+    const nextFloor = floor + 1;
+    const seed = floorSeed(run.seed, nextFloor);
+    const { tiles: floorTiles, layout } = buildFloor({ def, seed, size: run.size, floor: nextFloor, floors });
+    const scaled = scaleForDepth(def, nextFloor - 1, run.baseLevel ?? run.dungeonLevel);
+
+    const meta = {
+      ...(run.meta || {}),
+      minEnemiesPerRoom: scaled.minEnemiesPerRoom,
+      maxEnemiesPerRoom: scaled.maxEnemiesPerRoom,
+    };
+    // runs started with a custom enemyList keep it (no tier weights to scale)
+    if (Array.isArray(run.meta?.enemyWeights) && scaled.enemyList.length > 0) {
+      meta.enemyList = scaled.enemyList;
+      meta.enemyWeights = scaled.enemyWeights;
+    }
+
+    const next = {
+      ...run,
+      floor: nextFloor,
+      floorSeed: seed,
+      tiles: floorTiles,
+      layout,
+      dungeonLevel: scaled.dungeonLevel,
+      visitedCount: 1, // entrance
+      bossTriggered: false,
+      meta,
+      updatedAt: Date.now(),
+    };
+    arriveAt(next, layout.entrance);
+
+    setRun(next);
+    try {
+      saveActiveDungeonSnapshot(next);
+      emit("toast", { message: `Floor ${nextFloor} of ${floors}`, type: "info" });
+    } catch (e) {
+      console.error("[useDungeon] descend save failed", e);
+    }
+    return next;
+  }
+
   /**
    * claimDungeonRewards:
    * - apply rewards by using rewardDispatcher (which emits + optionally persists)
@@ -413,11 +680,150 @@ export default function useDungeon(initialRunId = null) {
     }
   }
 
+  /**
+   * checkBossTrigger:
+   * - flags next.bossTriggered once every non-boss room is visited (mutates next)
+   * - shared by fights and event rooms so the last room can be a chest or a campfire
+   */
+  function checkBossTrigger(next) {
+    const def = findDungeonDef(next.dungeonKey);
+    if (!def || !def.boss || next.bossTriggered || next.finished) return false;
+    if (!isFinalFloor(next)) return false;
+
+    const nonBossCount = roomCountOf(next) - 1;
+    if ((next.visitedCount || 0) < nonBossCount) return false;
+
+    next.bossTriggered = true;
+    console.log("[useDungeon] bossTriggered set true");
+    try { emit("toast", { message: "Boss unlocked!", type: "info" }); } catch (_) {}
+    return true;
+  }
+
+  /**
+   * resolveEventRoom:
+   * - treasure: loot rolled from the dungeon's loot table (lootHints when it has none)
+   * - rest: restores the run's carried playerHP/playerMP to max
+   * - special: scripted event from db/dungeonEvents.json
+   * - stairs (unguarded): just marks the way down, descend() takes the player there
+   * Returns { payload } when the room is resolved, or { ambush, room } when
+   * a special event turns into a fight (caller continues with enemy generation).
+   */
+  function resolveEventRoom(idx, tile) {
+    const def = findDungeonDef(run.dungeonKey);
+    const next = { ...run, tiles: run.tiles.slice() };
+
+    const maxHP = Number.isFinite(Number(next.playerMaxHP)) ? Number(next.playerMaxHP) : null;
+    const maxMP = Number.isFinite(Number(next.playerMaxMP)) ? Number(next.playerMaxMP) : null;
+    // null carried HP/MP means "full"
+    const curHP = () => (next.playerHP != null ? Number(next.playerHP) : maxHP);
+    const curMP = () => (next.playerMP != null ? Number(next.playerMP) : maxMP);
+
+    const room = { kind: tile.type, title: "", text: "", items: [], gold: 0 };
+
+    if (tile.type === "treasure") {
+      room.title = "Treasure";
+      room.items = rollTreasureLoot({
+        seed: seedOf(run),
+        idx,
+        lootHints: def?.lootHints,
+        itemsDb: ITEMS_DB,
+        lootTable: def?.lootTable,
+        luck: playerLuck(),
+      });
+      room.text = room.items.length > 0 ? "You pry open an old chest." : "The chest is empty.";
+    } else if (tile.type === "stairs") {
+      room.title = "Stairs Down";
+      room.text = `A staircase winds deeper into the dark (floor ${(Number(run.floor) || 1) + 1} of ${Number(run.floors) || 1}).`;
+    } else if (tile.type === "rest") {
+      room.title = "Rest Site";
+      room.text = "You rest by a small campfire. HP and MP restored.";
+      if (maxHP != null) next.playerHP = maxHP;
+      if (maxMP != null) next.playerMP = maxMP;
+    } else {
+      const ev = rollSpecialEvent({ seed: seedOf(run), idx, events: DUNGEON_EVENTS_DB.events });
+      room.title = ev?.name || "Quiet Room";
+      room.text = ev?.text || "Nothing happens.";
+      room.eventId = ev?.id || null;
+
+      for (const eff of (ev?.effects || [])) {
+        if (!eff) continue;
+        switch (eff.type) {
+          case "ambush":
+            return { ambush: Math.max(0, Number(eff.extra) || 0), room };
+          case "restore":
+            if (maxHP != null && eff.hpPct) next.playerHP = Math.min(maxHP, curHP() + Math.floor(maxHP * Number(eff.hpPct)));
+            if (maxMP != null && eff.mpPct) next.playerMP = Math.min(maxMP, curMP() + Math.floor(maxMP * Number(eff.mpPct)));
+            break;
+          case "damage":
+            // traps hurt but never kill
+            if (maxHP != null && eff.hpPct) next.playerHP = Math.max(1, curHP() - Math.floor(maxHP * Number(eff.hpPct)));
+            break;
+          case "gold":
+            room.gold += Math.floor((Number(eff.amount) || 0) + (Number(eff.perLevel) || 0) * (Number(run.dungeonLevel) || 1));
+            break;
+          case "loot":
+            room.items.push(...rollTreasureLoot({
+              seed: seedOf(run),
+              idx,
+              lootHints: def?.lootHints,
+              itemsDb: ITEMS_DB,
+              min: Number(eff.min) || 1,
+              max: Number(eff.max) || 1,
+              lootTable: def?.lootTable,
+              luck: playerLuck(),
+            }));
+            break;
+          default:
+            console.warn("[useDungeon] unknown room event effect", eff.type);
+        }
+      }
+    }
+
+    if (room.items.length > 0) {
+      try { rewardDispatcher.grantItems(room.items); } catch (e) { console.error("[useDungeon] granting room items failed", e); }
+    }
+    if (room.gold > 0) {
+      try { rewardDispatcher.grantGold(room.gold); } catch (e) { console.error("[useDungeon] granting room gold failed", e); }
+    }
+    if (room.items.length > 0 || room.gold > 0) next.foundLoot = addFoundLoot(next.foundLoot, room.items, room.gold);
+    room.hp = next.playerHP;
+    room.mp = next.playerMP;
+
+    next.tiles[idx] = { ...tile, visited: true, enemies: [], inProgress: false, resolved: room };
+    arriveAt(next, idx);
+    next.visitedCount = (Number(next.visitedCount) || 0) + 1;
+    checkBossTrigger(next);
+    next.updatedAt = Date.now();
+
+    setRun(next);
+    try {
+      saveActiveDungeonSnapshot(next);
+      emit("toast", { message: room.title, type: "info" });
+    } catch (e) {
+      console.error("[useDungeon] resolveEventRoom save failed", e);
+    }
+
+    return {
+      payload: {
+        tileIndex: idx,
+        tile: { ...next.tiles[idx] },
+        enemies: [],
+        playerOverrides: null,
+        alreadyVisited: false,
+        locked: false,
+        inProgress: false,
+        room,
+      },
+    };
+  }
+
   /**
    * enterRoom:
    * - if tile.visited -> return alreadyVisited true
    * - if tile.type === 'boss' and boss not yet triggered -> return locked
    * - if tile.type === 'boss' -> generate boss based on def/meta
+   * - treasure / rest / special -> resolved on the spot (payload.room), no fight
+   *   (a special "ambush" event falls through to a fight with extra enemies)
    * - otherwise generate room enemies and persist into run
    *
    * Note: newly generated rooms get `inProgress: true` to avoid immediate re-entrance
@@ -471,23 +877,35 @@ export default function useDungeon(initialRunId = null) {
       };
     }
 
+    // Non-combat rooms
+    let ambushExtra = 0;
+    let ambushRoom = null;
+    if (EVENT_ROOM_TYPES.has(tile.type) || (tile.type === "stairs" && !tile.guard)) {
+      const outcome = resolveEventRoom(idx, tile);
+      if (outcome?.payload) return outcome.payload;
+      ambushExtra = Number(outcome?.ambush) || 0;
+      ambushRoom = outcome?.room || null;
+    }
+
     let enemies = Array.isArray(tile.enemies) ? tile.enemies.slice() : null;
     let next = run;
 
     if (!enemies || enemies.length === 0) {
       const runEnemyList = Array.isArray(run?.meta?.enemyList) && run.meta.enemyList.length > 0 ? run.meta.enemyList.slice() : null;
       const chosenEnemyList = runEnemyList || optsEnemyListForDungeon(run.dungeonKey) || ["goblin"];
-      const minCount = Number.isFinite(Number(run?.meta?.minEnemiesPerRoom)) ? Number(run.meta.minEnemiesPerRoom) : 1;
-      const maxCount = Number.isFinite(Number(run?.meta?.maxEnemiesPerRoom)) ? Number(run.meta.maxEnemiesPerRoom) : Math.max(1, minCount);
+      const minCount = (Number.isFinite(Number(run?.meta?.minEnemiesPerRoom)) ? Number(run.meta.minEnemiesPerRoom) : 1) + ambushExtra;
+      const maxCount = (Number.isFinite(Number(run?.meta?.maxEnemiesPerRoom)) ? Number(run.meta.maxEnemiesPerRoom) : Math.max(1, minCount)) + ambushExtra;
 
       const genOpts = {
         dungeonKey: run.dungeonKey,
-        seed: run.seed,
+        seed: seedOf(run),
         idx,
         min: minCount,
         max: maxCount,
         enemyList: chosenEnemyList,
+        weights: runEnemyList ? weightsFor(run, chosenEnemyList) : null,
         allowRepeats: true,
+        biasDepth: (Number(run.floor) || 1) - 1,
       };
 
       console.log("[useDungeon] generating enemies", { dungeonKey: run.dungeonKey, idx, genOpts });
@@ -496,14 +914,16 @@ export default function useDungeon(initialRunId = null) {
         const def = findDungeonDef(run.dungeonKey);
         const bossId = (run.meta && run.meta.boss && run.meta.boss.id) ? run.meta.boss.id : pickBossForDungeon({ dungeonKey: run.dungeonKey, seed: run.seed, def: def });
         enemies = [bossId];
+      } else if (tile.type === "stairs" && tile.guard) {
+        enemies = [tile.guard];
       } else {
         enemies = generateRoomEnemies(genOpts);
       }
 
       // mark inProgress so the same room doesn't get new enemies generated repeatedly
       const newTiles = run.tiles.slice();
-      newTiles[idx] = { ...tile, enemies: enemies.slice(), inProgress: true };
-      next = { ...run, tiles: newTiles, updatedAt: Date.now() };
+      newTiles[idx] = { ...tile, enemies: enemies.slice(), inProgress: true, ...(ambushRoom ? { resolved: ambushRoom } : {}) };
+      next = arriveAt({ ...run, tiles: newTiles, updatedAt: Date.now() }, idx);
       setRun(next);
       try {
         saveActiveDungeonSnapshot(next);
@@ -528,6 +948,7 @@ export default function useDungeon(initialRunId = null) {
       alreadyVisited: false,
       locked: false,
       inProgress: !!savedTile.inProgress,
+      ...(ambushRoom ? { event: ambushRoom } : {}),
     };
   }
 
@@ -540,6 +961,8 @@ export default function useDungeon(initialRunId = null) {
     try {
       if (typeof battleState.player?.hp === "number") next.playerHP = Number(battleState.player.hp);
       if (typeof battleState.player?.mp === "number") next.playerMP = Number(battleState.player.mp);
+      if (typeof battleState.player?.maxHP === "number") next.playerMaxHP = Number(battleState.player.maxHP);
+      if (typeof battleState.player?.maxMP === "number") next.playerMaxMP = Number(battleState.player.maxMP);
     } catch (e) { /* ignore */ }
 
     // If tileIndex provided, mark it visited on win
@@ -556,12 +979,11 @@ export default function useDungeon(initialRunId = null) {
         t.enemies = [];
         t.inProgress = false;
 
-        // Move player to the tile where they fought (fix movement bug)
-        const px = tileIndex % next.size;
-        const py = Math.floor(tileIndex / next.size);
-        next.playerPos = { x: px, y: py };
-
         try { emit("toast", { message: "You won the fight.", type: "success" }); } catch (_) {}
+      } else if (battleState.result === "fled") {
+        // fled: the room keeps its enemies, re-entering starts the same encounter
+        t.inProgress = false;
+        try { emit("toast", { message: "You fled back the way you came.", type: "info" }); } catch { /* toast is best-effort */ }
       } else {
         // On loss or draw, clear inProgress so room can be retried or regenerated as desired
         t.inProgress = false;
@@ -569,30 +991,31 @@ export default function useDungeon(initialRunId = null) {
       }
       next.tiles = next.tiles.slice();
       next.tiles[tileIndex] = t;
+
+      // Move player to the tile where they fought (fix movement bug)
+      if (battleState.result === "win") arriveAt(next, tileIndex);
+
+      // fled: step back to the tile the player came from
+      const back = next.prevPos;
+      const n = Number(next.size) || 0;
+      if (battleState.result === "fled" && back && back.x >= 0 && back.y >= 0 && back.x < n && back.y < n) {
+        arriveAt(next, back.y * n + back.x);
+      }
     }
 
-    // Boss triggering logic (center tile used as boss)
-    const tileLen = (Array.isArray(next.tiles) ? next.tiles.length : 0);
+    // Boss triggering logic
     const def = findDungeonDef(next.dungeonKey);
 
     if (def && def.boss) {
-      // Determine center index
-      const centerX = Math.floor(next.size / 2);
-      const centerY = Math.floor(next.size / 2);
-      const centerIdx = centerY * next.size + centerX;
+      const bossIdx = bossIndexOf(next);
 
       // If all non-boss tiles visited, flag bossTriggered
-      const nonBossCount = tileLen - 1; // center is boss tile
-      if (!next.bossTriggered && (next.visitedCount || 0) >= nonBossCount && !next.finished) {
-        next.bossTriggered = true;
-        console.log("[useDungeon] bossTriggered set true");
-        try { emit("toast", { message: "Boss unlocked!", type: "info" }); } catch (_) {}
-      }
+      checkBossTrigger(next);
 
-      // If the battle was the boss (tileIndex equals center) and player won -> mark boss visited and finish
-      if (Number.isFinite(Number(tileIndex)) && tileIndex === centerIdx && battleState.result === "win") {
-        // mark center visited if not
-        const ct = { ...(next.tiles[centerIdx] || {}) };
+      // If the battle was the boss (tileIndex is the boss room) and player won -> mark boss visited and finish
+      if (Number.isFinite(Number(tileIndex)) && tileIndex === bossIdx && battleState.result === "win") {
+        // mark boss room visited if not
+        const ct = { ...(next.tiles[bossIdx] || {}) };
         if (!ct.visited) {
           ct.visited = true;
           next.visitedCount = (Number(next.visitedCount) || 0) + 1;
@@ -600,7 +1023,7 @@ export default function useDungeon(initialRunId = null) {
         ct.enemies = [];
         ct.inProgress = false;
         next.tiles = next.tiles.slice();
-        next.tiles[centerIdx] = ct;
+        next.tiles[bossIdx] = ct;
 
         // finalize run and attach rewards
         const afterFinish = finishDungeon(next);
@@ -631,8 +1054,8 @@ export default function useDungeon(initialRunId = null) {
         return;
       }
     } else {
-      // No explicit boss in def: optionally treat last visited as finish
-      if ((next.visitedCount || 0) >= tileLen) {
+      // No explicit boss in def: optionally treat last visited (on the last floor) as finish
+      if (isFinalFloor(next) && (next.visitedCount || 0) >= roomCountOf(next)) {
         const afterFinish = finishDungeon(next);
         setRun(afterFinish);
         try {
@@ -678,15 +1101,19 @@ export default function useDungeon(initialRunId = null) {
 
     const genOpts = {
       dungeonKey: run.dungeonKey,
-      seed: run.seed,
+      seed: seedOf(run),
       idx,
       min: opts.min ?? run?.meta?.minEnemiesPerRoom ?? 2,
       max: opts.max ?? run?.meta?.maxEnemiesPerRoom ?? 3,
       enemyList: opts.enemyList || run?.meta?.enemyList || optsEnemyListForDungeon(run.dungeonKey),
+      weights: opts.enemyList ? null : weightsFor(run, run?.meta?.enemyList),
       allowRepeats: opts.allowRepeats ?? true,
+      biasDepth: (Number(run.floor) || 1) - 1,
     };
     let enemies;
-    if (tile.type === "boss") {
+    if (tile.type === "stairs" && tile.guard) {
+      enemies = [tile.guard];
+    } else if (tile.type === "boss") {
       enemies = [ (run.meta && run.meta.boss && run.meta.boss.id) ? run.meta.boss.id : pickBossForDungeon({ dungeonKey: run.dungeonKey, seed: run.seed, def: findDungeonDef(run.dungeonKey) }) ];
     } else {
       enemies = generateRoomEnemies(genOpts);
@@ -705,7 +1132,7 @@ export default function useDungeon(initialRunId = null) {
 
   /**
    * startBossFight:
-   * - Instead of appending a boss tile, directly set the center tile's enemies ready (if center exists)
+   * - Instead of appending a boss tile, directly set the boss room's enemies ready
    * - Also set bossTriggered true
    *
    * NOTE: This function ENFORCES that bossTriggered must already be true.
@@ -720,16 +1147,13 @@ export default function useDungeon(initialRunId = null) {
     }
     const def = findDungeonDef(run.dungeonKey);
     const bossId = (run.meta && run.meta.boss && run.meta.boss.id) ? run.meta.boss.id : pickBossForDungeon({ dungeonKey: run.dungeonKey, seed: run.seed, def });
-    // find center
-    const cx = Math.floor(run.size / 2);
-    const cy = Math.floor(run.size / 2);
-    const centerIdx = cy * run.size + cx;
-    const t = { ...(run.tiles[centerIdx] || {}) };
+    const bossIdx = bossIndexOf(run);
+    const t = { ...(run.tiles[bossIdx] || {}) };
     t.type = "boss";
     t.enemies = [bossId];
     t.inProgress = true;
     const newTiles = run.tiles.slice();
-    newTiles[centerIdx] = t;
+    newTiles[bossIdx] = t;
     const next = { ...run, tiles: newTiles, bossTriggered: true, updatedAt: Date.now() };
     setRun(next);
     try {
@@ -755,6 +1179,7 @@ export default function useDungeon(initialRunId = null) {
     startNewRun,
     resumeRun,
     exitRun,
+    failRun,
     removeRun,
     canMove,
     move,
@@ -763,6 +1188,10 @@ export default function useDungeon(initialRunId = null) {
     getTileAt,
     handleBattleFinish,
     startBossFight,
+    bossIndex: bossIndexOf(run),
+    descend,
+    floor: Number(run?.floor) || 1,
+    floors: Number(run?.floors) || 1,
     // new exports:
     claimDungeonRewards,
     
@@ -1,6 +1,7 @@
 // src/state/usePlayerProgress.js
 import { useCallback, useEffect, useState } from "react";
-import { loadProgress, saveProgress as saveProgressRaw, clearProgress as clearProgressRaw } from "./playerProgress.js";
+import { PROGRESS_KEY, loadProgress, saveProgress as saveProgressRaw, clearProgress as clearProgressRaw } from "./playerProgress.js";
+import { slotKey } from "./saveSlots.js";
 
 /**
  * usePlayerProgress()
@@ -24,7 +25,7 @@ export default function usePlayerProgress() {
 
     // Also handle external storage changes (other tabs)
     function onStorage(e) {
-      if (e.key === null || e.key === "rpg.progress.v1") {
+      if (e.key === null || e.key === slotKey(PROGRESS_KEY)) {
         // Reload full progress
         setProgress(loadProgress());
       }
@@ -2,9 +2,12 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useBattleContext } from "../state/BattleContext.jsx";
+import { renderEventLog, eventsSince } from "../engine/events.js";
+import { previewTurnOrder } from "../engine/initiative.js";
+import { computeFleeChance, fleeBlockedReason } from "../engine/engine.js";
 
 // icons (lucide-react)
-import { Zap, Swords, PackageOpen, Skull, User, ChevronLeft } from "lucide-react";
+import { Zap, Swords, PackageOpen, Skull, User, Users, ChevronLeft, Shield, Hourglass, Footprints } from "lucide-react";
 
 /**
  * Battle — UI polish (presentation-only)
@@ -31,10 +34,17 @@ export default function Battle() {
     doAttack,
     doCast,
     doUse,
+    doDefend,
+    doWait,
+    doFlee,
     doAllocate,
+    activeAlly,
   } = useBattleContext() || {};
 
-  const safeBattle = battle || { player: {}, enemies: [], enemy: null, log: [], turn: "player", over: false, result: null };
+  const safeBattle = useMemo(
+    () => battle || { player: {}, enemies: [], enemy: null, log: [], turn: "player", over: false, result: null },
+    [battle]
+  );
 
   const [logOpen, setLogOpen] = useState(true);
   const [playerCollapsed, setPlayerCollapsed] = useState(true);
@@ -44,12 +54,123 @@ export default function Battle() {
   const logRef = useRef(null);
   const enemiesListRef = useRef(null);
 
+  // text log is rendered from structured events (falls back to plain log for old snapshots)
+  const logLines = useMemo(() => (
+    Array.isArray(safeBattle.events) && safeBattle.events.length > 0
+      ? renderEventLog(safeBattle.events)
+      : (safeBattle.log || [])
+  ), [safeBattle.events, safeBattle.log]);
+
   useEffect(() => {
     if (!logRef.current || !logOpen) return;
     try { logRef.current.scrollTop = logRef.current.scrollHeight; } catch { }
-  }, [safeBattle.log, logOpen]);
+  }, [logLines, logOpen]);
+
+  // floating damage / heal numbers (and Miss / Dodge / Block / Immune / Resist tags) driven by new events
+  const [floaters, setFloaters] = useState([]);
+  const lastSeqRef = useRef(null);
+  const floatTimersRef = useRef([]);
+
+  // boss phase banner (latest "phase" event, shown for a few seconds)
+  const [phaseBanner, setPhaseBanner] = useState(null);
+
+  useEffect(() => {
+    const events = Array.isArray(safeBattle.events) ? safeBattle.events : [];
+    const lastSeq = events.length ? (Number(events[events.length - 1].seq) || 0) : 0;
+
+    // first render or a new battle (seq restarted): don't replay old history
+    if (lastSeqRef.current === null || lastSeq < lastSeqRef.current) {
+      lastSeqRef.current = lastSeq;
+      return;
+    }
+
+    const newEvents = eventsSince(safeBattle, lastSeqRef.current);
+    const fresh = newEvents.filter(ev => FLOATER_EVENTS.includes(ev.type) && ev.target);
+    lastSeqRef.current = lastSeq;
+
+    const phaseEv = newEvents.filter(ev => ev.type === "phase").pop();
+    if (phaseEv) {
+      setPhaseBanner({
+        key: phaseEv.seq,
+        title: `${phaseEv.source?.name || "The boss"} — ${phaseEv.name}`,
+        text: phaseEv.text || "",
+        enraged: !!phaseEv.enraged,
+      });
+      floatTimersRef.current.push(setTimeout(() => {
+        setPhaseBanner(b => (b && b.key === phaseEv.seq ? null : b));
+      }, 2600));
+    }
+
+    if (fresh.length === 0) return;
+
+    const made = fresh.map(ev => ({
+      key: ev.seq,
+      target: ev.target,
+      text: floaterText(ev),
+      crit: !!ev.crit,
+      heal: ev.type === "heal",
+      note: (ev.type !== "damage" && ev.type !== "heal") || (ev.type === "damage" && !ev.amount && ev.absorbed > 0),
+    }));
+    setFloaters(f => [...f, ...made]);
+
+    const keys = new Set(made.map(m => m.key));
+    floatTimersRef.current.push(setTimeout(() => {
+      setFloaters(f => f.filter(x => !keys.has(x.key)));
+    }, 1100));
+  }, [safeBattle]);
+
+  useEffect(() => () => {
+    for (const t of floatTimersRef.current) clearTimeout(t);
+  }, []);
+
+  function floatersFor(side, idx, id) {
+    return floaters.filter(f => {
+      if (f.target.side !== side) return false;
+      if (side === "player") return true;
+      if (f.target.id !== id) return false;
+      // index is from event time; prefer it, otherwise match by id
+      const list = side === "ally" ? alliesArr : enemiesArr;
+      return f.target.index == null || f.target.index === idx || list[f.target.index]?.id !== id;
+    });
+  }
+
+  function FloatLayer({ items }) {
+    if (!items || items.length === 0) return null;
+    return (
+      <>
+        {items.map((f, i) => (
+          <span
+            key={f.key}
+            className={`dmg-float ${f.heal ? "text-green-300" : f.note ? "text-sky-300" : f.crit ? "text-amber-300" : "text-rose-300"}`}
+            style={{ right: 10 + i * 6 }}
+          >
+            {f.text}{f.crit ? "!" : ""}
+          </span>
+        ))}
+      </>
+    );
+  }
+
+  // helper: safe truncation for UI text
+  const trunc = (s, n = 28) => {
+    if (!s && s !== 0) return "";
+    const str = String(s);
+    if (str.length <= n) return str;
+    return str.slice(0, n - 1) + "…";
+  };
 
   const isPlayerTurn = safeBattle.turn === "player" && !safeBattle.over && !busy;
+  // a party member the player commands is up: same controls, acting as that ally
+  const isAllyTurn = !!activeAlly && !safeBattle.over && !busy;
+  const canCommand = isPlayerTurn || isAllyTurn;
+  const turnLabel = isPlayerTurn ? "Your turn" : (isAllyTurn ? `${trunc(activeAlly.name, 18)}'s turn` : "Enemy's turn");
+
+  const fleeBlocked = safeBattle.over ? null : fleeBlockedReason(safeBattle);
+  const fleeTitle = fleeBlocked === "boss"
+    ? "You can't flee from a boss fight"
+    : `Try to run away (${Math.round(computeFleeChance(safeBattle) * 100)}% chance)`;
+
+  const alliesArr = Array.isArray(safeBattle.allies) ? safeBattle.allies : [];
 
   const allEnemies = (typeof getAllEnemies === "function")
     ? (getAllEnemies() || [])
@@ -59,6 +180,9 @@ export default function Battle() {
   const aliveEnemies = (typeof getAliveEnemies === "function" ? (getAliveEnemies() || []) : enemiesArr)
     .filter(e => Number(e?.hp || 0) > 0);
 
+  // upcoming turns from the initiative queue (fast units show up more than once)
+  const turnOrder = useMemo(() => previewTurnOrder(safeBattle, 8), [safeBattle]);
+
   const effectiveSelectedTarget = useMemo(() => {
     const idx = Number(selectedTarget) | 0;
     if (Array.isArray(enemiesArr) && idx >= 0 && idx < enemiesArr.length) return idx;
@@ -97,6 +221,7 @@ export default function Battle() {
           <div key={i} className="flex items-center gap-1 bg-white/3 text-xs rounded px-2 py-0.5" title={`${s.id} (${s.turnsLeft})`}>
             <StatusIcon type={s.type} />
             <span className="font-medium truncate max-w-[84px]">{s.id}</span>
+            {statusDetail(s) && <span className="text-sky-300">{statusDetail(s)}</span>}
             <span className="text-gray-400">({s.turnsLeft})</span>
           </div>
         ))}
@@ -117,12 +242,12 @@ export default function Battle() {
   const critMultApprox = (1.5 + ((safeBattle.player?.stats?.CRITDMG || 0) * 0.01)).toFixed(2);
 
   function onPrimaryAttack() {
-    if (!isPlayerTurn) return;
+    if (!canCommand) return;
     if (typeof doAttack !== "function") return;
     doAttack(effectiveSelectedTarget);
   }
   function onOpenSpells() {
-    if (!isPlayerTurn) return;
+    if (!canCommand) return;
     setShowSpells(true);
   }
   function onOpenItems() {
@@ -130,14 +255,6 @@ export default function Battle() {
     setShowItems(true);
   }
 
-  // helper: safe truncation for UI text
-  const trunc = (s, n = 28) => {
-    if (!s && s !== 0) return "";
-    const str = String(s);
-    if (str.length <= n) return str;
-    return str.slice(0, n - 1) + "…";
-  };
-
   return (
     <div className="min-h-screen bg-[#060812] text-white relative">
       <style>{`
@@ -147,6 +264,8 @@ export default function Battle() {
         .panel { background: linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01)); border-radius: 10px; }
         .muted { background: rgba(255,255,255,0.02); color: #cbd5e1; }
         .ellipsis { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .dmg-float { position: absolute; top: 6px; font-weight: 700; pointer-events: none; animation: dmgFloat 1.1s ease-out forwards; }
+        @keyframes dmgFloat { from { opacity: 1; transform: translateY(0); } to { opacity: 0; transform: translateY(-28px); } }
         @media (max-width:640px) {
           .enemy-name { font-size: 0.94rem; }
           .player-name { font-size: 1.02rem; }
@@ -162,16 +281,37 @@ export default function Battle() {
 
         <div className="flex items-center gap-3 ml-4">
           <div className={`px-2 py-1 rounded text-sm font-medium ${safeBattle.over
-                ? (safeBattle.result === "win" ? "bg-green-900 text-green-200 border border-green-700" : "bg-red-900 text-red-200 border border-red-700")
-                : (isPlayerTurn ? "bg-indigo-900 text-indigo-200 border border-indigo-700" : "bg-white/3 text-gray-300 border border-white/6")
+                ? RESULT_BADGE[safeBattle.result] || RESULT_BADGE.loss
+                : (canCommand ? "bg-indigo-900 text-indigo-200 border border-indigo-700" : "bg-white/3 text-gray-300 border border-white/6")
               }`}
             style={{ minWidth: 92, textAlign: "center" }}
             aria-live="polite"
           >
-            {safeBattle.over ? (safeBattle.result === "win" ? "Victory" : "Defeat") : (isPlayerTurn ? "Your turn" : "Enemy's turn")}
+            {safeBattle.over ? resultLabel(safeBattle.result) : turnLabel}
           </div>
 
           {safeBattle.over && (
+            <button
+              onClick={() => navigate("/combat/replay")}
+              className="px-3 py-1 rounded-md text-sm font-medium border border-white/10"
+              title="Watch replay"
+            >
+              Replay
+            </button>
+          )}
+
+          {safeBattle.over && safeBattle.result === "loss" && (
+            <button
+              onClick={() => navigate("/defeat")}
+              className="inline-flex items-center gap-2 px-3 py-1 rounded-md text-sm font-medium fantasy-glow"
+              title="See what the defeat cost"
+            >
+              <Skull className="w-4 h-4" />
+              Continue
+            </button>
+          )}
+
+          {safeBattle.over && safeBattle.result !== "loss" && (
             <button
               onClick={() => navigate(-1)}
               className="inline-flex items-center gap-2 px-3 py-1 rounded-md text-sm font-medium fantasy-glow"
@@ -185,6 +325,48 @@ export default function Battle() {
         </div>
       </div>
 
+      {/* Boss phase banner */}
+      {phaseBanner && (
+        <div className="px-4 pt-3" aria-live="assertive">
+          <div
+            key={phaseBanner.key}
+            className={`rounded-lg px-4 py-2 text-center border ${phaseBanner.enraged
+                ? "bg-red-950/80 border-red-700 text-red-200"
+                : "bg-amber-950/70 border-amber-700 text-amber-200"}`}
+          >
+            <div className="text-sm font-semibold tracking-wide ellipsis">{phaseBanner.title}</div>
+            {phaseBanner.text && <div className="text-xs mt-0.5 opacity-90">{phaseBanner.text}</div>}
+          </div>
+        </div>
+      )}
+
+      {/* Turn order timeline */}
+      {turnOrder.length > 0 && (
+        <div className="flex items-center gap-2 px-4 py-2 overflow-x-auto" aria-label="Upcoming turns">
+          <span className="text-xs text-gray-400 shrink-0">Next</span>
+          {turnOrder.map((t, i) => {
+            const isPlayer = t.side === "player";
+            const isFriend = t.side === "ally";
+            const isTarget = t.side === "enemy" && t.index === effectiveSelectedTarget;
+            return (
+              <span
+                key={`${t.key}-${i}`}
+                className={`shrink-0 px-2 py-0.5 rounded text-xs border ellipsis ${isPlayer
+                    ? "bg-indigo-900 text-indigo-200 border-indigo-700"
+                    : isFriend
+                      ? "bg-emerald-950 text-emerald-200 border-emerald-800"
+                      : (isTarget ? "bg-white/5 text-sky-200 border-sky-500" : "bg-white/3 text-gray-300 border-white/10")
+                  } ${i === 0 ? "font-semibold" : ""}`}
+                style={{ maxWidth: 110 }}
+                title={isPlayer ? "Your turn" : (isFriend ? `${t.name} (ally)` : `${t.name} (#${t.index + 1})`)}
+              >
+                {t.name}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
       {/* Main content */}
       <div className="px-4 pb-40">
         {/* ENEMIES (top) */}
@@ -238,10 +420,12 @@ export default function Battle() {
                   className={`${!alive ? "opacity-40" : "cursor-pointer active:scale-[0.98]"}`}
                   style={{
                     ...baseCardStyle,
+                    position: "relative",
                     ...(selected ? { borderWidth: 2 } : {}),
                     ...selectedStyle
                   }}
                 >
+                  <FloatLayer items={floatersFor("enemy", idx, en?.id)} />
                   {/* MOBILE LAYOUT (vertical) */}
                   <div className="flex flex-col items-center text-center sm:hidden">
                     {/* icon */}
@@ -318,6 +502,20 @@ export default function Battle() {
                     />
                   </div>
 
+                  {/* Boss phase / enrage */}
+                  {alive && (en?._phaseName || en?._enraged) && (
+                    <div className="mt-1 flex gap-1 justify-center sm:justify-start flex-wrap">
+                      {en._phaseName && (
+                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-amber-900/60 text-amber-200 border border-amber-800 truncate max-w-[120px]">
+                          {en._phaseName}
+                        </span>
+                      )}
+                      {en._enraged && (
+                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-red-900/70 text-red-200 border border-red-700">Enraged</span>
+                      )}
+                    </div>
+                  )}
+
                   {/* STAT GRID — always visible, 2×2 on desktop, 1×2 on mobile */}
                   <div
                     className="mt-2 grid gap-2"
@@ -348,6 +546,21 @@ export default function Battle() {
                       <span className="text-gray-300">M-DEF</span>
                       <span className="font-medium">{en?.mDef ?? en?.def ?? 0}</span>
                     </div>
+
+                    {/* Row 3 — only for enemies that can crit / dodge */}
+                    {(en?.crit > 0 || en?.evasion > 0) && (
+                      <>
+                        <div className="hidden sm:flex gap-2 items-center justify-center sm:justify-start">
+                          <span className="text-gray-300">CRIT</span>
+                          <span className="font-medium">{en?.crit ?? 0}%{en?.critMult ? ` ×${en.critMult}` : ""}</span>
+                        </div>
+
+                        <div className="hidden sm:flex gap-2 items-center justify-center sm:justify-start">
+                          <span className="text-gray-300">EVA</span>
+                          <span className="font-medium">{en?.evasion ?? 0}</span>
+                        </div>
+                      </>
+                    )}
                   </div>
 
                   {/* Status effects */}
@@ -361,11 +574,19 @@ export default function Battle() {
                         >
                           <StatusIcon type={s.type} />
                           <span className="truncate max-w-[88px]">{trunc(s.id, 16)}</span>
+                          {statusDetail(s) && <span className="text-sky-300">{statusDetail(s)}</span>}
                           <span className="text-gray-400">({s.turnsLeft})</span>
                         </div>
                       ))}
                     </div>
                   )}
+
+                  {/* Immunities */}
+                  {alive && Array.isArray(en?.statusImmunities) && en.statusImmunities.length > 0 && (
+                    <div className="mt-1 text-[10px] text-gray-400 truncate" title={`Immune: ${en.statusImmunities.join(", ")}`}>
+                      Immune: <span className="text-gray-200">{en.statusImmunities.join(", ")}</span>
+                    </div>
+                  )}
                 </article>
               );
             })}
@@ -374,13 +595,19 @@ export default function Battle() {
 
         {/* Player card */}
         <section className="mt-4">
-          <div className="p-3 rounded-lg fantasy-border panel shadow-md">
+          <div className="p-3 rounded-lg fantasy-border panel shadow-md" style={{ position: "relative" }}>
+            <FloatLayer items={floatersFor("player")} />
             <div className="flex items-start justify-between gap-3">
               <div className="flex-1 min-w-0">
                 <div className="flex items-center gap-3">
                   <div className="flex items-center gap-2">
                     <User className="w-6 h-6 text-sky-300" />
                     <div className="text-lg font-semibold player-name truncate min-w-0">{trunc(safeBattle.player?.name || "Player", 24)}</div>
+                    {safeBattle.player?._defending && !safeBattle.over && (
+                      <span className="inline-flex items-center gap-1 text-[11px] px-1.5 py-0.5 rounded bg-sky-900/60 text-sky-200 border border-sky-700" title="Incoming damage reduced until your next turn">
+                        <Shield className="w-3 h-3" /> Defending
+                      </span>
+                    )}
                   </div>
 
                   <button
@@ -446,6 +673,48 @@ export default function Battle() {
           </div>
         </section>
 
+        {/* Allies (companions + summons) */}
+        {alliesArr.length > 0 && (
+          <section className="mt-4">
+            <div className="flex items-center justify-between mb-2 px-1">
+              <div className="text-sm font-semibold flex items-center gap-2">
+                <Users className="w-4 h-4 text-emerald-300" />
+                Allies <span className="text-gray-400 text-xs">({alliesArr.filter(a => Number(a?.hp || 0) > 0).length} standing)</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3" role="list" aria-label="Allies list">
+              {alliesArr.map((al, idx) => {
+                const alive = Number(al?.hp || 0) > 0;
+                const maxHP = Math.max(1, Number(al?.maxHP || 1));
+                const pct = Math.max(0, Math.min(100, Math.round((Number(al?.hp || 0) / maxHP) * 100)));
+                const acting = isAllyTurn && activeAlly?._uid === al?._uid;
+                return (
+                  <article
+                    key={al?._uid || `${al?.id}-${idx}`}
+                    role="listitem"
+                    className={`p-3 rounded-lg panel shadow-sm ${acting ? "border border-emerald-500" : "fantasy-border"} ${alive ? "" : "opacity-50"}`}
+                    style={{ position: "relative" }}
+                  >
+                    <FloatLayer items={floatersFor("ally", idx, al?.id)} />
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="text-sm font-semibold truncate min-w-0">{trunc(al?.name || al?.id || "Ally", 20)}</div>
+                      <div className="text-[10px] text-gray-400 shrink-0">
+                        {alive ? (al?.control === "player" ? "You command" : (al?._summon ? "Summon" : "AI")) : "KO"}
+                      </div>
+                    </div>
+                    <div className="mt-2 w-full bg-white/6 rounded h-2 overflow-hidden">
+                      <div className={`h-2 ${pct < 25 ? "bg-red-500" : "bg-emerald-500"}`} style={{ width: `${pct}%`, transition: "width 220ms ease" }} />
+                    </div>
+                    <div className="mt-1 text-xs text-gray-400 truncate">{Number(al?.hp || 0)}/{maxHP}</div>
+                    <StatusPips entity={al} />
+                  </article>
+                );
+              })}
+            </div>
+          </section>
+        )}
+
         {/* Battle log */}
         <section className="mt-4">
           <div className="flex items-center justify-between">
@@ -460,7 +729,7 @@ export default function Battle() {
               style={{ whiteSpace: "normal", wordBreak: "break-word", lineHeight: 1.25 }}
               aria-live="polite"
             >
-              {(safeBattle.log || []).map((l, i) => (
+              {logLines.map((l, i) => (
                 <div key={i} className="mb-1" style={{ whiteSpace: "normal" }}>{String(l)}</div>
               ))}
             </div>
@@ -480,8 +749,8 @@ export default function Battle() {
                 {busy && !safeBattle.over
                   ? "Enemy thinking…"
                   : safeBattle.over
-                    ? (safeBattle.result === "win" ? "Battle finished — congratulations" : "Battle finished — you lost")
-                    : (isPlayerTurn ? "Your turn" : "Enemy turn")}
+                    ? RESULT_STATUS_TEXT[safeBattle.result] || RESULT_STATUS_TEXT.loss
+                    : (canCommand ? turnLabel : "Enemy turn")}
               </div>
 
               <div className="text-xs text-gray-400 hidden sm:inline">Choose an action</div>
@@ -493,10 +762,10 @@ export default function Battle() {
               {/* Attack */}
               <button
                 onClick={onPrimaryAttack}
-                disabled={!actions?.canAttack || enemiesArr.length === 0 || !isPlayerTurn}
+                disabled={!actions?.canAttack || enemiesArr.length === 0 || !canCommand}
                 aria-label={`Attack target #${Math.max(0, effectiveSelectedTarget) + 1}`}
                 className={`w-full sm:w-48 flex items-center justify-between gap-2 py-3 px-4 rounded-md text-sm font-semibold transition-shadow
-                  ${(!actions?.canAttack || !isPlayerTurn)
+                  ${(!actions?.canAttack || !canCommand)
                     ? "bg-white/6 text-gray-500 border border-white/6 cursor-not-allowed"
                     : "bg-indigo-700 text-white border border-indigo-700 shadow-sm hover:shadow-md"}`}
               >
@@ -513,9 +782,9 @@ export default function Battle() {
                 {/* Spells */}
                 <button
                   onClick={onOpenSpells}
-                  disabled={!isPlayerTurn || !(spells?.length)}
+                  disabled={!canCommand || !(spells?.length)}
                   className={`flex-1 py-3 px-4 rounded-md text-sm font-semibold transition
-                    ${(!isPlayerTurn || !(spells?.length))
+                    ${(!canCommand || !(spells?.length))
                       ? "bg-white/6 text-gray-500 border border-white/6 cursor-not-allowed"
                       : "bg-emerald-700 text-white border border-emerald-700 shadow-sm hover:shadow-md"}`}
                 >
@@ -553,6 +822,31 @@ export default function Battle() {
               </div>
             </div>
 
+            {/* Defend / Wait / Flee */}
+            <div className="flex gap-3 mt-3">
+              <SecondaryAction
+                icon={<Shield className="w-4 h-4 opacity-90" />}
+                label="Defend"
+                enabled={!!actions?.canDefend}
+                onClick={doDefend}
+                title="Halve incoming damage until your next turn and recover a little MP"
+              />
+              <SecondaryAction
+                icon={<Hourglass className="w-4 h-4 opacity-90" />}
+                label="Wait"
+                enabled={!!actions?.canWait}
+                onClick={doWait}
+                title="Skip this turn"
+              />
+              <SecondaryAction
+                icon={<Footprints className="w-4 h-4 opacity-90" />}
+                label="Flee"
+                enabled={!!actions?.canFlee}
+                onClick={doFlee}
+                title={fleeTitle}
+              />
+            </div>
+
           </div>
         </div>
       </div>
@@ -568,7 +862,7 @@ export default function Battle() {
           <div className="absolute inset-0 bg-black/60" onClick={() => setShowSpells(false)} />
           <div className="relative w-full rounded-t-xl shadow-2xl max-h-[72vh] overflow-auto p-4 fantasy-border panel">
             <div className="flex items-center justify-between mb-3">
-              <div className="text-lg font-semibold flex items-center gap-2"><Zap className="w-5 h-5" /> Spells</div>
+              <div className="text-lg font-semibold flex items-center gap-2"><Zap className="w-5 h-5" /> Spells{isAllyTurn ? ` — ${trunc(activeAlly.name, 18)}` : ""}</div>
               <button onClick={() => setShowSpells(false)} className="px-2 py-1 border rounded text-sm">Close</button>
             </div>
 
@@ -596,7 +890,7 @@ export default function Battle() {
                       {sp.name}{aoe ? " • AOE" : ""}
                     </div>
                     <div className="text-xs text-gray-400 mt-1 truncate">
-                      {sp.cost} MP {sp._cooldownRemaining ? `• CD ${sp._cooldownRemaining}` : ""}
+                      {isAllyTurn ? "No MP" : `${sp.cost} MP`} {sp._cooldownRemaining ? `• CD ${sp._cooldownRemaining}` : ""}
                     </div>
                   </button>
                 );
@@ -668,5 +962,73 @@ function StatusIcon({ type }) {
   if (type === "stun") return <span className="w-3 h-3 rounded-full bg-yellow-400 inline-block" />;
   if (type === "buff") return <span className="w-3 h-3 rounded-full bg-emerald-400 inline-block" />;
   if (type === "debuff") return <span className="w-3 h-3 rounded-full bg-indigo-400 inline-block" />;
+  if (type === "haste") return <span className="w-3 h-3 rounded-full bg-sky-300 inline-block" />;
+  if (type === "slow") return <span className="w-3 h-3 rounded-full bg-slate-400 inline-block" />;
+  if (type === "regen") return <span className="w-3 h-3 rounded-full bg-green-300 inline-block" />;
+  if (type === "shield") return <span className="w-3 h-3 rounded-sm bg-sky-400 inline-block" />;
+  if (type === "reflect") return <span className="w-3 h-3 rounded-sm bg-fuchsia-400 inline-block" />;
+  if (type === "silence") return <span className="w-3 h-3 rounded-full bg-purple-500 inline-block" />;
+  if (type === "taunt") return <span className="w-3 h-3 rounded-full bg-orange-400 inline-block" />;
   return <span className="w-3" />;
 }
+
+/* Extra status info: stack count, shield points left */
+function statusDetail(s) {
+  if (s?.type === "shield") return `${Math.max(0, Number(s.value) || 0)}`;
+  if (Number(s?.stacks) > 1) return `×${s.stacks}`;
+  return "";
+}
+
+/* Small button for the Defend / Wait / Flee row */
+function SecondaryAction({ icon, label, enabled, onClick, title }) {
+  return (
+    <button
+      onClick={() => { if (enabled && typeof onClick === "function") onClick(); }}
+      disabled={!enabled}
+      title={title}
+      className={`flex-1 py-2 px-3 rounded-md text-xs font-semibold transition
+        ${enabled
+          ? "bg-white/5 text-gray-100 border border-white/10 hover:bg-white/10"
+          : "bg-white/6 text-gray-500 border border-white/6 cursor-not-allowed"}`}
+    >
+      <span className="flex items-center justify-center gap-2">
+        {icon}
+        {label}
+      </span>
+    </button>
+  );
+}
+
+/* Header badge / status line per battle result */
+const RESULT_BADGE = {
+  win: "bg-green-900 text-green-200 border border-green-700",
+  fled: "bg-amber-900 text-amber-200 border border-amber-700",
+  loss: "bg-red-900 text-red-200 border border-red-700",
+};
+
+const RESULT_STATUS_TEXT = {
+  win: "Battle finished — congratulations",
+  fled: "You got away safely",
+  loss: "Battle finished — you lost",
+};
+
+function resultLabel(result) {
+  if (result === "win") return "Victory";
+  if (result === "fled") return "Fled";
+  return "Defeat";
+}
+
+/* Events that pop floating text over a unit */
+const FLOATER_EVENTS = ["damage", "heal", "miss", "dodge", "block", "status_resisted", "reaction"];
+
+/* Floating text for one event */
+function floaterText(ev) {
+  if (ev.type === "status_resisted") return ev.reason === "immune" ? "Immune" : "Resist";
+  if (ev.type === "reaction") return `${ev.name}!`;
+  if (ev.type === "miss") return "Miss";
+  if (ev.type === "dodge") return "Dodge";
+  if (ev.type === "block") return "Block";
+  if (ev.type === "heal") return `+${ev.amount}`;
+  if (!ev.amount && ev.absorbed > 0) return "Absorbed";
+  return `-${ev.amount}`;
+}
@@ -6,7 +6,10 @@ import React, { useMemo, useState, useEffect } from "react";
 import usePlayerProgress from "../state/usePlayerProgress.js";
 import { equipItem, unequipItem } from "../state/equipment.js";
 import { commitChosenSpell } from "../state/progression.js";
-import itemsCatalog from "../db/items.json";
+import { getPlayerDifficulty, lowerDifficulty } from "../state/difficultySetting.js";
+import { lowerDifficultiesThan } from "../engine/difficulty.js";
+import { resolveItem, getRarity } from "../engine/gear.js";
+import ItemLabel from "./ItemLabel.jsx";
 
 // icons
 import {
@@ -21,6 +24,7 @@ import {
   Box,
   Star,
   User,
+  Gauge,
 } from "lucide-react";
 
 export default function CharacterSheet({ player: propPlayer, onClose, onAllocate }) {
@@ -56,6 +60,8 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
   }, [propPlayer, progress]);
 
   const player = displayPlayer;
+  // rolled instances behind gear ids in inventory / equipped (engine/gear.js)
+  const gear = progress?.gear || null;
 
   /* ---------------- Derived combat calculations (unchanged) ---------------- */
   function deriveCombatFromStats(stats = {}, level = 1) {
@@ -71,13 +77,16 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
       maxMP: 5 + MAG * 5 + Math.floor(level / 2),
       mAtk: 2 + MAG * 2 + Math.floor(level / 2),
       mDef: 1 + Math.floor((MAG + CON) / 2),
+      accuracy: DEX,
+      evasion: Math.floor(DEX / 2),
+      block: 0,
     };
   }
 
   function applyEquipmentToStats(base, eq) {
     const out = { ...base };
     for (const slot of Object.keys(eq || {})) {
-      const spec = itemsCatalog[eq[slot]];
+      const spec = resolveItem(eq[slot], gear);
       if (!spec || spec.kind !== "equipment") continue;
       const add = spec?.bonus?.stats || {};
       for (const k of Object.keys(add)) out[k] = (out[k] || 0) + Number(add[k] || 0);
@@ -88,8 +97,8 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
   function applyEquipmentToDerived(base, eq) {
     const out = { ...base };
     for (const slot of Object.keys(eq || {})) {
-      const b = itemsCatalog[eq[slot]]?.bonus || {};
-      for (const k of ["atk", "def", "mAtk", "mDef", "maxHP", "maxMP"]) {
+      const b = resolveItem(eq[slot], gear)?.bonus || {};
+      for (const k of ["atk", "def", "mAtk", "mDef", "maxHP", "maxMP", "accuracy", "evasion", "block"]) {
         if (Number.isFinite(Number(b[k]))) out[k] += Number(b[k]);
       }
     }
@@ -116,13 +125,13 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
   const equipableBySlot = useMemo(() => {
     const out = {};
     for (const it of inventoryList) {
-      const spec = itemsCatalog[it.id];
+      const spec = resolveItem(it.id, gear);
       if (!spec || spec.kind !== "equipment") continue;
       const slot = spec.slot || "accessory";
-      (out[slot] = out[slot] || []).push({ id: it.id, name: spec.name, qty: it.qty });
+      (out[slot] = out[slot] || []).push({ id: it.id, name: spec.name, qty: it.qty, spec });
     }
     return out;
-  }, [inventoryList]);
+  }, [inventoryList, gear]);
 
   const [openSlot, setOpenSlot] = useState(null);
 
@@ -145,6 +154,18 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
     }
   }
 
+  /* ---------------- Difficulty (one-way: can only go down) ---------------- */
+  const difficulty = getPlayerDifficulty(progress);
+  const easier = lowerDifficultiesThan(difficulty.id);
+
+  function handleLowerDifficulty(id) {
+    if (!id) return;
+    const target = easier.find((d) => d.id === id);
+    if (!confirm(`Lower difficulty to ${target?.name || id}? You can't raise it again.`)) return;
+    const res = lowerDifficulty(id);
+    if (!res.success) alert("Could not change difficulty");
+  }
+
   const needExp = expNeededFor(level);
   const expPct = clamp01(player.exp / needExp);
 
@@ -182,7 +203,7 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
             </div>
             <div className="min-w-0">
               <div className="text-lg font-bold truncate">{player.name}</div>
-              <div className="text-sm text-gray-400">Level {level}</div>
+              <div className="text-sm text-gray-400">Level {level} · {difficulty.name}</div>
             </div>
           </div>
 
@@ -321,6 +342,9 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
               <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">M-DEF: <strong>{derived.mDef}</strong></div>
               <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">HP: <strong>{curHP}/{derived.maxHP}</strong></div>
               <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">MP: <strong>{curMP}/{derived.maxMP}</strong></div>
+              <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">ACC: <strong>{derived.accuracy}</strong></div>
+              <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">EVA: <strong>{derived.evasion}</strong></div>
+              <div className="p-2 rounded border border-[#0f1518] bg-[#071018]">Block: <strong>{derived.block}%</strong></div>
             </div>
           </section>
 
@@ -344,7 +368,7 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
               <div className="mt-3 space-y-3">
                 {slots.map((slot) => {
                   const eqId = player.equipped?.[slot];
-                  const spec = eqId ? itemsCatalog[eqId] : null;
+                  const spec = eqId ? resolveItem(eqId, gear) : null;
                   const options = equipableBySlot[slot] || [];
 
                   return (
@@ -354,7 +378,7 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
                         <div className="text-xs text-gray-300">{spec?.name ? "" : "Empty"}</div>
                       </div>
 
-                      <div className="font-medium mt-1 truncate">{spec?.name ?? "— Empty —"}</div>
+                      <ItemLabel spec={spec} fallback="— Empty —" className="font-medium mt-1" />
 
                       <div className="mt-2 flex gap-2">
                         {!spec ? (
@@ -383,9 +407,10 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
                             <button
                               key={o.id}
                               onClick={() => handleEquip(slot, o.id)}
-                              className="w-full px-2 py-1 rounded border border-[#1b2430] bg-[#071018] text-left text-sm"
+                              className="w-full px-2 py-1 rounded border border-[#1b2430] bg-[#071018] text-left text-sm flex items-start justify-between gap-2"
                             >
-                              {o.name} ×{o.qty}
+                              <ItemLabel spec={o.spec} fallback={o.name} />
+                              <span className="text-gray-400">×{o.qty}</span>
                             </button>
                           ))}
                           <button
@@ -422,20 +447,55 @@ export default function CharacterSheet({ player: propPlayer, onClose, onAllocate
                 {inventoryList.length === 0 ? (
                   <div className="text-sm text-gray-500">No items.</div>
                 ) : (
-                  inventoryList.map((it) => (
-                    <div
-                      key={it.id}
-                      className="px-3 py-1 rounded-full border border-[#13202a] bg-[#071018] text-sm flex items-center gap-2"
-                    >
-                      <div className="text-xs text-gray-400">{labelize(it.id)}</div>
-                      <div className="text-gray-400">×{it.qty}</div>
-                    </div>
-                  ))
+                  inventoryList.map((it) => {
+                    const spec = resolveItem(it.id, gear);
+                    const rarity = spec?.rarity ? getRarity(spec.rarity) : null;
+                    return (
+                      <div
+                        key={it.id}
+                        className="px-3 py-1 rounded-full border border-[#13202a] bg-[#071018] text-sm flex items-center gap-2"
+                        title={rarity ? rarity.name : undefined}
+                      >
+                        <div className="text-xs text-gray-400" style={rarity ? { color: rarity.color } : undefined}>
+                          {rarity ? spec.name : labelize(it.id)}
+                        </div>
+                        <div className="text-gray-400">×{it.qty}</div>
+                      </div>
+                    );
+                  })
                 )}
               </div>
             )}
           </section>
 
+          {/* DIFFICULTY */}
+          <section>
+            <div className="font-semibold mb-2 flex items-center gap-2">
+              <Gauge className="w-4 h-4 text-slate-300" />
+              Difficulty
+            </div>
+
+            <div className="p-2 rounded border border-[#0f1518] bg-[#071018] text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <div className="font-medium">{difficulty.name}</div>
+                {easier.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleLowerDifficulty(e.target.value)}
+                    className="px-2 py-1 rounded border border-[#1b2430] bg-[#071018] text-xs text-gray-300"
+                    aria-label="Lower difficulty"
+                  >
+                    <option value="">Lower to…</option>
+                    {easier.map((d) => (
+                      <option key={d.id} value={d.id}>{d.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">{difficulty.description}</div>
+            </div>
+          </section>
+
           {/* SPELL LIST */}
           <section>
             <div className="flex items-center justify-between mb-2">
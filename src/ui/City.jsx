@@ -4,9 +4,18 @@ import { useNavigate } from "react-router-dom";
 import usePlayerProgress from "../state/usePlayerProgress.js";
 import { getCityForRegion, getLocationsForRegion } from "../state/locations.js";
 import { saveProgress } from "../state/playerProgress.js";
+import { companionsForRegion, getParty, recruitCompanion, dismissCompanion, MAX_PARTY_SIZE } from "../state/party.js";
+import { needsDifficultyChoice } from "../state/difficultySetting.js";
+import DifficultyPicker from "./DifficultyPicker.jsx";
 
 // icons (lucide-react)
-import { Menu as MenuIcon, MapPin, ShoppingCart, Map as MapIcon, User, Star, ChevronRight } from "lucide-react";
+import { Menu as MenuIcon, MapPin, ShoppingCart, Map as MapIcon, User, Users, Star, ChevronRight } from "lucide-react";
+
+const RECRUIT_ERRORS = {
+  "not-enough-gold": "Not enough gold.",
+  "party-full": `Your party is full (max ${MAX_PARTY_SIZE}).`,
+  "already-in-party": "Already in your party.",
+};
 
 export default function City() {
   const { progress } = usePlayerProgress();
@@ -17,6 +26,10 @@ export default function City() {
   const allLocs = getLocationsForRegion(regionId) || [];
   const shop = allLocs.find((l) => l.type === "shop" || l.kind === "shop") || null;
   const player = progress || {};
+  const companions = companionsForRegion(regionId);
+  const party = getParty(progress);
+  const partyIds = party.map((c) => c.id);
+  const [tavernMsg, setTavernMsg] = React.useState(null);
 
   const cityName =
     city?.name ||
@@ -33,6 +46,16 @@ export default function City() {
     navigate(`/shop/${encodeURIComponent(shop.id)}`);
   }
 
+  function handleRecruit(id) {
+    const res = recruitCompanion(id);
+    setTavernMsg(res.success ? null : RECRUIT_ERRORS[res.reason] || "Could not recruit.");
+  }
+
+  function handleDismiss(id) {
+    dismissCompanion(id);
+    setTavernMsg(null);
+  }
+
   function goToMap() {
     saveProgress({ currentRegion: regionId });
     navigate("/map");
@@ -77,6 +100,9 @@ export default function City() {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           {/* Left side */}
           <div className="md:col-span-2 space-y-4">
+            {/* New characters pick a difficulty first */}
+            {needsDifficultyChoice(progress) && <DifficultyPicker />}
+
             {/* Player Card */}
             <div className="bg-[#0f141a]/80 backdrop-blur-sm rounded-xl border border-[#1c232c] p-4 shadow-md">
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
@@ -147,6 +173,74 @@ export default function City() {
               </div>
             </div>
 
+            {/* Tavern: companions for hire + current party */}
+            <div className="bg-[#0f141a]/80 backdrop-blur-sm rounded-xl border border-[#1c232c] p-4 shadow-md">
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2 text-sm font-semibold text-gray-100">
+                  <Users className="w-4 h-4 text-amber-300" />
+                  Tavern
+                </div>
+                <div className="text-xs text-gray-400">
+                  Party {party.length} / {MAX_PARTY_SIZE}
+                </div>
+              </div>
+
+              {party.length > 0 && (
+                <div className="mb-3 space-y-2">
+                  {party.map((c) => (
+                    <div key={c.id} className="flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-[#0b0f14]/80 border border-[#1c232c]">
+                      <div className="min-w-0">
+                        <div className="text-sm text-gray-100 truncate">{c.name}</div>
+                        <div className="text-[11px] text-gray-400">
+                          {c.role} · {c.control === "player" ? "follows your orders" : "fights on its own"}
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleDismiss(c.id)}
+                        className="px-3 py-1 rounded-md text-xs border border-[#1c232c] text-gray-300 hover:bg-[#0f141a]/70"
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {companions.length === 0 ? (
+                <div className="text-xs text-gray-400">Nobody here is looking for work.</div>
+              ) : (
+                <div className="space-y-2">
+                  {companions.filter((c) => !partyIds.includes(c.id)).map((c) => {
+                    const affordable = (player.gold ?? 0) >= (c.cost || 0);
+                    const full = party.length >= MAX_PARTY_SIZE;
+                    return (
+                      <div key={c.id} className="flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-[#0b0f14]/80 border border-[#1c232c]">
+                        <div className="min-w-0">
+                          <div className="text-sm text-gray-100 truncate">
+                            {c.name} <span className="text-[11px] text-gray-400">({c.role})</span>
+                          </div>
+                          <div className="text-[11px] text-gray-400 truncate">{c.description}</div>
+                        </div>
+                        <button
+                          onClick={() => handleRecruit(c.id)}
+                          disabled={!affordable || full}
+                          className={`shrink-0 px-3 py-1 rounded-md text-xs font-medium border ${
+                            affordable && !full
+                              ? "bg-amber-700 text-amber-100 border-amber-700 hover:brightness-105"
+                              : "bg-muted-700/50 text-gray-500 cursor-not-allowed border-muted-600"
+                          }`}
+                        >
+                          Hire · {c.cost}g
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {tavernMsg && <div className="mt-2 text-xs text-red-300">{tavernMsg}</div>}
+            </div>
+
             <div className="text-xs text-gray-400 text-center md:text-left pb-6 md:pb-0">
               Tip: Use the World Map to explore new regions.
             </div>
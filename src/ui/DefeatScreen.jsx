@@ -0,0 +1,136 @@
+// src/ui/DefeatScreen.jsx
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import usePlayerProgress from "../state/usePlayerProgress.js";
+import { peekLastDefeat } from "../state/defeat.js";
+import ENEMIES from "../db/enemies.json";
+import ITEMS from "../db/items.json";
+import DUNGEONS_DB from "../db/dungeons.json";
+
+// icons (lucide-react)
+import { Skull, Coins, Star, HeartPulse, PackageX, MapPin } from "lucide-react";
+
+/**
+ * DefeatScreen
+ * - Shown after a lost battle (progress.lastDefeat, written by state/defeat.js)
+ * - Lists what the defeat cost: gold, EXP, dungeon loot forfeited
+ * - Player has already been moved to the city, the button just goes there
+ * - Hardcore: the save slot is already gone, starting over reloads the app
+ */
+export default function DefeatScreen() {
+  const { progress } = usePlayerProgress();
+  const navigate = useNavigate();
+
+  const defeat = peekLastDefeat(progress);
+  const cityName = defeat?.cityName || "the city";
+
+  if (!defeat) {
+    return (
+      <div className="p-4 min-h-[40vh] text-gray-300">
+        <div className="text-sm">Nothing to report — you haven't been defeated.</div>
+        <button
+          onClick={() => navigate("/")}
+          className="mt-3 px-3 py-2 rounded-md text-sm bg-[#0b0f14]/70 text-gray-100 border border-[#1c232c]"
+        >
+          Back to city
+        </button>
+      </div>
+    );
+  }
+
+  const enemyNames = (defeat.enemies || []).map((id) => ENEMIES[id]?.name || id);
+
+  if (defeat.permadeath) {
+    return (
+      <div className="p-4 sm:p-6 text-gray-200 max-w-xl mx-auto">
+        <div className="flex items-center gap-3 mb-4">
+          <Skull className="w-6 h-6 text-rose-500" />
+          <h1 className="text-lg sm:text-xl font-semibold">Fallen for good</h1>
+        </div>
+        <div className="bg-[#0f141a]/80 backdrop-blur-sm rounded-xl border border-rose-900/60 p-4 shadow-md text-sm text-gray-300">
+          {defeat.name || "Your hero"} died at level {defeat.level}
+          {enemyNames.length > 0 && <> to {enemyNames.join(", ")}</>}.
+          {" "}Hardcore characters get one life: the save slot has been deleted.
+        </div>
+        <button
+          onClick={() => window.location.assign("/")}
+          className="mt-4 inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-[#0b0f14]/70 text-gray-100 border border-[#1c232c] hover:bg-[#0f141a]/80"
+        >
+          Start over
+        </button>
+      </div>
+    );
+  }
+
+  const forfeitedItems = Object.entries(defeat.forfeited?.items || {}).filter(([, qty]) => qty > 0);
+  const forfeitedGold = Number(defeat.forfeited?.gold) || 0;
+  const dungeon = defeat.dungeonKey
+    ? (DUNGEONS_DB.dungeons || []).find((d) => d && d.id === defeat.dungeonKey)
+    : null;
+  const hpPct = Math.round((Number(defeat.respawnHpPct) || 1) * 100);
+
+  return (
+    <div className="p-4 sm:p-6 text-gray-200 max-w-xl mx-auto">
+      <div className="flex items-center gap-3 mb-4">
+        <Skull className="w-6 h-6 text-rose-400" />
+        <h1 className="text-lg sm:text-xl font-semibold">Defeated</h1>
+      </div>
+
+      {enemyNames.length > 0 && (
+        <div className="text-sm text-gray-400 mb-4">
+          Fell to <span className="text-gray-200">{enemyNames.join(", ")}</span>
+          {dungeon && <> in <span className="text-gray-200">{dungeon.name || dungeon.id}</span></>}.
+        </div>
+      )}
+
+      <div className="bg-[#0f141a]/80 backdrop-blur-sm rounded-xl border border-[#1c232c] p-4 shadow-md space-y-3">
+        <LossRow icon={<Coins className="w-4 h-4 text-amber-300" />} label="Gold lost" value={defeat.goldLost} />
+        <LossRow icon={<Star className="w-4 h-4 text-sky-300" />} label="EXP lost" value={defeat.expLost} />
+
+        {(forfeitedItems.length > 0 || forfeitedGold > 0) && (
+          <div className="pt-3 border-t border-[#1c232c]">
+            <div className="flex items-center gap-2 text-sm text-gray-300 mb-2">
+              <PackageX className="w-4 h-4 text-rose-300" />
+              Dungeon loot forfeited
+            </div>
+            <ul className="text-sm text-gray-400 space-y-1">
+              {forfeitedGold > 0 && <li>{forfeitedGold} gold</li>}
+              {forfeitedItems.map(([id, qty]) => (
+                <li key={id}>{qty}× {ITEMS[id]?.name || id}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="pt-3 border-t border-[#1c232c] flex items-center gap-2 text-sm text-gray-300">
+          <HeartPulse className="w-4 h-4 text-emerald-300" />
+          {hpPct < 100
+            ? `You wake up in ${cityName}. Your next fight starts at ${hpPct}% HP.`
+            : `You wake up in ${cityName}.`}
+        </div>
+      </div>
+
+      <button
+        onClick={() => navigate("/")}
+        className="mt-4 inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-[#0b0f14]/70 text-gray-100 border border-[#1c232c] hover:bg-[#0f141a]/80"
+      >
+        <MapPin className="w-4 h-4" />
+        Return to {cityName}
+      </button>
+    </div>
+  );
+}
+
+function LossRow({ icon, label, value }) {
+  return (
+    <div className="flex items-center justify-between text-sm">
+      <div className="flex items-center gap-2 text-gray-300">
+        {icon}
+        {label}
+      </div>
+      <div className={value > 0 ? "font-semibold text-rose-300" : "text-gray-500"}>
+        {value > 0 ? `−${value}` : "none"}
+      </div>
+    </div>
+  );
+}
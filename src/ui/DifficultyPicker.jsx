@@ -0,0 +1,56 @@
+// src/ui/DifficultyPicker.jsx
+import React from "react";
+import { listDifficulties } from "../engine/difficulty.js";
+import { chooseDifficulty } from "../state/difficultySetting.js";
+
+// icons (lucide-react)
+import { Skull, Gauge } from "lucide-react";
+
+/**
+ * DifficultyPicker
+ * - Shown in the city until the character has picked a preset
+ * - The pick is final except for lowering it on the character sheet
+ */
+export default function DifficultyPicker() {
+  const [error, setError] = React.useState(null);
+  const presets = listDifficulties();
+
+  function handlePick(preset) {
+    if (preset.permadeath && !confirm(`${preset.name}: dying deletes this save slot. Play on ${preset.name}?`)) return;
+    const res = chooseDifficulty(preset.id);
+    setError(res.success ? null : "Could not save the difficulty.");
+  }
+
+  return (
+    <div className="bg-[#0f141a]/80 backdrop-blur-sm rounded-xl border border-amber-700/40 p-4 shadow-md">
+      <div className="flex items-center gap-2 text-sm font-semibold text-gray-100 mb-1">
+        <Gauge className="w-4 h-4 text-amber-300" />
+        Choose your difficulty
+      </div>
+      <div className="text-xs text-gray-400 mb-3">
+        You can lower it later from the character sheet, but never raise it.
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {presets.map((d) => (
+          <button
+            key={d.id}
+            onClick={() => handlePick(d)}
+            className="text-left px-3 py-2 rounded-lg bg-[#0b0f14]/80 border border-[#1c232c] hover:border-amber-600/60 focus:outline-none focus:ring-2 focus:ring-amber-500"
+          >
+            <div className="flex items-center gap-2 text-sm text-gray-100 font-medium">
+              {d.name}
+              {d.permadeath && <Skull className="w-4 h-4 text-rose-400" />}
+            </div>
+            <div className="text-[11px] text-gray-400 mt-0.5">{d.description}</div>
+            <div className="text-[11px] text-gray-500 mt-1">
+              Enemies ×{d.enemyStats} · EXP ×{d.exp} · Gold ×{d.gold} · Prices ×{d.shopPrices}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  );
+}
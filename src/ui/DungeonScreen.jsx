@@ -3,6 +3,8 @@ import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import useDungeon from "../state/useDungeon.js";
 import { useBattleContext } from "../state/BattleContext.jsx";
+import { DOOR_UP, DOOR_RIGHT, DOOR_DOWN, DOOR_LEFT } from "../state/dungeonUtils.js";
+import ITEMS_DB from "../db/items.json";
 
 /**
  * DungeonScreen — responsive grid that always fits viewport
@@ -15,6 +17,15 @@ import { useBattleContext } from "../state/BattleContext.jsx";
  * - grid container uses a safe max-height computed in layout effect (no DOM reads in render)
  */
 
+// visited non-combat rooms (and the entrance) get their own colour + icon
+const ROOM_TYPE_STYLES = {
+  treasure: { background: "linear-gradient(180deg,#7a5a12,#4f3a0b)", icon: "💰" },
+  rest: { background: "linear-gradient(180deg,#1f6b2e,#14451e)", icon: "🔥" },
+  special: { background: "linear-gradient(180deg,#5b2a86,#3b1b58)", icon: "✨" },
+  entrance: { background: "linear-gradient(180deg,#2b3444,#1c2330)", icon: "🚪" },
+  stairs: { background: "linear-gradient(180deg,#3a3f58,#232739)", icon: "🪜" },
+};
+
 export default function DungeonScreen() {
   const navigate = useNavigate();
   const dungeon = useDungeon();
@@ -29,8 +40,12 @@ export default function DungeonScreen() {
     enterRoom,
     move,
     canMove,
-    exitRun,
+    failRun,
     startBossFight,
+    bossIndex,
+    descend,
+    floor,
+    floors,
     handleBattleFinish,
     listAllRuns,
     lockTileDuringBattle,
@@ -39,6 +54,7 @@ export default function DungeonScreen() {
   } = dungeon;
 
   const [dungeonKey, setDungeonKey] = useState("goblin-den");
+  const [roomNotice, setRoomNotice] = useState(null);
   const inputRef = useRef(null);
   const activeBattleRef = useRef(null);
 
@@ -194,8 +210,8 @@ export default function DungeonScreen() {
           try { unlockTileDuringBattle(idx); } catch (e) { }
         }
         if (finalState.result === "loss") {
-          exitRun();
-          navigate("/");
+          failRun();
+          navigate("/defeat");
           return;
         }
         try { handleBattleFinish(finalState, idx); } catch (e) { console.error(e); }
@@ -205,6 +221,27 @@ export default function DungeonScreen() {
     navigate("/combat");
   }
 
+  // treasure / rest / special rooms resolve without a fight -> show what happened
+  function handleRoomPayload(payload, tileIndex) {
+    if (!payload || payload.locked) return;
+    if (payload.room) {
+      setRoomNotice({ ...payload.room, tileIndex });
+      return;
+    }
+    if (payload.tile && payload.tile.visited) return;
+    startBattleFromPayload(payload, tileIndex);
+  }
+
+  // standing on cleared stairs with floors left below
+  const hereTile = run ? run.tiles?.[(playerPos?.y ?? 0) * (run.size || size) + (playerPos?.x ?? 0)] : null;
+  const canDescend = Boolean(hereTile && hereTile.type === "stairs" && hereTile.visited && floor < floors);
+
+  function handleDescend() {
+    if (!canDescend) return;
+    setRoomNotice(null);
+    descend?.();
+  }
+
   function handleStartNew() {
     const started = startNewRun(dungeonKey);
     if (started && started.id) {
@@ -234,10 +271,7 @@ export default function DungeonScreen() {
     setTimeout(() => {
       try {
         const payload = enterRoom(tile.x, tile.y);
-        if (!payload) return;
-        if (payload.locked) return;
-        if (payload.tile && payload.tile.visited) return;
-        startBattleFromPayload(payload, tileIndex);
+        handleRoomPayload(payload, tileIndex);
       } catch (e) {
         console.error("[DungeonScreen] auto-enter failed", e);
       }
@@ -262,8 +296,7 @@ export default function DungeonScreen() {
       const savedTile = run.tiles?.[idx];
       if (savedTile?.visited) return;
       const payload = enterRoom(tile.x, tile.y);
-      if (!payload || payload.locked) return;
-      startBattleFromPayload(payload, idx);
+      handleRoomPayload(payload, idx);
       return;
     }
     const dir = computeDir(from, tile);
@@ -277,8 +310,7 @@ export default function DungeonScreen() {
     const tile = run.tiles?.[idx];
     if (tile?.visited) return;
     const payload = enterRoom(x, y);
-    if (!payload || payload.locked) return;
-    startBattleFromPayload(payload, idx);
+    handleRoomPayload(payload, idx);
   }
 
   function handleStartBoss() {
@@ -286,17 +318,15 @@ export default function DungeonScreen() {
     if (!run.bossTriggered) return;
     const payload = startBossFight?.();
     if (!payload) return;
-    const cx = Math.floor(run.size / 2);
-    const cy = Math.floor(run.size / 2);
-    const centerIdx = cy * run.size + cx;
-    try { lockTileDuringBattle(centerIdx); } catch (_) { }
-    activeBattleRef.current = { tileIndex: centerIdx, isBoss: true };
+    const bossIdx = bossIndex;
+    try { lockTileDuringBattle(bossIdx); } catch (_) { }
+    activeBattleRef.current = { tileIndex: bossIdx, isBoss: true };
     if (!battle || typeof battle.startWithEnemy !== "function") return;
 
     const dungeonLevel = run?.dungeonLevel ?? run?.level;
 
     battle.startWithEnemy(payload.enemies, payload.playerOverrides || null, {
-      meta: { boss: true, tileIndex: centerIdx },
+      meta: { boss: true, tileIndex: bossIdx },
       dungeonLevel,
       onFinish: (finalState, meta) => {
         const idx = meta?.tileIndex;
@@ -305,8 +335,8 @@ export default function DungeonScreen() {
           try { unlockTileDuringBattle(idx); } catch (_) { }
         }
         if (finalState.result === "loss") {
-          exitRun();
-          navigate("/");
+          failRun();
+          navigate("/defeat");
           return;
         }
         try { handleBattleFinish(finalState, idx); } catch (e) { console.error(e); }
@@ -362,7 +392,9 @@ export default function DungeonScreen() {
       <div ref={headerRef} className="flex items-start justify-between mb-4">
         <div>
           <h2 className="text-lg font-semibold text-white">Dungeon</h2>
-          <div className="text-xs text-white/70 mt-1">{run ? `Run: ${run.id}` : "No active run"}</div>
+          <div className="text-xs text-white/70 mt-1">
+            {run ? `Run: ${run.id}${floors > 1 ? ` · Floor ${floor}/${floors}` : ""}` : "No active run"}
+          </div>
         </div>
 
         <div className="flex items-center gap-2">
@@ -383,6 +415,11 @@ export default function DungeonScreen() {
           ) : (
             <>
               <button className="px-3 py-2 rounded-md bg-transparent text-white border border-white/10" onClick={() => navigate("/")}>Return to City</button>
+              {canDescend ? (
+                <button className="px-3 py-2 rounded-md fantasy-glow border border-white/10 text-white font-semibold" onClick={handleDescend}>
+                  Descend
+                </button>
+              ) : null}
               {run?.finished ? (
                 <button
                   className="px-3 py-2 rounded-md ml-2 fantasy-glow border border-white/10 text-white font-semibold"
@@ -429,7 +466,12 @@ export default function DungeonScreen() {
             const tile = tiles[i] ?? { x: i % gridCols, y: Math.floor(i / gridCols), visited: false, type: "combat" };
             const isPlayer = tile.x === (playerPos?.x ?? 0) && tile.y === (playerPos?.y ?? 0);
             const visitedTile = Boolean(tile.visited);
-            const isBoss = tile.type === "boss";
+            // fog of war: generated layouts only show rooms next to where you've been
+            const hidden = Boolean(run?.layout) && !tile.discovered && !tile.visited;
+            const isWall = !hidden && tile.type === "wall";
+            const isBoss = !hidden && tile.type === "boss";
+            // room type is only revealed once the tile has been entered
+            const roomStyle = visitedTile ? ROOM_TYPE_STYLES[tile.type] : null;
             const inBattle = Boolean(tile.inBattle);
 
             const baseStyle = {
@@ -449,8 +491,26 @@ export default function DungeonScreen() {
               cursor: "pointer",
             };
 
-            if (isPlayer) baseStyle.background = "linear-gradient(180deg,#0a4f7a,#0b3752)";
+            // closed sides (no door) get a heavier border
+            if (!hidden && !isWall && typeof tile.doors === "number") {
+              const closed = (bit) => (tile.doors & bit) === 0;
+              baseStyle.borderTopWidth = closed(DOOR_UP) ? 3 : baseStyle.borderWidth;
+              baseStyle.borderRightWidth = closed(DOOR_RIGHT) ? 3 : baseStyle.borderWidth;
+              baseStyle.borderBottomWidth = closed(DOOR_DOWN) ? 3 : baseStyle.borderWidth;
+              baseStyle.borderLeftWidth = closed(DOOR_LEFT) ? 3 : baseStyle.borderWidth;
+            }
+
+            if (hidden) {
+              baseStyle.background = "#03050b";
+              baseStyle.borderColor = "rgba(255,255,255,0.04)";
+              baseStyle.cursor = "default";
+            } else if (isWall) {
+              baseStyle.background = "repeating-linear-gradient(45deg,#1a1d26,#1a1d26 4px,#12141b 4px,#12141b 8px)";
+              baseStyle.borderColor = "rgba(255,255,255,0.04)";
+              baseStyle.cursor = "default";
+            } else if (isPlayer) baseStyle.background = "linear-gradient(180deg,#0a4f7a,#0b3752)";
             else if (isBoss) baseStyle.background = "linear-gradient(180deg,#742222,#5a1a1a)";
+            else if (roomStyle) baseStyle.background = roomStyle.background;
             else if (visitedTile) baseStyle.background = "linear-gradient(180deg,#0d4638,#0a2f25)";
 
             const indicatorSize = Math.max(6, Math.round(tileSize * 0.12));
@@ -461,7 +521,7 @@ export default function DungeonScreen() {
                 onClick={() => handleTileClick(tile, i)}
                 style={baseStyle}
               >
-                {isPlayer ? (
+                {hidden || isWall ? null : isPlayer ? (
                   <div style={{
                     width: Math.max(8, Math.round(tileSize * 0.24)),
                     height: Math.max(8, Math.round(tileSize * 0.24)),
@@ -483,6 +543,10 @@ export default function DungeonScreen() {
                     borderRadius: 4,
                     background: "#ffb3b3",
                   }} />
+                ) : roomStyle ? (
+                  <div style={{ fontSize: Math.max(10, Math.round(tileSize * 0.3)), lineHeight: 1 }}>
+                    {roomStyle.icon}
+                  </div>
                 ) : visitedTile ? (
                   <div style={{
                     width: indicatorSize,
@@ -506,6 +570,49 @@ export default function DungeonScreen() {
         <div className="mt-8 text-white/70">No active run.</div>
       )}
 
+      {/* room notice (treasure / rest / special) */}
+      {roomNotice ? (
+        <div
+          className="mb-4 p-3 rounded-lg border border-white/10"
+          style={{ background: ROOM_TYPE_STYLES[roomNotice.kind]?.background || "#07111a" }}
+        >
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="font-semibold text-white">
+                {ROOM_TYPE_STYLES[roomNotice.kind]?.icon} {roomNotice.title}
+              </div>
+              <div className="text-sm text-white/80 mt-1">{roomNotice.text}</div>
+              {roomNotice.items?.length > 0 ? (
+                <div className="text-sm text-white mt-2">
+                  Found: {roomNotice.items.map(it => `${it.qty} × ${ITEMS_DB[it.id]?.name || it.id}`).join(", ")}
+                </div>
+              ) : null}
+              {roomNotice.gold > 0 ? (
+                <div className="text-sm text-white mt-1">+{roomNotice.gold} gold</div>
+              ) : null}
+              {roomNotice.hp != null ? (
+                <div className="text-xs text-white/70 mt-1">
+                  HP {roomNotice.hp} / {run?.playerMaxHP ?? "—"} · MP {roomNotice.mp ?? "—"} / {run?.playerMaxMP ?? "—"}
+                </div>
+              ) : null}
+            </div>
+            <div className="flex items-center gap-2">
+              {roomNotice.kind === "stairs" && canDescend ? (
+                <button className="px-3 py-1 rounded-md fantasy-glow border border-white/10 text-white font-semibold" onClick={handleDescend}>
+                  Descend
+                </button>
+              ) : null}
+              <button
+                className="px-3 py-1 rounded-md bg-transparent text-white border border-white/10"
+                onClick={() => setRoomNotice(null)}
+              >
+                Continue
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
       {/* footer (measured) */}
       <div
         ref={footerRef}
@@ -2,11 +2,19 @@
 import React, { useMemo, useState } from "react";
 import enemiesData from "../db/enemies.json"; // Vite supports JSON imports
 import spellsData from "../db/spells.json";
+import itemsData from "../db/items.json";
+import usePlayerProgress from "../state/usePlayerProgress.js";
+import { seenDropsOf } from "../state/lootLog.js";
+import { lootOdds, lootTableOf } from "../engine/loot.js";
+import { equippedLuck } from "../engine/gear.js";
 
 /**
  * Enemies page
  * - reads src/db/enemies.json and displays a searchable, filterable list
  * - shows details pane with stats, element mods, drops and referenced spells (name lookups)
+ * - drops come from the enemy's loot table (engine/loot.js): name, quantity and
+ *   odds (after the player's luck) only for items already seen dropping from it
+ *   (state/lootLog.js), "???" for the rest
  * - presentation-only (no game logic changes)
  */
 
@@ -17,6 +25,17 @@ function trunc(s, n = 48) {
   return str.slice(0, n - 1) + "…";
 }
 
+function fmtChance(p) {
+  const pct = p * 100;
+  if (pct >= 10) return `${Math.round(pct)}%`;
+  if (pct >= 0.1) return `${pct.toFixed(1)}%`;
+  return "<0.1%";
+}
+
+function fmtQty(d) {
+  return d.min === d.max ? `×${d.min}` : `×${d.min}–${d.max}`;
+}
+
 export default function Enemies() {
   const allObj = enemiesData || {};
   const ids = Object.keys(allObj);
@@ -25,6 +44,11 @@ export default function Enemies() {
   const [query, setQuery] = useState("");
   const [elemFilter, setElemFilter] = useState("all");
   const [selected, setSelected] = useState(null);
+  const { progress } = usePlayerProgress();
+
+  const luck = equippedLuck({ equipped: progress?.equipped, gear: progress?.gear });
+  const drops = useMemo(() => (selected ? lootOdds(lootTableOf(selected), { luck }) : []), [selected, luck]);
+  const seen = selected ? seenDropsOf(selected.id, progress) : [];
 
   const elements = useMemo(() => {
     const s = new Set();
@@ -164,17 +188,28 @@ export default function Enemies() {
                         </div>
                       )}
 
-                      {Array.isArray(selected.drops) && selected.drops.length > 0 && (
+                      {drops.length > 0 && (
                         <div className="mt-3">
-                          <div className="text-sm font-medium text-white/80 mb-1">Drops</div>
+                          <div className="text-sm font-medium text-white/80 mb-1">
+                            Drops
+                            {luck > 0 && <span className="ml-2 text-xs font-normal text-emerald-300">luck +{luck}%</span>}
+                          </div>
                           <div className="space-y-1 text-sm">
-                            {selected.drops.map((d, i) => (
-                              <div key={i} className="flex items-center justify-between">
-                                <div className="text-xs text-white/70">{d.id}</div>
-                                <div className="text-xs font-medium">×{d.qty ?? 1}</div>
+                            {drops.map(d => (seen.includes(d.id) ? (
+                              <div key={d.id} className="flex items-center justify-between gap-2">
+                                <div className="text-xs text-white/70 truncate">{itemsData?.[d.id]?.name || d.id} {fmtQty(d)}</div>
+                                <div className="text-xs font-medium">{fmtChance(d.chance)}</div>
                               </div>
-                            ))}
+                            ) : (
+                              <div key={d.id} className="flex items-center justify-between gap-2">
+                                <div className="text-xs text-white/40">???</div>
+                                <div className="text-xs text-white/40">?</div>
+                              </div>
+                            )))}
                           </div>
+                          {seen.length < drops.length && (
+                            <div className="mt-1 text-[11px] text-white/40">Defeat it to discover more drops.</div>
+                          )}
                         </div>
                       )}
 
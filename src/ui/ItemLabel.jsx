@@ -0,0 +1,31 @@
+// src/ui/ItemLabel.jsx
+import React from "react";
+import { getRarity, describeAffix } from "../engine/gear.js";
+
+/**
+ * ItemLabel
+ * - Item name in its rarity color (rolled gear, engine/gear.js)
+ * - Rarity tier + one line per affix underneath
+ * - Catalog items (no rarity) render as a plain name
+ */
+export default function ItemLabel({ spec, fallback = "", showAffixes = true, className = "" }) {
+  const name = spec?.name || fallback;
+  if (!spec?.rarity) return <div className={`truncate ${className}`}>{name}</div>;
+
+  const rarity = getRarity(spec.rarity);
+  const affixes = Array.isArray(spec.affixes) ? spec.affixes : [];
+
+  return (
+    <div className={`min-w-0 ${className}`}>
+      <div className="truncate" style={{ color: rarity.color }}>{name}</div>
+      <div className="text-[11px] text-gray-500">{rarity.name}</div>
+      {showAffixes && affixes.length > 0 && (
+        <ul className="text-[11px] leading-4" style={{ color: rarity.color }}>
+          {affixes.map((a, i) => (
+            <li key={`${a.id}-${i}`}>{describeAffix(a)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,12 @@
 // src/ui/MenuScreen.jsx
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import CharacterSheet from "./CharacterSheet.jsx";
 import usePlayerProgress from "../state/usePlayerProgress.js";
 import { loadProgress, saveProgress, clearProgress } from "../state/playerProgress.js";
+import { exportBundle, bundleFileName, parseBundle, applyBundle } from "../state/saveBundle.js";
+import { getStorage, setPreferredBackend } from "../state/storageAdapter.js";
+import { listSlots, createSlot, copySlot, deleteSlot, switchSlot } from "../state/saveSlots.js";
 
 /**
  * MenuScreen (dark theme + placeholders wired)
@@ -19,6 +22,8 @@ export default function MenuScreen() {
 
   const [openCharacter, setOpenCharacter] = useState(false);
   const [importError, setImportError] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [slots, setSlots] = useState(() => listSlots());
 
   // presentation-only theme toggle (no persistence)
   const [theme, setTheme] = useState("dark");
@@ -53,40 +58,93 @@ export default function MenuScreen() {
   }, []);
 
   function handleExport() {
-    const p = loadProgress() || {};
-    const blob = new Blob([JSON.stringify(p, null, 2)], { type: "application/json" });
+    const bundle = exportBundle();
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `progress-${p.name || "player"}-lv${p.level || 1}.json`;
+    a.download = bundleFileName(bundle);
     a.click();
     URL.revokeObjectURL(url);
   }
 
+  // validate + preview only; nothing is written until the player confirms
   function handleImport(file) {
     setImportError(null);
+    setPendingImport(null);
     if (!file) return;
 
     const r = new FileReader();
     r.onload = (ev) => {
-      try {
-        const parsed = JSON.parse(String(ev.target.result));
-        if (typeof parsed !== "object" || parsed === null) throw new Error("Invalid JSON");
-        saveProgress(parsed);
-      } catch (err) {
-        setImportError(String(err.message || err));
+      const parsed = parseBundle(String(ev.target.result));
+      if (!parsed.ok) {
+        setImportError(parsed.error);
+        return;
       }
+      setPendingImport(parsed);
     };
     r.onerror = () => setImportError("Failed to read file");
     r.readAsText(file);
   }
 
+  function handleApplyImport() {
+    const res = applyBundle(pendingImport);
+    setPendingImport(null);
+    if (!res.ok) {
+      setImportError(res.error);
+      return;
+    }
+    // battle / dungeon state in memory belongs to the old save
+    window.location.reload();
+  }
+
   function handleClearProgress() {
     if (!confirm("Clear saved progress? This cannot be undone.")) return;
     clearProgress();
     navigate("/", { replace: true });
   }
 
+  /* Save slots */
+  const refreshSlots = useCallback(() => setSlots(listSlots()), []);
+
+  // summaries change on every progress save
+  useEffect(() => { refreshSlots(); }, [progress, refreshSlots]);
+
+  function handleNewSlot() {
+    const name = prompt("Name for the new save slot:", `Slot ${slots.length + 1}`);
+    if (name === null) return;
+    createSlot(name);
+    refreshSlots();
+  }
+
+  function handleCopySlot(slot) {
+    const name = prompt("Name for the copy:", `${slot.name} (copy)`);
+    if (name === null) return;
+    if (!copySlot(slot.id, name)) setImportError("Copying the slot failed (storage full?)");
+    refreshSlots();
+  }
+
+  function handleDeleteSlot(slot) {
+    if (!confirm(`Delete "${slot.name}" and all of its saves? This cannot be undone.`)) return;
+    if (!deleteSlot(slot.id)) return;
+    if (slot.active) {
+      window.location.reload();
+      return;
+    }
+    refreshSlots();
+  }
+
+  function handleSwitchSlot(slot) {
+    if (slot.active) return;
+    if (switchSlot(slot.id)) window.location.reload();
+  }
+
+  function handleBackendChange(name) {
+    if (name === getStorage().name) return;
+    if (!confirm(`Switch save storage to ${name}? The game will reload.`)) return;
+    if (setPreferredBackend(name)) window.location.reload();
+  }
+
   // styles switcher: dark / light
   const isDark = theme === "dark";
   const S = isDark ? darkStyles : lightStyles;
@@ -178,9 +236,9 @@ export default function MenuScreen() {
             Dungeons
           </button>
 
-          <button style={S.btnGhost} onClick={handleExport} aria-label="Export progress" title="Export progress (.json)">Export</button>
+          <button style={S.btnGhost} onClick={handleExport} aria-label="Export save" title="Export full save (.json)">Export</button>
 
-          <label style={S.importLabel} title="Import progress (.json)">
+          <label style={S.importLabel} title="Import save (.json)">
             <input
               type="file"
               accept="application/json"
@@ -199,6 +257,70 @@ export default function MenuScreen() {
         </div>
 
         {importError && <div style={S.error}>{importError}</div>}
+
+        {pendingImport && (
+          <ImportPreview
+            S={S}
+            parsed={pendingImport}
+            onApply={handleApplyImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+      </section>
+
+      {/* Save slots */}
+      <section style={{ ...S.card, marginTop: 12 }}>
+        <div style={S.playerRow}>
+          <div style={S.playerName}>Save Slots</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <select
+              style={S.btnGhost}
+              value={getStorage().name}
+              onChange={(e) => handleBackendChange(e.target.value)}
+              aria-label="Save storage backend"
+              title="Where saves are stored on this device"
+            >
+              <option value="localStorage">localStorage</option>
+              <option value="indexedDB">IndexedDB</option>
+              {getStorage().name === "memory" && <option value="memory">Memory (not saved)</option>}
+            </select>
+            <button style={S.btnGhost} onClick={handleNewSlot} aria-label="Create save slot" title="Create an empty save slot">New Slot</button>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {slots.map(slot => {
+            const sum = slot.summary;
+            return (
+              <div key={slot.id} style={{ ...S.slotRow, ...(slot.active ? S.slotActive : null) }}>
+                <div style={{ flex: 1, minWidth: 180 }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <span style={{ fontWeight: 700 }}>{slot.name}</span>
+                    {slot.active && <span style={S.smallBadge}>Active</span>}
+                  </div>
+                  <div style={S.statLabel}>
+                    {sum
+                      ? `${sum.name} · Lv ${sum.level} · ${sum.gold} gold${sum.region ? ` · ${sum.region}` : ""}`
+                      : "Empty"}
+                  </div>
+                  <div style={S.statLabel}>
+                    Playtime {formatPlaytime(slot.playtimeMs)} · Last saved {slot.lastSavedAt ? new Date(slot.lastSavedAt).toLocaleString() : "never"}
+                  </div>
+                </div>
+
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {!slot.active && (
+                    <button style={S.btnPrimary} onClick={() => handleSwitchSlot(slot)} title="Switch to this slot">Switch</button>
+                  )}
+                  <button style={S.btnGhost} onClick={() => handleCopySlot(slot)} title="Copy this slot">Copy</button>
+                  {slots.length > 1 && (
+                    <button style={S.btnDanger} onClick={() => handleDeleteSlot(slot)} title="Delete this slot">Delete</button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
       </section>
 
       {openCharacter && (
@@ -211,11 +333,70 @@ export default function MenuScreen() {
   );
 }
 
+/* -------- import preview -------- */
+function ImportPreview({ S, parsed, onApply, onCancel }) {
+  const { current, incoming } = parsed.preview;
+  const rows = [
+    ["Character", current.name ?? "—", incoming.name ?? "—"],
+    ["Level", current.level ?? "—", incoming.level ?? "—"],
+    ["Gold", current.gold ?? "—", incoming.gold ?? "—"],
+    ["Items", `${current.itemCount} (${current.itemKinds} kinds)`, `${incoming.itemCount} (${incoming.itemKinds} kinds)`],
+    ["Quests", `${current.activeQuests} active / ${current.completedQuests} done`, `${incoming.activeQuests} active / ${incoming.completedQuests} done`],
+    ["Dungeon runs", current.dungeonRuns, incoming.dungeonRuns],
+    ["Battle in progress", current.battleInProgress ? "yes" : "no", incoming.battleInProgress ? "yes" : "no"],
+  ];
+
+  return (
+    <div style={{ ...S.slotRow, flexDirection: "column", alignItems: "stretch", marginTop: 12 }}>
+      <div style={{ fontWeight: 700 }}>Import will overwrite the current slot</div>
+      {parsed.legacy && (
+        <div style={S.statLabel}>Old progress-only export: quests and inventory are replaced, battle, shop and dungeon data are kept.</div>
+      )}
+
+      <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={S.statLabel}>
+            <th style={{ textAlign: "left" }} />
+            <th style={{ textAlign: "left" }}>Current</th>
+            <th style={{ textAlign: "left" }}>Imported</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, a, b]) => (
+            <tr key={label}>
+              <td style={S.statLabel}>{label}</td>
+              <td>{a}</td>
+              <td style={{ fontWeight: String(a) !== String(b) ? 700 : 400 }}>{b}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {parsed.issues.length > 0 && (
+        <div style={S.statLabel} title={parsed.issues.join("\n")}>
+          {parsed.issues.length} field(s) will be repaired on import.
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={S.btnDanger} onClick={onApply}>Overwrite &amp; Import</button>
+        <button style={S.btnGhost} onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
 /* -------- helper -------- */
 function expNeededFor(level) {
   return Math.ceil(100 * Math.pow(1.2, Math.max(0, (level | 0) - 1)));
 }
 
+function formatPlaytime(ms) {
+  const mins = Math.floor((Number(ms) || 0) / 60000);
+  const h = Math.floor(mins / 60);
+  return h > 0 ? `${h}h ${mins % 60}m` : `${mins}m`;
+}
+
 /* -------- theme / styles -------- */
 const base = {
   fontFamily: "system-ui, -apple-system, Segoe UI, Roboto",
@@ -257,6 +438,9 @@ const darkStyles = {
   importLabel: { display: "inline-block", cursor: "pointer" },
   error: { marginTop: 8, color: "#ff9b9b", fontSize: 13 },
 
+  slotRow: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", padding: 10, borderRadius: 10, border: "1px solid rgba(255,255,255,0.06)" },
+  slotActive: { border: "1px solid rgba(79,70,229,0.6)", background: "rgba(79,70,229,0.08)" },
+
   smallBadge: { background: "rgba(255,255,255,0.03)", padding: "6px 10px", borderRadius: 8, color: "#fff", fontWeight: 700 },
   themeBtn: { padding: "6px 8px", borderRadius: 8, background: "transparent", border: "1px solid rgba(255,255,255,0.06)", color: "#e6eef6", cursor: "pointer" },
 };
@@ -295,6 +479,9 @@ const lightStyles = {
   importLabel: { display: "inline-block", cursor: "pointer" },
   error: { marginTop: 8, color: "#b34040", fontSize: 13 },
 
+  slotRow: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", padding: 10, borderRadius: 10, border: "1px solid #eee" },
+  slotActive: { border: "1px solid #90cdf4", background: "#f0f8ff" },
+
   smallBadge: { background: "#eef6ff", padding: "6px 10px", borderRadius: 8, color: "#0b1220", fontWeight: 700 },
   themeBtn: { padding: "6px 8px", borderRadius: 8, background: "transparent", border: "1px solid #e6e6e6", color: "#0b1220", cursor: "pointer" },
 };
@@ -0,0 +1,198 @@
+// src/ui/ReplayViewer.jsx
+import React, { useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useBattleContext } from "../state/BattleContext.jsx";
+import { replayToStates, parseReplay, exportReplay, describeStep } from "../engine/replay.js";
+
+/**
+ * ReplayViewer
+ * - re-runs the current / last battle replay (or an imported one) through the engine
+ * - scrub step by step or jump a whole turn (player action + enemy turn) forward / back
+ * - export the replay JSON for bug reports
+ */
+
+function hpPct(hp, max) {
+  const m = Math.max(1, Number(max) || 1);
+  return Math.max(0, Math.min(100, Math.round(((Number(hp) || 0) / m) * 100)));
+}
+
+export default function ReplayViewer() {
+  const navigate = useNavigate();
+  const { getReplay } = useBattleContext() || {};
+
+  const [replay, setReplay] = useState(() => (typeof getReplay === "function" ? getReplay() : null));
+  const [index, setIndex] = useState(0);
+  const [importError, setImportError] = useState(null);
+
+  const states = useMemo(() => replayToStates(replay), [replay]);
+  const steps = useMemo(() => (Array.isArray(replay?.steps) ? replay.steps : []), [replay]);
+
+  // indices where a new player turn begins (after each enemy step)
+  const turnStarts = useMemo(() => {
+    const out = [0];
+    steps.forEach((st, i) => { if (st[0] === "enemy") out.push(i + 1); });
+    return out;
+  }, [steps]);
+
+  const maxIndex = Math.max(0, states.length - 1);
+  const cur = states[Math.min(index, maxIndex)] || null;
+  const turnNo = turnStarts.filter(t => t <= index).length;
+
+  function go(i) {
+    setIndex(Math.max(0, Math.min(maxIndex, i | 0)));
+  }
+
+  function prevTurn() {
+    const before = turnStarts.filter(t => t < index);
+    go(before.length > 0 ? before[before.length - 1] : 0);
+  }
+
+  function nextTurn() {
+    const after = turnStarts.find(t => t > index);
+    go(after != null ? after : maxIndex);
+  }
+
+  function handleExport() {
+    if (!replay) return;
+    const blob = new Blob([exportReplay(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `replay-${replay.seed ?? "battle"}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function handleImport(file) {
+    setImportError(null);
+    if (!file) return;
+
+    const r = new FileReader();
+    r.onload = (ev) => {
+      const parsed = parseReplay(String(ev.target.result));
+      if (!parsed) {
+        setImportError("Not a valid replay file");
+        return;
+      }
+      setReplay(parsed);
+      setIndex(0);
+    };
+    r.onerror = () => setImportError("Failed to read file");
+    r.readAsText(file);
+  }
+
+  const enemies = cur
+    ? (Array.isArray(cur.enemies) && cur.enemies.length > 0 ? cur.enemies : (cur.enemy ? [cur.enemy] : []))
+    : [];
+
+  return (
+    <div className="min-h-screen p-4 bg-[#060812] text-white">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-xl font-bold">Battle Replay</h1>
+            <div className="text-sm text-white/70 mt-1">
+              {replay
+                ? `Seed ${replay.seed ?? "—"} · ${steps.length} steps · ${(replay.meta?.enemyIds || []).join(", ") || "—"}`
+                : "No replay recorded yet — start a battle or import a file."}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button className="px-3 py-2 rounded-md bg-white/6 text-sm" onClick={() => navigate("/combat")}>Back to combat</button>
+            <button className="px-3 py-2 rounded-md bg-white/6 text-sm disabled:opacity-40" disabled={!replay} onClick={handleExport}>Export</button>
+            <label className="px-3 py-2 rounded-md bg-white/6 text-sm cursor-pointer">
+              Import
+              <input type="file" accept="application/json" className="hidden" onChange={(e) => handleImport(e.target.files?.[0])} />
+            </label>
+          </div>
+        </div>
+
+        {importError && <div className="mb-3 text-sm text-red-300">{importError}</div>}
+
+        {cur && (
+          <div className="bg-[#07111a] border border-white/6 rounded-lg p-3 shadow-sm">
+            {/* scrubber */}
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={() => go(0)}>⏮</button>
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={prevTurn}>« Turn</button>
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={() => go(index - 1)}>‹ Step</button>
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={() => go(index + 1)}>Step ›</button>
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={nextTurn}>Turn »</button>
+              <button className="px-2 py-1 rounded bg-white/6 text-sm" onClick={() => go(maxIndex)}>⏭</button>
+
+              <input
+                type="range"
+                min={0}
+                max={maxIndex}
+                value={Math.min(index, maxIndex)}
+                onChange={(e) => go(Number(e.target.value))}
+                className="flex-1 min-w-[120px]"
+              />
+              <div className="text-xs text-white/70">Turn {turnNo} · step {Math.min(index, maxIndex)}/{maxIndex}</div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-3">
+              {/* combatants */}
+              <div className="lg:col-span-2 space-y-3">
+                <div className="p-3 rounded-lg border border-white/6 bg-[#061016]">
+                  <div className="flex items-center justify-between">
+                    <div className="font-semibold">{cur.player?.name || "Player"} <span className="text-xs text-white/60">Lv {cur.player?.level ?? 1}</span></div>
+                    <div className="text-xs text-white/70">HP {cur.player?.hp}/{cur.player?.maxHP} · MP {cur.player?.mp}/{cur.player?.maxMP}</div>
+                  </div>
+                  <div className="mt-2 h-2 rounded bg-white/6 overflow-hidden">
+                    <div className="h-2 bg-green-500" style={{ width: `${hpPct(cur.player?.hp, cur.player?.maxHP)}%` }} />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {enemies.length === 0 && <div className="text-white/60 text-sm">No enemies.</div>}
+                  {enemies.map((en, i) => (
+                    <div key={`${en.id}-${i}`} className={`p-3 rounded-lg border border-white/6 bg-[#061016] ${(en.hp | 0) <= 0 ? "opacity-40" : ""}`}>
+                      <div className="flex items-center justify-between">
+                        <div className="font-semibold truncate">#{i} {en.name || en.id}</div>
+                        <div className="text-xs text-white/70">HP {en.hp}/{en.maxHP}</div>
+                      </div>
+                      <div className="mt-2 h-2 rounded bg-white/6 overflow-hidden">
+                        <div className="h-2 bg-rose-500" style={{ width: `${hpPct(en.hp, en.maxHP)}%` }} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="p-3 rounded-lg border border-white/6 bg-[#061016] max-h-64 overflow-auto text-sm">
+                  {(cur.log || []).slice(-20).map((line, i) => (
+                    <div key={i} className="text-white/80">{line}</div>
+                  ))}
+                </div>
+              </div>
+
+              {/* step list */}
+              <aside className="p-3 rounded-lg border border-white/6 bg-[#061016] max-h-[28rem] overflow-auto">
+                <div
+                  onClick={() => go(0)}
+                  className={`px-2 py-1 rounded text-sm cursor-pointer ${index === 0 ? "bg-indigo-900 text-indigo-200" : "text-white/70"}`}
+                >
+                  Start
+                </div>
+                {steps.map((st, i) => (
+                  <div
+                    key={i}
+                    onClick={() => go(i + 1)}
+                    className={`px-2 py-1 rounded text-sm cursor-pointer ${index === i + 1 ? "bg-indigo-900 text-indigo-200" : "text-white/70"}`}
+                  >
+                    {i + 1}. {describeStep(st)}
+                  </div>
+                ))}
+              </aside>
+            </div>
+
+            {cur.over && index === maxIndex && (
+              <div className="mt-3 text-sm font-semibold">{cur.result === "win" ? "Victory" : cur.result === "fled" ? "Fled" : "Defeat"}</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,12 +5,15 @@ import usePlayerProgress from "../state/usePlayerProgress.js";
 import { getLocationsForRegion, getCityForRegion } from "../state/locations.js";
 import { getShopStock, buyFromShop, sellToShop, getShop } from "../state/shop.js";
 import itemsCatalog from "../db/items.json";
+import { resolveItem, baseItemId } from "../engine/gear.js";
+import ItemLabel from "./ItemLabel.jsx";
 
 /**
  * Shop — presentation-only rewrite
  * - Dark fantasy theme to match City/CharacterSheet
  * - Mobile-first responsive layout (1 col -> 2 col)
  * - Keeps existing logic/handlers unchanged
+ * - Rolled gear shows its rarity color + affixes and sells as its base item
  */
 
 export default function Shop({ shopId: propShopId = null }) {
@@ -53,12 +56,16 @@ export default function Shop({ shopId: propShopId = null }) {
     }
   }, [resolvedShopId, progress, refreshKey]);
 
+  // catalog entry, or the rolled instance for gear ids
+  const itemMeta = (itemId) => resolveItem(itemId, progress?.gear) || { name: itemId };
+
   const playerInvList = useMemo(() => {
     const inv = (progress && (progress.inventory || progress.items)) ? { ...(progress.inventory || progress.items) } : {};
+    const nameOf = (id) => String(resolveItem(id, progress?.gear)?.name || id);
     return Object.entries(inv)
       .map(([id, qty]) => ({ id, qty: Number(qty) || 0 }))
       .filter((it) => it.qty > 0)
-      .sort((a, b) => String(itemsCatalog[a.id]?.name || a.id).localeCompare(String(itemsCatalog[b.id]?.name || b.id)));
+      .sort((a, b) => nameOf(a.id).localeCompare(nameOf(b.id)));
   }, [progress, refreshKey]);
 
   const shopAcceptInfo = useMemo(() => {
@@ -132,11 +139,13 @@ export default function Shop({ shopId: propShopId = null }) {
     setBusy(true);
     try {
       console.log("[Shop] sell requested", { shopId: resolvedShopId, itemId, qty });
+      // resolve before selling: a sold instance leaves progress.gear
+      const name = itemMeta(itemId).name;
       const res = await sellToShop(resolvedShopId, itemId, qty);
       if (!res || !res.success) {
         showMsg("Sell failed: " + (res?.reason || "unknown"));
       } else {
-        showMsg(`Sold ${qty} × ${itemsCatalog[itemId]?.name || itemId} (+${res.goldGained || 0} gold)`);
+        showMsg(`Sold ${qty} × ${name} (+${res.goldGained || 0} gold)`);
         console.log("[Shop] sell result.progress:", res.progress);
         setRefreshKey(k => k + 1);
       }
@@ -206,7 +215,7 @@ export default function Shop({ shopId: propShopId = null }) {
                 return (
                   <div key={s.id} className="flex items-center justify-between p-3 rounded-lg bg-[#0b0f14] border border-[#1c232c]">
                     <div className="min-w-0">
-                      <div className="font-medium truncate">{meta.name}</div>
+                      <ItemLabel spec={meta} fallback={s.id} className="font-medium" />
                       <div className="text-xs text-gray-400 truncate">{s.id}</div>
                     </div>
 
@@ -250,11 +259,12 @@ export default function Shop({ shopId: propShopId = null }) {
           ) : (
             <div className="space-y-3">
               {playerInvList.map((it) => {
-                const meta = itemsCatalog[it.id] || { name: it.id };
+                const meta = itemMeta(it.id);
+                const baseId = baseItemId(it.id);
                 const qtyN = Number(it.qty) || 0;
 
-                const acceptsDirect = shopAcceptInfo.accepts.has(it.id);
-                const fallbackPrice = Number.isFinite(Number(itemsCatalog[it.id]?.price)) ? Number(itemsCatalog[it.id].price) : undefined;
+                const acceptsDirect = shopAcceptInfo.accepts.has(baseId);
+                const fallbackPrice = Number.isFinite(Number(itemsCatalog[baseId]?.price)) ? Number(itemsCatalog[baseId].price) : undefined;
                 const acceptsViaBuyAll = !!(shopAcceptInfo.buyAll && typeof fallbackPrice !== "undefined");
                 const canSell = acceptsDirect || acceptsViaBuyAll;
 
@@ -275,7 +285,7 @@ export default function Shop({ shopId: propShopId = null }) {
                 return (
                   <div key={it.id} className="flex items-center justify-between p-3 rounded-lg bg-[#0b0f14] border border-[#1c232c]">
                     <div className="min-w-0">
-                      <div className="font-medium truncate">{meta.name}</div>
+                      <ItemLabel spec={meta} fallback={it.id} className="font-medium" />
                       <div className="text-xs text-gray-400 truncate">{it.id}</div>
                     </div>
 
@@ -51,7 +51,7 @@ export default function Tutorial() {
           <section className="panel fantasy-border p-4 rounded-lg">
             <h2 className="text-lg font-semibold text-white mb-2">3. Progress & Saving</h2>
             <p className="text-sm text-gray-300">
-              Progress is persisted to localStorage. Use the Menu to export your save (JSON) for safekeeping. Import replaces current save — handle carefully.
+              Progress is saved in this browser (localStorage, or IndexedDB if chosen in the Menu). Use the Menu to export your save (JSON) for safekeeping. Import replaces current save — handle carefully.
             </p>
           </section>
 
@@ -1,125 +1,41 @@
 // tools/battle_sim.js
 // Usage: node tools/battle_sim.js [iterations] [enemyId]
 // Example: node tools/battle_sim.js 1000 slime
-
-import path from "path";
-import url from "url";
-import fs from "fs/promises";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-
-const ORIG_ENGINE_PATH = path.resolve(__dirname, "../src/engine/engine.js");
-const TEMP_ENGINE_FILENAME = "engine_sim.mjs";
-const TEMP_ENGINE_PATH = path.resolve(path.dirname(ORIG_ENGINE_PATH), TEMP_ENGINE_FILENAME);
+// Needs Node 20.6+ (module.register); runs the real engine with in-memory storage.
+
+import { register } from "node:module";
+
+// The engine and state modules import JSON the Vite way (`import x from "./x.json"`),
+// which plain Node rejects without an import attribute. This load hook turns every
+// .json module into `export default <json>`, for all modules the engine pulls in.
+const JSON_HOOKS = `
+import { readFile } from "node:fs/promises";
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith(".json")) return nextLoad(url, context);
+  const text = await readFile(new URL(url), "utf8");
+  return { format: "module", source: "export default " + text + ";", shortCircuit: true };
+}
+`;
+register("data:text/javascript," + encodeURIComponent(JSON_HOOKS));
 
 /**
- * Read original engine.js and produce a temporary ESM module where JSON imports are
- * replaced by inlined `const <ident> = <json literal>;` declarations.
+ * Load the engine (after the JSON hook) with progress / snapshots kept in memory
+ * (state/storageAdapter.js), so nothing touches localStorage.
  */
-async function makeTempEngineCopyInlineJson() {
-  let src = await fs.readFile(ORIG_ENGINE_PATH, "utf8");
-
-  // Regex to match default-import-from-json:
-  //   import playerBase from "../db/player.json";
-  // Captures identifier in group 1 and path in group 2.
-  // Accepts single or double quotes and optional semicolon.
-  const jsonImportRe = /import\s+([A-Za-z0-9_$]+)\s+from\s+(['"])(.+?\.json)\2\s*;?/g;
-
-  // We'll collect replaced variables so we can inline each JSON once.
-  const replacements = [];
-  let m;
-  const seenPaths = new Map();
-
-  // Gather matches
-  while ((m = jsonImportRe.exec(src)) !== null) {
-    const ident = m[1];
-    let relPath = m[3]; // as written in import, e.g. ../db/player.json
-    const importSpan = m[0];
-    const startIndex = m.index;
-    const endIndex = jsonImportRe.lastIndex;
-
-    // Resolve the JSON absolute path relative to engine.js file
-    const engineDir = path.dirname(ORIG_ENGINE_PATH);
-    const absJsonPath = path.resolve(engineDir, relPath);
-
-    // Avoid duplicate inlining if same file imported multiple times with different idents
-    if (!seenPaths.has(absJsonPath)) {
-      seenPaths.set(absJsonPath, []);
-    }
-    seenPaths.get(absJsonPath).push({ ident, importSpan, startIndex, endIndex });
-  }
-
-  // Create an array of inlined declarations (we'll replace imports later)
-  // We'll iterate over seenPaths and read JSON contents.
-  for (const [absJsonPath, usages] of seenPaths.entries()) {
-    // read json file
-    let jsonText;
-    try {
-      jsonText = await fs.readFile(absJsonPath, "utf8");
-    } catch (err) {
-      throw new Error(`Failed to read JSON file for inlining: ${absJsonPath} — ${err.message}`);
-    }
-
-    // Parse to ensure valid JSON, then stringify compactly to embed
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonText);
-    } catch (err) {
-      throw new Error(`Invalid JSON in ${absJsonPath}: ${err.message}`);
-    }
-
-    const literal = JSON.stringify(parsed);
-
-    // For each usage (could be imported with different identifiers), create const declarations.
-    for (const u of usages) {
-      // The identifier the original import used
-      const ident = u.ident;
-      replacements.push({
-        // replace the first occurrence of that import statement text with a const declaration
-        // We'll perform a safe textual replacement below by searching for the exact import text.
-        importText: u.importSpan,
-        replacementText: `const ${ident} = ${literal};`,
-      });
-    }
-  }
-
-  // Apply replacements: replace each import occurrence with its corresponding const literal.
-  // Because importText may not be unique if whitespace differs, we replace by searching for the pattern
-  // captured earlier. We'll replace occurrences one by one to avoid accidental duplicates.
-  let patched = src;
-  for (const r of replacements) {
-    const idx = patched.indexOf(r.importText);
-    if (idx === -1) {
-      // fallback: try a relaxed match for the import line (identifier + .json)
-      const relaxedRe = new RegExp(`import\\s+${r.replacementText.split(" ")[1]}\\s+from\\s+['"][^'"]+?\\.json['"];?`);
-      patched = patched.replace(relaxedRe, r.replacementText);
-    } else {
-      // replace only the first occurrence (should match one-to-one)
-      patched = patched.slice(0, idx) + r.replacementText + patched.slice(idx + r.importText.length);
-    }
-  }
-
-  // Write out the temporary module
-  await fs.writeFile(TEMP_ENGINE_PATH, patched, "utf8");
-
-  return url.pathToFileURL(TEMP_ENGINE_PATH).href;
+async function loadEngine() {
+  const { setStorage, createMemoryAdapter } = await import("../src/state/storageAdapter.js");
+  setStorage(createMemoryAdapter());
+  return import("../src/engine/engine.js");
 }
 
-async function cleanupTempEngine() {
-  try {
-    await fs.unlink(TEMP_ENGINE_PATH);
-  } catch (e) {
-    // ignore
-  }
-}
-
-function tailLog(state) {
-  const log = Array.isArray(state.log) ? state.log : [];
-  return log[log.length - 1] || "";
+// damage events (events.js) the player dealt since a given event seq
+function playerHitsSince(state, seq) {
+  const events = Array.isArray(state.events) ? state.events : [];
+  return events.filter(ev => (Number(ev.seq) || 0) > seq && ev.type === "damage" && ev.source?.side === "player");
 }
 
 function simulateOneBattle(startBattleFn, playerAttackFn, enemyActFn, enemyId, maxTurns = 1000) {
-  const state = startBattleFn(enemyId);
+  let state = startBattleFn(enemyId);
   let turns = 0;
   let playerDamageTaken = 0;
   let totalHits = 0;
@@ -128,20 +44,17 @@ function simulateOneBattle(startBattleFn, playerAttackFn, enemyActFn, enemyId, m
 
   while (!state.over && turns < maxTurns) {
     if (state.turn === "player") {
-      playerAttackFn(state); // always basic attack
-      const last = tailLog(state);
-      if (/for \d+ .*damage/.test(last)) {
-        const m = last.match(/for (\d+)[^\d]/);
-        if (m) {
-          const dmg = Number(m[1]);
-          totalDamageDealt += dmg;
-          totalHits += 1;
-          if (last.includes("CRIT")) totalCrits += 1;
-        }
+      const seq = Number(state._eventSeq) || 0;
+      state = playerAttackFn(state); // always basic attack
+      for (const hit of playerHitsSince(state, seq)) {
+        if (!(hit.amount > 0)) continue;
+        totalDamageDealt += hit.amount;
+        totalHits += 1;
+        if (hit.crit) totalCrits += 1;
       }
     } else if (state.turn === "enemy") {
       const before = state.player.hp;
-      enemyActFn(state);
+      state = enemyActFn(state);
       const after = state.player.hp;
       const dmgTaken = Math.max(0, before - after);
       playerDamageTaken += dmgTaken;
@@ -164,20 +77,9 @@ function simulateOneBattle(startBattleFn, playerAttackFn, enemyActFn, enemyId, m
 }
 
 async function runSim(iterations = 500, enemyId = "slime") {
-  const tempModuleUrl = await makeTempEngineCopyInlineJson();
-
-  let mod;
-  try {
-    mod = await import(tempModuleUrl);
-  } catch (err) {
-    await cleanupTempEngine();
-    throw err;
-  }
-
-  const { startBattle, playerAttack, enemyAct } = mod;
+  const { startBattle, playerAttack, enemyAct } = await loadEngine();
   if (typeof startBattle !== "function" || typeof playerAttack !== "function" || typeof enemyAct !== "function") {
-    await cleanupTempEngine();
-    throw new Error("Patched engine module did not export expected functions.");
+    throw new Error("Engine module did not export expected functions.");
   }
 
   iterations = Number(iterations) || 500;
@@ -191,6 +93,10 @@ async function runSim(iterations = 500, enemyId = "slime") {
   let sumCrits = 0;
   let sumDamageDealt = 0;
 
+  // the engine's debug logging would bury the report
+  const log = console.log;
+  console.log = () => {};
+
   const start = Date.now();
   for (let i = 0; i < iterations; i++) {
     const res = simulateOneBattle(startBattle, playerAttack, enemyAct, enemyId, 500);
@@ -206,6 +112,7 @@ async function runSim(iterations = 500, enemyId = "slime") {
     }
   }
   const ms = Date.now() - start;
+  console.log = log;
   process.stdout.write("\r"); // clear progress
 
   const avgTurns = sumTurns / iterations;
@@ -228,8 +135,6 @@ async function runSim(iterations = 500, enemyId = "slime") {
   console.log(`Avg dmg/hit:       ${avgDamagePerHit.toFixed(2)}`);
   console.log(`Avg dmg taken:     ${avgDamageTaken.toFixed(2)}`);
   console.log("===========================");
-
-  await cleanupTempEngine();
 }
 
 // CLI args